@@ -0,0 +1,62 @@
+//Compares the speed of LogicalPermissions::checkAccess() with the evaluators returned by LogicalPermissions::compile(). Run it with "npm run bench".
+
+var LogicalPermissions = require('../lib/LogicalPermissions.js');
+
+var iterations = 20000;
+var lp = new LogicalPermissions();
+lp.setTypes({
+  flag: function(flag, context) {
+    return !!context.user[flag];
+  },
+  role: function(role, context) {
+    return context.user.roles.indexOf(role) > -1;
+  },
+  misc: function(item, context) {
+    return !!context.user[item];
+  }
+});
+lp.setBypassCallback(function(context) {
+  return false;
+});
+
+var permissions = {
+  no_bypass: {
+    flag: 'never_bypass'
+  },
+  OR: [
+    {role: {AND: ['editor', 'writer', {NOT: 'guest'}]}},
+    {AND: {flag: 'is_author', misc: ['published', 'draft']}},
+    {role: {XOR: ['sales', 'marketing', 'support']}},
+    {NOR: {role: 'banned', flag: 'suspended'}}
+  ]
+};
+var context = {user: {roles: ['writer', 'banned'], is_author: false, draft: true}};
+var evaluator = lp.compile(permissions);
+
+if(evaluator.evaluate(context) !== lp.checkAccess(permissions, context)) {
+  console.error('The compiled evaluator and checkAccess() gave different results.');
+  process.exit(1);
+}
+
+var measure = function(name, callback) {
+  //Warm up first so that both are measured after the JIT compiler has optimized them
+  for(var i = 0; i < iterations / 10; i++) {
+    callback();
+  }
+  var start = process.hrtime();
+  for(var i = 0; i < iterations; i++) {
+    callback();
+  }
+  var time = process.hrtime(start);
+  var milliseconds = time[0] * 1e3 + time[1] / 1e6;
+  console.log(name + ': ' + milliseconds.toFixed(1) + ' ms for ' + iterations + ' evaluations');
+  return milliseconds;
+};
+
+var check_access_time = measure('checkAccess()', function() {
+  lp.checkAccess(permissions, context);
+});
+var compiled_time = measure('compile()', function() {
+  evaluator.evaluate(context);
+});
+console.log('The compiled evaluator is ' + (check_access_time / compiled_time).toFixed(1) + ' times as fast as checkAccess().');
@@ -0,0 +1,283 @@
+"use strict";
+
+/*
+ * Permission trees are analyzed by converting them into nodes of the following kinds, each with the JSON path of the part of the permission tree that it represents:
+ *
+ *   {kind: 'constant', value: Boolean, path: String}
+ *   {kind: 'leaf', key: String, path: String}
+ *   {kind: 'gate', gate: String, value: *, children: Array, child_permissions: Array, shorthand: Boolean, reference: Boolean, path: String}
+ *
+ * The child permissions are the permission trees of the children in the form that checkAccess() passes them to the handlers of custom logic gates.
+ * A reference to a permission definition is an OR gate with the permission tree of the definition as its only child, marked with the "reference" property.
+ * The nodes are then evaluated with the logic gates of the LogicalPermissions instance for every possible assignment of the leaves, where each distinct combination of a permission type and a value is a leaf that either grants or denies access.
+ */
+
+var PermissionTree = require('./PermissionTree.js');
+var builtin_gates = PermissionTree.builtin_gates;
+var threshold_gates = PermissionTree.threshold_gates;
+var isNumeric = PermissionTree.isNumeric;
+var isContainer = PermissionTree.isContainer;
+
+var messages = {
+  always_true: 'This part of the permission tree always grants access.',
+  always_false: 'This part of the permission tree always denies access.',
+  dead_branch: 'This part of the permission tree can never influence whether access is granted.'
+};
+
+/**
+ * Analyzes a permission tree without calling any callbacks.
+ * @param {Object|Array|String|Boolean} permissions - A valid permission tree.
+ * @param {Object} options - An object with the structure {gates: Array, getGateEvaluator: Function, getDefinition: Function, getChildPath: Function, isPermissionValue: Function}, where "gates" contains the available logic gates, getGateEvaluator(gate, value) returns the function that evaluates a logic gate, getDefinition(name) returns the permission tree of a permission definition, getChildPath(path, key) returns the JSON path of a child and isPermissionValue(permissions, type) checks whether a number, object or array beneath a permission type is a permission value.
+ * @returns {Object} The result of the analysis.
+ */
+var analyze = function analyze(permissions, options) {
+  var gates = options.gates.map(function(gate) {
+    return gate.toUpperCase();
+  });
+
+  var createGate = function createGate(gate, permissions, type, path, shorthand) {
+    var children = [];
+    var child_permissions = [];
+    var value = permissions;
+    var children_path = path;
+    if(threshold_gates.indexOf(gate) != -1) {
+      permissions = value.of;
+      children_path = options.getChildPath(path, 'of');
+    }
+    if(gate === 'NOT') {
+      children.push(createNode(permissions, type, path));
+      child_permissions.push(permissions);
+    }
+    else if(Array.isArray(permissions)) {
+      permissions.forEach(function(child, i) {
+        children.push(createNode(child, type, options.getChildPath(children_path, i)));
+        child_permissions.push(child);
+      });
+    }
+    else {
+      for(var key in permissions) {
+        children.push(createEntry(key, permissions[key], type, options.getChildPath(children_path, key)));
+        var child = {};
+        child[key] = permissions[key];
+        child_permissions.push(child);
+      }
+    }
+    return {kind: 'gate', gate: gate, value: value, children: children, child_permissions: child_permissions, shorthand: shorthand, path: path};
+  };
+
+  var createNode = function createNode(permissions, type, path) {
+    if(permissions === true || permissions === false) {
+      return {kind: 'constant', value: permissions, path: path};
+    }
+    if(typeof permissions === 'string') {
+      var permissions_upper = permissions.toUpperCase();
+      if(type === undefined && (permissions_upper === 'TRUE' || permissions_upper === 'FALSE')) {
+        return {kind: 'constant', value: permissions_upper === 'TRUE', path: path};
+      }
+      return {kind: 'leaf', key: JSON.stringify([type, permissions]), path: path};
+    }
+    if(options.isPermissionValue(permissions, type)) {
+      return {kind: 'leaf', key: JSON.stringify([type, permissions]), path: path};
+    }
+    if(Array.isArray(permissions) || Object.keys(permissions).length > 1) {
+      return createGate('OR', permissions, type, path, true);
+    }
+    var key = Object.keys(permissions)[0];
+    return createEntry(key, permissions[key], type, options.getChildPath(path, key));
+  };
+
+  // Creates the node of a permission tree without a NO_BYPASS key, which is either the main permission tree or a permission definition. Empty permission trees grant access.
+  var createTree = function createTree(permissions, path) {
+    if(isContainer(permissions) && Object.keys(permissions).length == 0) {
+      return {kind: 'constant', value: true, path: path};
+    }
+    return isContainer(permissions) ? createGate('OR', permissions, undefined, path, true) : createNode(permissions, undefined, path);
+  };
+
+  // The nodes of the definition share the path of the reference, since they are not part of the analyzed permission tree.
+  var createReference = function createReference(name, path) {
+    var definition = options.getDefinition(name);
+    return {kind: 'gate', gate: 'OR', value: [], children: [createTree(definition, path)], child_permissions: [definition], shorthand: false, reference: true, path: path};
+  };
+
+  // Creates the node of a single key of a permission object together with its value, which is found at the given path.
+  var createEntry = function createEntry(key, value, type, path) {
+    if(!isNumeric(key)) {
+      var key_upper = key.toUpperCase();
+      if(key_upper === 'REF') {
+        return createReference(value, path);
+      }
+      if(gates.indexOf(key_upper) != -1) {
+        return createGate(key_upper, value, type, path, false);
+      }
+      type = key;
+    }
+    if(isContainer(value) && !options.isPermissionValue(value, type)) {
+      return createGate('OR', value, type, path, true);
+    }
+    return createNode(value, type, path);
+  };
+
+  var collectLeaves = function collectLeaves(node, leaves) {
+    if(node.kind === 'leaf' && leaves.indexOf(node.key) == -1) {
+      leaves.push(node.key);
+    }
+    if(node.kind === 'gate') {
+      node.children.forEach(function(child) {
+        collectLeaves(child, leaves);
+      });
+    }
+    return leaves;
+  };
+
+  // Evaluates a node for an assignment of the leaves. If a forced node is given, its result is replaced by the negation of its actual result.
+  var evaluate = function evaluate(node, assignment, forced) {
+    var access;
+    if(node.kind === 'constant') {
+      access = node.value;
+    }
+    else if(node.kind === 'leaf') {
+      access = assignment[node.key];
+    }
+    else if(builtin_gates.indexOf(node.gate) == -1) {
+      access = options.getGateEvaluator(node.gate, node.value)(node.child_permissions, function(child) {
+        return evaluate(node.children[node.child_permissions.indexOf(child)], assignment, forced);
+      });
+    }
+    else {
+      access = options.getGateEvaluator(node.gate, node.value)(node.children, function(child) {
+        return evaluate(child, assignment, forced);
+      });
+    }
+    return node === forced ? !access : access;
+  };
+
+  // Calls the callback for every possible assignment of the leaves, counting through them like the digits of a binary number.
+  var forEachAssignment = function forEachAssignment(leaves, callback) {
+    var values = leaves.map(function() {
+      return false;
+    });
+    while(true) {
+      var assignment = {};
+      leaves.forEach(function(leaf, i) {
+        assignment[leaf] = values[i];
+      });
+      callback(assignment);
+
+      var i = 0;
+      while(i < values.length && values[i]) {
+        values[i] = false;
+        i++;
+      }
+      if(i == values.length) {
+        return;
+      }
+      values[i] = true;
+    }
+  };
+
+  var getDescendants = function getDescendants(node) {
+    var descendants = [node];
+    if(node.kind === 'gate') {
+      node.children.forEach(function(child) {
+        descendants = descendants.concat(getDescendants(child));
+      });
+    }
+    return descendants;
+  };
+
+  // Evaluates every node of a tree for every assignment and records which results each node can have and whether changing its result ever changes the result of the root node.
+  var analyzeTree = function analyzeTree(root) {
+    var nodes = getDescendants(root);
+    var stats = nodes.map(function() {
+      return {can_be_true: false, can_be_false: false, influential: false};
+    });
+    forEachAssignment(collectLeaves(root, []), function(assignment) {
+      var root_access = evaluate(root, assignment, null);
+      nodes.forEach(function(node, i) {
+        if(evaluate(node, assignment, null)) {
+          stats[i].can_be_true = true;
+        }
+        else {
+          stats[i].can_be_false = true;
+        }
+        if(!stats[i].influential && node !== root && evaluate(root, assignment, node) !== root_access) {
+          stats[i].influential = true;
+        }
+      });
+    });
+    nodes.forEach(function(node, i) {
+      node.stats = stats[i];
+    });
+    return getResult(root);
+  };
+
+  var getResult = function getResult(node) {
+    if(!node.stats.can_be_false) {
+      return 'always_true';
+    }
+    if(!node.stats.can_be_true) {
+      return 'always_false';
+    }
+    return 'contingent';
+  };
+
+  var isConstantGate = function isConstantGate(node) {
+    return node.kind === 'gate' && getResult(node) !== 'contingent';
+  };
+
+  // Reports the parts of the tree that can never influence the result, without descending into them, and the logic gates that always have the same result unless one of their children is such a gate as well. References to permission definitions are reported as a whole.
+  var collectFindings = function collectFindings(node, is_root, findings) {
+    if(!is_root && !node.stats.influential) {
+      addFinding(findings, node.path, 'dead_branch');
+      return;
+    }
+    if(node.reference) {
+      if(isConstantGate(node)) {
+        addFinding(findings, node.path, getResult(node));
+      }
+      return;
+    }
+    if(isConstantGate(node) && !node.children.some(isConstantGate) && !(is_root && node.shorthand)) {
+      addFinding(findings, node.path, getResult(node));
+    }
+    if(node.kind === 'gate') {
+      node.children.forEach(function(child) {
+        collectFindings(child, false, findings);
+      });
+    }
+  };
+
+  var addFinding = function addFinding(findings, path, kind) {
+    findings.push({path: path, kind: kind, message: messages[kind]});
+  };
+
+  var parts = PermissionTree.splitNoBypass(permissions);
+
+  var findings = [];
+  var root = createTree(parts.permissions, '$');
+  var result = analyzeTree(root);
+  collectFindings(root, true, findings);
+
+  var no_bypass_result = null;
+  if(parts.key !== undefined) {
+    var no_bypass = parts.no_bypass;
+    var no_bypass_path = options.getChildPath('$', parts.key);
+    // An array of bypass rule names only disables some of the bypass rules, so it never disables bypassing altogether
+    var no_bypass_root = isContainer(no_bypass) && !Array.isArray(no_bypass) ? createGate('OR', no_bypass, undefined, no_bypass_path, true) : {kind: 'constant', value: String(no_bypass).toUpperCase() === 'TRUE', path: no_bypass_path};
+    no_bypass_result = analyzeTree(no_bypass_root);
+    // The NO_BYPASS condition is dead if access is granted anyway, see PermissionTree.splitNoBypass()
+    if(result === 'always_true') {
+      addFinding(findings, no_bypass_path, 'dead_branch');
+    }
+    else {
+      collectFindings(no_bypass_root, true, findings);
+    }
+  }
+
+  return {result: result, no_bypass: no_bypass_result, findings: findings};
+};
+
+module.exports = {
+  analyze: analyze
+};
@@ -0,0 +1,158 @@
+"use strict";
+
+/*
+ * The attribute permission type compares values in the context that is passed to checkAccess(). Each permission value is a condition with the structure {path: String, <operator>: operand}, for example {path: 'user.id', eq: {path: 'document.owner_id'}}. Paths are dotted property paths into the context, and an operand is either a literal value or an object with a single "path" key that refers to another value in the context. Only the "exists" operator grants access if the path or a path operand doesn't resolve to a value. The regular expression of the "matches" operator must be a literal, so that the context can't supply a pattern that takes a very long time to match.
+ */
+
+var InvalidArgumentValueError = require('./Errors.js').InvalidArgumentValueError;
+
+// Compiled regular expressions, keyed by their patterns, so that each pattern is only compiled once.
+var patterns = {};
+
+// Compiles the pattern of the "matches" operator. Throws a SyntaxError if it isn't a valid regular expression.
+var compilePattern = function compilePattern(pattern) {
+  if(!Object.prototype.hasOwnProperty.call(patterns, pattern)) {
+    patterns[pattern] = new RegExp(pattern);
+  }
+  return patterns[pattern];
+};
+
+var isComparable = function isComparable(a, b) {
+  return (typeof a === 'number' && typeof b === 'number') || (typeof a === 'string' && typeof b === 'string');
+};
+
+// Each operator compares the value at the path of the condition with the resolved operand. Values of the wrong type never grant access, and neither do missing values, which are handled by the callback.
+var operators = {
+  eq: function(value, operand) {
+    return value === operand;
+  },
+  ne: function(value, operand) {
+    return value !== operand;
+  },
+  lt: function(value, operand) {
+    return isComparable(value, operand) && value < operand;
+  },
+  lte: function(value, operand) {
+    return isComparable(value, operand) && value <= operand;
+  },
+  gt: function(value, operand) {
+    return isComparable(value, operand) && value > operand;
+  },
+  gte: function(value, operand) {
+    return isComparable(value, operand) && value >= operand;
+  },
+  in: function(value, operand) {
+    return Array.isArray(operand) && operand.indexOf(value) != -1;
+  },
+  contains: function(value, operand) {
+    if(Array.isArray(value)) {
+      return value.indexOf(operand) != -1;
+    }
+    return typeof value === 'string' && typeof operand === 'string' && value.indexOf(operand) != -1;
+  },
+  matches: function(value, operand) {
+    return typeof value === 'string' && compilePattern(operand).test(value);
+  },
+  exists: function(value, operand) {
+    return (value !== undefined) === operand;
+  }
+};
+
+var isPathReference = function isPathReference(operand) {
+  return operand !== null && typeof operand === 'object' && !Array.isArray(operand) && Object.keys(operand).length == 1 && typeof operand.path === 'string';
+};
+
+/**
+ * Gets the supported comparison operators.
+ * @returns {Array} The names of the operators.
+ */
+var getOperators = function getOperators() {
+  return Object.keys(operators);
+};
+
+/**
+ * Resolves a dotted property path, such as "user.roles.0", into an object.
+ * @param {Object} context - The object to resolve the path into.
+ * @param {String} path - The path to resolve.
+ * @returns {*} The value at the path, or undefined if any part of the path is missing.
+ */
+var resolvePath = function resolvePath(context, path) {
+  var value = context;
+  var keys = path.split('.');
+  for(var i = 0; i < keys.length; i++) {
+    if(value === null || value === undefined || !Object.prototype.hasOwnProperty.call(Object(value), keys[i])) {
+      return undefined;
+    }
+    value = value[keys[i]];
+  }
+  return value;
+};
+
+/**
+ * Creates the callback of an attribute permission type.
+ * @param {String} type - The name of the permission type, which is added to the errors thrown for invalid conditions.
+ * @returns {Function} A type callback that takes a condition with the structure {path: String, <operator>: operand} and the context object passed to checkAccess(), and returns TRUE if the condition is met or FALSE if it is not met. Its getConditionError(condition) method returns the InvalidArgumentValueError that the callback would throw for a malformed condition, or null if the condition is valid.
+ */
+var createCallback = function createCallback(type) {
+  var getConditionError = function getConditionError(condition) {
+    var error = function(message) {
+      return new InvalidArgumentValueError(message + ' Evaluated condition: ' + JSON.stringify(condition), {permissions: condition, type: type});
+    };
+    if(typeof condition.path !== 'string' || !condition.path) {
+      return error('An attribute condition must have a non-empty "path" string.');
+    }
+    var operator_keys = Object.keys(condition).filter(function(key) {
+      return key !== 'path';
+    });
+    if(operator_keys.length != 1 || !operators.hasOwnProperty(operator_keys[0])) {
+      return error('An attribute condition must have exactly one of the following operators: ' + getOperators().join() + '.');
+    }
+    var operator = operator_keys[0];
+    var operand = condition[operator];
+    if(operator === 'exists' && typeof operand !== 'boolean') {
+      return error('The operand of the "exists" operator must be a boolean.');
+    }
+    if(operator === 'in' && !Array.isArray(operand) && !isPathReference(operand)) {
+      return error('The operand of the "in" operator must be an array or a path reference.');
+    }
+    if(operator === 'matches') {
+      if(typeof operand !== 'string') {
+        return error('The operand of the "matches" operator must be a regular expression string.');
+      }
+      try {
+        compilePattern(operand);
+      }
+      catch(syntax_error) {
+        return error('The operand of the "matches" operator must be a valid regular expression. ' + syntax_error.message + '.');
+      }
+    }
+    return null;
+  };
+
+  var callback = function(condition, context) {
+    var error = getConditionError(condition);
+    if(error) {
+      throw error;
+    }
+    var operator = Object.keys(condition).filter(function(key) {
+      return key !== 'path';
+    })[0];
+    var operand = condition[operator];
+    if(isPathReference(operand)) {
+      operand = resolvePath(context, operand.path);
+    }
+    var value = resolvePath(context, condition.path);
+    // A missing value must not be equal to another missing value, or else a document without an owner would be owned by every user without an id
+    if(operator !== 'exists' && (value === undefined || operand === undefined)) {
+      return false;
+    }
+    return operators[operator](value, operand);
+  };
+  callback.getConditionError = getConditionError;
+  return callback;
+};
+
+module.exports = {
+  createCallback: createCallback,
+  getOperators: getOperators
+};
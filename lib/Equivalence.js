@@ -0,0 +1,89 @@
+"use strict";
+
+var Simplifier = require('./Simplifier.js');
+
+// The bypass access is the result of the bypass callback and the bypass rules that aren't disabled by name in any of the permission trees, while rule_access contains the results of the bypass rules that are
+var getAccess = function getAccess(nodes, assignment, bypass_access, rule_access) {
+  var bypass = bypass_access || Object.keys(rule_access).some(function(rule) {
+    return rule_access[rule] && nodes.disabled_rules.indexOf(rule) == -1;
+  });
+  return Simplifier.evaluate(nodes.permissions, assignment) || (bypass && !Simplifier.evaluate(nodes.no_bypass, assignment));
+};
+
+/**
+ * Decides whether two permission trees grant access in exactly the same cases. Each distinct permission, that is each combination of a permission type and a value, is treated as a boolean variable, and so are the result of each bypass rule that is disabled by name in one of the permission trees and the combined result of the bypass callback and the other bypass rules. The permission trees are then evaluated for every possible assignment of the variables, which means that the time it takes grows exponentially with the number of distinct permissions.
+ * @param {Object|Array|String|Boolean} first - A valid permission tree.
+ * @param {Object|Array|String|Boolean} second - Another valid permission tree.
+ * @param {Object} options - The same options as for Simplifier.build().
+ * @returns {Object} An object with the structure {equivalent: Boolean, counterexample: Object|null}, where the counterexample is an assignment for which the permission trees differ. It has the structure {permissions: Array, bypass_access: Boolean, bypass_rules: Object, results: Array} where "permissions" contains an object with the structure {type: String, value: String|Number|Object|Array, access: Boolean} for each distinct permission, "bypass_rules" has the structure {rule: Boolean, ...} for the bypass rules that are disabled by name and "results" contains the access results of the two permission trees.
+ */
+var compare = function compare(first, second, options) {
+  var models = [Simplifier.build(first, options), Simplifier.build(second, options)];
+  // Simplifying the permission trees gives identical nodes for trees that are equivalent in a simple way
+  if(models[0].permissions.key === models[1].permissions.key && models[0].no_bypass.key === models[1].no_bypass.key && models[0].disabled_rules.join() === models[1].disabled_rules.join()) {
+    return {equivalent: true, counterexample: null};
+  }
+
+  var leaves = [];
+  var keys = {};
+  var rules = [];
+  models.forEach(function(nodes) {
+    nodes.disabled_rules.forEach(function(rule) {
+      if(rules.indexOf(rule) == -1) {
+        rules.push(rule);
+      }
+    });
+    Simplifier.getLeaves(nodes.permissions).concat(Simplifier.getLeaves(nodes.no_bypass)).forEach(function(leaf) {
+      if(!keys.hasOwnProperty(leaf.key)) {
+        keys[leaf.key] = true;
+        leaves.push(leaf);
+      }
+    });
+  });
+
+  // The variables are counted through like the digits of a binary number, with the bypass rules and the bypass access as the last variables
+  var values = leaves.concat(rules).map(function() {
+    return false;
+  }).concat([false]);
+  while(true) {
+    var assignment = {};
+    leaves.forEach(function(leaf, i) {
+      assignment[leaf.key] = values[i];
+    });
+    var rule_access = {};
+    rules.forEach(function(rule, i) {
+      rule_access[rule] = values[leaves.length + i];
+    });
+    var bypass_access = values[values.length - 1];
+    var results = models.map(function(nodes) {
+      return getAccess(nodes, assignment, bypass_access, rule_access);
+    });
+    if(results[0] !== results[1]) {
+      return {
+        equivalent: false,
+        counterexample: {
+          permissions: leaves.map(function(leaf, i) {
+            return {type: leaf.type, value: leaf.value, access: values[i]};
+          }),
+          bypass_access: bypass_access,
+          bypass_rules: rule_access,
+          results: results
+        }
+      };
+    }
+
+    var i = 0;
+    while(i < values.length && values[i]) {
+      values[i] = false;
+      i++;
+    }
+    if(i == values.length) {
+      return {equivalent: true, counterexample: null};
+    }
+    values[i] = true;
+  }
+};
+
+module.exports = {
+  compare: compare
+};
@@ -0,0 +1,125 @@
+"use strict";
+
+/**
+ * Base class for all errors thrown by LogicalPermissions.
+ * @param {String} message - A description of the error.
+ * @param {Object} details (optional) - Structured information about the error, such as the offending permission type or logic gate. Each property is copied to the error object.
+ */
+var LogicalPermissionsError = function LogicalPermissionsError(message, details) {
+  this.message = message;
+  for(var key in details) {
+    if(details.hasOwnProperty(key)) {
+      this[key] = details[key];
+    }
+  }
+  if(typeof Error.captureStackTrace === 'function') {
+    Error.captureStackTrace(this, this.constructor);
+  }
+  else {
+    this.stack = (new Error(message)).stack;
+  }
+};
+
+var inherit = function inherit(ErrorClass, ParentClass, name, code) {
+  ErrorClass.prototype = Object.create(ParentClass.prototype);
+  ErrorClass.prototype.constructor = ErrorClass;
+  // The names are kept from the plain exception objects that were thrown in earlier versions.
+  ErrorClass.prototype.name = name;
+  ErrorClass.prototype.code = code;
+};
+
+inherit(LogicalPermissionsError, Error, 'LogicalPermissionsException', 'LOGICAL_PERMISSIONS_ERROR');
+
+/**
+ * Thrown when a required parameter is missing. The name of the parameter is available in the "argument" property.
+ */
+var MissingArgumentError = function MissingArgumentError(message, details) {
+  LogicalPermissionsError.call(this, message, details);
+};
+inherit(MissingArgumentError, LogicalPermissionsError, 'MissingArgumentException', 'MISSING_ARGUMENT');
+
+/**
+ * Thrown when a parameter or a part of a permission tree has the wrong data type. Depending on the cause, the error has either an "argument" property with the name of the parameter or "permissions" and "type" properties with the offending part of the permission tree and the permission type that it belongs to.
+ */
+var InvalidArgumentTypeError = function InvalidArgumentTypeError(message, details) {
+  LogicalPermissionsError.call(this, message, details);
+};
+inherit(InvalidArgumentTypeError, LogicalPermissionsError, 'InvalidArgumentTypeException', 'INVALID_ARGUMENT_TYPE');
+
+/**
+ * Thrown when a parameter or a part of a permission tree has an illegal value. Depending on the cause, the error has either an "argument" property with the name of the parameter or "permissions" and "type" properties with the offending part of the permission tree and the permission type that it belongs to.
+ */
+var InvalidArgumentValueError = function InvalidArgumentValueError(message, details) {
+  LogicalPermissionsError.call(this, message, details);
+};
+inherit(InvalidArgumentValueError, LogicalPermissionsError, 'InvalidArgumentValueException', 'INVALID_ARGUMENT_VALUE');
+
+/**
+ * Thrown when adding a permission type that already exists. The name of the type is available in the "type" property.
+ */
+var PermissionTypeAlreadyExistsError = function PermissionTypeAlreadyExistsError(message, details) {
+  LogicalPermissionsError.call(this, message, details);
+};
+inherit(PermissionTypeAlreadyExistsError, LogicalPermissionsError, 'PermissionTypeAlreadyExistsException', 'PERMISSION_TYPE_ALREADY_EXISTS');
+
+/**
+ * Thrown when a permission type is used without having been registered. The name of the type is available in the "type" property.
+ */
+var PermissionTypeNotRegisteredError = function PermissionTypeNotRegisteredError(message, details) {
+  LogicalPermissionsError.call(this, message, details);
+};
+inherit(PermissionTypeNotRegisteredError, LogicalPermissionsError, 'PermissionTypeNotRegisteredException', 'PERMISSION_TYPE_NOT_REGISTERED');
+
+/**
+ * Thrown when a logic gate has an invalid value. The name of the gate is available in the "gate" property and its value in the "permissions" property.
+ */
+var InvalidValueForLogicGateError = function InvalidValueForLogicGateError(message, details) {
+  LogicalPermissionsError.call(this, message, details);
+};
+inherit(InvalidValueForLogicGateError, LogicalPermissionsError, 'InvalidValueForLogicGateException', 'INVALID_VALUE_FOR_LOGIC_GATE');
+
+/**
+ * Thrown when a type callback, the bypass callback or the handler of a custom logic gate doesn't return a boolean. The returned value is available in the "value" property. For type callbacks the name of the type is available in the "type" property, and for logic gates the name of the gate is available in the "gate" property.
+ */
+var InvalidCallbackReturnTypeError = function InvalidCallbackReturnTypeError(message, details) {
+  LogicalPermissionsError.call(this, message, details);
+};
+inherit(InvalidCallbackReturnTypeError, LogicalPermissionsError, 'InvalidCallbackReturnTypeException', 'INVALID_CALLBACK_RETURN_TYPE');
+
+/**
+ * Thrown when a permission tree refers to a permission definition that doesn't exist. The name of the definition is available in the "reference" property.
+ */
+var PermissionNotDefinedError = function PermissionNotDefinedError(message, details) {
+  LogicalPermissionsError.call(this, message, details);
+};
+inherit(PermissionNotDefinedError, LogicalPermissionsError, 'PermissionNotDefinedException', 'PERMISSION_NOT_DEFINED');
+
+/**
+ * Thrown when defining a permission would make it refer to itself, directly or through other permission definitions, or when a role in a role hierarchy would inherit itself. The chain of references, which starts and ends with the same name, is available in the "references" property.
+ */
+var CircularReferenceError = function CircularReferenceError(message, details) {
+  LogicalPermissionsError.call(this, message, details);
+};
+inherit(CircularReferenceError, LogicalPermissionsError, 'CircularReferenceException', 'CIRCULAR_REFERENCE');
+
+/**
+ * Thrown when a permission expression can't be parsed. The position of the problem is available in the "line" and "column" properties, both starting at 1.
+ */
+var ExpressionSyntaxError = function ExpressionSyntaxError(message, details) {
+  LogicalPermissionsError.call(this, message, details);
+};
+inherit(ExpressionSyntaxError, LogicalPermissionsError, 'ExpressionSyntaxException', 'EXPRESSION_SYNTAX');
+
+module.exports = {
+  LogicalPermissionsError: LogicalPermissionsError,
+  MissingArgumentError: MissingArgumentError,
+  InvalidArgumentTypeError: InvalidArgumentTypeError,
+  InvalidArgumentValueError: InvalidArgumentValueError,
+  PermissionTypeAlreadyExistsError: PermissionTypeAlreadyExistsError,
+  PermissionTypeNotRegisteredError: PermissionTypeNotRegisteredError,
+  InvalidValueForLogicGateError: InvalidValueForLogicGateError,
+  InvalidCallbackReturnTypeError: InvalidCallbackReturnTypeError,
+  PermissionNotDefinedError: PermissionNotDefinedError,
+  CircularReferenceError: CircularReferenceError,
+  ExpressionSyntaxError: ExpressionSyntaxError
+};
@@ -0,0 +1,491 @@
+"use strict";
+
+var Errors = require('./Errors.js');
+var ExpressionSyntaxError = Errors.ExpressionSyntaxError;
+var InvalidArgumentValueError = Errors.InvalidArgumentValueError;
+var PermissionTree = require('./PermissionTree.js');
+var threshold_gates = PermissionTree.threshold_gates;
+var isNumeric = PermissionTree.isNumeric;
+var isContainer = PermissionTree.isContainer;
+var getChildren = PermissionTree.getChildren;
+
+/*
+ * Grammar of permission expressions, from the lowest to the highest precedence:
+ *
+ *   expression := ["NO_BYPASS" "(" or ")"] [or]
+ *   or         := xor {("OR" | "NOR") xor}
+ *   xor        := and {"XOR" and}
+ *   and        := not {("AND" | "NAND") not}
+ *   not        := "NOT" not | primary
+ *   primary    := "(" or ")" | GATE "(" or {"," or} ")" | THRESHOLD "(" count "," or {"," or} ")" | "REF" "(" name ")" | "TRUE" | "FALSE" | type ":" not | value
+ *
+ * GATE is any other logic gate, including custom logic gates. THRESHOLD is one of the gates AT_LEAST, AT_MOST and EXACTLY, and count is a non-negative integer. Keywords are case insensitive. Types and values are either words or quoted strings. Values may only appear beneath a type, while types, booleans and references to permission definitions may only appear outside of a type.
+ */
+
+var special_characters = '():,"\'';
+
+var isWhitespace = function isWhitespace(character) {
+  return /\s/.test(character);
+};
+
+var tokenize = function tokenize(expression) {
+  var tokens = [];
+  var line = 1;
+  var column = 1;
+  var i = 0;
+
+  var advance = function advance() {
+    if(expression.charAt(i) === '\n') {
+      line++;
+      column = 1;
+    }
+    else {
+      column++;
+    }
+    i++;
+  };
+
+  while(i < expression.length) {
+    var character = expression.charAt(i);
+    if(isWhitespace(character)) {
+      advance();
+      continue;
+    }
+
+    var token = {line: line, column: column};
+    if(character === '"' || character === "'") {
+      var value = '';
+      advance();
+      while(expression.charAt(i) !== character) {
+        if(i >= expression.length) {
+          throw new ExpressionSyntaxError('Unterminated string starting at line ' + token.line + ', column ' + token.column + '.', {line: token.line, column: token.column});
+        }
+        if(expression.charAt(i) === '\\') {
+          advance();
+          if(i >= expression.length) {
+            continue;
+          }
+        }
+        value += expression.charAt(i);
+        advance();
+      }
+      advance();
+      token.kind = 'string';
+      token.value = value;
+    }
+    else if(special_characters.indexOf(character) != -1) {
+      advance();
+      token.kind = character;
+      token.value = character;
+    }
+    else {
+      var word = '';
+      while(i < expression.length && !isWhitespace(expression.charAt(i)) && special_characters.indexOf(expression.charAt(i)) == -1) {
+        word += expression.charAt(i);
+        advance();
+      }
+      token.kind = 'word';
+      token.value = word;
+    }
+    tokens.push(token);
+  }
+  tokens.push({kind: 'end', value: '', line: line, column: column});
+  return tokens;
+};
+
+var describeToken = function describeToken(token) {
+  if(token.kind === 'end') {
+    return 'end of expression';
+  }
+  if(token.kind === 'string') {
+    return 'string ' + JSON.stringify(token.value);
+  }
+  return '"' + token.value + '"';
+};
+
+var syntaxError = function syntaxError(message, token) {
+  return new ExpressionSyntaxError(message + ' at line ' + token.line + ', column ' + token.column + '.', {line: token.line, column: token.column});
+};
+
+/**
+ * Parses a permission expression into a permission tree.
+ * @param {String} expression - The expression to be parsed, for example "role:admin OR (flag:is_author AND NOT role:guest)".
+ * @param {Object} options - An object with the structure {types: Array, gates: Array, getGateValueError: Function}, where "types" and "gates" contain the names of the registered permission types and the available logic gates and getGateValueError(gate, value, type) returns the error for an invalid value of a logic gate, such as too few children, or null if the value is valid.
+ * @returns {Object|Boolean} The permission tree.
+ */
+var parse = function parse(expression, options) {
+  var tokens = tokenize(expression);
+  var position = 0;
+  var gates = options.gates.map(function(gate) {
+    return gate.toUpperCase();
+  });
+
+  var peek = function peek(offset) {
+    return tokens[Math.min(position + (offset || 0), tokens.length - 1)];
+  };
+
+  var next = function next() {
+    var token = peek();
+    if(token.kind !== 'end') {
+      position++;
+    }
+    return token;
+  };
+
+  var getKeyword = function getKeyword(token) {
+    if(token.kind !== 'word') {
+      return null;
+    }
+    var upper = token.value.toUpperCase();
+    if(upper === 'TRUE' || upper === 'FALSE' || upper === 'NO_BYPASS' || upper === 'REF' || gates.indexOf(upper) != -1) {
+      return upper;
+    }
+    return null;
+  };
+
+  var expect = function expect(kind) {
+    var token = next();
+    if(token.kind !== kind) {
+      throw syntaxError('Expected "' + kind + '" but found ' + describeToken(token), token);
+    }
+    return token;
+  };
+
+  var createGate = function createGate(gate, children) {
+    var permissions = {};
+    permissions[gate] = children;
+    return permissions;
+  };
+
+  // Parses a chain of operators with the same precedence. Consecutive uses of the same operator are merged into one gate, while a change of operator wraps the preceding operands in a gate of their own.
+  var parseChain = function parseChain(operators, parseOperand, type) {
+    var operands = [parseOperand(type)];
+    var operator = null;
+    while(operators.indexOf(getKeyword(peek())) != -1) {
+      var next_operator = getKeyword(next());
+      var operand = parseOperand(type);
+      if(operator !== null && next_operator !== operator) {
+        operands = [createGate(operator, operands)];
+      }
+      operator = next_operator;
+      operands.push(operand);
+    }
+    return operator === null ? operands[0] : createGate(operator, operands);
+  };
+
+  var parseOr = function parseOr(type) {
+    return parseChain(['OR', 'NOR'], parseXor, type);
+  };
+
+  var parseXor = function parseXor(type) {
+    return parseChain(['XOR'], parseAnd, type);
+  };
+
+  var parseAnd = function parseAnd(type) {
+    return parseChain(['AND', 'NAND'], parseNot, type);
+  };
+
+  var parseNot = function parseNot(type) {
+    if(getKeyword(peek()) === 'NOT') {
+      next();
+      var operand = parseNot(type);
+      // A NOT gate only accepts a string or an object as its value
+      if(operand === true || operand === false) {
+        operand = operand ? 'TRUE' : 'FALSE';
+      }
+      return {NOT: operand};
+    }
+    return parsePrimary(type);
+  };
+
+  var parsePrimary = function parsePrimary(type) {
+    var token = peek();
+    if(token.kind === '(') {
+      next();
+      var permissions = parseOr(type);
+      expect(')');
+      return permissions;
+    }
+
+    var keyword = getKeyword(token);
+    if(keyword === 'TRUE' || keyword === 'FALSE') {
+      if(type !== undefined) {
+        throw syntaxError('A boolean permission cannot be placed beneath the permission type "' + type + '"', token);
+      }
+      next();
+      return keyword === 'TRUE';
+    }
+    if(keyword === 'NO_BYPASS') {
+      throw syntaxError('NO_BYPASS may only be placed at the beginning of the expression', token);
+    }
+    if(keyword === 'REF') {
+      if(type !== undefined) {
+        throw syntaxError('A permission reference cannot be placed beneath the permission type "' + type + '"', token);
+      }
+      next();
+      expect('(');
+      var name_token = next();
+      if(name_token.kind !== 'word' && name_token.kind !== 'string') {
+        throw syntaxError('Expected the name of a permission definition but found ' + describeToken(name_token), name_token);
+      }
+      expect(')');
+      return {REF: name_token.value};
+    }
+    if(keyword !== null) {
+      if(peek(1).kind !== '(') {
+        throw syntaxError('Expected "(" after the logic gate ' + keyword, peek(1));
+      }
+      var gate_token = token;
+      next();
+      next();
+      var count;
+      if(threshold_gates.indexOf(keyword) != -1) {
+        var count_token = next();
+        if(count_token.kind !== 'word' || !/^[0-9]+$/.test(count_token.value)) {
+          throw syntaxError('Expected the count of the logic gate ' + keyword + ' but found ' + describeToken(count_token), count_token);
+        }
+        count = parseInt(count_token.value, 10);
+        expect(',');
+      }
+      var children = [parseOr(type)];
+      while(peek().kind === ',') {
+        next();
+        children.push(parseOr(type));
+      }
+      expect(')');
+      var value = count === undefined ? children : {count: count, of: children};
+      // The number of children is checked here rather than by checkAccess(), so that the position of the gate can be reported
+      var error = options.getGateValueError(keyword, value, type);
+      if(error) {
+        throw new ExpressionSyntaxError('Invalid logic gate ' + keyword + ' at line ' + gate_token.line + ', column ' + gate_token.column + '. ' + error.message, {line: gate_token.line, column: gate_token.column});
+      }
+      return createGate(keyword, value);
+    }
+
+    if(token.kind !== 'word' && token.kind !== 'string') {
+      throw syntaxError('Unexpected ' + describeToken(token), token);
+    }
+    if(peek(1).kind === ':') {
+      if(type !== undefined) {
+        throw syntaxError('The permission type "' + token.value + '" cannot be placed beneath the permission type "' + type + '"', token);
+      }
+      if(options.types.indexOf(token.value) == -1) {
+        throw syntaxError('The permission type "' + token.value + '" has not been registered', token);
+      }
+      next();
+      next();
+      var permissions = {};
+      permissions[token.value] = parseNot(token.value);
+      return permissions;
+    }
+    if(type === undefined) {
+      throw syntaxError('Expected a permission type before ' + describeToken(token), token);
+    }
+    if(['TRUE', 'FALSE'].indexOf(token.value.toUpperCase()) != -1) {
+      throw syntaxError('A boolean permission cannot be placed beneath the permission type "' + type + '"', token);
+    }
+    next();
+    return token.value;
+  };
+
+  var no_bypass;
+  if(getKeyword(peek()) === 'NO_BYPASS') {
+    next();
+    expect('(');
+    no_bypass = parseOr(undefined);
+    expect(')');
+  }
+
+  var permissions;
+  if(no_bypass === undefined || peek().kind !== 'end') {
+    permissions = parseOr(undefined);
+  }
+  if(peek().kind !== 'end') {
+    throw syntaxError('Unexpected ' + describeToken(peek()), peek());
+  }
+
+  if(no_bypass === undefined) {
+    return permissions;
+  }
+
+  var tree = {NO_BYPASS: no_bypass};
+  if(permissions === true || permissions === false) {
+    tree[0] = permissions;
+  }
+  else if(permissions !== undefined) {
+    for(var key in permissions) {
+      tree[key] = permissions[key];
+    }
+  }
+  return tree;
+};
+
+// Precedence levels of the operators, where a higher level binds more tightly. Permissions, booleans and gates written as functions have the highest level.
+var levels = {OR: 1, NOR: 1, XOR: 2, AND: 3, NAND: 3, NOT: 4};
+var primary_level = 5;
+
+/**
+ * Converts a permission tree into an expression with as few parentheses as possible.
+ * @param {Object|Array|String|Boolean} permissions - A valid permission tree.
+ * @param {Object} options - An object with the structure {gates: Array, isPermissionValue: Function}, where "gates" contains the available logic gates and isPermissionValue(permissions, type) checks whether a number, object or array beneath a permission type is a permission value. Expressions can only contain string permission values, and they cannot contain a NO_BYPASS array of bypass rule names.
+ * @returns {String} The expression.
+ */
+var stringify = function stringify(permissions, options) {
+  var gates = options.gates.map(function(gate) {
+    return gate.toUpperCase();
+  });
+  var keywords = gates.concat(['TRUE', 'FALSE', 'NO_BYPASS', 'REF']);
+
+  var formatWord = function formatWord(word) {
+    if(word !== '' && !/[\s():,"']/.test(word) && keywords.indexOf(word.toUpperCase()) == -1) {
+      return word;
+    }
+    return '"' + word.replace(/["\\]/g, '\\$&') + '"';
+  };
+
+  var getGate = function getGate(key) {
+    if(isNumeric(key)) {
+      return null;
+    }
+    var key_upper = key.toUpperCase();
+    return gates.indexOf(key_upper) != -1 ? key_upper : null;
+  };
+
+  var wrap = function wrap(node, level) {
+    return node.level >= level ? node.text : '(' + node.text + ')';
+  };
+
+  // Returns the operands of a child that can be merged into the parent gate, or null if the child is something else. Only AND and OR gates are merged since the other gates aren't associative.
+  var getMergeableOperands = function getMergeableOperands(gate, child, type) {
+    if(gate !== 'AND' && gate !== 'OR') {
+      return null;
+    }
+    if(!isContainer(child) || options.isPermissionValue(child, type)) {
+      return null;
+    }
+    if(Array.isArray(child) || Object.keys(child).length > 1) {
+      return gate === 'OR' ? getChildren(child) : null;
+    }
+    var key = Object.keys(child)[0];
+    var value = child[key];
+    if(isNumeric(key)) {
+      return gate === 'OR' && isContainer(value) && !options.isPermissionValue(value, type) ? getChildren(value) : null;
+    }
+    return getGate(key) === gate ? getChildren(value) : null;
+  };
+
+  var mergeOperands = function mergeOperands(gate, children, type) {
+    var operands = [];
+    children.forEach(function(child) {
+      var mergeable = getMergeableOperands(gate, child, type);
+      operands = operands.concat(mergeable ? mergeOperands(gate, mergeable, type) : [child]);
+    });
+    return operands;
+  };
+
+  // Nodes are rendered into objects with the structure {text: String, level: Number, gate: String|null}.
+  var renderNode = function renderNode(permissions, type) {
+    if(permissions === true || permissions === false) {
+      return {text: permissions ? 'TRUE' : 'FALSE', level: primary_level, gate: null};
+    }
+    if(typeof permissions === 'string') {
+      var permissions_upper = permissions.toUpperCase();
+      if(type === undefined && (permissions_upper === 'TRUE' || permissions_upper === 'FALSE')) {
+        return {text: permissions_upper, level: primary_level, gate: null};
+      }
+      return {text: formatWord(permissions), level: primary_level, gate: null};
+    }
+    if(options.isPermissionValue(permissions, type)) {
+      throw new InvalidArgumentValueError('Only string permission values can be written as expressions. Evaluated permissions: ' + JSON.stringify(permissions), {permissions: permissions, type: type});
+    }
+    if(Array.isArray(permissions) || Object.keys(permissions).length > 1) {
+      return renderShorthandOR(permissions, type);
+    }
+
+    var key = Object.keys(permissions)[0];
+    var value = permissions[key];
+    var gate = getGate(key);
+    if(gate !== null) {
+      return renderGate(gate, value, type);
+    }
+    if(isNumeric(key)) {
+      return renderValue(value, type);
+    }
+    if(key.toUpperCase() === 'REF') {
+      return {text: 'REF(' + formatWord(value) + ')', level: primary_level, gate: null};
+    }
+    return {text: formatWord(key) + ':' + wrap(renderValue(value, key), levels.NOT), level: primary_level, gate: null};
+  };
+
+  var renderValue = function renderValue(permissions, type) {
+    if(isContainer(permissions) && !options.isPermissionValue(permissions, type)) {
+      return renderShorthandOR(permissions, type);
+    }
+    return renderNode(permissions, type);
+  };
+
+  var renderShorthandOR = function renderShorthandOR(permissions, type) {
+    var children = getChildren(permissions);
+    if(children.length == 1) {
+      return renderNode(children[0], type);
+    }
+    return renderOperator('OR', children, type);
+  };
+
+  var renderGate = function renderGate(gate, permissions, type) {
+    if(gate === 'NOT') {
+      return {text: 'NOT ' + wrap(renderNode(permissions, type), levels.NOT), level: levels.NOT, gate: 'NOT'};
+    }
+    if(threshold_gates.indexOf(gate) != -1) {
+      var texts = getChildren(permissions.of).map(function(child) {
+        return renderNode(child, type).text;
+      });
+      return {text: gate + '(' + [permissions.count].concat(texts).join(', ') + ')', level: primary_level, gate: null};
+    }
+    var children = getChildren(permissions);
+    // Gates without an operator are always written as functions
+    if(children.length == 1 || !levels.hasOwnProperty(gate)) {
+      return {text: gate + '(' + children.map(function(child) {
+        return renderNode(child, type).text;
+      }).join(', ') + ')', level: primary_level, gate: null};
+    }
+    return renderOperator(gate, children, type);
+  };
+
+  // The parser groups operators of the same precedence from left to right, so only the first operand may be a different gate of the same precedence without being put in parentheses.
+  var renderOperator = function renderOperator(gate, children, type) {
+    var level = levels[gate];
+    var texts = mergeOperands(gate, children, type).map(function(child, i) {
+      var node = renderNode(child, type);
+      if(node.level > level || (node.level == level && i == 0 && node.gate !== gate)) {
+        return node.text;
+      }
+      return '(' + node.text + ')';
+    });
+    return {text: texts.join(' ' + gate + ' '), level: level, gate: gate};
+  };
+
+  var split = PermissionTree.splitNoBypass(permissions);
+  var no_bypass = split.no_bypass;
+  var main = split.permissions;
+
+  var parts = [];
+  if(Array.isArray(no_bypass)) {
+    throw new InvalidArgumentValueError('A NO_BYPASS array of bypass rule names cannot be written as an expression. Evaluated permissions: ' + JSON.stringify(no_bypass), {permissions: no_bypass});
+  }
+  if(no_bypass !== undefined) {
+    parts.push('NO_BYPASS(' + renderValue(no_bypass, undefined).text + ')');
+  }
+  if(!isContainer(main) || Object.keys(main).length > 0) {
+    parts.push(renderValue(main, undefined).text);
+  }
+  else if(no_bypass === undefined) {
+    parts.push('TRUE');
+  }
+  return parts.join(' ');
+};
+
+module.exports = {
+  parse: parse,
+  stringify: stringify
+};
@@ -1,6 +1,26 @@
 "use strict";
 
 require('module');
+var Errors = require('./Errors.js');
+var Expression = require('./Expression.js');
+var Simplifier = require('./Simplifier.js');
+var Equivalence = require('./Equivalence.js');
+var Analyzer = require('./Analyzer.js');
+var PermissionTree = require('./PermissionTree.js');
+var AttributeType = require('./AttributeType.js');
+var RoleType = require('./RoleType.js');
+var WildcardType = require('./WildcardType.js');
+var LogicalPermissionsError = Errors.LogicalPermissionsError;
+var MissingArgumentError = Errors.MissingArgumentError;
+var InvalidArgumentTypeError = Errors.InvalidArgumentTypeError;
+var InvalidArgumentValueError = Errors.InvalidArgumentValueError;
+var PermissionTypeAlreadyExistsError = Errors.PermissionTypeAlreadyExistsError;
+var PermissionTypeNotRegisteredError = Errors.PermissionTypeNotRegisteredError;
+var InvalidValueForLogicGateError = Errors.InvalidValueForLogicGateError;
+var InvalidCallbackReturnTypeError = Errors.InvalidCallbackReturnTypeError;
+var PermissionNotDefinedError = Errors.PermissionNotDefinedError;
+var CircularReferenceError = Errors.CircularReferenceError;
+var ExpressionSyntaxError = Errors.ExpressionSyntaxError;
 
 var LogicalPermissions = function LogicalPermissions() {
 
@@ -8,40 +28,84 @@ var LogicalPermissions = function LogicalPermissions() {
   var self = this;
   var types = {};
   var bypass_callback = null;
+  var bypass_rules = {};
+  var memoization = false;
+  var type_options = {};
+  var custom_gates = {};
+  var gate_keys = null;
+  var reserved_keys = null;
+  var definitions = {};
+  var policies = {};
+  var policy_default = false;
+  var listeners = {beforeCheck: [], afterCheck: [], callback: [], bypass: [], error: []};
 
   /*-----------Public methods---------*/
 
   /**
    * Adds a permission type.
    * @param {String} name - The name of the permission type
-   * @param {Function} callback - The callback that evaluates the permission type. Upon calling checkAccess() the registered callback will be passed two parameters: a permission string (such as a role) and the context object passed to checkAccess(). The permission will always be a single string even if for example multiple roles are accepted. In that case the callback will be called once for each role that is to be evaluated. The callback should return a boolean which determines whether access should be granted.
+   * @param {Function} callback - The callback that evaluates the permission type. Upon calling checkAccess() the registered callback will be passed two parameters: a permission string (such as a role) and the context object passed to checkAccess(). The permission will always be a single string even if for example multiple roles are accepted, unless other kinds of permission values are allowed with the "accepts" option. In that case the callback will be called once for each role that is to be evaluated. The callback should return a boolean which determines whether access should be granted.
+   * @param {Object} options (optional) - Options for the permission type with the structure {memoize: Boolean, accepts: Array}. Set "memoize" to false if the callback may return different results for the same permission within a single evaluation, so that its results are never reused when memoization is enabled with setMemoization(). "accepts" lists the kinds of permission values that the callback accepts, which can be "string", "number", "object" and "array". Values of other kinds are rejected. For a permission type that accepts arrays, an array beneath the type is passed to the callback instead of being evaluated as a shorthand OR gate, and for a permission type that accepts objects, an object is passed to the callback unless it has a single logic gate as its key. Default value is {memoize: true, accepts: ['string']}.
    */
-  this.addType = function addType(name, callback) {
+  this.addType = function addType(name, callback, options) {
     if(name === undefined) {
-      throw {name: 'MissingArgumentException', message: 'The name parameter is required.'};
+      throw new MissingArgumentError('The name parameter is required.', {argument: 'name'});
     }
     if(getVariableType(name) !== 'String') {
-      throw {name: 'InvalidArgumentTypeException', message: 'The name parameter must be a string.'};
+      throw new InvalidArgumentTypeError('The name parameter must be a string.', {argument: 'name'});
     }
     if(!name) {
-      throw {name: 'InvalidArgumentValueException', message: 'The name parameter cannot be empty.'};
+      throw new InvalidArgumentValueError('The name parameter cannot be empty.', {argument: 'name'});
     }
-    if(getCorePermissionKeys().indexOf(name.toUpperCase()) != -1) {
-      throw {name: 'InvalidArgumentValueException', message: 'The name parameter has the illegal value "' + name + '". It cannot be one of the following values: ' + getCorePermissionKeys().join()};
+    if(getReservedKeys().indexOf(name.toUpperCase()) != -1) {
+      throw new InvalidArgumentValueError('The name parameter has the illegal value "' + name + '". It cannot be one of the following values: ' + getReservedKeys().join(), {argument: 'name'});
     }
     if(self.typeExists(name)) {
-      throw {name: 'PermissionTypeAlreadyExistsException', message: 'The type "' + name + '" already exists! If you want to change the callback for an existing type, please use LogicalPermissions:setTypeCallback().'};
+      throw new PermissionTypeAlreadyExistsError('The type "' + name + '" already exists! If you want to change the callback for an existing type, please use LogicalPermissions:setTypeCallback().', {type: name});
     }
     if(callback === undefined) {
-      throw {name: 'MissingArgumentException', message: 'The callback parameter is required.'};
+      throw new MissingArgumentError('The callback parameter is required.', {argument: 'callback'});
     }
     if(getVariableType(callback) !== 'Function') {
-      throw {name: 'InvalidArgumentTypeException', message: 'The callback parameter must be a function.'};
+      throw new InvalidArgumentTypeError('The callback parameter must be a function.', {argument: 'callback'});
+    }
+    options = (typeof options === 'undefined') ? {} : options;
+    if(getVariableType(options) !== 'Object') {
+      throw new InvalidArgumentTypeError('The options parameter must be an object.', {argument: 'options'});
+    }
+    if(options.hasOwnProperty('memoize') && getVariableType(options.memoize) !== 'Boolean') {
+      throw new InvalidArgumentTypeError('The memoize option must be a boolean.', {argument: 'options'});
+    }
+    if(options.hasOwnProperty('accepts')) {
+      if(getVariableType(options.accepts) !== 'Array') {
+        throw new InvalidArgumentTypeError('The accepts option must be an array.', {argument: 'options'});
+      }
+      if(!options.accepts.length) {
+        throw new InvalidArgumentValueError('The accepts option cannot be empty.', {argument: 'options'});
+      }
+      options.accepts.forEach(function(value_type) {
+        if(getValueTypes().indexOf(value_type) == -1) {
+          throw new InvalidArgumentValueError('The accepts option has the illegal value "' + value_type + '". It can only contain the following values: ' + getValueTypes().join(), {argument: 'options'});
+        }
+      });
     }
 
     var types = self.getTypes();
     types[name] = callback;
     self.setTypes(types);
+    type_options[name] = {
+      memoize: options.memoize !== false,
+      accepts: options.hasOwnProperty('accepts') ? options.accepts.slice() : ['string']
+    };
+  };
+
+  /**
+   * Adds the built-in attribute permission type, which compares values in the context object passed to checkAccess(). Its permission values are conditions with the structure {path: String, <operator>: operand}, where "path" is a dotted property path into the context such as "user.id" and the operator is one of eq, ne, lt, lte, gt, gte, in, contains, matches and exists. The operand is either a literal value or an object with the structure {path: String} that refers to another value in the context, except for the regular expression of the matches operator which must be a literal string. Malformed conditions are reported by validatePermissions() and cause checkAccess() to throw an InvalidArgumentValueError. Example: {attr: {path: 'document.owner_id', eq: {path: 'user.id'}}}
+   * @param {String} name (optional) - The name of the permission type. Default value is "attr".
+   */
+  this.addAttributeType = function addAttributeType(name) {
+    name = (typeof name === 'undefined') ? 'attr' : name;
+    self.addType(name, AttributeType.createCallback(name), {accepts: ['object']});
   };
 
   /**
@@ -50,16 +114,16 @@ var LogicalPermissions = function LogicalPermissions() {
    */
   this.removeType = function removeType(name) {
     if(name === undefined) {
-      throw {name: 'MissingArgumentException', message: 'The name parameter is required.'};
+      throw new MissingArgumentError('The name parameter is required.', {argument: 'name'});
     }
     if(getVariableType(name) !== 'String') {
-      throw {name: 'InvalidArgumentTypeException', message: 'The name parameter must be a string.'};
+      throw new InvalidArgumentTypeError('The name parameter must be a string.', {argument: 'name'});
     }
     if(!name) {
-      throw {name: 'InvalidArgumentValueException', message: 'The name parameter cannot be empty.'};
+      throw new InvalidArgumentValueError('The name parameter cannot be empty.', {argument: 'name'});
     }
     if(!self.typeExists(name)) {
-      throw {name: 'PermissionTypeNotRegisteredException', message: 'The permission type "' + name + '" has not been registered. Please use LogicalPermissions::addType() or LogicalPermissions::setTypes() to register permission types.'};
+      throw new PermissionTypeNotRegisteredError('The permission type "' + name + '" has not been registered. Please use LogicalPermissions::addType() or LogicalPermissions::setTypes() to register permission types.', {type: name});
     }
 
     var types = self.getTypes();
@@ -74,16 +138,15 @@ var LogicalPermissions = function LogicalPermissions() {
    */
   this.typeExists = function typeExists(name) {
     if(name === undefined) {
-      throw {name: 'MissingArgumentException', message: 'The name parameter is required.'};
+      throw new MissingArgumentError('The name parameter is required.', {argument: 'name'});
     }
     if(getVariableType(name) !== 'String') {
-      throw {name: 'InvalidArgumentTypeException', message: 'The name parameter must be a string.'};
+      throw new InvalidArgumentTypeError('The name parameter must be a string.', {argument: 'name'});
     }
     if(!name) {
-      throw {name: 'InvalidArgumentValueException', message: 'The name parameter cannot be empty.'};
+      throw new InvalidArgumentValueError('The name parameter cannot be empty.', {argument: 'name'});
     }
 
-    var types = self.getTypes();
     return types.hasOwnProperty(name);
   };
 
@@ -94,16 +157,16 @@ var LogicalPermissions = function LogicalPermissions() {
   */
   this.getTypeCallback = function getTypeCallback(name) {
     if(name === undefined) {
-      throw {name: 'MissingArgumentException', message: 'The name parameter is required.'};
+      throw new MissingArgumentError('The name parameter is required.', {argument: 'name'});
     }
     if(getVariableType(name) !== 'String') {
-      throw {name: 'InvalidArgumentTypeException', message: 'The name parameter must be a string.'};
+      throw new InvalidArgumentTypeError('The name parameter must be a string.', {argument: 'name'});
     }
     if(!name) {
-      throw {name: 'InvalidArgumentValueException', message: 'The name parameter cannot be empty.'};
+      throw new InvalidArgumentValueError('The name parameter cannot be empty.', {argument: 'name'});
     }
     if(!self.typeExists(name)) {
-      throw {name: 'PermissionTypeNotRegisteredException', message: 'The permission type "' + name + '" has not been registered. Please use LogicalPermissions::addType() or LogicalPermissions::setTypes() to register permission types.'};
+      throw new PermissionTypeNotRegisteredError('The permission type "' + name + '" has not been registered. Please use LogicalPermissions::addType() or LogicalPermissions::setTypes() to register permission types.', {type: name});
     }
 
     var types = self.getTypes();
@@ -117,22 +180,22 @@ var LogicalPermissions = function LogicalPermissions() {
   */
   this.setTypeCallback = function(name, callback) {
     if(name === undefined) {
-      throw {name: 'MissingArgumentException', message: 'The name parameter is required.'};
+      throw new MissingArgumentError('The name parameter is required.', {argument: 'name'});
     }
     if(getVariableType(name) !== 'String') {
-      throw {name: 'InvalidArgumentTypeException', message: 'The name parameter must be a string.'};
+      throw new InvalidArgumentTypeError('The name parameter must be a string.', {argument: 'name'});
     }
     if(!name) {
-      throw {name: 'InvalidArgumentValueException', message: 'The name parameter cannot be empty.'};
+      throw new InvalidArgumentValueError('The name parameter cannot be empty.', {argument: 'name'});
     }
     if(!self.typeExists(name)) {
-      throw {name: 'PermissionTypeNotRegisteredException', message: 'The permission type "' + name + '" has not been registered. Please use LogicalPermissions::addType() or LogicalPermissions::setTypes() to register permission types.'};
+      throw new PermissionTypeNotRegisteredError('The permission type "' + name + '" has not been registered. Please use LogicalPermissions::addType() or LogicalPermissions::setTypes() to register permission types.', {type: name});
     }
     if(callback === undefined) {
-      throw {name: 'MissingArgumentException', message: 'The callback parameter is required.'};
+      throw new MissingArgumentError('The callback parameter is required.', {argument: 'callback'});
     }
     if(getVariableType(callback) !== 'Function') {
-      throw {name: 'InvalidArgumentTypeException', message: 'The callback parameter must be a function.'};
+      throw new InvalidArgumentTypeError('The callback parameter must be a function.', {argument: 'callback'});
     }
 
     var types = self.getTypes();
@@ -158,23 +221,23 @@ var LogicalPermissions = function LogicalPermissions() {
    */
   this.setTypes = function setTypes(new_types) {
     if(new_types === undefined) {
-      throw {name: 'MissingArgumentException', message: 'The new_types parameter is required.'};
+      throw new MissingArgumentError('The new_types parameter is required.', {argument: 'new_types'});
     }
     if(getVariableType(new_types) !== 'Object') {
-      throw {name: 'InvalidArgumentTypeException', message: 'The new_types parameter must be an object.'};
+      throw new InvalidArgumentTypeError('The new_types parameter must be an object.', {argument: 'new_types'});
     }
     for(var name in new_types) {
       if(isNumeric(name) || getVariableType(name) !== 'String') {
-        throw {name: 'InvalidArgumentValueException', message: 'The new_types keys must be strings.'};
+        throw new InvalidArgumentValueError('The new_types keys must be strings.', {argument: 'new_types'});
       }
       if(!name) {
-        throw {name: 'InvalidArgumentValueException', message: 'The name for a type cannot be empty.'};
+        throw new InvalidArgumentValueError('The name for a type cannot be empty.', {argument: 'new_types'});
       }
-      if(getCorePermissionKeys().indexOf(name.toUpperCase()) != -1) {
-        throw {name: 'InvalidArgumentValueException', message: 'The name for a type has the illegal value "' + name + '". It cannot be one of the following values: ' + getCorePermissionKeys().join()};
+      if(getReservedKeys().indexOf(name.toUpperCase()) != -1) {
+        throw new InvalidArgumentValueError('The name for a type has the illegal value "' + name + '". It cannot be one of the following values: ' + getReservedKeys().join(), {argument: 'new_types'});
       }
       if(getVariableType(new_types[name]) !== 'Function') {
-        throw {name: 'InvalidArgumentValueException', message: 'The type callbacks must be functions.'};
+        throw new InvalidArgumentValueError('The type callbacks must be functions.', {argument: 'new_types'});
       }
     }
 
@@ -182,446 +245,2321 @@ var LogicalPermissions = function LogicalPermissions() {
     for(var name in new_types) {
       types[name] = new_types[name];
     }
+    for(var name in type_options) {
+      if(!types.hasOwnProperty(name)) {
+        delete type_options[name];
+      }
+    }
   };
 
   /**
-   * Gets the current bypass access callback.
-   * @returns {Function} callback for checking access bypass.
+   * Adds a custom logic gate.
+   * @param {String} name - The name of the logic gate. It may only contain letters, digits and underscores and cannot start with a digit. Like the built-in logic gates it is case insensitive, and it is stored in uppercase.
+   * @param {Function} handler - The function that evaluates the logic gate. Its value in a permission tree is an array or object with a minimum of one element, just like the value of an OR gate. Upon evaluation the handler will be passed two parameters: an array with the children of the gate and a function that takes one of the children and returns its access result. Each child is the permission tree of the child as it appears in the value of the gate, where the keys of an object become objects with a single key each, such as {role: 'admin'} or 'admin' beneath a permission type. The handler only needs to evaluate the children that it needs, and it should return a boolean which determines whether access should be granted. When the permission tree is evaluated with checkAccessAsync(), the child results are promises and the handler may return a promise as well.
    */
-  this.getBypassCallback = function getBypassCallback() {
-    return bypass_callback;
+  this.addGate = function addGate(name, handler) {
+    if(name === undefined) {
+      throw new MissingArgumentError('The name parameter is required.', {argument: 'name'});
+    }
+    if(getVariableType(name) !== 'String') {
+      throw new InvalidArgumentTypeError('The name parameter must be a string.', {argument: 'name'});
+    }
+    if(!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw new InvalidArgumentValueError('The name parameter has the illegal value "' + name + '". It may only contain letters, digits and underscores and cannot start with a digit.', {argument: 'name'});
+    }
+    if(getReservedKeys().indexOf(name.toUpperCase()) != -1) {
+      throw new InvalidArgumentValueError('The name parameter has the illegal value "' + name + '". It cannot be one of the following values: ' + getReservedKeys().join(), {argument: 'name'});
+    }
+    for(var type in self.getTypes()) {
+      if(type.toUpperCase() === name.toUpperCase()) {
+        throw new InvalidArgumentValueError('The name parameter has the illegal value "' + name + '". It conflicts with the permission type "' + type + '".', {argument: 'name'});
+      }
+    }
+    if(handler === undefined) {
+      throw new MissingArgumentError('The handler parameter is required.', {argument: 'handler'});
+    }
+    if(getVariableType(handler) !== 'Function') {
+      throw new InvalidArgumentTypeError('The handler parameter must be a function.', {argument: 'handler'});
+    }
+
+    custom_gates[name.toUpperCase()] = handler;
+    gate_keys = reserved_keys = null;
   };
 
   /**
-   * Sets the bypass access callback.
-   * @param {Function} callback - The callback that evaluates access bypassing. Upon calling checkAccess() the registered bypass callback will be passed one parameter, which is the context object passed to checkAccess(). It should return a boolean which determines whether bypass access should be granted.
+   * Removes a custom logic gate.
+   * @param {String} name - The name of the logic gate.
    */
-  this.setBypassCallback = function setBypassCallback(callback) {
-    if(callback === undefined) {
-      throw {name: 'MissingArgumentException', message: 'The callback parameter is required.'};
+  this.removeGate = function removeGate(name) {
+    if(name === undefined) {
+      throw new MissingArgumentError('The name parameter is required.', {argument: 'name'});
     }
-    if(getVariableType(callback) !== 'Function') {
-      throw {name: 'InvalidArgumentTypeException', message: 'The callback parameter must be a function.'};
+    if(getVariableType(name) !== 'String') {
+      throw new InvalidArgumentTypeError('The name parameter must be a string.', {argument: 'name'});
+    }
+    if(!self.gateExists(name)) {
+      throw new InvalidArgumentValueError('The custom logic gate "' + name + '" has not been added.', {argument: 'name'});
     }
 
-    bypass_callback = callback;
+    delete custom_gates[name.toUpperCase()];
+    gate_keys = reserved_keys = null;
   };
 
   /**
-  * Gets all keys that can be part of a permission tree.
-  * @returns {Array} Valid permission keys
-  */
-  this.getValidPermissionKeys = function() {
-    return getCorePermissionKeys().concat(Object.keys(self.getTypes()));
+   * Checks whether a custom logic gate has been added.
+   * @param {String} name - The name of the logic gate, which is case insensitive.
+   * @returns {Boolean} true if the logic gate is found or false if it isn't found. Built-in logic gates are never found.
+   */
+  this.gateExists = function gateExists(name) {
+    if(name === undefined) {
+      throw new MissingArgumentError('The name parameter is required.', {argument: 'name'});
+    }
+    if(getVariableType(name) !== 'String') {
+      throw new InvalidArgumentTypeError('The name parameter must be a string.', {argument: 'name'});
+    }
+
+    return custom_gates.hasOwnProperty(name.toUpperCase());
   };
 
   /**
-   * Checks access for a permission tree.
-   * @param {Object|Array|String|Boolean} permissions - The permission tree to be evaluated
-   * @param {Object} context (optional) - A context object that could for example contain the evaluated user and document. Default value is an empty object.
-   * @param {Boolean} allow_bypass (optional) - Determines whether bypassing access should be allowed. Default value is true.
-   * @returns {Boolean} true if access is granted or false if access is denied.
+   * Defines a named permission that can be referenced from any permission tree with {REF: name}. The definition is evaluated as a complete permission tree wherever it is referenced. It can refer to other definitions, including ones that haven't been defined yet, but not to itself, neither directly nor through other definitions. Defining a permission with an existing name replaces the existing definition.
+   * @param {String} name - The name of the permission definition.
+   * @param {Object|Array|String|Boolean} permissions - The permission tree of the definition. It is validated in the same way as by validatePermissions(), except that references to definitions that don't exist yet are allowed, and it cannot have a NO_BYPASS key at the top level, although the logic gates in it can have NO_BYPASS keys. The permission tree is deep cloned.
    */
-  this.checkAccess = function checkAccess(permissions, context, allow_bypass) {
+  this.definePermission = function definePermission(name, permissions) {
+    if(name === undefined) {
+      throw new MissingArgumentError('The name parameter is required.', {argument: 'name'});
+    }
+    if(getVariableType(name) !== 'String') {
+      throw new InvalidArgumentTypeError('The name parameter must be a string.', {argument: 'name'});
+    }
+    if(!name) {
+      throw new InvalidArgumentValueError('The name parameter cannot be empty.', {argument: 'name'});
+    }
     if(permissions === undefined) {
-      throw {name: 'MissingArgumentException', message: 'The permissions parameter is required.'};
+      throw new MissingArgumentError('The permissions parameter is required.', {argument: 'permissions'});
     }
     var permissions_vartype = getVariableType(permissions);
     if(permissions_vartype !== 'Object' && permissions_vartype !== 'Array' && permissions_vartype !== 'String' && permissions_vartype !== 'Boolean') {
-      throw {name: 'InvalidArgumentTypeException', message: 'The permissions parameter must be an object or an array, or in certain cases a string or boolean.'};
+      throw new InvalidArgumentTypeError('The permissions parameter must be an object or an array, or in certain cases a string or boolean.', {argument: 'permissions'});
     }
-    context = (typeof context === 'undefined') ? {} : context;
-    if(getVariableType(context) !== 'Object') {
-      throw {name: 'InvalidArgumentTypeException', message: 'The context parameter must be an object.'};
+    if(permissions_vartype === 'Object' && (permissions.hasOwnProperty('NO_BYPASS') || permissions.hasOwnProperty('no_bypass'))) {
+      throw new InvalidArgumentValueError('A permission definition cannot have a NO_BYPASS key. Please place the NO_BYPASS key in the permission tree that refers to the definition instead.', {argument: 'permissions'});
     }
-    allow_bypass = (typeof allow_bypass === 'undefined') ? true : allow_bypass;
-    if(getVariableType(allow_bypass) !== 'Boolean') {
-      throw {name: 'InvalidArgumentTypeException', message: 'The allow_bypass parameter must be a boolean.'};
+    var problems = self.validatePermissions(permissions).filter(function(problem) {
+      return !(problem.error instanceof PermissionNotDefinedError);
+    });
+    if(problems.length) {
+      var error = problems[0].error;
+      error.path = problems[0].path;
+      throw error;
     }
-
-    var permissions_copy = JSON.parse(JSON.stringify(permissions));
-
-    // uppercasing of no_bypass key for backward compatibility
-    if(permissions_vartype === 'Object' && permissions_copy.hasOwnProperty('no_bypass')) {
-      permissions_copy.NO_BYPASS = JSON.parse(JSON.stringify(permissions_copy.no_bypass));
-      delete permissions_copy.no_bypass;
+    var references = findCircularReference(name, permissions);
+    if(references) {
+      throw new CircularReferenceError('The permission definition "' + name + '" cannot refer to itself. Chain of references: ' + references.join(' -> '), {references: references});
     }
 
-    if(permissions_vartype === 'Object' && permissions_copy.hasOwnProperty('NO_BYPASS')) {
-      if(allow_bypass) {
-        var variable_type = getVariableType(permissions_copy.NO_BYPASS);
-        if(variable_type === 'Boolean') {
-          allow_bypass = !permissions_copy.NO_BYPASS;
-        }
-        else if(variable_type === 'String') {
-          var no_bypass_upper = permissions_copy.NO_BYPASS.toUpperCase();
-          if(['TRUE', 'FALSE'].indexOf(no_bypass_upper) == -1) {
-            throw {name: 'InvalidArgumentValueException', message: 'The NO_BYPASS value must be a boolean, a boolean string or an object. Current value: ' + JSON.stringify(permissions_copy.NO_BYPASS)};
-          }
+    definitions[name] = JSON.parse(JSON.stringify(permissions));
+  };
 
-          if(no_bypass_upper === 'TRUE') {
-            allow_bypass = false;
-          }
-          else if(no_bypass_upper === 'FALSE') {
-            allow_bypass = true;
-          }
-        }
-        else if(variable_type === 'Object') { //Object containing permissions which act as conditions
-          allow_bypass = !processOR(permissions_copy.NO_BYPASS, undefined, context);
-        }
-        else {
-          throw {name: 'InvalidArgumentValueException', message: 'The NO_BYPASS value must be a boolean, a boolean string or an object. Current value: ' + JSON.stringify(permissions_copy.NO_BYPASS)};
-        }
-      }
-      delete permissions_copy.NO_BYPASS;
+  /**
+   * Removes a permission definition. Permission trees that still refer to it can no longer be evaluated.
+   * @param {String} name - The name of the permission definition.
+   */
+  this.removeDefinition = function removeDefinition(name) {
+    if(name === undefined) {
+      throw new MissingArgumentError('The name parameter is required.', {argument: 'name'});
     }
-
-    if(allow_bypass && checkBypassAccess(context)) {
-      return true;
+    if(getVariableType(name) !== 'String') {
+      throw new InvalidArgumentTypeError('The name parameter must be a string.', {argument: 'name'});
     }
+    if(!self.definitionExists(name)) {
+      throw new PermissionNotDefinedError('The permission "' + name + '" has not been defined. Please use LogicalPermissions::definePermission() to define permissions.', {reference: name});
+    }
+
+    delete definitions[name];
+  };
 
-    if(permissions_vartype === 'String') {
-      return dispatch(permissions_copy);
+  /**
+   * Checks whether a permission definition exists.
+   * @param {String} name - The name of the permission definition.
+   * @returns {Boolean} true if the definition is found or false if it isn't found.
+   */
+  this.definitionExists = function definitionExists(name) {
+    if(name === undefined) {
+      throw new MissingArgumentError('The name parameter is required.', {argument: 'name'});
     }
-    if(permissions_vartype === 'Boolean') {
-      return dispatch(permissions_copy);
+    if(getVariableType(name) !== 'String') {
+      throw new InvalidArgumentTypeError('The name parameter must be a string.', {argument: 'name'});
     }
-    if(permissions_vartype === 'Object' && objectLength(permissions_copy) > 0) {
-      return processOR(permissions_copy, undefined, context);
+
+    return definitions.hasOwnProperty(name);
+  };
+
+  /**
+   * Gets all permission definitions.
+   * @returns {Object} Permission definitions with the structure {name: permissions, name2: permissions2, ...}. The permission trees are deep cloned.
+   */
+  this.getDefinitions = function getDefinitions() {
+    return JSON.parse(JSON.stringify(definitions));
+  };
+
+  /**
+   * Gets the names of the permission definitions that a permission tree depends on, both directly and through other definitions. No callbacks are called.
+   * @param {Object|Array|String|Boolean} permissions - The permission tree to be inspected.
+   * @returns {Array} The names of the definitions in the order in which they are first referenced. References to definitions that don't exist are included as well.
+   */
+  this.getDependencies = function getDependencies(permissions) {
+    if(permissions === undefined) {
+      throw new MissingArgumentError('The permissions parameter is required.', {argument: 'permissions'});
     }
-    if(permissions_vartype === 'Array' && permissions_copy.length > 0) {
-      return processOR(permissions_copy, undefined, context);
+    var permissions_vartype = getVariableType(permissions);
+    if(permissions_vartype !== 'Object' && permissions_vartype !== 'Array' && permissions_vartype !== 'String' && permissions_vartype !== 'Boolean') {
+      throw new InvalidArgumentTypeError('The permissions parameter must be an object or an array, or in certain cases a string or boolean.', {argument: 'permissions'});
     }
 
-    return true;
+    var dependencies = [];
+    var collectDependencies = function collectDependencies(permissions) {
+      collectReferences(permissions, []).forEach(function(name) {
+        if(dependencies.indexOf(name) == -1) {
+          dependencies.push(name);
+          if(definitions.hasOwnProperty(name)) {
+            collectDependencies(definitions[name]);
+          }
+        }
+      });
+    };
+    collectDependencies(permissions);
+    return dependencies;
   };
 
-  /*--------Private methods--------*/
+  /**
+   * Sets the permission tree that determines whether an action can be performed on a resource. Use can() to check access for it. The resource or the action can be "*" to set a fallback policy for all resources or all actions that don't have a more specific policy.
+   * @param {String} resource - The name of the resource, such as "article". It cannot contain dots.
+   * @param {String} action - The name of the action, such as "update". It cannot contain dots.
+   * @param {Object|Array|String|Boolean} permissions - The permission tree of the policy. It is validated in the same way as by validatePermissions() and deep cloned. An existing policy for the same resource and action is replaced.
+   */
+  this.setPolicy = function setPolicy(resource, action, permissions) {
+    assertValidPolicyNamePart(resource, 'resource');
+    assertValidPolicyNamePart(action, 'action');
+    if(permissions === undefined) {
+      throw new MissingArgumentError('The permissions parameter is required.', {argument: 'permissions'});
+    }
+    assertValidPermissions(permissions);
 
-  var getCorePermissionKeys = function() {
-    return ['NO_BYPASS', 'AND', 'NAND', 'OR', 'NOR', 'XOR', 'NOT', 'TRUE', 'FALSE'];
+    if(!policies.hasOwnProperty(resource)) {
+      policies[resource] = {};
+    }
+    policies[resource][action] = JSON.parse(JSON.stringify(permissions));
   };
 
-  var getVariableType = function getVariableType(variable) {
-    return Object.prototype.toString.call(variable).match(/^\[object\s(.*)\]$/)[1];
+  /**
+   * Removes the policy for an action on a resource.
+   * @param {String} resource - The name of the resource, or "*" for a fallback policy.
+   * @param {String} action - The name of the action, or "*" for a fallback policy.
+   */
+  this.removePolicy = function removePolicy(resource, action) {
+    assertValidPolicyNamePart(resource, 'resource');
+    assertValidPolicyNamePart(action, 'action');
+    if(!policies.hasOwnProperty(resource) || !policies[resource].hasOwnProperty(action)) {
+      throw new InvalidArgumentValueError('There is no policy for the action "' + action + '" on the resource "' + resource + '".', {argument: 'action'});
+    }
+
+    delete policies[resource][action];
+    if(objectLength(policies[resource]) == 0) {
+      delete policies[resource];
+    }
   };
 
-  var isNumeric = function isNumeric(variable) {
-    return !isNaN(parseFloat(variable)) && isFinite(variable);
+  /**
+   * Gets all policies.
+   * @returns {Object} Policies with the structure {resource: {action: permissions, action2: permissions2, ...}, ...}, including the fallback policies with "*" as their resource or action. The permission trees are deep cloned.
+   */
+  this.getPolicies = function getPolicies() {
+    return JSON.parse(JSON.stringify(policies));
   };
 
-  var objectLength = function objectLength(obj) {
-    var size = 0, key;
-    for (key in obj) {
-      if (obj.hasOwnProperty(key)) size++;
-    }
-    return size;
+  /**
+   * Gets the access that is granted when no policy matches an action.
+   * @returns {Boolean} true if access is granted or false if it is denied.
+   */
+  this.getPolicyDefault = function getPolicyDefault() {
+    return policy_default;
   };
 
-  var checkBypassAccess = function checkBypassAccess(context) {
-    var bypass_callback = self.getBypassCallback();
-    if(getVariableType(bypass_callback) !== 'Function') {
-      return false;
+  /**
+   * Sets the access that is granted when no policy matches an action. The default is evaluated like a boolean permission tree, so the bypass callback can still grant access if the default denies it. Access is denied by default.
+   * @param {Boolean} access - true to grant access or false to deny it.
+   */
+  this.setPolicyDefault = function setPolicyDefault(access) {
+    if(access === undefined) {
+      throw new MissingArgumentError('The access parameter is required.', {argument: 'access'});
     }
-
-    var bypass_access = bypass_callback(context);
-    if(getVariableType(bypass_access) !== 'Boolean') {
-      throw {name: 'InvalidCallbackReturnTypeException', message: 'The bypass access callback must return a boolean.'};
+    if(getVariableType(access) !== 'Boolean') {
+      throw new InvalidArgumentTypeError('The access parameter must be a boolean.', {argument: 'access'});
     }
-    return bypass_access;
+
+    policy_default = access;
   };
 
-  var dispatch = function dispatch(permissions, type, context) {
-    context = (typeof context === 'undefined') ? {} : context;
-    var variable_type = getVariableType(permissions);
-    if(variable_type === 'Boolean') {
-      if(permissions === true) {
-        if(type !== undefined) {
-          throw {name: 'InvalidArgumentValueException', message: 'You cannot put a boolean permission as a descendant to a permission type. Existing type: ' + type + '. Evaluated permissions: ' + JSON.stringify(permissions)};
-        }
-        return true;
-      }
-      if(permissions === false) {
-        if(type !== undefined) {
-          throw {name: 'InvalidArgumentValueException', message: 'You cannot put a boolean permission as a descendant to a permission type. Existing type: ' + type + '. Evaluated permissions: ' + JSON.stringify(permissions)};
-        }
-        return false;
-      }
+  /**
+   * Finds the permission tree that applies to an action. The policies are tried in the order "resource.action", "resource.*", "*.action" and "*.*", and if none of them exists the policy default is used.
+   * @param {String} name - The name of the action, prefixed with the name of the resource and a dot, such as "article.update".
+   * @returns {Object|Array|String|Boolean} A copy of the permission tree of the matching policy, or the policy default if no policy matches.
+   */
+  this.getPolicy = function getPolicy(name) {
+    if(name === undefined) {
+      throw new MissingArgumentError('The name parameter is required.', {argument: 'name'});
     }
-    if(variable_type === 'String') {
-      if(permissions.toUpperCase() === 'TRUE') {
-        if(type !== undefined) {
-          throw {name: 'InvalidArgumentValueException', message: 'You cannot put a boolean permission as a descendant to a permission type. Existing type: ' + type + '. Evaluated permissions: ' + JSON.stringify(permissions)};
-        }
-        return true;
-      }
-      if(permissions.toUpperCase() === 'FALSE') {
-        if(type !== undefined) {
-          throw {name: 'InvalidArgumentValueException', message: 'You cannot put a boolean permission as a descendant to a permission type. Existing type: ' + type + '. Evaluated permissions: ' + JSON.stringify(permissions)};
-        }
-        return false;
-      }
-      return externalAccessCheck(permissions, type, context);
+    if(getVariableType(name) !== 'String') {
+      throw new InvalidArgumentTypeError('The name parameter must be a string.', {argument: 'name'});
     }
-    if(variable_type === 'Array' && permissions.length > 0) {
-      return processOR(permissions, type, context);
+    var parts = name.split('.');
+    if(parts.length != 2 || !parts[0] || !parts[1]) {
+      throw new InvalidArgumentValueError('The name parameter must consist of a resource and an action separated by a dot, such as "article.update". Current value: "' + name + '"', {argument: 'name'});
     }
-    if(variable_type === 'Object') {
-      if(objectLength(permissions) == 1) {
-        var key = '';
-        for(var tmpkey in permissions) {
-          key = tmpkey;
-          break;
-        }
-        var value = permissions[key];
-        if(!isNumeric(key)) {
-          var key_upper = key.toUpperCase();
-          if(key_upper === 'NO_BYPASS') {
-            throw {name: 'InvalidArgumentValueException', message: 'The NO_BYPASS key must be placed highest in the permission hierarchy. Evaluated permissions: ' + JSON.stringify(permissions)};
-          }
-          if(key_upper === 'AND') {
-            return processAND(value, type, context);
-          }
-          if(key_upper === 'NAND') {
-            return processNAND(value, type, context);
-          }
-          if(key_upper === 'OR') {
-            return processOR(value, type, context);
-          }
-          if(key_upper === 'NOR') {
-            return processNOR(value, type, context);
-          }
-          if(key_upper === 'XOR') {
-            return processXOR(value, type, context);
-          }
-          if(key_upper === 'NOT') {
-            return processNOT(value, type, context);
-          }
-          if(key_upper === 'TRUE' || key_upper === 'FALSE') {
-            throw {name: 'InvalidArgumentValueException', message: 'A boolean permission cannot have children. Evaluated permissions: ' + JSON.stringify(permissions)};
-          }
 
-          if(type !== undefined) {
-            throw {name: 'InvalidArgumentValueException', message: 'You cannot put a permission type as a descendant to another permission type. Existing type: ' + type + '. Evaluated permissions: ' + JSON.stringify(permissions)};
-          }
-          if(!self.typeExists(key)) {
-            throw {name: 'PermissionTypeNotRegisteredException', message: 'The permission type "' + key + '" has not been registered. Please use LogicalPermissions::addType() or LogicalPermissions::setTypes() to register permission types.'};
-          }
-          type = key;
-        }
-        var value_vartype = getVariableType(value);
-        if(value_vartype === 'Array' || value_vartype === 'Object') {
-          return processOR(value, type, context);
-        }
-        return dispatch(value, type, context);
-      }
-      if(objectLength(permissions) > 1) {
-        return processOR(permissions, type, context);
+    var candidates = [[parts[0], parts[1]], [parts[0], '*'], ['*', parts[1]], ['*', '*']];
+    for(var i = 0; i < candidates.length; i++) {
+      var resource = candidates[i][0];
+      var action = candidates[i][1];
+      if(policies.hasOwnProperty(resource) && policies[resource].hasOwnProperty(action)) {
+        return JSON.parse(JSON.stringify(policies[resource][action]));
       }
     }
+    return policy_default;
+  };
 
-    throw {name: 'InvalidArgumentTypeException', message: 'A permission value must either be a boolean, a string, an array or an object. Evaluated permissions: ' + permissions};
+  /**
+   * Checks access for an action with the policy that applies to it, as found by getPolicy().
+   * @param {String} name - The name of the action, prefixed with the name of the resource and a dot, such as "article.update".
+   * @param {Object} context (optional) - A context object that could for example contain the evaluated user and document. Default value is an empty object.
+   * @param {Boolean} allow_bypass (optional) - Determines whether bypassing access should be allowed. Default value is true.
+   * @returns {Boolean} true if access is granted or false if access is denied.
+   */
+  this.can = function can(name, context, allow_bypass) {
+    return self.checkAccess(self.getPolicy(name), context, allow_bypass);
   };
 
-  var processAND = function processAND(permissions, type, context) {
-    var access = false;
-    var variable_type = getVariableType(permissions);
-    if(variable_type === 'Array') {
-      if(permissions.length < 1) {
-        throw {name: 'InvalidValueForLogicGateException', message: 'The value array of an AND gate must contain a minimum of one element. Current value: ' + JSON.stringify(permissions)};
-      }
+  /**
+   * Gets the current bypass access callback.
+   * @returns {Function} callback for checking access bypass.
+   */
+  this.getBypassCallback = function getBypassCallback() {
+    return bypass_callback;
+  };
 
-      access = true;
-      for(var i in permissions) {
-        var permission = permissions[i];
-        access = access && dispatch(permission, type, context);
-        if(!access) {
-          break;
-        }
-      }
+  /**
+   * Sets the bypass access callback.
+   * @param {Function} callback - The callback that evaluates access bypassing. Upon calling checkAccess() the registered bypass callback will be passed one parameter, which is the context object passed to checkAccess(). It should return a boolean which determines whether bypass access should be granted.
+   */
+  this.setBypassCallback = function setBypassCallback(callback) {
+    if(callback === undefined) {
+      throw new MissingArgumentError('The callback parameter is required.', {argument: 'callback'});
+    }
+    if(getVariableType(callback) !== 'Function') {
+      throw new InvalidArgumentTypeError('The callback parameter must be a function.', {argument: 'callback'});
     }
-    else if(variable_type === 'Object') {
-      if(objectLength(permissions) < 1) {
-        throw {name: 'InvalidValueForLogicGateException', message: 'The value object of an AND gate must contain a minimum of one element. Current value: ' + JSON.stringify(permissions)};
-      }
 
-      access = true;
-      for(var key in permissions) {
-        var subpermissions = {};
-        subpermissions[key] = permissions[key];
-        access = access && dispatch(subpermissions, type, context);
-        if(!access) {
-          break;
-        }
-      }
+    bypass_callback = callback;
+  };
+
+  /**
+   * Adds a named bypass rule. Bypass access is granted if the bypass callback or any of the bypass rules grants it. The bypass callback is called first and the bypass rules are called after it in the order in which they were added, until one of them grants bypass access. Unlike the bypass callback, a bypass rule can be disabled on its own by listing its name in the NO_BYPASS value of a permission tree, as in {NO_BYPASS: ['impersonation']}.
+   * @param {String} name - The name of the bypass rule.
+   * @param {Function} callback - The callback that evaluates the bypass rule. It is called in the same way as the bypass callback, with the context object passed to checkAccess(), and it should return a boolean which determines whether bypass access should be granted.
+   */
+  this.addBypassRule = function addBypassRule(name, callback) {
+    if(name === undefined) {
+      throw new MissingArgumentError('The name parameter is required.', {argument: 'name'});
     }
-    else {
-      throw {name: 'InvalidValueForLogicGateException', message: 'The value of an AND gate must be an array or object. Current value: ' + permissions};
+    if(getVariableType(name) !== 'String') {
+      throw new InvalidArgumentTypeError('The name parameter must be a string.', {argument: 'name'});
     }
-    return access;
+    if(!name) {
+      throw new InvalidArgumentValueError('The name parameter cannot be empty.', {argument: 'name'});
+    }
+    if(self.bypassRuleExists(name)) {
+      throw new InvalidArgumentValueError('The bypass rule "' + name + '" has already been added. Please remove it with LogicalPermissions::removeBypassRule() before adding it again.', {argument: 'name'});
+    }
+    if(callback === undefined) {
+      throw new MissingArgumentError('The callback parameter is required.', {argument: 'callback'});
+    }
+    if(getVariableType(callback) !== 'Function') {
+      throw new InvalidArgumentTypeError('The callback parameter must be a function.', {argument: 'callback'});
+    }
+
+    bypass_rules[name] = callback;
   };
 
-  var processNAND = function processNAND(permissions, type, context) {
-    var variable_type = getVariableType(permissions);
-    if(variable_type === 'Array') {
-      if(permissions.length < 1) {
-        throw {name: 'InvalidValueForLogicGateException', message: 'The value array of a NAND gate must contain a minimum of one element. Current value: ' + JSON.stringify(permissions)};
-      }
+  /**
+   * Removes a named bypass rule. Permission trees that still list it in their NO_BYPASS value can no longer be evaluated.
+   * @param {String} name - The name of the bypass rule.
+   */
+  this.removeBypassRule = function removeBypassRule(name) {
+    if(name === undefined) {
+      throw new MissingArgumentError('The name parameter is required.', {argument: 'name'});
     }
-    else if(variable_type === 'Object') {
-      if(objectLength(permissions) < 1) {
-        throw {name: 'InvalidValueForLogicGateException', message: 'The value object of a NAND gate must contain a minimum of one element. Current value: ' + JSON.stringify(permissions)};
-      }
+    if(getVariableType(name) !== 'String') {
+      throw new InvalidArgumentTypeError('The name parameter must be a string.', {argument: 'name'});
     }
-    else {
-      throw {name: 'InvalidValueForLogicGateException', message: 'The value of a NAND gate must be an array or object. Current value: ' + permissions};
+    if(!self.bypassRuleExists(name)) {
+      throw new InvalidArgumentValueError('The bypass rule "' + name + '" has not been added.', {argument: 'name'});
     }
 
-    return !processAND(permissions, type, context);
+    delete bypass_rules[name];
   };
 
-  var processOR = function processOR(permissions, type, context) {
-    var access = false;
+  /**
+   * Checks whether a named bypass rule has been added.
+   * @param {String} name - The name of the bypass rule.
+   * @returns {Boolean} true if the bypass rule is found or false if it isn't found.
+   */
+  this.bypassRuleExists = function bypassRuleExists(name) {
+    if(name === undefined) {
+      throw new MissingArgumentError('The name parameter is required.', {argument: 'name'});
+    }
+    if(getVariableType(name) !== 'String') {
+      throw new InvalidArgumentTypeError('The name parameter must be a string.', {argument: 'name'});
+    }
+
+    return bypass_rules.hasOwnProperty(name);
+  };
+
+  /**
+   * Gets all named bypass rules.
+   * @returns {Object} Bypass rules with the structure {name: callback, name2: callback2, ...} in the order in which they are called.
+   */
+  this.getBypassRules = function getBypassRules() {
+    var rules = {};
+    for(var name in bypass_rules) {
+      rules[name] = bypass_rules[name];
+    }
+    return rules;
+  };
+
+  /**
+   * Checks whether memoization of type callback results is enabled.
+   * @returns {Boolean} true if memoization is enabled or false if it is disabled.
+   */
+  this.getMemoization = function getMemoization() {
+    return memoization;
+  };
+
+  /**
+   * Enables or disables memoization of type callback results. When memoization is enabled, each combination of a permission type and a permission is only evaluated once during a single access check, and the result is reused wherever the same permission appears again in the permission tree. Results are never reused between separate access checks, nor for permission types that were added with the option {memoize: false}. Memoization is disabled by default.
+   * @param {Boolean} enabled - true to enable memoization or false to disable it.
+   */
+  this.setMemoization = function setMemoization(enabled) {
+    if(enabled === undefined) {
+      throw new MissingArgumentError('The enabled parameter is required.', {argument: 'enabled'});
+    }
+    if(getVariableType(enabled) !== 'Boolean') {
+      throw new InvalidArgumentTypeError('The enabled parameter must be a boolean.', {argument: 'enabled'});
+    }
+
+    memoization = enabled;
+  };
+
+  /**
+   * Adds a listener for an event that occurs while checking access, for example to log every access decision. Listeners are only notified, so their return values are ignored and errors thrown by them are discarded, as are the rejections of promises returned by asynchronous listeners, which means that they can't change the outcome of an access check. Every access check emits the events, including checkAccessMany(), which emits them for each permission tree, and the evaluators created by compile().
+   * @param {String} event - The name of the event, which is one of the following: "beforeCheck" is emitted before a permission tree is evaluated, "afterCheck" when the access decision has been made, "error" if the evaluation throws an error instead, "callback" when a type callback has returned a valid result and "bypass" when the bypass callback or a bypass rule has returned a valid result.
+   * @param {Function} listener - The function that is called with an object describing the event. For "beforeCheck" it has the structure {permissions: Object|Array|String|Boolean, context: Object, allow_bypass: Boolean}, where the values are copies of the ones passed to the access check. Each listener gets its own deep copy of the arrays and plain objects in the event, so a listener can't change the permission tree or the context that the access check uses. "afterCheck" adds {access: Boolean, duration: Number} and "error" adds {error: Error, duration: Number} to this structure. For "callback" it has the structure {type: String, permissions: *, context: Object, access: Boolean, duration: Number} and for "bypass" the structure {rule: String|null, context: Object, access: Boolean, duration: Number}, where "rule" is the name of the bypass rule or null for the bypass callback. Durations are measured in milliseconds, and in asynchronous access checks they include the time spent waiting for promises.
+   */
+  this.on = function on(event, listener) {
+    if(event === undefined) {
+      throw new MissingArgumentError('The event parameter is required.', {argument: 'event'});
+    }
+    if(getVariableType(event) !== 'String') {
+      throw new InvalidArgumentTypeError('The event parameter must be a string.', {argument: 'event'});
+    }
+    if(!listeners.hasOwnProperty(event)) {
+      throw new InvalidArgumentValueError('The event parameter has the illegal value "' + event + '". It must be one of the following values: ' + Object.keys(listeners).join(), {argument: 'event'});
+    }
+    if(listener === undefined) {
+      throw new MissingArgumentError('The listener parameter is required.', {argument: 'listener'});
+    }
+    if(getVariableType(listener) !== 'Function') {
+      throw new InvalidArgumentTypeError('The listener parameter must be a function.', {argument: 'listener'});
+    }
+
+    listeners[event].push(listener);
+  };
+
+  /**
+   * Removes a listener that was added with on().
+   * @param {String} event - The name of the event.
+   * @param {Function} listener - The listener to be removed. If it was added more than once, it is only removed once.
+   */
+  this.off = function off(event, listener) {
+    if(event === undefined) {
+      throw new MissingArgumentError('The event parameter is required.', {argument: 'event'});
+    }
+    if(getVariableType(event) !== 'String') {
+      throw new InvalidArgumentTypeError('The event parameter must be a string.', {argument: 'event'});
+    }
+    if(!listeners.hasOwnProperty(event)) {
+      throw new InvalidArgumentValueError('The event parameter has the illegal value "' + event + '". It must be one of the following values: ' + Object.keys(listeners).join(), {argument: 'event'});
+    }
+    if(listener === undefined) {
+      throw new MissingArgumentError('The listener parameter is required.', {argument: 'listener'});
+    }
+    if(getVariableType(listener) !== 'Function') {
+      throw new InvalidArgumentTypeError('The listener parameter must be a function.', {argument: 'listener'});
+    }
+    var index = listeners[event].indexOf(listener);
+    if(index == -1) {
+      throw new InvalidArgumentValueError('The listener has not been added for the event "' + event + '".', {argument: 'listener'});
+    }
+
+    listeners[event].splice(index, 1);
+  };
+
+  /**
+  * Gets all keys that can be part of a permission tree.
+  * @returns {Array} Valid permission keys
+  */
+  this.getValidPermissionKeys = function() {
+    return getReservedKeys().concat(Object.keys(self.getTypes()));
+  };
+
+  /**
+   * Checks access for a permission tree.
+   * @param {Object|Array|String|Boolean} permissions - The permission tree to be evaluated
+   * @param {Object} context (optional) - A context object that could for example contain the evaluated user and document. Default value is an empty object.
+   * @param {Boolean} allow_bypass (optional) - Determines whether bypassing access should be allowed. Default value is true.
+   * @returns {Boolean} true if access is granted or false if access is denied.
+   */
+  this.checkAccess = function checkAccess(permissions, context, allow_bypass) {
+    return evaluate(permissions, context, allow_bypass, {async: false});
+  };
+
+  /**
+   * Checks access for several permission trees against the same context, for example all actions that a user can perform on a document. The bypass callback and each bypass rule are called at most once, and the result of each combination of a permission type and a permission is shared between all permission trees, except for permission types that were added with the option {memoize: false}.
+   * @param {Object} permission_trees - The permission trees to be evaluated, with the structure {name: permissions, name2: permissions2, ...}.
+   * @param {Object} context (optional) - A context object that could for example contain the evaluated user and document. Default value is an empty object.
+   * @param {Boolean} allow_bypass (optional) - Determines whether bypassing access should be allowed. Default value is true.
+   * @returns {Object} The results with the structure {name: Boolean, name2: Boolean, ...}, where each result is true if access is granted or false if access is denied.
+   */
+  this.checkAccessMany = function checkAccessMany(permission_trees, context, allow_bypass) {
+    if(permission_trees === undefined) {
+      throw new MissingArgumentError('The permission_trees parameter is required.', {argument: 'permission_trees'});
+    }
+    if(getVariableType(permission_trees) !== 'Object') {
+      throw new InvalidArgumentTypeError('The permission_trees parameter must be an object.', {argument: 'permission_trees'});
+    }
+    for(var name in permission_trees) {
+      var permissions_vartype = getVariableType(permission_trees[name]);
+      if(permissions_vartype !== 'Object' && permissions_vartype !== 'Array' && permissions_vartype !== 'String' && permissions_vartype !== 'Boolean') {
+        throw new InvalidArgumentValueError('The permission trees must be objects or arrays, or in certain cases strings or booleans.', {argument: 'permission_trees'});
+      }
+    }
+
+    var state = {async: false, memo: {}};
+    var results = {};
+    for(var name in permission_trees) {
+      results[name] = evaluate(permission_trees[name], context, allow_bypass, state);
+    }
+    return results;
+  };
+
+  /**
+   * Checks access for a permission tree asynchronously. Works like checkAccess() except that the type callbacks, the bypass callback and the bypass rules may return promises that resolve to booleans. Logic gates still stop evaluating their children as soon as the result is determined, and each child is only evaluated after the previous one has resolved.
+   * @param {Object|Array|String|Boolean} permissions - The permission tree to be evaluated
+   * @param {Object} context (optional) - A context object that could for example contain the evaluated user and document. Default value is an empty object.
+   * @param {Boolean} allow_bypass (optional) - Determines whether bypassing access should be allowed. Default value is true.
+   * @returns {Promise} A promise that resolves to true if access is granted or false if access is denied, and that is rejected with the same exceptions that checkAccess() throws.
+   */
+  this.checkAccessAsync = function checkAccessAsync(permissions, context, allow_bypass) {
+    return new Promise(function(resolve) {
+      resolve(evaluate(permissions, context, allow_bypass, {async: true}));
+    });
+  };
+
+  /**
+   * Checks access for a permission tree and explains how the decision was made.
+   * @param {Object|Array|String|Boolean} permissions - The permission tree to be evaluated
+   * @param {Object} context (optional) - A context object that could for example contain the evaluated user and document. Default value is an empty object.
+   * @param {Boolean} allow_bypass (optional) - Determines whether bypassing access should be allowed. Default value is true.
+   * @returns {Object} An object with the structure {access: Boolean, bypass: Object, trace: Object}. "access" is the same value that checkAccess() would return. "bypass" has the structure {allowed: Boolean, no_bypass: Object, granted: Boolean, rule: String|null} where "allowed" tells whether bypassing access was allowed after evaluating allow_bypass and NO_BYPASS, "no_bypass" is null if no NO_BYPASS value was evaluated, otherwise an object with the structure {permissions: Object|Array|Boolean|String, result: Boolean, trace: Object} where "result" is true if NO_BYPASS disabled bypassing altogether and "trace" is the trace of an object condition, "granted" is true if the bypass callback or a bypass rule granted bypass access, false if they were called and none of them granted it and null if none of them were called, and "rule" is the name of the bypass rule that granted bypass access or null if it wasn't granted by a bypass rule. "trace" is null if the permission tree wasn't evaluated, otherwise a node mirroring the evaluated permission tree. Each node has a "kind" property which is either "gate", "type", "callback", "boolean", "bypassed" or "skipped", a "permissions" property with the evaluated part of the permission tree and, unless it was skipped, a "result" property. Gate nodes also have a "gate" property and type and callback nodes have a "type" property. Gate and type nodes have a "children" property containing their child nodes, where children that weren't evaluated because the result of the gate was already determined are of the kind "skipped". Gate nodes for objects and arrays without a logic gate as their key have a "shorthand" property set to true. Gate nodes whose permission object has MESSAGE or META keys have "message" and "meta" properties with their values. If bypass access was granted for a permission tree with NO_BYPASS keys beneath the top level, the parts of the tree that were bypassed are of the kind "bypassed" and have a "rule" property like "bypass", and gate nodes with a NO_BYPASS key have a "no_bypass" property with the same structure as the one in "bypass".
+   */
+  this.checkAccessWithTrace = function checkAccessWithTrace(permissions, context, allow_bypass) {
+    var trace = {children: []};
+    var access = evaluate(permissions, context, allow_bypass, {async: false, trace: trace});
+    return {
+      access: access,
+      bypass: trace.bypass,
+      trace: trace.children.length ? trace.children[0] : null
+    };
+  };
+
+  /**
+   * Checks access for a permission tree and collects the messages of the parts of the tree that denied access. A message is added to a permission object with a MESSAGE key, as in {AND: [...], MESSAGE: 'Only the author can edit drafts'}, and belongs to the same part of the tree as the other keys of the object.
+   * @param {Object|Array|String|Boolean} permissions - The permission tree to be evaluated
+   * @param {Object} context (optional) - A context object that could for example contain the evaluated user and document. Default value is an empty object.
+   * @param {Boolean} allow_bypass (optional) - Determines whether bypassing access should be allowed. Default value is true.
+   * @returns {Object} An object with the structure {access: Boolean, messages: Array}. "access" is the same value that checkAccess() would return. If access is denied, "messages" contains the messages of the parts of the tree that denied access and were responsible for the denial, starting from the top of the tree and following every evaluated child that denied access as well, where the children of NOT, NAND and NOR gates deny access by granting it. Each message is only included once. If access is granted, "messages" is empty.
+   */
+  this.checkAccessWithMessages = function checkAccessWithMessages(permissions, context, allow_bypass) {
+    var result = self.checkAccessWithTrace(permissions, context, allow_bypass);
+    var messages = [];
+    // A node denied access if it has the result that denies access at its place in the tree, which is true beneath an odd number of negations
+    var collectMessages = function collectMessages(node, denying) {
+      if(node.result !== denying) {
+        return;
+      }
+      if(node.hasOwnProperty('message') && messages.indexOf(node.message) == -1) {
+        messages.push(node.message);
+      }
+      if(node.children) {
+        node.children.forEach(function(child, i) {
+          collectMessages(child, getDenyingResult(node, i, child, denying));
+        });
+      }
+    };
+    if(!result.access && result.trace) {
+      collectMessages(result.trace, false);
+    }
+    return {access: result.access, messages: messages};
+  };
+
+  /**
+   * Validates the structure of a permission tree without evaluating it. Unlike checkAccess(), which only detects problems in the parts of the tree that it evaluates, the whole tree is inspected and no callbacks are called.
+   * @param {Object|Array|String|Boolean} permissions - The permission tree to be validated
+   * @returns {Array} The problems found in the permission tree, each with the structure {path: String, name: String, code: String, message: String, error: LogicalPermissionsError} where "path" is a JSON path to the offending part of the tree, such as "$.AND.role[1]", and "error" is the error that the problem would cause during evaluation, whose name, code and message are copied to the problem. An empty array means that the permission tree is valid.
+   */
+  this.validatePermissions = function validatePermissions(permissions) {
+    if(permissions === undefined) {
+      throw new MissingArgumentError('The permissions parameter is required.', {argument: 'permissions'});
+    }
+    var permissions_vartype = getVariableType(permissions);
+    if(permissions_vartype !== 'Object' && permissions_vartype !== 'Array' && permissions_vartype !== 'String' && permissions_vartype !== 'Boolean') {
+      throw new InvalidArgumentTypeError('The permissions parameter must be an object or an array, or in certain cases a string or boolean.', {argument: 'permissions'});
+    }
+
+    var problems = [];
+    if(permissions_vartype === 'Object') {
+      for(var key in permissions) {
+        if(key === 'NO_BYPASS' || key === 'no_bypass') {
+          validateNoBypass(permissions[key], getChildPath('$', key), problems);
+        }
+        else {
+          validateEntry(key, permissions[key], undefined, getChildPath('$', key), problems);
+        }
+      }
+    }
+    else if(permissions_vartype === 'Array') {
+      validateChildren(permissions, undefined, '$', problems);
+    }
+    else {
+      validateNode(permissions, undefined, '$', problems);
+    }
+    return problems;
+  };
+
+  /**
+   * Compiles a permission tree into an evaluator that can check access for it repeatedly. The permission tree is validated and prepared once, so evaluating it is considerably faster than calling checkAccess() each time. The results are the same as those of checkAccess(). Changes to the permission tree after compiling it don't affect the evaluator, whereas the current type callbacks, bypass callback and bypass rules are always used.
+   * @param {Object|Array|String|Boolean} permissions - The permission tree to be compiled
+   * @returns {Object} An evaluator with the methods evaluate(context, allow_bypass), which takes the same parameters as checkAccess() apart from the permission tree and returns a boolean, and evaluateAsync(context, allow_bypass), which returns a promise like checkAccessAsync().
+   */
+  this.compile = function compile(permissions) {
+    assertValidPermissions(permissions);
+
+    var parts = PermissionTree.splitNoBypass(JSON.parse(JSON.stringify(permissions)));
+    var no_bypass = parts.no_bypass;
+    var compiled_no_bypass = null;
+    if(getVariableType(no_bypass) === 'String') {
+      no_bypass = no_bypass.toUpperCase() === 'TRUE';
+    }
+    else if(getVariableType(no_bypass) === 'Object') {
+      compiled_no_bypass = compileGate('OR', no_bypass, undefined);
+    }
+
+    var stripped = stripMetadata(parts.permissions, undefined);
+    var compiled = compileTree(stripped);
+    var scoped = containsNoBypass(stripped);
+
+    var evaluateCompiled = function evaluateCompiled(context, allow_bypass, state) {
+      context = (typeof context === 'undefined') ? {} : context;
+      if(getVariableType(context) !== 'Object') {
+        throw new InvalidArgumentTypeError('The context parameter must be an object.', {argument: 'context'});
+      }
+      allow_bypass = (typeof allow_bypass === 'undefined') ? true : allow_bypass;
+      if(getVariableType(allow_bypass) !== 'Boolean') {
+        throw new InvalidArgumentTypeError('The allow_bypass parameter must be a boolean.', {argument: 'allow_bypass'});
+      }
+      state.memo = memoization ? {} : null;
+      state.bypass_results = state.memo ? state.memo : {};
+
+      return processBypass(no_bypass, allow_bypass, context, state, function(state) {
+        return compiled_no_bypass(context, state);
+      }, function(state) {
+        return compiled(context, state);
+      }, scoped);
+    };
+
+    return {
+      evaluate: function evaluate(context, allow_bypass) {
+        return observeCheck(permissions, context, allow_bypass, function() {
+          return evaluateCompiled(context, allow_bypass, {async: false});
+        });
+      },
+      evaluateAsync: function evaluateAsync(context, allow_bypass) {
+        return new Promise(function(resolve) {
+          resolve(observeCheck(permissions, context, allow_bypass, function() {
+            return evaluateCompiled(context, allow_bypass, {async: true});
+          }));
+        });
+      }
+    };
+  };
+
+  /**
+   * Parses a permission expression into a permission tree that can be passed to checkAccess(). An expression combines permissions such as "role:admin" with the operators NOT, AND, NAND, XOR, OR and NOR, and parentheses. NOT has the highest precedence, followed by AND and NAND, which share a level, then XOR, and finally OR and NOR, which share the lowest level. Operators of the same level are grouped from left to right. An operator can also be applied to the values of a single permission type, as in "role:(editor OR sales)". Values containing spaces or special characters can be quoted with single or double quotes. Logic gates can also be written as functions, as in "XOR(role:editor, role:sales, flag:is_author)", permission definitions are referenced as in "REF(activeStaff)", and the expression may begin with a NO_BYPASS condition such as "NO_BYPASS(TRUE)" or "NO_BYPASS(role:admin)". Keywords are case insensitive.
+   * @param {String} expression - The expression to be parsed, for example "role:admin OR (flag:is_author AND NOT role:guest)".
+   * @returns {Object|Boolean} The permission tree. An ExpressionSyntaxError with the line and column of the problem is thrown if the expression is invalid, including logic gates with the wrong number of children.
+   */
+  this.parse = function parse(expression) {
+    if(expression === undefined) {
+      throw new MissingArgumentError('The expression parameter is required.', {argument: 'expression'});
+    }
+    if(getVariableType(expression) !== 'String') {
+      throw new InvalidArgumentTypeError('The expression parameter must be a string.', {argument: 'expression'});
+    }
+
+    return Expression.parse(expression, {types: Object.keys(self.getTypes()), gates: getGateKeys(), getGateValueError: getGateValueError});
+  };
+
+  /**
+   * Converts a permission tree into a human-readable expression that can be converted back with parse(). Shorthand OR gates and objects with multiple keys are written as OR operators, and parentheses are only added where they are needed. Parsing the expression gives a permission tree that grants access in exactly the same cases as the original tree. MESSAGE and META keys are left out. Permission values that are not strings, NO_BYPASS arrays of bypass rule names and NO_BYPASS keys beneath the top level, including those in referenced permission definitions, can't be written as expressions and cause an InvalidArgumentValueError to be thrown.
+   * @param {Object|Array|String|Boolean} permissions - The permission tree to be converted.
+   * @returns {String} The expression, for example "role:admin OR (flag:is_author AND NOT role:guest)".
+   */
+  this.stringify = function stringify(permissions) {
+    assertValidPermissions(permissions);
+    assertNoScopedNoBypass(permissions, 'stringify');
+
+    return Expression.stringify(stripMetadata(permissions, undefined), {gates: getGateKeys(), isPermissionValue: isPermissionValue});
+  };
+
+  /**
+   * Simplifies a permission tree into an equivalent, canonical permission tree that grants access in exactly the same cases. Booleans are folded into the surrounding logic gates, nested gates of the same kind are merged, double negations are removed, NOT, NAND and NOR gates are pushed down to the permissions with De Morgan's laws, ONE_OF and IMPLIES gates are expanded into the other gates, threshold gates are kept with the count adjusted for constant children, references to permission definitions are replaced by the definitions, duplicates are removed from the other gates and logic gate keys are uppercased. The NO_BYPASS condition is simplified as well, the names in a NO_BYPASS array are sorted and de-duplicated, and NO_BYPASS is left out if it can't make a difference. MESSAGE and META keys are left out. Trees that are equivalent in a simple way, for example by only differing in the order of children, are simplified into identical trees. Permission trees with NO_BYPASS keys beneath the top level can't be simplified, since the simplified tree can't express which parts of it may be bypassed. This also applies to NO_BYPASS keys in the permission definitions that the tree refers to, and an InvalidArgumentValueError is thrown for such trees.
+   * @param {Object|Array|String|Boolean} permissions - The permission tree to be simplified.
+   * @returns {Object|Boolean} The simplified permission tree, which only contains AND, OR, XOR, AT_LEAST, AT_MOST and EXACTLY gates, NOT gates that are placed directly around a single permission, and booleans at the top level.
+   */
+  this.simplify = function simplify(permissions) {
+    assertValidPermissions(permissions);
+    assertNoScopedNoBypass(permissions, 'simplify');
+
+    return Simplifier.simplify(stripMetadata(permissions, undefined), {gates: getGateKeys(), getGateEvaluator: getGateEvaluator, getDefinition: getDefinition, isPermissionValue: isPermissionValue});
+  };
+
+  /**
+   * Checks whether two permission trees grant access in exactly the same cases, regardless of how the type callbacks, the bypass callback and the bypass rules respond. Each distinct permission, such as {role: 'admin'}, is treated as a boolean variable, and so are the result of each bypass rule that is listed in a NO_BYPASS array of one of the permission trees and the combined result of the bypass callback and the other bypass rules. The permission trees are compared for every possible assignment of these variables, so the time it takes grows exponentially with the number of distinct permissions. No callbacks are called. Permission trees with NO_BYPASS keys beneath the top level can't be compared, since bypass access is only modeled for the whole permission tree. This also applies to NO_BYPASS keys in the permission definitions that the tree refers to, and an InvalidArgumentValueError is thrown for such trees.
+   * @param {Object|Array|String|Boolean} first_permissions - The first permission tree.
+   * @param {Object|Array|String|Boolean} second_permissions - The second permission tree.
+   * @returns {Object} An object with the structure {equivalent: Boolean, counterexample: Object|null}. If the permission trees aren't equivalent, the counterexample describes a case where they differ and has the structure {permissions: Array, bypass_access: Boolean, bypass_rules: Object, results: Array}, where "permissions" contains an object with the structure {type: String, value: String, access: Boolean} for each distinct permission, "bypass_access" is the combined result of the bypass callback and the bypass rules that aren't listed in any NO_BYPASS array, "bypass_rules" has the structure {rule: Boolean, ...} with the results of the bypass rules that are and "results" contains the access results of the first and the second permission tree.
+   */
+  this.areEquivalent = function areEquivalent(first_permissions, second_permissions) {
+    if(first_permissions === undefined) {
+      throw new MissingArgumentError('The first_permissions parameter is required.', {argument: 'first_permissions'});
+    }
+    var first_vartype = getVariableType(first_permissions);
+    if(first_vartype !== 'Object' && first_vartype !== 'Array' && first_vartype !== 'String' && first_vartype !== 'Boolean') {
+      throw new InvalidArgumentTypeError('The first_permissions parameter must be an object or an array, or in certain cases a string or boolean.', {argument: 'first_permissions'});
+    }
+    if(second_permissions === undefined) {
+      throw new MissingArgumentError('The second_permissions parameter is required.', {argument: 'second_permissions'});
+    }
+    var second_vartype = getVariableType(second_permissions);
+    if(second_vartype !== 'Object' && second_vartype !== 'Array' && second_vartype !== 'String' && second_vartype !== 'Boolean') {
+      throw new InvalidArgumentTypeError('The second_permissions parameter must be an object or an array, or in certain cases a string or boolean.', {argument: 'second_permissions'});
+    }
+    assertValidPermissions(first_permissions);
+    assertValidPermissions(second_permissions);
+    assertNoScopedNoBypass(first_permissions, 'areEquivalent');
+    assertNoScopedNoBypass(second_permissions, 'areEquivalent');
+
+    return Equivalence.compare(stripMetadata(first_permissions, undefined), stripMetadata(second_permissions, undefined), {gates: getGateKeys(), getGateEvaluator: getGateEvaluator, getDefinition: getDefinition, isPermissionValue: isPermissionValue});
+  };
+
+  /**
+   * Analyzes a permission tree without calling any callbacks. Each distinct permission, such as {role: 'admin'}, is treated as a boolean variable, and the permission tree is evaluated with the same logic gates as checkAccess() for every possible assignment of these variables. The time it takes therefore grows exponentially with the number of distinct permissions. Permission trees with NO_BYPASS keys beneath the top level can't be analyzed, since bypass access is only modeled for the whole permission tree. This also applies to NO_BYPASS keys in the permission definitions that the tree refers to, and an InvalidArgumentValueError is thrown for such trees.
+   * @param {Object|Array|String|Boolean} permissions - The permission tree to be analyzed.
+   * @returns {Object} An object with the structure {result: String, no_bypass: String|null, findings: Array}. The result is "always_true" if the permission tree grants access regardless of how the type callbacks respond, "always_false" if it never grants access and "contingent" otherwise, not counting access granted by the bypass callback. The no_bypass property contains the result of the NO_BYPASS condition in the same format, where an array of bypass rule names is "always_false" since it never disables bypassing altogether, or null if the permission tree doesn't have one. Each finding has the structure {path: String, kind: String, message: String}, where "path" is a JSON path to a part of the permission tree and "kind" is either "always_true" or "always_false" for a logic gate that always has the same result, or "dead_branch" for a part of the permission tree that can never influence whether access is granted, such as the children that come after a TRUE permission in an OR gate. A reference to a permission definition is reported as a whole, without findings for the parts of the definition.
+   */
+  this.analyze = function analyze(permissions) {
+    assertValidPermissions(permissions);
+    assertNoScopedNoBypass(permissions, 'analyze');
+
+    return Analyzer.analyze(stripMetadata(permissions, undefined), {gates: getGateKeys(), getGateEvaluator: getGateEvaluator, getDefinition: getDefinition, getChildPath: getChildPath, isPermissionValue: isPermissionValue});
+  };
+
+  /*--------Private methods--------*/
+
+  var getCorePermissionKeys = function() {
+    return ['NO_BYPASS', 'AND', 'NAND', 'OR', 'NOR', 'XOR', 'XNOR', 'ONE_OF', 'IMPLIES', 'NOT', 'AT_LEAST', 'AT_MOST', 'EXACTLY', 'TRUE', 'FALSE', 'REF', 'MESSAGE', 'META'];
+  };
+
+  // Metadata keys can be added to any permission object apart from permission values, and are ignored when deciding access. Keys are matched with regular expressions rather than uppercased, since this is done for every key of a permission tree.
+  var isMetadataKey = function isMetadataKey(key) {
+    return /^(MESSAGE|META)$/i.test(key);
+  };
+
+  // Gets the keys of a permission object that are evaluated as its children, leaving out metadata keys and NO_BYPASS keys.
+  var getPermissionKeys = function getPermissionKeys(permissions) {
+    return Object.keys(permissions).filter(function(key) {
+      return !isMetadataKey(key) && !isNoBypassKey(key);
+    });
+  };
+
+  // Beneath the top level of a permission tree, a NO_BYPASS key restricts bypassing within the logic gate of the permission object that it is placed in.
+  var isNoBypassKey = function isNoBypassKey(key) {
+    return /^NO_BYPASS$/i.test(key);
+  };
+
+  var getNoBypassKey = function getNoBypassKey(permissions) {
+    for(var key in permissions) {
+      if(isNoBypassKey(key)) {
+        return key;
+      }
+    }
+    return null;
+  };
+
+  var getMetadataError = function getMetadataError(key, value) {
+    if(key.toUpperCase() === 'MESSAGE' && getVariableType(value) !== 'String') {
+      return new InvalidArgumentValueError('The value of a MESSAGE key must be a string. Current value: ' + JSON.stringify(value), {permissions: value});
+    }
+    return null;
+  };
+
+  // Checks the metadata of a logic gate, which is found in its value object and, for threshold gates, in the object containing the children as well.
+  var getGateMetadataError = function getGateMetadataError(gate, permissions) {
+    if(gate === 'NOT') {
+      return null;
+    }
+    var containers = getThresholdGateKeys().indexOf(gate) != -1 ? [permissions, permissions.of] : [permissions];
+    for(var i = 0; i < containers.length; i++) {
+      if(getVariableType(containers[i]) === 'Object') {
+        for(var key in containers[i]) {
+          var error = isMetadataKey(key) ? getMetadataError(key, containers[i][key]) : null;
+          if(error) {
+            return error;
+          }
+        }
+      }
+    }
+    return null;
+  };
+
+  // Adds the values of the metadata keys of a permission object to its trace node, as in {message: String, meta: *}.
+  var addMetadata = function addMetadata(node, permissions) {
+    for(var key in permissions) {
+      if(isMetadataKey(key)) {
+        node[key.toLowerCase()] = permissions[key];
+      }
+    }
+    return node;
+  };
+
+  // Removes the metadata keys from a valid permission tree, for the features that only need to know how access is decided.
+  var stripMetadata = function stripMetadata(permissions, type) {
+    var variable_type = getVariableType(permissions);
+    if((variable_type !== 'Array' && variable_type !== 'Object') || isPermissionValue(permissions, type)) {
+      return permissions;
+    }
+    if(variable_type === 'Array') {
+      return permissions.map(function(child) {
+        return stripMetadata(child, type);
+      });
+    }
+
+    var stripped = {};
+    Object.keys(permissions).filter(function(key) {
+      return !isMetadataKey(key);
+    }).forEach(function(key) {
+      var value = permissions[key];
+      var key_upper = key.toUpperCase();
+      if(isNumeric(key) || key_upper === 'NOT' || (getGateKeys().indexOf(key_upper) != -1 && getThresholdGateKeys().indexOf(key_upper) == -1)) {
+        stripped[key] = stripMetadata(value, type);
+      }
+      else if(getThresholdGateKeys().indexOf(key_upper) != -1) {
+        stripped[key] = {count: value.count, of: stripMetadata(value.of, type)};
+        var no_bypass_key = getNoBypassKey(value);
+        if(no_bypass_key !== null) {
+          stripped[key][no_bypass_key] = stripMetadata(value[no_bypass_key], undefined);
+        }
+      }
+      else if(key_upper === 'NO_BYPASS') {
+        stripped[key] = stripMetadata(value, undefined);
+      }
+      else if(key_upper === 'REF' || key_upper === 'TRUE' || key_upper === 'FALSE') {
+        stripped[key] = value;
+      }
+      else {
+        stripped[key] = stripMetadata(value, key);
+      }
+    });
+    return stripped;
+  };
+
+  // Collects the names of the permission definitions that a permission tree refers to directly. Permission types are not descended into, since references can't be placed beneath them.
+  var collectReferences = function collectReferences(permissions, references) {
+    var variable_type = getVariableType(permissions);
+    if(variable_type === 'Array') {
+      permissions.forEach(function(child) {
+        collectReferences(child, references);
+      });
+    }
+    else if(variable_type === 'Object') {
+      for(var key in permissions) {
+        var key_upper = key.toUpperCase();
+        var value = permissions[key];
+        if(key_upper === 'REF') {
+          if(getVariableType(value) === 'String' && references.indexOf(value) == -1) {
+            references.push(value);
+          }
+        }
+        else if(getThresholdGateKeys().indexOf(key_upper) != -1) {
+          if(getVariableType(value) === 'Object') {
+            collectReferences(value.of, references);
+            var no_bypass_key = getNoBypassKey(value);
+            if(no_bypass_key !== null) {
+              collectReferences(value[no_bypass_key], references);
+            }
+          }
+        }
+        else if(isNumeric(key) || key_upper === 'NO_BYPASS' || getGateKeys().indexOf(key_upper) != -1) {
+          collectReferences(value, references);
+        }
+      }
+    }
+    return references;
+  };
+
+  // Checks whether a part of a permission tree has NO_BYPASS keys, including the permission definitions that it refers to. Permission types are not descended into, since NO_BYPASS keys can't be placed beneath them.
+  var containsNoBypass = function containsNoBypass(permissions) {
+    var variable_type = getVariableType(permissions);
+    if(variable_type === 'Array') {
+      return permissions.some(containsNoBypass);
+    }
+    if(variable_type !== 'Object') {
+      return false;
+    }
+    for(var key in permissions) {
+      var key_upper = key.toUpperCase();
+      var value = permissions[key];
+      if(isNoBypassKey(key)) {
+        return true;
+      }
+      if(key_upper === 'REF') {
+        if(getVariableType(value) === 'String' && definitions.hasOwnProperty(value) && containsNoBypass(definitions[value])) {
+          return true;
+        }
+      }
+      else if(getThresholdGateKeys().indexOf(key_upper) != -1) {
+        if(getVariableType(value) === 'Object' && (getNoBypassKey(value) !== null || containsNoBypass(value.of))) {
+          return true;
+        }
+      }
+      else if((isNumeric(key) || getGateKeys().indexOf(key_upper) != -1) && containsNoBypass(value)) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  var assertValidPolicyNamePart = function assertValidPolicyNamePart(value, argument) {
+    if(value === undefined) {
+      throw new MissingArgumentError('The ' + argument + ' parameter is required.', {argument: argument});
+    }
+    if(getVariableType(value) !== 'String') {
+      throw new InvalidArgumentTypeError('The ' + argument + ' parameter must be a string.', {argument: argument});
+    }
+    if(!value || value.indexOf('.') != -1) {
+      throw new InvalidArgumentValueError('The ' + argument + ' parameter cannot be empty or contain dots. Current value: "' + value + '"', {argument: argument});
+    }
+  };
+
+  // Definitions are returned without metadata, since they are only used by the features that don't need it.
+  var getDefinition = function getDefinition(name) {
+    return stripMetadata(definitions[name], undefined);
+  };
+
+  // Returns the chain of references through which a definition with the given name and permission tree would refer to itself, or null if it wouldn't.
+  var findCircularReference = function findCircularReference(name, permissions) {
+    var visited = {};
+    var visit = function visit(permissions, chain) {
+      var references = collectReferences(permissions, []);
+      for(var i = 0; i < references.length; i++) {
+        var reference = references[i];
+        if(reference === name) {
+          return chain.concat(reference);
+        }
+        if(!visited.hasOwnProperty(reference) && definitions.hasOwnProperty(reference)) {
+          visited[reference] = true;
+          var found = visit(definitions[reference], chain.concat(reference));
+          if(found) {
+            return found;
+          }
+        }
+      }
+      return null;
+    };
+    return visit(permissions, [name]);
+  };
+
+  // Custom logic gates can't be used as names of permission types either.
+  // The key lists are looked up for every node of a permission tree, so they are only built again after a custom logic gate has been added or removed.
+  var getReservedKeys = function() {
+    if(reserved_keys === null) {
+      reserved_keys = getCorePermissionKeys().concat(Object.keys(custom_gates));
+    }
+    return reserved_keys;
+  };
+
+  var getGateKeys = function() {
+    if(gate_keys === null) {
+      gate_keys = ['AND', 'NAND', 'OR', 'NOR', 'XOR', 'XNOR', 'ONE_OF', 'IMPLIES', 'NOT', 'AT_LEAST', 'AT_MOST', 'EXACTLY'].concat(Object.keys(custom_gates));
+    }
+    return gate_keys;
+  };
+
+  // Threshold gates have a value with the structure {count: Number, of: Array|Object}, where "of" contains the children.
+  var getThresholdGateKeys = function() {
+    return ['AT_LEAST', 'AT_MOST', 'EXACTLY'];
+  };
+
+  var getValueTypes = function() {
+    return ['string', 'number', 'object', 'array'];
+  };
+
+  var getTypeOptions = function getTypeOptions(type) {
+    return type_options.hasOwnProperty(type) ? type_options[type] : {memoize: true, accepts: ['string']};
+  };
+
+  // Checks whether a number, object or array is a permission value that should be passed to the callback of the permission type, as declared by the "accepts" option of the type. An object with a single logic gate as its key is always a logic gate, also if it has metadata keys next to the logic gate.
+  var isPermissionValue = function isPermissionValue(permissions, type) {
+    if(type === undefined) {
+      return false;
+    }
+    var value_type = {Number: 'number', Object: 'object', Array: 'array'}[getVariableType(permissions)];
+    if(value_type === undefined || getTypeOptions(type).accepts.indexOf(value_type) == -1) {
+      return false;
+    }
+    if(value_type === 'object') {
+      var keys = Object.keys(permissions).filter(function(key) {
+        return !isMetadataKey(key);
+      });
+      if(keys.length == 1 && getGateKeys().indexOf(keys[0].toUpperCase()) != -1) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  var getVariableType = function getVariableType(variable) {
+    return Object.prototype.toString.call(variable).slice(8, -1);
+  };
+
+  // Throws the error of the first problem found by validatePermissions(), if any, with the path of the problem added to it.
+  var assertValidPermissions = function assertValidPermissions(permissions) {
+    var problems = self.validatePermissions(permissions);
+    if(problems.length) {
+      var error = problems[0].error;
+      error.path = problems[0].path;
+      throw error;
+    }
+  };
+
+  // Throws an error if a permission tree has NO_BYPASS keys beneath the top level, which the features that analyze permission trees without evaluating them don't support.
+  var assertNoScopedNoBypass = function assertNoScopedNoBypass(permissions, method) {
+    var scoped = getVariableType(permissions) !== 'Object' ? containsNoBypass(permissions) : Object.keys(permissions).some(function(key) {
+      if(key === 'NO_BYPASS' || key === 'no_bypass') {
+        return containsNoBypass(permissions[key]);
+      }
+      var child = {};
+      child[key] = permissions[key];
+      return containsNoBypass(child);
+    });
+    if(scoped) {
+      throw new InvalidArgumentValueError('NO_BYPASS keys beneath the top level of a permission tree are not supported by LogicalPermissions::' + method + '(). Evaluated permissions: ' + JSON.stringify(permissions), {permissions: permissions});
+    }
+  };
+
+  var isNumeric = function isNumeric(variable) {
+    return !isNaN(parseFloat(variable)) && isFinite(variable);
+  };
+
+  var isThenable = function isThenable(variable) {
+    return variable !== null && (typeof variable === 'object' || typeof variable === 'function') && typeof variable.then === 'function';
+  };
+
+  var objectLength = function objectLength(obj) {
+    var size = 0, key;
+    for (key in obj) {
+      if (obj.hasOwnProperty(key)) size++;
+    }
+    return size;
+  };
+
+  var negate = function negate(access) {
+    return !access;
+  };
+
+  // Passes a value to the callback, waiting for it first if it is a promise. This lets the same evaluation code run both synchronously and asynchronously.
+  var resolveValue = function resolveValue(value, callback) {
+    if(isThenable(value)) {
+      return value.then(callback);
+    }
+    return callback(value);
+  };
+
+  var evaluate = function evaluate(permissions, context, allow_bypass, state) {
+    return observeCheck(permissions, context, allow_bypass, function() {
+      return evaluateTree(permissions, context, allow_bypass, state);
+    });
+  };
+
+  var evaluateTree = function evaluateTree(permissions, context, allow_bypass, state) {
+    if(permissions === undefined) {
+      throw new MissingArgumentError('The permissions parameter is required.', {argument: 'permissions'});
+    }
+    var permissions_vartype = getVariableType(permissions);
+    if(permissions_vartype !== 'Object' && permissions_vartype !== 'Array' && permissions_vartype !== 'String' && permissions_vartype !== 'Boolean') {
+      throw new InvalidArgumentTypeError('The permissions parameter must be an object or an array, or in certain cases a string or boolean.', {argument: 'permissions'});
+    }
+    context = (typeof context === 'undefined') ? {} : context;
+    if(getVariableType(context) !== 'Object') {
+      throw new InvalidArgumentTypeError('The context parameter must be an object.', {argument: 'context'});
+    }
+    allow_bypass = (typeof allow_bypass === 'undefined') ? true : allow_bypass;
+    if(getVariableType(allow_bypass) !== 'Boolean') {
+      throw new InvalidArgumentTypeError('The allow_bypass parameter must be a boolean.', {argument: 'allow_bypass'});
+    }
+
+    if(state.memo === undefined) {
+      state.memo = memoization ? {} : null;
+    }
+    // The bypass callbacks are called at most once for each permission tree even without memoization, since a scoped bypass evaluation can check bypass access for several parts of the tree
+    state.bypass_results = state.memo ? state.memo : {};
+
+    var permissions_json = JSON.stringify(permissions);
+    var permissions_copy = JSON.parse(permissions_json);
+
+    // uppercasing of no_bypass key for backward compatibility
+    if(permissions_vartype === 'Object' && permissions_copy.hasOwnProperty('no_bypass')) {
+      permissions_copy.NO_BYPASS = JSON.parse(JSON.stringify(permissions_copy.no_bypass));
+      delete permissions_copy.no_bypass;
+    }
+
+    var no_bypass;
+    if(permissions_vartype === 'Object' && permissions_copy.hasOwnProperty('NO_BYPASS')) {
+      no_bypass = permissions_copy.NO_BYPASS;
+      delete permissions_copy.NO_BYPASS;
+    }
+
+    return processBypass(no_bypass, allow_bypass, context, state, function(state) {
+      return processShorthandOR(no_bypass, undefined, context, state);
+    }, function(state) {
+      return processTree(permissions_copy, context, state);
+    }, hasScopedNoBypass(permissions_json, permissions_copy, no_bypass !== undefined));
+  };
+
+  // Only permission trees that have other NO_BYPASS keys than the one at the top level or refer to permission definitions can have NO_BYPASS keys beneath the top level, so the other ones don't need to be searched for them.
+  var hasScopedNoBypass = function hasScopedNoBypass(permissions_json, permissions, top_level) {
+    var keys = permissions_json.match(/"(no_bypass|ref)":/gi);
+    return keys !== null && keys.length > (top_level ? 1 : 0) && containsNoBypass(permissions);
+  };
+
+  // Emits the events of an access check around the check itself, which either returns the access result or a promise for it.
+  var observeCheck = function observeCheck(permissions, context, allow_bypass, check) {
+    if(!listeners.beforeCheck.length && !listeners.afterCheck.length && !listeners.error.length) {
+      return check();
+    }
+    var createEvent = function(properties) {
+      var event = {permissions: permissions, context: context, allow_bypass: allow_bypass};
+      for(var key in properties) {
+        event[key] = properties[key];
+      }
+      return event;
+    };
+    var fail = function(error) {
+      emit('error', createEvent({error: error, duration: now() - start}));
+      throw error;
+    };
+    var finish = function(access) {
+      emit('afterCheck', createEvent({access: access, duration: now() - start}));
+      return access;
+    };
+
+    emit('beforeCheck', createEvent({}));
+    var start = now();
+    var access;
+    try {
+      access = check();
+    }
+    catch(error) {
+      fail(error);
+    }
+    return isThenable(access) ? access.then(finish, fail) : finish(access);
+  };
+
+  // Each listener gets its own deep copy of the event object, and errors thrown by listeners are discarded so that they can't affect the access check. So are the rejections of promises returned by asynchronous listeners, which would otherwise be unhandled rejections.
+  var emit = function emit(event, data) {
+    if(!listeners[event].length) {
+      return;
+    }
+    listeners[event].slice().forEach(function(listener) {
+      var copy = {};
+      for(var key in data) {
+        copy[key] = copyEventValue(data[key], []);
+      }
+      try {
+        var result = listener(copy);
+        if(isThenable(result)) {
+          result.then(null, function() {});
+        }
+      }
+      catch(error) {
+        // The access check continues as if the listener had succeeded
+      }
+    });
+  };
+
+  // Copies the arrays and plain objects in a value of an event, such as the permission tree and the context, so that listeners can't change the ones that are used by the access check. Other objects, such as errors and class instances, are passed as they are.
+  var copyEventValue = function copyEventValue(value, copies) {
+    var variable_type = getVariableType(value);
+    if(variable_type !== 'Array' && (variable_type !== 'Object' || [Object.prototype, null].indexOf(Object.getPrototypeOf(value)) == -1)) {
+      return value;
+    }
+    for(var i = 0; i < copies.length; i++) {
+      if(copies[i].original === value) {
+        return copies[i].copy;
+      }
+    }
+    var copy = variable_type === 'Array' ? [] : {};
+    copies.push({original: value, copy: copy});
+    for(var key in value) {
+      if(Object.prototype.hasOwnProperty.call(value, key)) {
+        copy[key] = copyEventValue(value[key], copies);
+      }
+    }
+    return copy;
+  };
+
+  // Gets a timestamp in milliseconds for measuring how long a part of an access check takes.
+  var now = function now() {
+    return typeof performance !== 'undefined' && typeof performance.now === 'function' ? performance.now() : Date.now();
+  };
+
+  // Gets the result that makes a child node of a trace responsible for denying access, given the result that denies access for the node itself. Negating gates invert it, and the condition of an IMPLIES gate denies access by being true. The children of the logic gates that don't favour either result, such as XOR, are responsible with whatever result they had.
+  var getDenyingResult = function getDenyingResult(node, index, child, denying) {
+    if(node.kind !== 'gate' || ['AND', 'OR', 'AT_LEAST'].indexOf(node.gate) != -1) {
+      return denying;
+    }
+    if(['NOT', 'NAND', 'NOR'].indexOf(node.gate) != -1) {
+      return !denying;
+    }
+    if(node.gate === 'IMPLIES') {
+      return index == 0 ? !denying : denying;
+    }
+    return child.result;
+  };
+
+  // Evaluates a permission tree without a top level NO_BYPASS key, which is either the main permission tree or a permission definition. Empty permission trees grant access.
+  var processTree = function processTree(permissions, context, state) {
+    var variable_type = getVariableType(permissions);
+    if(variable_type === 'String' || variable_type === 'Boolean') {
+      return dispatch(permissions, undefined, context, state);
+    }
+    if((variable_type === 'Object' && getPermissionKeys(permissions).length > 0) || (variable_type === 'Array' && permissions.length > 0)) {
+      return processShorthandOR(permissions, undefined, context, state);
+    }
+    return true;
+  };
+
+  // Gets the error for a NO_BYPASS array that doesn't consist of the names of existing bypass rules, or null if it does.
+  var getNoBypassRulesError = function getNoBypassRulesError(no_bypass) {
+    for(var i = 0; i < no_bypass.length; i++) {
+      if(getVariableType(no_bypass[i]) !== 'String' || !no_bypass[i]) {
+        return new InvalidArgumentValueError('The NO_BYPASS value must be a boolean, a boolean string, an object or an array of bypass rule names. Current value: ' + JSON.stringify(no_bypass), {permissions: no_bypass});
+      }
+      if(!bypass_rules.hasOwnProperty(no_bypass[i])) {
+        return new InvalidArgumentValueError('The bypass rule "' + no_bypass[i] + '" in the NO_BYPASS value has not been added. Please use LogicalPermissions::addBypassRule() to add bypass rules.', {permissions: no_bypass});
+      }
+    }
+    return null;
+  };
+
+  // Finds out whether a NO_BYPASS value disables bypassing altogether, which an array of bypass rule names never does. A NO_BYPASS object is evaluated by evaluateCondition().
+  var isBypassDisabled = function isBypassDisabled(no_bypass, evaluateCondition) {
+    var variable_type = getVariableType(no_bypass);
+    if(variable_type === 'Boolean') {
+      return no_bypass;
+    }
+    if(variable_type === 'String' && ['TRUE', 'FALSE'].indexOf(no_bypass.toUpperCase()) != -1) {
+      return no_bypass.toUpperCase() === 'TRUE';
+    }
+    if(variable_type === 'Object') { //Object containing permissions which act as conditions
+      return evaluateCondition();
+    }
+    if(variable_type === 'Array') { //Array containing the names of the bypass rules that are disabled
+      var error = getNoBypassRulesError(no_bypass);
+      if(error) {
+        throw error;
+      }
+      return false;
+    }
+    throw new InvalidArgumentValueError('The NO_BYPASS value must be a boolean, a boolean string, an object or an array of bypass rule names. Current value: ' + JSON.stringify(no_bypass), {permissions: no_bypass});
+  };
+
+  // Grants access if bypassing access is allowed by allow_bypass and the NO_BYPASS value, and the bypass callback or one of the bypass rules that the NO_BYPASS value doesn't disable grants it. Otherwise the permission tree is evaluated by evaluatePermissions(). A NO_BYPASS object is evaluated by evaluateNoBypass().
+  // If the permission tree has NO_BYPASS keys beneath the top level, granted bypass access doesn't grant access directly. The permission tree is evaluated in a scoped bypass evaluation instead, where only the parts of the tree in which bypassing is still allowed are bypassed.
+  var processBypass = function processBypass(no_bypass, allow_bypass, context, state, evaluateNoBypass, evaluatePermissions, scoped) {
+    if(state.trace) {
+      state.trace.bypass = {allowed: allow_bypass, no_bypass: null, granted: null, rule: null};
+    }
+
+    var no_bypass_state = state;
+    var disabled_rules = [];
+    if(allow_bypass && no_bypass !== undefined) {
+      if(state.trace) {
+        state.trace.bypass.no_bypass = {permissions: no_bypass, result: null, trace: null};
+        if(getVariableType(no_bypass) === 'Object') {
+          no_bypass_state = descendTrace(state, {children: []});
+        }
+      }
+      allow_bypass = resolveValue(isBypassDisabled(no_bypass, function() {
+        return evaluateNoBypass(no_bypass_state);
+      }), negate);
+      if(getVariableType(no_bypass) === 'Array') {
+        disabled_rules = no_bypass;
+      }
+    }
+
+    return resolveValue(allow_bypass, function(allow_bypass) {
+      if(state.trace) {
+        state.trace.bypass.allowed = allow_bypass;
+        if(state.trace.bypass.no_bypass) {
+          state.trace.bypass.no_bypass.result = !allow_bypass;
+          if(no_bypass_state !== state) {
+            state.trace.bypass.no_bypass.trace = no_bypass_state.trace.children[0];
+          }
+        }
+      }
+      return resolveValue(allow_bypass && checkBypassAccess(context, state, disabled_rules), function(bypass) {
+        if(state.trace && bypass) {
+          state.trace.bypass.granted = bypass.access;
+          state.trace.bypass.rule = bypass.rule;
+        }
+        if(bypass && bypass.access) {
+          return scoped ? evaluatePermissions(withBypass(state, {disabled_rules: disabled_rules, negated: false})) : true;
+        }
+
+        return evaluatePermissions(state);
+      });
+    });
+  };
+
+  // Copies the evaluation state with the bypass state of a scoped bypass evaluation, which has the structure {disabled_rules: Array, negated: Boolean}, or with null where bypassing isn't possible.
+  var withBypass = function withBypass(state, bypass) {
+    var child_state = {};
+    for(var key in state) {
+      child_state[key] = state[key];
+    }
+    child_state.bypass = bypass;
+    return child_state;
+  };
+
+  // Gets the bypass state within a logic gate that has a NO_BYPASS key, which is null if the NO_BYPASS value disables bypassing altogether. Otherwise the bypass rules in a NO_BYPASS array are disabled in addition to the ones that are already disabled. A NO_BYPASS object is evaluated by evaluateCondition().
+  var getScopedBypass = function getScopedBypass(no_bypass, bypass, evaluateCondition) {
+    return resolveValue(isBypassDisabled(no_bypass, evaluateCondition), function(disabled) {
+      if(disabled) {
+        return null;
+      }
+      if(getVariableType(no_bypass) !== 'Array') {
+        return bypass;
+      }
+      var disabled_rules = bypass.disabled_rules.concat(no_bypass.filter(function(rule) {
+        return bypass.disabled_rules.indexOf(rule) == -1;
+      }));
+      return {disabled_rules: disabled_rules, negated: bypass.negated};
+    });
+  };
+
+  // Gets the bypass state for the children of a logic gate. Bypassing a child should favour access, which means letting it grant access beneath AND, OR and AT_LEAST gates and letting it deny access beneath NOT, NAND and NOR gates. The other logic gates don't favour access in either way, so their children aren't bypassed.
+  var getChildBypass = function getChildBypass(gate, bypass) {
+    if(['AND', 'OR', 'AT_LEAST'].indexOf(gate) != -1) {
+      return bypass;
+    }
+    if(['NOT', 'NAND', 'NOR'].indexOf(gate) != -1) {
+      return {disabled_rules: bypass.disabled_rules, negated: !bypass.negated};
+    }
+    return null;
+  };
+
+  // Copies the evaluation state so that the trace of a nested evaluation step is collected in the given trace node.
+  var descendTrace = function descendTrace(state, node) {
+    var child_state = {};
+    for(var key in state) {
+      child_state[key] = state[key];
+    }
+    child_state.trace = node;
+    return child_state;
+  };
+
+  // Runs an evaluation step and, if a trace is being collected, adds the given trace node to it together with the result of the step.
+  var traceStep = function traceStep(state, node, evaluate) {
+    if(!state.trace) {
+      return evaluate(state);
+    }
+
+    node.result = null;
+    state.trace.children.push(node);
+    return resolveValue(evaluate(descendTrace(state, node)), function(access) {
+      node.result = access;
+      return access;
+    });
+  };
+
+  // Calls the bypass callback and then the bypass rules that aren't disabled, one at a time, until one of them grants bypass access. Returns null if there is nothing to call, otherwise an object with the structure {access: Boolean, rule: String|null} where "rule" is the name of the bypass rule that granted bypass access.
+  var checkBypassAccess = function checkBypassAccess(context, state, disabled_rules) {
+    var checks = [];
+    var bypass_callback = self.getBypassCallback();
+    if(getVariableType(bypass_callback) === 'Function') {
+      checks.push({rule: null, callback: bypass_callback});
+    }
+    for(var name in bypass_rules) {
+      if(disabled_rules.indexOf(name) == -1) {
+        checks.push({rule: name, callback: bypass_rules[name]});
+      }
+    }
+    if(!checks.length) {
+      return null;
+    }
+
+    var checkNext = function checkNext(i) {
+      if(i == checks.length) {
+        return {access: false, rule: null};
+      }
+      return resolveValue(callBypassCallback(checks[i].callback, checks[i].rule, context, state), function(bypass_access) {
+        return bypass_access ? {access: true, rule: checks[i].rule} : checkNext(i + 1);
+      });
+    };
+    return checkNext(0);
+  };
+
+  var callBypassCallback = function callBypassCallback(callback, rule, context, state) {
+    // The bypass access is stored under a key that can't be mistaken for the JSON key of a permission, since the results may be shared with the memoized permissions
+    var result_key = rule === null ? 'bypass' : 'bypass:' + rule;
+    if(state.bypass_results.hasOwnProperty(result_key)) {
+      return state.bypass_results[result_key];
+    }
+
+    var start = listeners.bypass.length ? now() : 0;
+    var validateBypassAccess = function(bypass_access) {
+      if(getVariableType(bypass_access) !== 'Boolean') {
+        var message = rule === null ? 'The bypass access callback must return a boolean.' : 'The callback of the bypass rule "' + rule + '" must return a boolean.';
+        throw new InvalidCallbackReturnTypeError(message, {value: bypass_access});
+      }
+      emit('bypass', {rule: rule, context: context, access: bypass_access, duration: now() - start});
+      return bypass_access;
+    };
+    var bypass_access = callback(context);
+    bypass_access = state.async ? resolveValue(bypass_access, validateBypassAccess) : validateBypassAccess(bypass_access);
+    state.bypass_results[result_key] = bypass_access;
+    return bypass_access;
+  };
+
+  // In a scoped bypass evaluation, a part of the permission tree without NO_BYPASS keys is bypassed if the bypass callback or one of the bypass rules that aren't disabled there grants bypass access. A bypassed part gets the result that favours access, which is false if it is negated and true otherwise. Parts that aren't bypassed are evaluated as usual.
+  var processBypassed = function processBypassed(permissions, type, context, state) {
+    return resolveValue(checkBypassAccess(context, state, state.bypass.disabled_rules), function(bypass) {
+      if(bypass && bypass.access) {
+        return traceStep(state, {kind: 'bypassed', permissions: permissions, rule: bypass.rule}, function() {
+          return !state.bypass.negated;
+        });
+      }
+      return dispatch(permissions, type, context, withBypass(state, null));
+    });
+  };
+
+  var dispatch = function dispatch(permissions, type, context, state) {
+    context = (typeof context === 'undefined') ? {} : context;
+    if(state.bypass && !containsNoBypass(permissions)) {
+      return processBypassed(permissions, type, context, state);
+    }
+    var variable_type = getVariableType(permissions);
+    if(variable_type === 'Boolean') {
+      if(permissions === true) {
+        if(type !== undefined) {
+          throw new InvalidArgumentValueError('You cannot put a boolean permission as a descendant to a permission type. Existing type: ' + type + '. Evaluated permissions: ' + JSON.stringify(permissions), {permissions: permissions, type: type});
+        }
+        return processBoolean(permissions, true, state);
+      }
+      if(permissions === false) {
+        if(type !== undefined) {
+          throw new InvalidArgumentValueError('You cannot put a boolean permission as a descendant to a permission type. Existing type: ' + type + '. Evaluated permissions: ' + JSON.stringify(permissions), {permissions: permissions, type: type});
+        }
+        return processBoolean(permissions, false, state);
+      }
+    }
+    if(variable_type === 'String') {
+      if(permissions.toUpperCase() === 'TRUE') {
+        if(type !== undefined) {
+          throw new InvalidArgumentValueError('You cannot put a boolean permission as a descendant to a permission type. Existing type: ' + type + '. Evaluated permissions: ' + JSON.stringify(permissions), {permissions: permissions, type: type});
+        }
+        return processBoolean(permissions, true, state);
+      }
+      if(permissions.toUpperCase() === 'FALSE') {
+        if(type !== undefined) {
+          throw new InvalidArgumentValueError('You cannot put a boolean permission as a descendant to a permission type. Existing type: ' + type + '. Evaluated permissions: ' + JSON.stringify(permissions), {permissions: permissions, type: type});
+        }
+        return processBoolean(permissions, false, state);
+      }
+      if(type !== undefined && getTypeOptions(type).accepts.indexOf('string') == -1) {
+        throw new InvalidArgumentTypeError('The permission type "' + type + '" does not accept string values. Evaluated permissions: ' + JSON.stringify(permissions), {permissions: permissions, type: type});
+      }
+      return externalAccessCheck(permissions, type, context, state);
+    }
+    if(isPermissionValue(permissions, type)) {
+      return externalAccessCheck(permissions, type, context, state);
+    }
+    if(variable_type === 'Array' && permissions.length > 0) {
+      return processShorthandOR(permissions, type, context, state);
+    }
+    if(variable_type === 'Object') {
+      // An object with metadata keys or a NO_BYPASS key is evaluated as a shorthand OR gate so that these keys belong to the node of the whole object
+      if(objectLength(permissions) == 1 && getPermissionKeys(permissions).length == 1) {
+        var key = '';
+        for(var tmpkey in permissions) {
+          key = tmpkey;
+          break;
+        }
+        var value = permissions[key];
+        if(!isNumeric(key)) {
+          var key_upper = key.toUpperCase();
+          if(key_upper === 'REF') {
+            return processReference(permissions, value, type, context, state);
+          }
+          if(getGateKeys().indexOf(key_upper) != -1) {
+            return processGate(key_upper, value, type, context, state);
+          }
+          if(key_upper === 'TRUE' || key_upper === 'FALSE') {
+            throw new InvalidArgumentValueError('A boolean permission cannot have children. Evaluated permissions: ' + JSON.stringify(permissions), {permissions: permissions, type: type});
+          }
+
+          if(type !== undefined) {
+            throw new InvalidArgumentValueError('You cannot put a permission type as a descendant to another permission type. Existing type: ' + type + '. Evaluated permissions: ' + JSON.stringify(permissions), {permissions: permissions, type: type});
+          }
+          if(!self.typeExists(key)) {
+            throw new PermissionTypeNotRegisteredError('The permission type "' + key + '" has not been registered. Please use LogicalPermissions::addType() or LogicalPermissions::setTypes() to register permission types.', {type: key});
+          }
+          return traceStep(state, {kind: 'type', type: key, permissions: value, children: []}, function(state) {
+            return processValue(value, key, context, state);
+          });
+        }
+        return processValue(value, type, context, state);
+      }
+      if(objectLength(permissions) > 0) {
+        return processShorthandOR(permissions, type, context, state);
+      }
+    }
+
+    throw new InvalidArgumentTypeError('A permission value must either be a boolean, a string, an array or an object. Evaluated permissions: ' + permissions, {permissions: permissions, type: type});
+  };
+
+  var processValue = function processValue(permissions, type, context, state) {
     var variable_type = getVariableType(permissions);
-    if(variable_type === 'Array') {
-      if(permissions.length < 1) {
-        throw {name: 'InvalidValueForLogicGateException', message: 'The value array of an OR gate must contain a minimum of one element. Current value: ' + JSON.stringify(permissions)};
+    if((variable_type === 'Array' || variable_type === 'Object') && !isPermissionValue(permissions, type)) {
+      return processShorthandOR(permissions, type, context, state);
+    }
+    return dispatch(permissions, type, context, state);
+  };
+
+  var processBoolean = function processBoolean(permissions, access, state) {
+    return traceStep(state, {kind: 'boolean', permissions: permissions}, function() {
+      return access;
+    });
+  };
+
+  var processReference = function processReference(permissions, name, type, context, state) {
+    var error = getReferenceError(permissions, name, type);
+    if(error) {
+      throw error;
+    }
+
+    var definition = definitions[name];
+    // The trace gets its own copy so that the definition can't be changed through it
+    return traceStep(state, {kind: 'reference', reference: name, permissions: state.trace ? JSON.parse(JSON.stringify(definition)) : definition, children: []}, function(state) {
+      return processTree(definition, context, state);
+    });
+  };
+
+  // The value of a NOT gate is its child, so any metadata or NO_BYPASS key in it belongs to the child rather than to the gate.
+  var processGate = function processGate(gate, permissions, type, context, state) {
+    var node = {kind: 'gate', gate: gate, permissions: permissions, children: []};
+    if(state.trace && gate !== 'NOT') {
+      addMetadata(node, permissions);
+    }
+    return traceStep(state, node, function(state) {
+      if(gate === 'NOT') {
+        return processGateChildren(gate, permissions, type, context, state);
       }
+      return processScopedNoBypass(permissions, type, context, state, function(state) {
+        return processGateChildren(gate, permissions, type, context, state);
+      });
+    });
+  };
 
-      for(var i in permissions) {
-        var permission = permissions[i];
-        access = access || dispatch(permission, type, context);
-        if(access) {
-          break;
-        }
+  // Objects and arrays without a logic gate as their key are evaluated as an OR gate.
+  var processShorthandOR = function processShorthandOR(permissions, type, context, state) {
+    var node = {kind: 'gate', gate: 'OR', shorthand: true, permissions: permissions, children: []};
+    if(state.trace) {
+      addMetadata(node, permissions);
+    }
+    return traceStep(state, node, function(state) {
+      return processScopedNoBypass(permissions, type, context, state, function(state) {
+        return processGateChildren('OR', permissions, type, context, state);
+      });
+    });
+  };
+
+  // Applies the NO_BYPASS key of a logic gate, if it has one, before its children are evaluated by evaluateChildren(). NO_BYPASS keys beneath the top level only make a difference in a scoped bypass evaluation, where the result of the NO_BYPASS value is added to the trace node of the gate.
+  var processScopedNoBypass = function processScopedNoBypass(permissions, type, context, state, evaluateChildren) {
+    var key = getVariableType(permissions) === 'Object' ? getNoBypassKey(permissions) : null;
+    if(key === null) {
+      return evaluateChildren(state);
+    }
+    if(type !== undefined) {
+      throw new InvalidArgumentValueError('The NO_BYPASS key cannot be placed beneath a permission type. Existing type: ' + type + '. Evaluated permissions: ' + JSON.stringify(permissions), {permissions: permissions, type: type});
+    }
+    if(!state.bypass) {
+      return evaluateChildren(state);
+    }
+
+    var no_bypass = permissions[key];
+    var condition_state = withBypass(state, null);
+    if(state.trace) {
+      state.trace.no_bypass = {permissions: no_bypass, result: null, trace: null};
+      if(getVariableType(no_bypass) === 'Object') {
+        condition_state = descendTrace(condition_state, {children: []});
       }
     }
-    else if(variable_type === 'Object') {
-      if(objectLength(permissions) < 1) {
-        throw {name: 'InvalidValueForLogicGateException', message: 'The value object of an OR gate must contain a minimum of one element. Current value: ' + JSON.stringify(permissions)};
+    return resolveValue(getScopedBypass(no_bypass, state.bypass, function() {
+      return processShorthandOR(no_bypass, undefined, context, condition_state);
+    }), function(bypass) {
+      if(state.trace) {
+        state.trace.no_bypass.result = bypass === null;
+        if(condition_state.trace !== state.trace) {
+          state.trace.no_bypass.trace = condition_state.trace.children[0];
+        }
       }
+      return evaluateChildren(withBypass(state, bypass));
+    });
+  };
 
-      for(var key in permissions) {
-        var subpermissions = {};
-        subpermissions[key] = permissions[key];
-        access = access || dispatch(subpermissions, type, context);
-        if(access) {
+  var processGateChildren = function processGateChildren(gate, permissions, type, context, state) {
+    var error = getGateValueError(gate, permissions, type);
+    if(error) {
+      throw error;
+    }
+    error = getGateMetadataError(gate, permissions);
+    if(error) {
+      throw error;
+    }
+
+    var children = getGateChildren(gate, permissions);
+    if(state.bypass) {
+      state = withBypass(state, getChildBypass(gate, state.bypass));
+    }
+    if(!state.trace) {
+      return validateGateAccess(gate, getGateEvaluator(gate, permissions)(children, function(child) {
+        return dispatch(child, type, context, state);
+      }), state);
+    }
+
+    var evaluated = [];
+    var access = validateGateAccess(gate, getGateEvaluator(gate, permissions)(children, function(child) {
+      for(var i = 0; i < children.length; i++) {
+        if(!evaluated[i] && children[i] === child) {
+          evaluated[i] = true;
           break;
         }
       }
+      return dispatch(child, type, context, state);
+    }), state);
+    return resolveValue(access, function(access) {
+      for(var i = 0; i < children.length; i++) {
+        if(!evaluated[i]) {
+          state.trace.children.push({kind: 'skipped', permissions: children[i]});
+        }
+      }
+      return access;
+    });
+  };
+
+  // The children of a permission object are split into objects with a single key each.
+  var getChildren = function getChildren(permissions) {
+    if(getVariableType(permissions) === 'Array') {
+      return permissions;
     }
-    else {
-      throw {name: 'InvalidValueForLogicGateException', message: 'The value of an OR gate must be an array or object. Current value: ' + permissions};
+
+    var children = [];
+    for(var key in permissions) {
+      if(isMetadataKey(key) || isNoBypassKey(key)) {
+        continue;
+      }
+      var subpermissions = {};
+      subpermissions[key] = permissions[key];
+      children.push(subpermissions);
     }
-    return access;
+    return children;
+  };
+
+  var getGateChildren = function getGateChildren(gate, permissions) {
+    if(gate === 'NOT') {
+      return [permissions];
+    }
+    if(getThresholdGateKeys().indexOf(gate) != -1) {
+      return getChildren(permissions.of);
+    }
+    return getChildren(permissions);
   };
 
-  var processNOR = function processNOR(permissions, type, context) {
+  // Compiles a validated permission tree into a function that takes the context and the evaluation state and returns the access result.
+  // Permission definitions are compiled together with the permission trees that refer to them, so later changes to the definitions don't affect compiled evaluators.
+  var compileTree = function compileTree(permissions) {
     var variable_type = getVariableType(permissions);
-    if(variable_type === 'Array') {
-      if(permissions.length < 1) {
-        throw {name: 'InvalidValueForLogicGateException', message: 'The value array of a NOR gate must contain a minimum of one element. Current value: ' + JSON.stringify(permissions)};
+    if(variable_type === 'String' || variable_type === 'Boolean') {
+      return compileNode(permissions, undefined);
+    }
+    if((variable_type === 'Object' && objectLength(permissions) > 0) || (variable_type === 'Array' && permissions.length > 0)) {
+      return compileGate('OR', permissions, undefined);
+    }
+    return function() {
+      return true;
+    };
+  };
+
+  var compileNode = function compileNode(permissions, type) {
+    var variable_type = getVariableType(permissions);
+    if(variable_type === 'Boolean') {
+      return function() {
+        return permissions;
+      };
+    }
+    if(variable_type === 'String') {
+      var permissions_upper = permissions.toUpperCase();
+      if(permissions_upper === 'TRUE' || permissions_upper === 'FALSE') {
+        var access = permissions_upper === 'TRUE';
+        return function() {
+          return access;
+        };
       }
+      return compileLeaf(permissions, type);
     }
-    else if(variable_type === 'Object') {
-      if(objectLength(permissions) < 1) {
-        throw {name: 'InvalidValueForLogicGateException', message: 'The value object of a NOR gate must contain a minimum of one element. Current value: ' + JSON.stringify(permissions)};
+    if(isPermissionValue(permissions, type)) {
+      return compileLeaf(permissions, type);
+    }
+    if(variable_type === 'Array' || objectLength(permissions) > 1) {
+      return compileGate('OR', permissions, type);
+    }
+
+    var key = Object.keys(permissions)[0];
+    var value = permissions[key];
+    if(!isNumeric(key)) {
+      var key_upper = key.toUpperCase();
+      if(key_upper === 'REF') {
+        return compileTree(getDefinition(value));
       }
+      if(getGateKeys().indexOf(key_upper) != -1) {
+        return compileGate(key_upper, value, type);
+      }
+      type = key;
     }
-    else {
-      throw {name: 'InvalidValueForLogicGateException', message: 'The value of a NOR gate must be an array or object. Current value: ' + permissions};
+    var value_vartype = getVariableType(value);
+    if((value_vartype === 'Array' || value_vartype === 'Object') && !isPermissionValue(value, type)) {
+      return compileGate('OR', value, type);
+    }
+    return compileNode(value, type);
+  };
+
+  var compileLeaf = function compileLeaf(permissions, type) {
+    return function(context, state) {
+      if(!types.hasOwnProperty(type)) {
+        throw new PermissionTypeNotRegisteredError('The permission type "' + type + '" has not been registered. Please use LogicalPermissions::addType() or LogicalPermissions::setTypes() to register permission types.', {type: type});
+      }
+      return callTypeCallback(types[type], permissions, type, context, state);
+    };
+  };
+
+  var compileGate = function compileGate(gate, permissions, type) {
+    var child_permissions = getGateChildren(gate, permissions);
+    var children = child_permissions.map(function(child) {
+      return compileNode(child, type);
+    });
+    var evaluateGate = getGateEvaluator(gate, permissions);
+    var evaluateChildren = function(context, state) {
+      return validateGateAccess(gate, evaluateGate(children, function(child) {
+        return child(context, state);
+      }), state);
+    };
+    // The handlers of custom logic gates get the child permissions, like in checkAccess(), so that they can inspect them
+    if(custom_gates.hasOwnProperty(gate)) {
+      evaluateChildren = function(context, state) {
+        return validateGateAccess(gate, evaluateGate(child_permissions, function(child) {
+          return children[child_permissions.indexOf(child)](context, state);
+        }), state);
+      };
+    }
+    var no_bypass_key = gate !== 'NOT' && getVariableType(permissions) === 'Object' ? getNoBypassKey(permissions) : null;
+    if(no_bypass_key === null && !child_permissions.some(containsNoBypass)) {
+      return evaluateChildren;
     }
 
-    return !processOR(permissions, type, context);
+    // Only gates with NO_BYPASS keys somewhere beneath them can be reached in a scoped bypass evaluation, so the other gates don't need to handle it
+    children = children.map(function(child, i) {
+      return containsNoBypass(child_permissions[i]) ? child : compileBypassable(child);
+    });
+    var no_bypass = no_bypass_key !== null ? permissions[no_bypass_key] : undefined;
+    var compiled_condition = getVariableType(no_bypass) === 'Object' ? compileGate('OR', no_bypass, undefined) : null;
+    return function(context, state) {
+      if(!state.bypass) {
+        return evaluateChildren(context, state);
+      }
+      var evaluateScoped = function(bypass) {
+        return evaluateChildren(context, withBypass(state, bypass && getChildBypass(gate, bypass)));
+      };
+      if(no_bypass === undefined) {
+        return evaluateScoped(state.bypass);
+      }
+      return resolveValue(getScopedBypass(no_bypass, state.bypass, function() {
+        return compiled_condition(context, withBypass(state, null));
+      }), evaluateScoped);
+    };
   };
 
-  var processXOR = function processXOR(permissions, type, context) {
-    var access = false;
-    var count_true = 0;
-    var count_false = 0;
+  // Lets a compiled part of a permission tree without NO_BYPASS keys be bypassed in a scoped bypass evaluation, like processBypassed() does.
+  var compileBypassable = function compileBypassable(compiled) {
+    return function(context, state) {
+      if(!state.bypass) {
+        return compiled(context, state);
+      }
+      return resolveValue(checkBypassAccess(context, state, state.bypass.disabled_rules), function(bypass) {
+        if(bypass && bypass.access) {
+          return !state.bypass.negated;
+        }
+        return compiled(context, withBypass(state, null));
+      });
+    };
+  };
+
+  var getChildPath = function getChildPath(path, key) {
+    if(getVariableType(key) === 'Number') {
+      return path + '[' + key + ']';
+    }
+    if(/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key)) {
+      return path + '.' + key;
+    }
+    return path + "['" + key.replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "']";
+  };
+
+  var addProblem = function addProblem(problems, path, error) {
+    problems.push({path: path, name: error.name, code: error.code, message: error.message, error: error});
+  };
+
+  var validateNoBypass = function validateNoBypass(permissions, path, problems) {
     var variable_type = getVariableType(permissions);
+    if(variable_type === 'Boolean') {
+      return;
+    }
+    if(variable_type === 'String' && ['TRUE', 'FALSE'].indexOf(permissions.toUpperCase()) != -1) {
+      return;
+    }
+    if(variable_type === 'Object') {
+      validateShorthandOR(permissions, undefined, path, problems);
+      return;
+    }
     if(variable_type === 'Array') {
-      if(permissions.length < 2) {
-        throw {name: 'InvalidValueForLogicGateException', message: 'The value array of an XOR gate must contain a minimum of two elements. Current value: ' + JSON.stringify(permissions)};
+      var error = getNoBypassRulesError(permissions);
+      if(error) {
+        addProblem(problems, path, error);
       }
+      return;
+    }
+    addProblem(problems, path, new InvalidArgumentValueError('The NO_BYPASS value must be a boolean, a boolean string, an object or an array of bypass rule names. Current value: ' + JSON.stringify(permissions), {permissions: permissions}));
+  };
 
-      for(var i in permissions) {
-        var permission = permissions[i];
-        var this_access = dispatch(permission, type, context);
-        if(this_access) {
-          count_true++;
-        }
-        else {
-          count_false++;
+  // Mirrors dispatch() but collects every problem instead of throwing the first one.
+  var validateNode = function validateNode(permissions, type, path, problems) {
+    var variable_type = getVariableType(permissions);
+    if(variable_type === 'Boolean' || (variable_type === 'String' && ['TRUE', 'FALSE'].indexOf(permissions.toUpperCase()) != -1)) {
+      if(type !== undefined) {
+        addProblem(problems, path, new InvalidArgumentValueError('You cannot put a boolean permission as a descendant to a permission type. Existing type: ' + type + '. Evaluated permissions: ' + JSON.stringify(permissions), {permissions: permissions, type: type}));
+      }
+      return;
+    }
+    if(variable_type === 'String') {
+      if(type === undefined) {
+        addProblem(problems, path, new MissingArgumentError('The permission "' + permissions + '" must be placed beneath a permission type.', {permissions: permissions}));
+      }
+      else if(getTypeOptions(type).accepts.indexOf('string') == -1) {
+        addProblem(problems, path, new InvalidArgumentTypeError('The permission type "' + type + '" does not accept string values. Evaluated permissions: ' + JSON.stringify(permissions), {permissions: permissions, type: type}));
+      }
+      return;
+    }
+    if(isPermissionValue(permissions, type)) {
+      var callback = types[type];
+      var error = callback && typeof callback.getConditionError === 'function' ? callback.getConditionError(permissions) : null;
+      if(error) {
+        addProblem(problems, path, error);
+      }
+      return;
+    }
+    if(variable_type === 'Array' && permissions.length > 0) {
+      validateChildren(permissions, type, path, problems);
+      return;
+    }
+    if(variable_type === 'Object' && objectLength(permissions) > 0) {
+      if(getPermissionKeys(permissions).length < objectLength(permissions)) {
+        validateShorthandOR(permissions, type, path, problems);
+        return;
+      }
+      for(var key in permissions) {
+        validateEntry(key, permissions[key], type, getChildPath(path, key), problems);
+      }
+      return;
+    }
+
+    addProblem(problems, path, new InvalidArgumentTypeError('A permission value must either be a boolean, a string, an array or an object. Evaluated permissions: ' + permissions, {permissions: permissions, type: type}));
+  };
+
+  // Validates a single key of a permission object together with its value, which is found at the given path.
+  var validateEntry = function validateEntry(key, value, type, path, problems) {
+    if(isMetadataKey(key)) {
+      var error = getMetadataError(key, value);
+      if(error) {
+        addProblem(problems, path, error);
+      }
+      return;
+    }
+    if(!isNumeric(key)) {
+      var key_upper = key.toUpperCase();
+      var permissions = {};
+      permissions[key] = value;
+      if(key_upper === 'NO_BYPASS') {
+        if(type !== undefined) {
+          addProblem(problems, path, new InvalidArgumentValueError('The NO_BYPASS key cannot be placed beneath a permission type. Existing type: ' + type + '. Evaluated permissions: ' + JSON.stringify(permissions), {permissions: permissions, type: type}));
+          return;
         }
-        if(count_true > 0 && count_false > 0) {
-          access = true;
-          break;
+        validateNoBypass(value, path, problems);
+        return;
+      }
+      if(key_upper === 'REF') {
+        validateReference(permissions, value, type, path, problems);
+        return;
+      }
+      if(getGateKeys().indexOf(key_upper) != -1) {
+        validateGate(key_upper, value, type, path, problems);
+        return;
+      }
+      if(key_upper === 'TRUE' || key_upper === 'FALSE') {
+        addProblem(problems, path, new InvalidArgumentValueError('A boolean permission cannot have children. Evaluated permissions: ' + JSON.stringify(permissions), {permissions: permissions, type: type}));
+        return;
+      }
+
+      if(type !== undefined) {
+        addProblem(problems, path, new InvalidArgumentValueError('You cannot put a permission type as a descendant to another permission type. Existing type: ' + type + '. Evaluated permissions: ' + JSON.stringify(permissions), {permissions: permissions, type: type}));
+        return;
+      }
+      if(!self.typeExists(key)) {
+        addProblem(problems, path, new PermissionTypeNotRegisteredError('The permission type "' + key + '" has not been registered. Please use LogicalPermissions::addType() or LogicalPermissions::setTypes() to register permission types.', {type: key}));
+        return;
+      }
+      type = key;
+    }
+    var value_vartype = getVariableType(value);
+    if((value_vartype === 'Array' || value_vartype === 'Object') && !isPermissionValue(value, type)) {
+      validateShorthandOR(value, type, path, problems);
+      return;
+    }
+    validateNode(value, type, path, problems);
+  };
+
+  // A reference is only valid if all the definitions that it depends on exist. The definitions themselves were validated when they were defined.
+  var validateReference = function validateReference(permissions, name, type, path, problems) {
+    var error = getReferenceError(permissions, name, type);
+    if(error) {
+      addProblem(problems, path, error);
+      return;
+    }
+    var dependencies = self.getDependencies(definitions[name]);
+    for(var i = 0; i < dependencies.length; i++) {
+      if(!definitions.hasOwnProperty(dependencies[i])) {
+        addProblem(problems, path, new PermissionNotDefinedError('The permission "' + dependencies[i] + '" has not been defined, but the permission definition "' + name + '" depends on it. Please use LogicalPermissions::definePermission() to define permissions.', {reference: dependencies[i]}));
+        return;
+      }
+    }
+  };
+
+  var getReferenceError = function getReferenceError(permissions, name, type) {
+    if(type !== undefined) {
+      return new InvalidArgumentValueError('You cannot put a permission reference as a descendant to a permission type. Existing type: ' + type + '. Evaluated permissions: ' + JSON.stringify(permissions), {permissions: permissions, type: type});
+    }
+    if(getVariableType(name) !== 'String' || !name) {
+      return new InvalidArgumentValueError('The value of a REF key must be the name of a permission definition. Evaluated permissions: ' + JSON.stringify(permissions), {permissions: permissions});
+    }
+    if(!definitions.hasOwnProperty(name)) {
+      return new PermissionNotDefinedError('The permission "' + name + '" has not been defined. Please use LogicalPermissions::definePermission() to define permissions.', {reference: name});
+    }
+    return null;
+  };
+
+  var validateShorthandOR = function validateShorthandOR(permissions, type, path, problems) {
+    validateGate('OR', permissions, type, path, problems);
+  };
+
+  var validateGate = function validateGate(gate, permissions, type, path, problems) {
+    var error = getGateValueError(gate, permissions, type);
+    if(error) {
+      addProblem(problems, path, error);
+    }
+    if(gate === 'NOT') {
+      if(!error) {
+        validateNode(permissions, type, path, problems);
+      }
+      return;
+    }
+    if(getThresholdGateKeys().indexOf(gate) != -1) {
+      if(getVariableType(permissions) === 'Object') {
+        for(var key in permissions) {
+          if(isMetadataKey(key) || isNoBypassKey(key)) {
+            validateEntry(key, permissions[key], type, getChildPath(path, key), problems);
+          }
         }
+        validateChildren(permissions.of, type, getChildPath(path, 'of'), problems);
+      }
+      return;
+    }
+    validateChildren(permissions, type, path, problems);
+  };
+
+  var validateChildren = function validateChildren(permissions, type, path, problems) {
+    var variable_type = getVariableType(permissions);
+    if(variable_type === 'Array') {
+      for(var i = 0; i < permissions.length; i++) {
+        validateNode(permissions[i], type, getChildPath(path, i), problems);
       }
     }
     else if(variable_type === 'Object') {
-      if(objectLength(permissions) < 2) {
-        throw {name: 'InvalidValueForLogicGateException', message: 'The value object of an XOR gate must contain a minimum of two elements. Current value: ' + JSON.stringify(permissions)};
+      for(var key in permissions) {
+        validateEntry(key, permissions[key], type, getChildPath(path, key), problems);
       }
+    }
+  };
 
-      for(var key in permissions) {
-        var subpermissions = {};
-        subpermissions[key] = permissions[key];
-        var this_access = dispatch(subpermissions, type, context);
-        if(this_access) {
-          count_true++;
-        }
-        else {
-          count_false++;
+  var getGateValueError = function getGateValueError(gate, permissions, type) {
+    var variable_type = getVariableType(permissions);
+    if(gate === 'NOT') {
+      if(isPermissionValue(permissions, type)) {
+        return null;
+      }
+      if(variable_type === 'Object') {
+        if(getPermissionKeys(permissions).length != 1) {
+          return new InvalidValueForLogicGateError('A NOT permission must have exactly one child in the value object. Current value: ' + JSON.stringify(permissions), {gate: 'NOT', permissions: permissions});
         }
-        if(count_true > 0 && count_false > 0) {
-          access = true;
-          break;
+      }
+      else if(variable_type === 'String') {
+        if(!permissions) {
+          return new InvalidValueForLogicGateError('A NOT permission cannot have an empty string as its value.', {gate: 'NOT', permissions: permissions});
         }
       }
+      else {
+        return new InvalidValueForLogicGateError('The value of a NOT gate must either be an object or a string. Current value: ' + permissions, {gate: 'NOT', permissions: permissions});
+      }
+      return null;
     }
-    else {
-      throw {name: 'InvalidValueForLogicGateException', message: 'The value of an XOR gate must be an array or object. Current value: ' + permissions};
+    if(getThresholdGateKeys().indexOf(gate) != -1) {
+      return getThresholdGateValueError(gate, permissions);
     }
-    return access;
-  };
 
-  var processNOT = function processNOT(permissions, type, context) {
-    var variable_type = getVariableType(permissions);
-    if(variable_type === 'Object') {
-      if(objectLength(permissions) != 1) {
-        throw {name: 'InvalidValueForLogicGateException', message: 'A NOT permission must have exactly one child in the value object. Current value: ' + JSON.stringify(permissions)};
+    var article = ['AND', 'OR', 'XOR', 'XNOR', 'IMPLIES'].indexOf(gate) != -1 ? 'an' : 'a';
+    var minimum = ['XOR', 'XNOR', 'IMPLIES'].indexOf(gate) != -1 ? 2 : 1;
+    var minimum_text = minimum == 2 ? 'two elements' : 'one element';
+    // The IMPLIES gate has a condition and a consequence, so it needs exactly two children
+    var quantity_text = gate === 'IMPLIES' ? 'exactly two elements' : 'a minimum of ' + minimum_text;
+    if(variable_type === 'Array') {
+      if(permissions.length < minimum || (gate === 'IMPLIES' && permissions.length > 2)) {
+        return new InvalidValueForLogicGateError('The value array of ' + article + ' ' + gate + ' gate must contain ' + quantity_text + '. Current value: ' + JSON.stringify(permissions), {gate: gate, permissions: permissions});
       }
     }
-    else if(variable_type === 'String') {
-      if(!permissions) {
-        throw {name: 'InvalidValueForLogicGateException', message: 'A NOT permission cannot have an empty string as its value.'};
+    else if(variable_type === 'Object') {
+      var length = getPermissionKeys(permissions).length;
+      if(length < minimum || (gate === 'IMPLIES' && length > 2)) {
+        return new InvalidValueForLogicGateError('The value object of ' + article + ' ' + gate + ' gate must contain ' + quantity_text + '. Current value: ' + JSON.stringify(permissions), {gate: gate, permissions: permissions});
       }
     }
     else {
-      throw {name: 'InvalidValueForLogicGateException', message: 'The value of a NOT gate must either be an object or a string. Current value: ' + permissions};
+      return new InvalidValueForLogicGateError('The value of ' + article + ' ' + gate + ' gate must be an array or object. Current value: ' + permissions, {gate: gate, permissions: permissions});
+    }
+    return null;
+  };
+
+  var getThresholdGateValueError = function getThresholdGateValueError(gate, permissions) {
+    var article = gate === 'EXACTLY' ? 'an' : 'a';
+    if(getVariableType(permissions) !== 'Object' || getPermissionKeys(permissions).length != 2 || !permissions.hasOwnProperty('count') || !permissions.hasOwnProperty('of')) {
+      return new InvalidValueForLogicGateError('The value of ' + article + ' ' + gate + ' gate must be an object with the structure {count: Number, of: Array|Object}. Current value: ' + JSON.stringify(permissions), {gate: gate, permissions: permissions});
+    }
+    var count = permissions.count;
+    if(getVariableType(count) !== 'Number' || count < 0 || Math.floor(count) !== count) {
+      return new InvalidValueForLogicGateError('The count of ' + article + ' ' + gate + ' gate must be a non-negative integer. Current value: ' + JSON.stringify(permissions), {gate: gate, permissions: permissions});
+    }
+    var variable_type = getVariableType(permissions.of);
+    if(variable_type !== 'Array' && variable_type !== 'Object') {
+      return new InvalidValueForLogicGateError('The children of ' + article + ' ' + gate + ' gate must be an array or object. Current value: ' + JSON.stringify(permissions), {gate: gate, permissions: permissions});
+    }
+    if(variable_type === 'Object' && getNoBypassKey(permissions.of) !== null) {
+      return new InvalidValueForLogicGateError('The NO_BYPASS key of ' + article + ' ' + gate + ' gate must be placed next to the count, not among the children. Current value: ' + JSON.stringify(permissions), {gate: gate, permissions: permissions});
+    }
+    var length = variable_type === 'Array' ? permissions.of.length : getPermissionKeys(permissions.of).length;
+    if(length < 1) {
+      return new InvalidValueForLogicGateError('The children of ' + article + ' ' + gate + ' gate must contain a minimum of one element. Current value: ' + JSON.stringify(permissions), {gate: gate, permissions: permissions});
+    }
+    if(count > length) {
+      return new InvalidValueForLogicGateError('The count of ' + article + ' ' + gate + ' gate cannot be greater than the number of children. Current value: ' + JSON.stringify(permissions), {gate: gate, permissions: permissions});
+    }
+    return null;
+  };
+
+  // The value of the gate is needed for threshold gates, whose evaluators depend on the count.
+  var getGateEvaluator = function getGateEvaluator(gate, permissions) {
+    if(getThresholdGateKeys().indexOf(gate) != -1) {
+      return function(children, evaluateChild) {
+        return evaluateThreshold(gate, permissions.count, children, evaluateChild);
+      };
+    }
+    if(custom_gates.hasOwnProperty(gate)) {
+      return custom_gates[gate];
+    }
+    var evaluators = {AND: evaluateAND, NAND: evaluateNAND, OR: evaluateOR, NOR: evaluateNOR, XOR: evaluateXOR, XNOR: evaluateXNOR, ONE_OF: evaluateONE_OF, IMPLIES: evaluateIMPLIES, NOT: evaluateNOT};
+    return evaluators[gate];
+  };
+
+  // The built-in logic gates always return booleans, but the handlers of custom logic gates are checked like type callbacks.
+  var validateGateAccess = function validateGateAccess(gate, access, state) {
+    if(!custom_gates.hasOwnProperty(gate)) {
+      return access;
     }
+    var validateAccess = function(access) {
+      if(getVariableType(access) !== 'Boolean') {
+        throw new InvalidCallbackReturnTypeError('The handler for the logic gate "' + gate + '" must return a boolean.', {gate: gate, value: access});
+      }
+      return access;
+    };
+    return state.async ? resolveValue(access, validateAccess) : validateAccess(access);
+  };
+
+  // Evaluates children one at a time. After each child the step callback receives its result and returns the result of the gate, or undefined if more children need to be evaluated. If all children are evaluated the done callback returns the result of the gate.
+  var evaluateSequentially = function evaluateSequentially(children, evaluateChild, step, done) {
+    var evaluateFrom = function evaluateFrom(index) {
+      if(index >= children.length) {
+        return done();
+      }
+      return resolveValue(evaluateChild(children[index]), function(access) {
+        var result = step(access);
+        if(result !== undefined) {
+          return result;
+        }
+        return evaluateFrom(index + 1);
+      });
+    };
+    return evaluateFrom(0);
+  };
+
+  var evaluateAND = function evaluateAND(children, evaluateChild) {
+    return evaluateSequentially(children, evaluateChild, function(access) {
+      if(!access) {
+        return false;
+      }
+    }, function() {
+      return true;
+    });
+  };
+
+  var evaluateNAND = function evaluateNAND(children, evaluateChild) {
+    return resolveValue(evaluateAND(children, evaluateChild), negate);
+  };
+
+  var evaluateOR = function evaluateOR(children, evaluateChild) {
+    return evaluateSequentially(children, evaluateChild, function(access) {
+      if(access) {
+        return true;
+      }
+    }, function() {
+      return false;
+    });
+  };
+
+  var evaluateNOR = function evaluateNOR(children, evaluateChild) {
+    return resolveValue(evaluateOR(children, evaluateChild), negate);
+  };
+
+  var evaluateXOR = function evaluateXOR(children, evaluateChild) {
+    var count_true = 0;
+    var count_false = 0;
+    return evaluateSequentially(children, evaluateChild, function(access) {
+      if(access) {
+        count_true++;
+      }
+      else {
+        count_false++;
+      }
+      if(count_true > 0 && count_false > 0) {
+        return true;
+      }
+    }, function() {
+      return false;
+    });
+  };
+
+  var evaluateXNOR = function evaluateXNOR(children, evaluateChild) {
+    return resolveValue(evaluateXOR(children, evaluateChild), negate);
+  };
 
-    return !dispatch(permissions, type, context);
+  var evaluateONE_OF = function evaluateONE_OF(children, evaluateChild) {
+    var count_true = 0;
+    return evaluateSequentially(children, evaluateChild, function(access) {
+      if(access) {
+        count_true++;
+      }
+      if(count_true > 1) {
+        return false;
+      }
+    }, function() {
+      return count_true == 1;
+    });
+  };
+
+  // The consequence is only evaluated if the condition grants access, since the gate grants access otherwise.
+  var evaluateIMPLIES = function evaluateIMPLIES(children, evaluateChild) {
+    return resolveValue(evaluateChild(children[0]), function(access) {
+      if(!access) {
+        return true;
+      }
+      return evaluateChild(children[1]);
+    });
+  };
+
+  var evaluateNOT = function evaluateNOT(children, evaluateChild) {
+    return resolveValue(evaluateChild(children[0]), negate);
+  };
+
+  // Decides the result of a threshold gate from the lowest and highest number of children that can end up granting access, or returns undefined if it isn't decided yet.
+  var decideThreshold = function decideThreshold(gate, count, min, max) {
+    if(gate === 'AT_LEAST') {
+      return min >= count ? true : (max < count ? false : undefined);
+    }
+    if(gate === 'AT_MOST') {
+      return max <= count ? true : (min > count ? false : undefined);
+    }
+    if(min > count || max < count) {
+      return false;
+    }
+    return min == max ? true : undefined;
   };
 
-  var externalAccessCheck = function externalAccessCheck(permission, type, context) {
+  var evaluateThreshold = function evaluateThreshold(gate, count, children, evaluateChild) {
+    var count_true = 0;
+    var remaining = children.length;
+    var result = decideThreshold(gate, count, count_true, count_true + remaining);
+    if(result !== undefined) {
+      return result;
+    }
+    return evaluateSequentially(children, evaluateChild, function(access) {
+      remaining--;
+      if(access) {
+        count_true++;
+      }
+      return decideThreshold(gate, count, count_true, count_true + remaining);
+    }, function() {
+      return decideThreshold(gate, count, count_true, count_true);
+    });
+  };
+
+  var externalAccessCheck = function externalAccessCheck(permission, type, context, state) {
     if(!self.typeExists(type)) {
-      throw {name: 'PermissionTypeNotRegisteredException', message: 'The permission type "' + type + '" has not been registered. Please use LogicalPermissions::addType() or LogicalPermissions::setTypes() to register permission types.'};
+      throw new PermissionTypeNotRegisteredError('The permission type "' + type + '" has not been registered. Please use LogicalPermissions::addType() or LogicalPermissions::setTypes() to register permission types.', {type: type});
     }
 
+    return traceStep(state, {kind: 'callback', type: type, permissions: permission}, function() {
+      return callTypeCallback(self.getTypeCallback(type), permission, type, context, state);
+    });
+  };
+
+  var callTypeCallback = function callTypeCallback(callback, permission, type, context, state) {
     var access = false;
-    var callback = self.getTypeCallback(type);
     if(getVariableType(callback) === 'Function') {
+      var memo_key = null;
+      if(state.memo && getTypeOptions(type).memoize) {
+        memo_key = JSON.stringify([type, permission]);
+        if(state.memo.hasOwnProperty(memo_key)) {
+          return state.memo[memo_key];
+        }
+      }
+
+      var start = listeners.callback.length ? now() : 0;
+      var validateAccess = function(access) {
+        if(getVariableType(access) !== 'Boolean') {
+          throw new InvalidCallbackReturnTypeError('The registered callback for the permission type "' + type + '" must return a boolean.', {type: type, value: access});
+        }
+        emit('callback', {type: type, permissions: permission, context: context, access: access, duration: now() - start});
+        return access;
+      };
       access = callback(permission, context);
-      if(getVariableType(access) !== 'Boolean') {
-        throw {name: 'InvalidCallbackReturnTypeException', message: 'The registered callback for the permission type "' + type + '" must return a boolean.'};
+      access = state.async ? resolveValue(access, validateAccess) : validateAccess(access);
+      // In asynchronous mode the promise is stored, and later uses of the permission wait for it
+      if(memo_key !== null) {
+        state.memo[memo_key] = access;
       }
+      return access;
     }
     return access;
   };
 
 };
 
+/**
+ * Creates the callback of a role permission type with a role hierarchy, so that for example {role: 'writer'} grants access to a user with the role "admin" if admin inherits editor and editor inherits writer. Register the callback with addType() like any other callback.
+ * @param {Object} hierarchy - The role hierarchy with the structure {role: [inherited_role, inherited_role2, ...], ...}, such as {admin: ['editor'], editor: ['writer']}. A role cannot inherit itself, neither directly nor through other roles. The hierarchy is deep cloned.
+ * @param {Function} get_roles - A function that takes the context object passed to checkAccess() and returns an array with the names of the roles that the user has been given.
+ * @returns {Function} The type callback. It also has the methods expandRoles(roles), which returns the given roles together with every role that they inherit, and getRoles(context), which returns the expanded roles of the user in a context object.
+ */
+LogicalPermissions.createRoleType = function createRoleType(hierarchy, get_roles) {
+  return RoleType.createCallback(hierarchy, get_roles);
+};
+
+/**
+ * Creates the callback of a permission type for permission strings that consist of segments, such as "articles:edit:own", which are matched against the grants of the user. A wildcard in a grant matches any characters within a segment, and a grant whose last segment is a single wildcard also matches any number of further segments, so that for example the grant "articles:*" matches the permission "articles:edit:own". Register the callback with addType() like any other callback.
+ * @param {Function} get_grants - A function that takes the context object passed to checkAccess() and returns an array with the permission strings that the user has been granted.
+ * @param {Object} options (optional) - An object with the structure {separator: String, wildcard: String, escape: String|null}. "separator" separates the segments of a permission string, "wildcard" is the single character that matches any characters within a segment of a grant and "escape" is the single character that makes the character after it a literal one, or null to disable escaping. Default value is {separator: ':', wildcard: '*', escape: '\\'}.
+ * @returns {Function} The type callback. It also has the methods matches(grant, permission), which checks whether a single grant matches a permission, and getGrants(context), which returns the grants of the user in a context object.
+ */
+LogicalPermissions.createWildcardType = function createWildcardType(get_grants, options) {
+  return WildcardType.createCallback(get_grants, options);
+};
+
+LogicalPermissions.LogicalPermissionsError = LogicalPermissionsError;
+LogicalPermissions.MissingArgumentError = MissingArgumentError;
+LogicalPermissions.InvalidArgumentTypeError = InvalidArgumentTypeError;
+LogicalPermissions.InvalidArgumentValueError = InvalidArgumentValueError;
+LogicalPermissions.PermissionTypeAlreadyExistsError = PermissionTypeAlreadyExistsError;
+LogicalPermissions.PermissionTypeNotRegisteredError = PermissionTypeNotRegisteredError;
+LogicalPermissions.InvalidValueForLogicGateError = InvalidValueForLogicGateError;
+LogicalPermissions.InvalidCallbackReturnTypeError = InvalidCallbackReturnTypeError;
+LogicalPermissions.PermissionNotDefinedError = PermissionNotDefinedError;
+LogicalPermissions.CircularReferenceError = CircularReferenceError;
+LogicalPermissions.ExpressionSyntaxError = ExpressionSyntaxError;
+
 module.exports = LogicalPermissions;
@@ -0,0 +1,68 @@
+"use strict";
+
+/*
+ * Internal helpers for walking permission trees, shared by the Simplifier, the Analyzer and the expression syntax. This module is not part of the public API.
+ */
+
+// The built-in logic gates. Other logic gates are custom logic gates.
+var builtin_gates = ['AND', 'NAND', 'OR', 'NOR', 'XOR', 'XNOR', 'ONE_OF', 'IMPLIES', 'NOT', 'AT_LEAST', 'AT_MOST', 'EXACTLY'];
+
+// The logic gates that take a count and a list of children in the form {count: Number, of: Object|Array}.
+var threshold_gates = ['AT_LEAST', 'AT_MOST', 'EXACTLY'];
+
+var isNumeric = function isNumeric(variable) {
+  return !isNaN(parseFloat(variable)) && isFinite(variable);
+};
+
+var isContainer = function isContainer(variable) {
+  return variable !== null && typeof variable === 'object';
+};
+
+// The children of a permission object are split into objects with a single key each.
+var getChildren = function getChildren(permissions) {
+  if(Array.isArray(permissions)) {
+    return permissions;
+  }
+
+  return Object.keys(permissions).map(function(key) {
+    var child = {};
+    child[key] = permissions[key];
+    return child;
+  });
+};
+
+/**
+ * Separates the NO_BYPASS condition of a permission tree from the rest of it. Bypassing access can only grant access, so the NO_BYPASS condition makes no difference if the rest of the permission tree grants access anyway.
+ * @param {Object|Array|String|Boolean} permissions - A valid permission tree.
+ * @returns {Object} An object with the structure {key: String|undefined, no_bypass: *, permissions: Object|Array|String|Boolean}, where "key" is the key of the NO_BYPASS condition as written in the permission tree, "no_bypass" is its value and "permissions" is a copy of the permission tree without it. Both "key" and "no_bypass" are undefined if the permission tree doesn't have a NO_BYPASS condition.
+ */
+var splitNoBypass = function splitNoBypass(permissions) {
+  var result = {key: undefined, no_bypass: undefined, permissions: permissions};
+  if(!isContainer(permissions) || Array.isArray(permissions)) {
+    return result;
+  }
+
+  var main = {};
+  for(var key in permissions) {
+    main[key] = permissions[key];
+  }
+  // The lowercase no_bypass key is supported for backward compatibility
+  ['no_bypass', 'NO_BYPASS'].forEach(function(no_bypass_key) {
+    if(main.hasOwnProperty(no_bypass_key)) {
+      result.key = no_bypass_key;
+      result.no_bypass = main[no_bypass_key];
+      delete main[no_bypass_key];
+    }
+  });
+  result.permissions = main;
+  return result;
+};
+
+module.exports = {
+  builtin_gates: builtin_gates,
+  threshold_gates: threshold_gates,
+  isNumeric: isNumeric,
+  isContainer: isContainer,
+  getChildren: getChildren,
+  splitNoBypass: splitNoBypass
+};
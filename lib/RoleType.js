@@ -0,0 +1,130 @@
+"use strict";
+
+/*
+ * The role permission type checks whether the user has a role, taking a role hierarchy into account. The hierarchy is an object with the structure {role: [inherited_role, inherited_role2, ...], ...}, for example {admin: ['editor'], editor: ['writer']}, where a user with a role also has every role that it inherits, directly or through other roles. Roles that aren't in the hierarchy don't inherit any roles.
+ */
+
+var Errors = require('./Errors.js');
+var MissingArgumentError = Errors.MissingArgumentError;
+var InvalidArgumentTypeError = Errors.InvalidArgumentTypeError;
+var InvalidArgumentValueError = Errors.InvalidArgumentValueError;
+var InvalidCallbackReturnTypeError = Errors.InvalidCallbackReturnTypeError;
+var CircularReferenceError = Errors.CircularReferenceError;
+
+var isRoleList = function isRoleList(roles) {
+  return Array.isArray(roles) && roles.every(function(role) {
+    return typeof role === 'string' && role !== '';
+  });
+};
+
+// Returns the chain of roles that leads from a role back to itself, or null if the hierarchy has no such chain.
+var findCircularInheritance = function findCircularInheritance(hierarchy) {
+  var finished = {};
+  var visit = function visit(role, chain) {
+    var index = chain.indexOf(role);
+    if(index != -1) {
+      return chain.slice(index).concat(role);
+    }
+    if(finished.hasOwnProperty(role) || !hierarchy.hasOwnProperty(role)) {
+      return null;
+    }
+    var inherited = hierarchy[role];
+    for(var i = 0; i < inherited.length; i++) {
+      var found = visit(inherited[i], chain.concat(role));
+      if(found) {
+        return found;
+      }
+    }
+    finished[role] = true;
+    return null;
+  };
+  for(var role in hierarchy) {
+    var found = visit(role, []);
+    if(found) {
+      return found;
+    }
+  }
+  return null;
+};
+
+/**
+ * Creates the callback of a hierarchical role permission type, which can be registered with addType().
+ * @param {Object} hierarchy - The role hierarchy with the structure {role: [inherited_role, inherited_role2, ...], ...}. It cannot contain circular inheritance. The hierarchy is deep cloned.
+ * @param {Function} get_roles - A function that takes the context object passed to checkAccess() and returns an array with the names of the roles that the user has been given.
+ * @returns {Function} A type callback that takes a role and the context object, and returns TRUE if the user has the role, either directly or through inheritance. The callback also has the methods expandRoles(roles), which returns the given roles together with all roles that they inherit, and getRoles(context), which returns the expanded roles of the user in a context object.
+ */
+var createCallback = function createCallback(hierarchy, get_roles) {
+  if(hierarchy === undefined) {
+    throw new MissingArgumentError('The hierarchy parameter is required.', {argument: 'hierarchy'});
+  }
+  if(hierarchy === null || typeof hierarchy !== 'object' || Array.isArray(hierarchy)) {
+    throw new InvalidArgumentTypeError('The hierarchy parameter must be an object.', {argument: 'hierarchy'});
+  }
+  for(var role in hierarchy) {
+    if(!isRoleList(hierarchy[role])) {
+      throw new InvalidArgumentValueError('The roles inherited by the role "' + role + '" must be an array of non-empty strings.', {argument: 'hierarchy'});
+    }
+  }
+  if(get_roles === undefined) {
+    throw new MissingArgumentError('The get_roles parameter is required.', {argument: 'get_roles'});
+  }
+  if(typeof get_roles !== 'function') {
+    throw new InvalidArgumentTypeError('The get_roles parameter must be a function.', {argument: 'get_roles'});
+  }
+  var chain = findCircularInheritance(hierarchy);
+  if(chain) {
+    throw new CircularReferenceError('A role cannot inherit itself. Chain of inherited roles: ' + chain.join(' -> '), {references: chain});
+  }
+
+  hierarchy = JSON.parse(JSON.stringify(hierarchy));
+  var expanded = {};
+
+  var expandRole = function expandRole(role) {
+    if(!expanded.hasOwnProperty(role)) {
+      var roles = [role];
+      (hierarchy.hasOwnProperty(role) ? hierarchy[role] : []).forEach(function(inherited) {
+        expandRole(inherited).forEach(function(inherited_role) {
+          if(roles.indexOf(inherited_role) == -1) {
+            roles.push(inherited_role);
+          }
+        });
+      });
+      expanded[role] = roles;
+    }
+    return expanded[role];
+  };
+
+  var expandRoles = function expandRoles(roles) {
+    if(!isRoleList(roles)) {
+      throw new InvalidArgumentValueError('The roles must be an array of non-empty strings.', {argument: 'roles'});
+    }
+    var result = [];
+    roles.forEach(function(role) {
+      expandRole(role).forEach(function(expanded_role) {
+        if(result.indexOf(expanded_role) == -1) {
+          result.push(expanded_role);
+        }
+      });
+    });
+    return result;
+  };
+
+  var getRoles = function getRoles(context) {
+    var roles = get_roles(context);
+    if(!isRoleList(roles)) {
+      throw new InvalidCallbackReturnTypeError('The get_roles function of the role permission type must return an array of non-empty strings.', {value: roles});
+    }
+    return expandRoles(roles);
+  };
+
+  var callback = function(role, context) {
+    return getRoles(context).indexOf(role) != -1;
+  };
+  callback.expandRoles = expandRoles;
+  callback.getRoles = getRoles;
+  return callback;
+};
+
+module.exports = {
+  createCallback: createCallback
+};
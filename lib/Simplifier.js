@@ -0,0 +1,471 @@
+"use strict";
+
+/*
+ * Permission trees are simplified by converting them into nodes of the following kinds:
+ *
+ *   {kind: 'constant', value: Boolean}
+ *   {kind: 'leaf', type: String, value: String|Number|Object|Array, negated: Boolean}
+ *   {kind: 'gate', gate: 'AND' | 'OR' | 'XOR', children: Array}
+ *   {kind: 'gate', gate: 'AT_LEAST' | 'AT_MOST' | 'EXACTLY', count: Number, children: Array}
+ *
+ * NAND, NOR, XNOR and NOT gates are eliminated by pushing the negations down to the leaves, and ONE_OF and IMPLIES gates as well as custom logic gates are expanded into the other gates. Threshold gates are kept, since expanding them into AND and OR gates can make the permission tree grow exponentially. Every node also has a "key" property, which is a string that is identical for identical nodes and is used for sorting and de-duplicating the children of gates.
+ */
+
+var PermissionTree = require('./PermissionTree.js');
+var builtin_gates = PermissionTree.builtin_gates;
+var threshold_gates = PermissionTree.threshold_gates;
+var isNumeric = PermissionTree.isNumeric;
+var isContainer = PermissionTree.isContainer;
+var getChildren = PermissionTree.getChildren;
+
+var createConstant = function createConstant(value) {
+  return {kind: 'constant', value: value, key: String(value)};
+};
+
+var createLeaf = function createLeaf(type, value, negated) {
+  return {kind: 'leaf', type: type, value: value, negated: negated, key: (negated ? '!' : '') + JSON.stringify([type, value])};
+};
+
+var sortChildren = function sortChildren(children) {
+  return children.sort(function(a, b) {
+    return a.key < b.key ? -1 : (a.key > b.key ? 1 : 0);
+  });
+};
+
+var createGate = function createGate(gate, children) {
+  return {kind: 'gate', gate: gate, children: children, key: gate + '(' + children.map(function(child) {
+    return child.key;
+  }).join(',') + ')'};
+};
+
+var createThreshold = function createThreshold(gate, count, children) {
+  return {kind: 'gate', gate: gate, count: count, children: children, key: gate + ':' + count + '(' + children.map(function(child) {
+    return child.key;
+  }).join(',') + ')'};
+};
+
+var removeDuplicates = function removeDuplicates(children) {
+  var keys = {};
+  return children.filter(function(child) {
+    if(keys.hasOwnProperty(child.key)) {
+      return false;
+    }
+    keys[child.key] = true;
+    return true;
+  });
+};
+
+// Checks whether the children contain both a leaf and its negation.
+var hasComplement = function hasComplement(children) {
+  var keys = {};
+  children.forEach(function(child) {
+    keys[child.key] = true;
+  });
+  return children.some(function(child) {
+    return child.kind === 'leaf' && !child.negated && keys.hasOwnProperty(negate(child).key);
+  });
+};
+
+// Combines simplified nodes with an AND or OR gate. The gate absorbs nested gates of the same kind, and a child that is equal to the value that decides the gate's result decides it right away.
+var combine = function combine(gate, children) {
+  var deciding_value = gate === 'OR';
+  var operands = [];
+  for(var i = 0; i < children.length; i++) {
+    var child = children[i];
+    if(child.kind === 'constant') {
+      if(child.value === deciding_value) {
+        return child;
+      }
+    }
+    else if(child.kind === 'gate' && child.gate === gate) {
+      operands = operands.concat(child.children);
+    }
+    else {
+      operands.push(child);
+    }
+  }
+
+  operands = removeDuplicates(operands);
+  if(hasComplement(operands)) {
+    return createConstant(deciding_value);
+  }
+  if(operands.length == 0) {
+    return createConstant(!deciding_value);
+  }
+  if(operands.length == 1) {
+    return operands[0];
+  }
+  return createGate(gate, sortChildren(operands));
+};
+
+// An XOR gate grants access if some of its children grant access and some don't. Its result only depends on which distinct values the children have, so duplicates can be removed.
+var combineXOR = function combineXOR(children) {
+  var has_true = false;
+  var has_false = false;
+  var operands = removeDuplicates(children.filter(function(child) {
+    if(child.kind === 'constant') {
+      has_true = has_true || child.value;
+      has_false = has_false || !child.value;
+      return false;
+    }
+    return true;
+  }));
+
+  if(has_true && has_false) {
+    return createConstant(true);
+  }
+  if(has_true) {
+    return combine('OR', operands.map(negate));
+  }
+  if(has_false) {
+    return combine('OR', operands);
+  }
+  if(hasComplement(operands)) {
+    return createConstant(true);
+  }
+  if(operands.length < 2) {
+    return createConstant(false);
+  }
+  return createGate('XOR', sortChildren(operands));
+};
+
+// Combines simplified nodes with a threshold gate that counts how many of them grant access. Constant children are folded into the count, and so is a leaf together with its negation, since exactly one of them grants access. Duplicates are kept because each of them is counted. Threshold gates that are equal to an AND, OR or XOR gate are replaced by it.
+var combineThreshold = function combineThreshold(gate, count, children) {
+  var operands = [];
+  children.forEach(function(child) {
+    if(child.kind === 'constant') {
+      count -= child.value ? 1 : 0;
+      return;
+    }
+    var complement = child.kind !== 'leaf' ? -1 : operands.map(function(operand) {
+      return operand.key;
+    }).indexOf(negate(child).key);
+    if(complement != -1) {
+      operands.splice(complement, 1);
+      count--;
+      return;
+    }
+    operands.push(child);
+  });
+
+  var length = operands.length;
+  if(gate === 'AT_MOST') {
+    if(count < 0) {
+      return createConstant(false);
+    }
+    if(count >= length) {
+      return createConstant(true);
+    }
+    if(count == 0) {
+      return combine('AND', operands.map(negate));
+    }
+    if(count == length - 1) {
+      return combine('OR', operands.map(negate));
+    }
+  }
+  else if(gate === 'EXACTLY') {
+    if(count < 0 || count > length) {
+      return createConstant(false);
+    }
+    if(count == 0) {
+      return combine('AND', operands.map(negate));
+    }
+    if(count == length) {
+      return combine('AND', operands);
+    }
+    if(count == 1 && length == 2) {
+      return combineXOR(operands);
+    }
+  }
+  else {
+    if(count <= 0) {
+      return createConstant(true);
+    }
+    if(count > length) {
+      return createConstant(false);
+    }
+    if(count == 1) {
+      return combine('OR', operands);
+    }
+    if(count == length) {
+      return combine('AND', operands);
+    }
+  }
+  return createThreshold(gate, count, sortChildren(operands));
+};
+
+// Negates a simplified node by applying De Morgan's laws, so that only leaves end up being negated. A negated XOR gate grants access if all of its children either grant or deny access.
+var negate = function negate(node) {
+  if(node.kind === 'constant') {
+    return createConstant(!node.value);
+  }
+  if(node.kind === 'leaf') {
+    return createLeaf(node.type, node.value, !node.negated);
+  }
+  if(node.gate === 'AND') {
+    return combine('OR', node.children.map(negate));
+  }
+  if(node.gate === 'OR') {
+    return combine('AND', node.children.map(negate));
+  }
+  if(node.gate === 'AT_LEAST') {
+    return combineThreshold('AT_MOST', node.count - 1, node.children);
+  }
+  if(node.gate === 'AT_MOST') {
+    return combineThreshold('AT_LEAST', node.count + 1, node.children);
+  }
+  if(node.gate === 'EXACTLY') {
+    return combine('OR', [combineThreshold('AT_MOST', node.count - 1, node.children), combineThreshold('AT_LEAST', node.count + 1, node.children)]);
+  }
+  return combine('OR', [combine('AND', node.children), combine('AND', node.children.map(negate))]);
+};
+
+// Expands a custom logic gate by deciding on one child at a time, so that its handler is only called with child results that are known. The handler gets the child permissions like in checkAccess(), and the number of calls doubles with each child whose result isn't constant.
+var expandGate = function expandGate(evaluateGate, child_permissions, children) {
+  var expand = function expand(values) {
+    if(values.length == children.length) {
+      return createConstant(evaluateGate(child_permissions, function(child) {
+        return values[child_permissions.indexOf(child)];
+      }) === true);
+    }
+    var child = children[values.length];
+    if(child.kind === 'constant') {
+      return expand(values.concat(child.value));
+    }
+    var if_true = expand(values.concat(true));
+    var if_false = expand(values.concat(false));
+    if(if_true.key === if_false.key) {
+      return if_true;
+    }
+    // If one of the outcomes is constant, the child can be combined with the other outcome directly
+    if(if_false.kind === 'constant') {
+      return if_false.value ? combine('OR', [negate(child), if_true]) : combine('AND', [child, if_true]);
+    }
+    if(if_true.kind === 'constant') {
+      return if_true.value ? combine('OR', [child, if_false]) : combine('AND', [negate(child), if_false]);
+    }
+    return combine('OR', [combine('AND', [child, if_true]), combine('AND', [negate(child), if_false])]);
+  };
+  return expand([]);
+};
+
+var simplifyNode = function simplifyNode(permissions, type, options) {
+  if(permissions === true || permissions === false) {
+    return createConstant(permissions);
+  }
+  if(typeof permissions === 'string') {
+    var permissions_upper = permissions.toUpperCase();
+    if(type === undefined && (permissions_upper === 'TRUE' || permissions_upper === 'FALSE')) {
+      return createConstant(permissions_upper === 'TRUE');
+    }
+    return createLeaf(type, permissions, false);
+  }
+  if(options.isPermissionValue(permissions, type)) {
+    return createLeaf(type, permissions, false);
+  }
+  if(Array.isArray(permissions) || Object.keys(permissions).length > 1) {
+    return simplifyGate('OR', permissions, type, options);
+  }
+
+  var key = Object.keys(permissions)[0];
+  var value = permissions[key];
+  if(isNumeric(key)) {
+    return simplifyValue(value, type, options);
+  }
+  if(key.toUpperCase() === 'REF') {
+    return simplifyTree(options.getDefinition(value), options);
+  }
+  if(options.gates.indexOf(key.toUpperCase()) != -1) {
+    return simplifyGate(key.toUpperCase(), value, type, options);
+  }
+  return simplifyValue(value, key, options);
+};
+
+var simplifyValue = function simplifyValue(permissions, type, options) {
+  if(isContainer(permissions) && !options.isPermissionValue(permissions, type)) {
+    return simplifyGate('OR', permissions, type, options);
+  }
+  return simplifyNode(permissions, type, options);
+};
+
+// Simplifies a permission tree without a NO_BYPASS key, which is either the main permission tree or a permission definition. Empty permission trees grant access.
+var simplifyTree = function simplifyTree(permissions, options) {
+  if(isContainer(permissions) && Object.keys(permissions).length == 0) {
+    return createConstant(true);
+  }
+  return simplifyValue(permissions, undefined, options);
+};
+
+var simplifyGate = function simplifyGate(gate, permissions, type, options) {
+  if(gate === 'NOT') {
+    return negate(simplifyNode(permissions, type, options));
+  }
+
+  var child_permissions = getChildren(threshold_gates.indexOf(gate) != -1 ? permissions.of : permissions);
+  var children = child_permissions.map(function(child) {
+    return simplifyNode(child, type, options);
+  });
+  if(builtin_gates.indexOf(gate) == -1) {
+    return expandGate(options.getGateEvaluator(gate, permissions), child_permissions, children);
+  }
+  if(gate === 'ONE_OF') {
+    return combineThreshold('EXACTLY', 1, children);
+  }
+  if(gate === 'IMPLIES') {
+    return combine('OR', [negate(children[0]), children[1]]);
+  }
+  if(gate === 'XNOR') {
+    return negate(combineXOR(children));
+  }
+  if(threshold_gates.indexOf(gate) != -1) {
+    return combineThreshold(gate, permissions.count, children);
+  }
+  if(gate === 'AND' || gate === 'NAND') {
+    var conjunction = combine('AND', children);
+    return gate === 'AND' ? conjunction : negate(conjunction);
+  }
+  if(gate === 'OR' || gate === 'NOR') {
+    var disjunction = combine('OR', children);
+    return gate === 'OR' ? disjunction : negate(disjunction);
+  }
+  return combineXOR(children);
+};
+
+var toPermissions = function toPermissions(node) {
+  if(node.kind === 'constant') {
+    return node.value;
+  }
+  if(node.kind === 'leaf') {
+    var leaf = {};
+    leaf[node.type] = node.value;
+    return node.negated ? {NOT: leaf} : leaf;
+  }
+
+  var permissions = {};
+  var children = node.children.map(toPermissions);
+  permissions[node.gate] = threshold_gates.indexOf(node.gate) != -1 ? {count: node.count, of: children} : children;
+  return permissions;
+};
+
+/**
+ * Evaluates a simplified node.
+ * @param {Object} node - The node to be evaluated.
+ * @param {Object} assignment - An object with the access results of the leaves, keyed by the "key" property of the non-negated leaves.
+ * @returns {Boolean} The access result of the node.
+ */
+var evaluate = function evaluate(node, assignment) {
+  if(node.kind === 'constant') {
+    return node.value;
+  }
+  if(node.kind === 'leaf') {
+    return node.negated ? !assignment[negate(node).key] : !!assignment[node.key];
+  }
+  if(node.gate === 'AND') {
+    return node.children.every(function(child) {
+      return evaluate(child, assignment);
+    });
+  }
+  if(node.gate === 'OR') {
+    return node.children.some(function(child) {
+      return evaluate(child, assignment);
+    });
+  }
+  var results = node.children.map(function(child) {
+    return evaluate(child, assignment);
+  });
+  if(threshold_gates.indexOf(node.gate) != -1) {
+    var count = results.filter(function(result) {
+      return result;
+    }).length;
+    return node.gate === 'AT_LEAST' ? count >= node.count : (node.gate === 'AT_MOST' ? count <= node.count : count == node.count);
+  }
+  return results.indexOf(true) != -1 && results.indexOf(false) != -1;
+};
+
+/**
+ * Gets the distinct non-negated leaves of a simplified node.
+ * @param {Object} node - The node to be inspected.
+ * @returns {Array} The leaves, sorted by their keys.
+ */
+var getLeaves = function getLeaves(node) {
+  var leaves = {};
+  var collect = function collect(node) {
+    if(node.kind === 'leaf') {
+      var leaf = node.negated ? negate(node) : node;
+      leaves[leaf.key] = leaf;
+    }
+    else if(node.kind === 'gate') {
+      node.children.forEach(collect);
+    }
+  };
+  collect(node);
+  return sortChildren(Object.keys(leaves).map(function(key) {
+    return leaves[key];
+  }));
+};
+
+/**
+ * Converts a permission tree into simplified nodes for its NO_BYPASS condition and its permissions. Access is granted if the permissions node grants access, or if the NO_BYPASS node denies access and the bypass callback or one of the bypass rules that aren't disabled grants it.
+ * @param {Object|Array|String|Boolean} permissions - A valid permission tree.
+ * @param {Object} options - An object with the structure {gates: Array, getGateEvaluator: Function, getDefinition: Function, isPermissionValue: Function}, where "gates" contains the available logic gates in uppercase, getGateEvaluator(gate, value) returns the function that evaluates a custom logic gate, getDefinition(name) returns the permission tree of a permission definition and isPermissionValue(permissions, type) checks whether a number, object or array beneath a permission type is a permission value rather than a part of the permission tree.
+ * @returns {Object} An object with the structure {no_bypass: Object, disabled_rules: Array, permissions: Object}. The NO_BYPASS node is a constant false node if the permission tree doesn't have a NO_BYPASS condition. "disabled_rules" contains the sorted and unique names of the bypass rules that are disabled by a NO_BYPASS array.
+ */
+var build = function build(permissions, options) {
+  var parts = PermissionTree.splitNoBypass(permissions);
+  var no_bypass = parts.no_bypass;
+
+  var no_bypass_node = createConstant(false);
+  var disabled_rules = [];
+  if(Array.isArray(no_bypass)) {
+    no_bypass.forEach(function(rule) {
+      if(disabled_rules.indexOf(rule) == -1) {
+        disabled_rules.push(rule);
+      }
+    });
+    disabled_rules.sort();
+  }
+  else if(isContainer(no_bypass)) {
+    no_bypass_node = simplifyValue(no_bypass, undefined, options);
+  }
+  else if(no_bypass !== undefined) {
+    no_bypass_node = createConstant(String(no_bypass).toUpperCase() === 'TRUE');
+  }
+
+  return {
+    no_bypass: no_bypass_node,
+    disabled_rules: disabled_rules,
+    permissions: simplifyTree(parts.permissions, options)
+  };
+};
+
+/**
+ * Simplifies a permission tree into an equivalent, canonical permission tree. Booleans are folded into the surrounding logic gates, nested gates of the same kind are merged, duplicate children are removed, and negations are pushed down to the permissions so that only AND, OR, XOR and threshold gates remain, with NOT gates placed directly around single permissions. Permissions are always placed directly beneath their permission type, references to permission definitions are replaced by the definitions, and the children of each gate are sorted.
+ * @param {Object|Array|String|Boolean} permissions - A valid permission tree.
+ * @param {Object} options - The same options as for build().
+ * @returns {Object|Boolean} The simplified permission tree.
+ */
+var simplify = function simplify(permissions, options) {
+  var nodes = build(permissions, options);
+  // The NO_BYPASS condition is dropped if access is granted anyway or bypassing is never prevented, see PermissionTree.splitNoBypass()
+  if((nodes.permissions.kind === 'constant' && nodes.permissions.value) || (nodes.no_bypass.kind === 'constant' && !nodes.no_bypass.value && !nodes.disabled_rules.length)) {
+    return toPermissions(nodes.permissions);
+  }
+
+  var tree = {NO_BYPASS: nodes.disabled_rules.length ? nodes.disabled_rules : toPermissions(nodes.no_bypass)};
+  if(nodes.permissions.kind === 'constant') {
+    tree[0] = nodes.permissions.value;
+    return tree;
+  }
+  var main_permissions = toPermissions(nodes.permissions);
+  for(var key in main_permissions) {
+    tree[key] = main_permissions[key];
+  }
+  return tree;
+};
+
+module.exports = {
+  build: build,
+  evaluate: evaluate,
+  getLeaves: getLeaves,
+  simplify: simplify
+};
@@ -0,0 +1,137 @@
+"use strict";
+
+/*
+ * The wildcard permission type checks permission strings such as "articles:edit:own" against the grants of the user, which are permission strings that may contain wildcards. The strings are split into segments at the separator, and a grant matches a permission if it has the same number of segments and each segment matches, where a wildcard matches any characters within a segment. A grant whose last segment is a single wildcard also matches any number of further segments, so "articles:*" matches both "articles:edit" and "articles:edit:own". Wildcards only have a meaning in grants. In both grants and permissions the escape character makes the character after it a literal one, so that it is neither treated as a wildcard nor as part of a separator.
+ */
+
+var Errors = require('./Errors.js');
+var MissingArgumentError = Errors.MissingArgumentError;
+var InvalidArgumentTypeError = Errors.InvalidArgumentTypeError;
+var InvalidArgumentValueError = Errors.InvalidArgumentValueError;
+var InvalidCallbackReturnTypeError = Errors.InvalidCallbackReturnTypeError;
+
+var WILDCARD = {};
+
+var escapeRegExp = function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+var isStringList = function isStringList(strings) {
+  return Array.isArray(strings) && strings.every(function(string) {
+    return typeof string === 'string';
+  });
+};
+
+/**
+ * Creates the callback of a wildcard permission type, which can be registered with addType().
+ * @param {Function} get_grants - A function that takes the context object passed to checkAccess() and returns an array with the permission strings that the user has been granted, such as ['articles:*', 'comments:read'].
+ * @param {Object} options (optional) - An object with the structure {separator: String, wildcard: String, escape: String|null}. "separator" separates the segments of a permission string, "wildcard" is the single character that matches any characters within a segment and "escape" is the single character that makes the character after it a literal one, or null to disable escaping. Default value is {separator: ':', wildcard: '*', escape: '\\'}.
+ * @returns {Function} A type callback that takes a permission string and the context object, and returns TRUE if any of the grants matches the permission. The callback also has the methods matches(grant, permission), which checks whether a single grant matches a permission, and getGrants(context), which returns the grants of the user in a context object.
+ */
+var createCallback = function createCallback(get_grants, options) {
+  if(get_grants === undefined) {
+    throw new MissingArgumentError('The get_grants parameter is required.', {argument: 'get_grants'});
+  }
+  if(typeof get_grants !== 'function') {
+    throw new InvalidArgumentTypeError('The get_grants parameter must be a function.', {argument: 'get_grants'});
+  }
+  options = (typeof options === 'undefined') ? {} : options;
+  if(options === null || typeof options !== 'object' || Array.isArray(options)) {
+    throw new InvalidArgumentTypeError('The options parameter must be an object.', {argument: 'options'});
+  }
+  var separator = options.hasOwnProperty('separator') ? options.separator : ':';
+  var wildcard = options.hasOwnProperty('wildcard') ? options.wildcard : '*';
+  var escape = options.hasOwnProperty('escape') ? options.escape : '\\';
+  if(typeof separator !== 'string' || !separator) {
+    throw new InvalidArgumentValueError('The separator option must be a non-empty string.', {argument: 'options'});
+  }
+  if(typeof wildcard !== 'string' || wildcard.length != 1) {
+    throw new InvalidArgumentValueError('The wildcard option must be a single character.', {argument: 'options'});
+  }
+  if(escape !== null && (typeof escape !== 'string' || escape.length != 1)) {
+    throw new InvalidArgumentValueError('The escape option must be a single character or null.', {argument: 'options'});
+  }
+  if(separator.indexOf(wildcard) != -1 || (escape !== null && (separator.indexOf(escape) != -1 || escape === wildcard))) {
+    throw new InvalidArgumentValueError('The separator, wildcard and escape options cannot have any characters in common.', {argument: 'options'});
+  }
+
+  // Splits a permission string into segments, each of which is an array of literal characters and, if wildcards are allowed, WILDCARD tokens.
+  var parse = function parse(string, allow_wildcards, fail) {
+    var segments = [[]];
+    var i = 0;
+    while(i < string.length) {
+      if(escape !== null && string.charAt(i) === escape) {
+        if(i + 1 == string.length) {
+          fail('The permission string "' + string + '" cannot end with the escape character.');
+        }
+        segments[segments.length - 1].push(string.charAt(i + 1));
+        i += 2;
+      }
+      else if(string.substr(i, separator.length) === separator) {
+        segments.push([]);
+        i += separator.length;
+      }
+      else {
+        segments[segments.length - 1].push(allow_wildcards && string.charAt(i) === wildcard ? WILDCARD : string.charAt(i));
+        i++;
+      }
+    }
+    return segments;
+  };
+
+  var segmentMatches = function segmentMatches(grant_segment, segment) {
+    var pattern = grant_segment.map(function(token) {
+      return token === WILDCARD ? '[\\s\\S]*' : escapeRegExp(token);
+    }).join('');
+    return new RegExp('^' + pattern + '$').test(segment.join(''));
+  };
+
+  var matches = function matches(grant, permission) {
+    var grant_segments = parse(grant, true, function(message) {
+      throw new InvalidArgumentValueError(message, {value: grant});
+    });
+    var segments = parse(permission, false, function(message) {
+      throw new InvalidArgumentValueError(message, {permissions: permission});
+    });
+    var last = grant_segments[grant_segments.length - 1];
+    var open_ended = last.length == 1 && last[0] === WILDCARD;
+    if(open_ended ? segments.length < grant_segments.length : segments.length != grant_segments.length) {
+      return false;
+    }
+    for(var i = 0; i < grant_segments.length; i++) {
+      if(!segmentMatches(grant_segments[i], segments[i])) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  var getGrants = function getGrants(context) {
+    var grants = get_grants(context);
+    if(!isStringList(grants)) {
+      throw new InvalidCallbackReturnTypeError('The get_grants function of the wildcard permission type must return an array of strings.', {value: grants});
+    }
+    return grants.slice();
+  };
+
+  var callback = function(permission, context) {
+    return getGrants(context).some(function(grant) {
+      return matches(grant, permission);
+    });
+  };
+  callback.matches = function(grant, permission) {
+    if(typeof grant !== 'string') {
+      throw new InvalidArgumentTypeError('The grant parameter must be a string.', {argument: 'grant'});
+    }
+    if(typeof permission !== 'string') {
+      throw new InvalidArgumentTypeError('The permission parameter must be a string.', {argument: 'permission'});
+    }
+    return matches(grant, permission);
+  };
+  callback.getGrants = getGrants;
+  return callback;
+};
+
+module.exports = {
+  createCallback: createCallback
+};
@@ -0,0 +1,221 @@
+var LogicalPermissions = require('../lib/LogicalPermissions.js');
+var assert = require('assert');
+var createLogicalPermissions = require('./helpers/fixtures.js').createLogicalPermissions;
+describe('Analyzer', function() {
+
+  var getFindings = function(analysis) {
+    return analysis.findings.map(function(finding) {
+      return [finding.path, finding.kind];
+    });
+  };
+
+  /*-------------LogicalPermissions::analyze()--------------*/
+
+  describe('testAnalyzeParamPermissionsMissing', function() {
+    it('should call LogicalPermissions::analyze() with no "permissions" parameter and catch a MissingArgumentException exception', function() {
+      var lp = createLogicalPermissions();
+      assert.throws(function() {
+        lp.analyze();
+      }, function(err) {return err.name === 'MissingArgumentException';});
+    });
+  });
+  describe('testAnalyzeParamPermissionsWrongType', function() {
+    it('should call LogicalPermissions::analyze() with the wrong data type for the "permissions" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = createLogicalPermissions();
+      assert.throws(function() {
+        lp.analyze(50);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+    });
+  });
+  describe('testAnalyzeInvalidPermissions', function() {
+    it('should call LogicalPermissions::analyze() with an invalid permission tree and catch the error together with its path', function() {
+      var lp = createLogicalPermissions();
+      assert.throws(function() {
+        lp.analyze({OR: [{role: 'admin'}, {test: 'admin'}]});
+      }, function(err) {return err.name === 'PermissionTypeNotRegisteredException' && err.path === '$.OR[1].test';});
+    });
+  });
+  describe('testAnalyzeNoCallbacks', function() {
+    it('should call LogicalPermissions::analyze() and check that no callbacks are called', function() {
+      var lp = new LogicalPermissions();
+      var called = false;
+      lp.addType('role', function() {
+        called = true;
+        return true;
+      });
+      lp.setBypassCallback(function() {
+        called = true;
+        return true;
+      });
+      lp.analyze({NO_BYPASS: {role: 'superuser'}, role: ['admin', 'editor']});
+      assert(!called);
+    });
+  });
+  describe('testAnalyzeResult', function() {
+    it('should call LogicalPermissions::analyze() and check whether the permission trees are always true, always false or contingent', function() {
+      var lp = createLogicalPermissions();
+      assert.strictEqual(lp.analyze({AND: {role: 'admin', NOT: {role: 'admin'}}}).result, 'always_false');
+      assert.strictEqual(lp.analyze({role: 'admin', NOT: {role: 'admin'}}).result, 'always_true');
+      assert.strictEqual(lp.analyze({OR: [{AND: [{role: 'a'}, {flag: 'x'}]}, {NOT: {role: 'a'}}, {NOT: {flag: 'x'}}]}).result, 'always_true');
+      assert.strictEqual(lp.analyze({role: {XOR: ['admin', {NOT: 'admin'}]}}).result, 'always_true');
+      assert.strictEqual(lp.analyze({XOR: [{role: 'admin'}, {role: 'admin'}]}).result, 'always_false');
+      assert.strictEqual(lp.analyze({role: ['admin', 'editor']}).result, 'contingent');
+      assert.strictEqual(lp.analyze({}).result, 'always_true');
+      assert.strictEqual(lp.analyze('FALSE').result, 'always_false');
+      assert.strictEqual(lp.analyze({role: 'admin'}).no_bypass, null);
+      assert.strictEqual(lp.analyze({no_bypass: 'TRUE', role: 'admin'}).no_bypass, 'always_true');
+      assert.strictEqual(lp.analyze({NO_BYPASS: {flag: 'never_bypass'}, role: 'admin'}).no_bypass, 'contingent');
+    });
+  });
+  describe('testAnalyzeFindings', function() {
+    it('should call LogicalPermissions::analyze() and check the findings and their paths', function() {
+      var lp = createLogicalPermissions();
+      assert.deepEqual(lp.analyze({AND: {role: 'admin', NOT: {role: 'admin'}}}).findings, [
+        {path: '$.AND', kind: 'always_false', message: 'This part of the permission tree always denies access.'}
+      ]);
+      assert.deepEqual(getFindings(lp.analyze({OR: [true, {role: 'admin'}, {flag: 'is_author'}]})), [
+        ['$.OR', 'always_true'],
+        ['$.OR[1].role', 'dead_branch'],
+        ['$.OR[2].flag', 'dead_branch']
+      ]);
+      assert.deepEqual(getFindings(lp.analyze({OR: [{role: 'admin'}, {AND: [{role: 'admin'}, {flag: 'is_author'}]}]})), [
+        ['$.OR[1].AND[1].flag', 'dead_branch']
+      ]);
+      assert.deepEqual(getFindings(lp.analyze({AND: [{role: 'admin'}, {XOR: [{flag: 'x'}, {NOT: {flag: 'x'}}, false]}]})), [
+        ['$.AND[1].XOR', 'always_true'],
+        ['$.AND[1].XOR[2]', 'dead_branch']
+      ]);
+      assert.deepEqual(getFindings(lp.analyze({role: {OR: ['editor', {AND: ['sales team', {NOT: 'admin'}]}]}})), []);
+      assert.deepEqual(getFindings(lp.analyze({role: ['admin', 'editor']})), []);
+    });
+  });
+  describe('testAnalyzeThresholdGates', function() {
+    it('should call LogicalPermissions::analyze() with threshold gates and check the paths of the findings', function() {
+      var lp = createLogicalPermissions();
+      assert.deepEqual(getFindings(lp.analyze({AT_LEAST: {count: 1, of: [{role: 'admin'}, 'TRUE']}})), [
+        ['$.AT_LEAST', 'always_true'],
+        ['$.AT_LEAST.of[0].role', 'dead_branch']
+      ]);
+      assert.deepEqual(getFindings(lp.analyze({AND: [{role: 'admin'}, {EXACTLY: {count: 2, of: {0: {role: 'admin'}, 1: 'FALSE'}}}]})), [
+        ['$.AND[0].role', 'dead_branch'],
+        ['$.AND[1].EXACTLY', 'always_false'],
+        ["$.AND[1].EXACTLY.of['0']", 'dead_branch']
+      ]);
+      assert.strictEqual(lp.analyze({role: {AT_MOST: {count: 1, of: ['admin', 'editor', 'sales']}}}).result, 'contingent');
+    });
+  });
+  describe('testAnalyzeIMPLIES', function() {
+    it('should call LogicalPermissions::analyze() with IMPLIES gates whose consequence can never make a difference', function() {
+      var lp = createLogicalPermissions();
+      assert.deepEqual(getFindings(lp.analyze({IMPLIES: [{role: {AND: ['admin', {NOT: 'admin'}]}}, {role: 'editor'}]})), [
+        ['$.IMPLIES[0].role.AND', 'always_false'],
+        ['$.IMPLIES[1].role', 'dead_branch']
+      ]);
+      assert.deepEqual(getFindings(lp.analyze({IMPLIES: [{role: 'admin'}, {role: 'editor'}]})), []);
+    });
+  });
+  describe('testAnalyzeCustomGates', function() {
+    it('should call LogicalPermissions::analyze() with a custom gate and check that the children that its handler never evaluates are reported', function() {
+      var lp = createLogicalPermissions();
+      lp.addGate('LAST', function(children, evaluateChild) {
+        return evaluateChild(children[children.length - 1]);
+      });
+      assert.deepEqual(getFindings(lp.analyze({LAST: [{role: 'admin'}, {role: 'editor'}]})), [
+        ['$.LAST[0].role', 'dead_branch']
+      ]);
+      assert.strictEqual(lp.analyze({role: {last: ['admin', 'editor']}}).result, 'contingent');
+      assert.strictEqual(lp.analyze({LAST: [{role: 'admin'}, 'FALSE']}).result, 'always_false');
+    });
+  });
+  describe('testAnalyzeCustomGateChildren', function() {
+    it('should call LogicalPermissions::analyze() with a custom gate whose handler inspects its children and check that it gets the child permissions', function() {
+      var lp = createLogicalPermissions();
+      //Grants access if the granted children weigh at least 2, where the weight of each child depends on its role
+      lp.addGate('WEIGHTED', function(children, evaluateChild) {
+        var weights = {admin: 2};
+        var weight = 0;
+        children.forEach(function(child) {
+          if(evaluateChild(child)) {
+            weight += weights[child.role] || 1;
+          }
+        });
+        return weight >= 2;
+      });
+      assert.deepEqual(lp.analyze({WEIGHTED: [{role: 'admin'}]}), {result: 'contingent', no_bypass: null, findings: []});
+      assert.strictEqual(lp.analyze({WEIGHTED: [{role: 'editor'}]}).result, 'always_false');
+      lp.definePermission('quorum', {WEIGHTED: [{role: 'editor'}, {role: 'admin'}]});
+      assert.strictEqual(lp.analyze({AND: [{REF: 'quorum'}, {role: 'admin'}]}).result, 'contingent');
+    });
+  });
+  describe('testAnalyzeReferences', function() {
+    it('should call LogicalPermissions::analyze() with references to permission definitions and check that each reference is reported as a whole', function() {
+      var lp = createLogicalPermissions();
+      lp.definePermission('staff', {role: ['employee', 'contractor']});
+      lp.definePermission('nobody', {AND: [{role: 'employee'}, {NOT: {role: 'employee'}}]});
+      assert.deepEqual(getFindings(lp.analyze({OR: [{REF: 'staff'}, {REF: 'nobody'}]})), [
+        ['$.OR[1].REF', 'always_false']
+      ]);
+      assert.deepEqual(getFindings(lp.analyze({AND: [{REF: 'staff'}, {role: 'employee'}]})), []);
+      assert.deepEqual(getFindings(lp.analyze({OR: [{role: 'employee'}, {REF: 'staff'}]})), []);
+      assert.strictEqual(lp.analyze({REF: 'nobody'}).result, 'always_false');
+    });
+  });
+  describe('testAnalyzeMetadata', function() {
+    it('should call LogicalPermissions::analyze() with metadata and check that it is ignored', function() {
+      var lp = createLogicalPermissions();
+      assert.deepEqual(getFindings(lp.analyze({OR: [{role: 'admin', META: {}}, {AND: {role: 'admin', flag: 'x', MESSAGE: 'Only admins'}}], MESSAGE: 'Denied'})), [
+        ['$.OR[1].AND.flag', 'dead_branch']
+      ]);
+      assert.strictEqual(lp.analyze({MESSAGE: 'Everyone'}).result, 'always_true');
+    });
+  });
+  describe('testAnalyzeStructuredPermissionValues', function() {
+    it('should call LogicalPermissions::analyze() with object permission values and check that each distinct value is a single permission', function() {
+      var lp = createLogicalPermissions();
+      lp.addType('attribute', function() {
+        return true;
+      }, {accepts: ['object']});
+      assert.deepEqual(getFindings(lp.analyze({attribute: {XOR: [{name: 'age', gte: 18}, {name: 'age', gte: 18}]}})), [
+        ['$.attribute.XOR', 'always_false']
+      ]);
+      assert.strictEqual(lp.analyze({attribute: {AND: [{name: 'age', gte: 18}, {name: 'age', gte: 21}]}}).result, 'contingent');
+    });
+  });
+  describe('testAnalyzeFindingsNoBypass', function() {
+    it('should call LogicalPermissions::analyze() and check the findings for NO_BYPASS conditions', function() {
+      var lp = createLogicalPermissions();
+      assert.deepEqual(getFindings(lp.analyze({NO_BYPASS: {flag: 'never_bypass'}, OR: [{role: 'admin'}, 'TRUE']})), [
+        ['$.OR', 'always_true'],
+        ['$.OR[0].role', 'dead_branch'],
+        ['$.NO_BYPASS', 'dead_branch']
+      ]);
+      assert.deepEqual(getFindings(lp.analyze({no_bypass: {AND: {flag: 'never_bypass', NOT: {flag: 'never_bypass'}}}, role: 'admin'})), [
+        ['$.no_bypass.AND', 'always_false']
+      ]);
+    });
+  });
+  describe('testAnalyzeNoBypassRules', function() {
+    it('should call LogicalPermissions::analyze() with NO_BYPASS arrays of bypass rule names', function() {
+      var lp = createLogicalPermissions();
+      lp.addBypassRule('impersonation', function(){});
+      var analysis = lp.analyze({NO_BYPASS: ['impersonation'], role: 'admin'});
+      assert.strictEqual(analysis.no_bypass, 'always_false');
+      assert.deepEqual(getFindings(analysis), []);
+      assert.deepEqual(getFindings(lp.analyze({NO_BYPASS: ['impersonation'], 0: true})), [
+        ['$.NO_BYPASS', 'dead_branch']
+      ]);
+    });
+  });
+  describe('testAnalyzeScopedNoBypass', function() {
+    it('should call LogicalPermissions::analyze() with a NO_BYPASS key beneath the top level and catch an InvalidArgumentValueException exception', function() {
+      var lp = createLogicalPermissions();
+      assert.throws(function() {
+        lp.analyze({AND: [{role: 'admin'}, {NO_BYPASS: true, flag: 'verified'}]});
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+      lp.definePermission('verified', {OR: {NO_BYPASS: true, flag: 'verified'}});
+      assert.throws(function() {
+        lp.analyze({AND: [{role: 'admin'}, {REF: 'verified'}]});
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+    });
+  });
+});
@@ -0,0 +1,220 @@
+var LogicalPermissions = require('../lib/LogicalPermissions.js');
+var assert = require('assert');
+describe('AttributeType', function() {
+
+  var createContext = function() {
+    return {
+      user: {
+        id: 1,
+        age: 20,
+        name: 'Alice',
+        roles: ['editor', 'writer'],
+        manager: null
+      },
+      document: {
+        owner_id: 1,
+        status: 'draft',
+        min_age: 18,
+        allowed_statuses: ['draft', 'review'],
+        tags: ['news']
+      }
+    };
+  };
+
+  /*-------------LogicalPermissions::addAttributeType()--------------*/
+
+  describe('testAddAttributeTypeParamNameWrongType', function() {
+    it('should call LogicalPermissions::addAttributeType() with the wrong data type for the "name" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.addAttributeType(0);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'name';});
+    });
+  });
+  describe('testAddAttributeTypeParamNameExists', function() {
+    it('should call LogicalPermissions::addAttributeType() with the name of an existing type and catch a PermissionTypeAlreadyExistsException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('attr', function() {});
+      assert.throws(function() {
+        lp.addAttributeType();
+      }, function(err) {return err.name === 'PermissionTypeAlreadyExistsException';});
+    });
+  });
+  describe('testAddAttributeType', function() {
+    it('should call LogicalPermissions::addAttributeType() and assert that the type was added with the default name or the given name', function() {
+      var lp = new LogicalPermissions();
+      lp.addAttributeType();
+      assert(lp.typeExists('attr'));
+      lp.addAttributeType('attribute');
+      assert(lp.typeExists('attribute'));
+      assert(lp.checkAccess({attribute: {path: 'user.id', eq: 1}}, createContext()));
+    });
+  });
+
+  /*-------------Attribute conditions--------------*/
+
+  describe('testAttributeOperators', function() {
+    it('should call LogicalPermissions::checkAccess() with each operator and literal operands', function() {
+      var lp = new LogicalPermissions();
+      lp.addAttributeType();
+      var context = createContext();
+      [
+        [{path: 'user.id', eq: 1}, true],
+        [{path: 'user.id', eq: '1'}, false],
+        [{path: 'user.id', ne: 2}, true],
+        [{path: 'user.age', lt: 21}, true],
+        [{path: 'user.age', lt: 20}, false],
+        [{path: 'user.age', lte: 20}, true],
+        [{path: 'user.age', gt: 20}, false],
+        [{path: 'user.age', gte: 20}, true],
+        [{path: 'user.age', gte: '18'}, false],
+        [{path: 'user.name', gt: 'Adam'}, true],
+        [{path: 'document.status', in: ['draft', 'review']}, true],
+        [{path: 'document.status', in: ['published']}, false],
+        [{path: 'user.roles', contains: 'editor'}, true],
+        [{path: 'user.roles', contains: 'admin'}, false],
+        [{path: 'user.name', contains: 'lic'}, true],
+        [{path: 'user.age', contains: 2}, false],
+        [{path: 'user.name', matches: '^A[a-z]+$'}, true],
+        [{path: 'user.name', matches: '^B'}, false],
+        [{path: 'user.age', matches: '20'}, false],
+        [{path: 'user.id', exists: true}, true],
+        [{path: 'user.manager', exists: true}, true],
+        [{path: 'user.email', exists: true}, false],
+        [{path: 'user.email', exists: false}, true],
+        [{path: 'user.roles.1', eq: 'writer'}, true],
+        [{path: 'user.roles.length', eq: 2}, true],
+        [{path: 'user.manager.id', exists: false}, true]
+      ].forEach(function(condition) {
+        assert.strictEqual(lp.checkAccess({attr: condition[0]}, context), condition[1], JSON.stringify(condition[0]));
+      });
+    });
+  });
+  describe('testAttributePathOperands', function() {
+    it('should call LogicalPermissions::checkAccess() with operands that refer to other values in the context', function() {
+      var lp = new LogicalPermissions();
+      lp.addAttributeType();
+      var context = createContext();
+      assert(lp.checkAccess({attr: {path: 'document.owner_id', eq: {path: 'user.id'}}}, context));
+      assert(lp.checkAccess({attr: {path: 'user.age', gte: {path: 'document.min_age'}}}, context));
+      assert(lp.checkAccess({attr: {path: 'document.status', in: {path: 'document.allowed_statuses'}}}, context));
+      assert(!lp.checkAccess({attr: {path: 'document.status', in: {path: 'document.tags'}}}, context));
+      assert(!lp.checkAccess({attr: {path: 'document.status', in: {path: 'document.missing'}}}, context));
+      context.user.id = 2;
+      assert(!lp.checkAccess({attr: {path: 'document.owner_id', eq: {path: 'user.id'}}}, context));
+    });
+  });
+  describe('testAttributeMissingValues', function() {
+    it('should call LogicalPermissions::checkAccess() with paths that are missing on either side or on both sides and check that only the exists operator grants access', function() {
+      var lp = new LogicalPermissions();
+      lp.addAttributeType();
+      var context = {user: {id: 1, name: 'Alice', roles: ['editor', 'writer']}, document: {}};
+      ['eq', 'ne', 'lt', 'lte', 'gt', 'gte', 'in', 'contains'].forEach(function(operator) {
+        [
+          ['document.owner_id', 1],
+          ['user.id', {path: 'document.owner_id'}],
+          ['user.roles', {path: 'document.role'}],
+          ['document.owner_id', {path: 'user.id'}],
+          ['document.owner_id', {path: 'document.creator_id'}]
+        ].forEach(function(sides) {
+          var condition = {path: sides[0]};
+          condition[operator] = operator === 'in' && !sides[1].path ? [sides[1]] : sides[1];
+          assert.strictEqual(lp.checkAccess({attr: condition}, context), false, JSON.stringify(condition));
+        });
+      });
+      assert(!lp.checkAccess({attr: {path: 'document.title', matches: '^'}}, context));
+      assert(!lp.checkAccess({attr: {path: 'user.id', eq: {path: 'document.owner_id'}}}, {user: {}, document: {}}));
+      assert(lp.checkAccess({attr: {path: 'document.owner_id', exists: false}}, context));
+      assert(!lp.checkAccess({attr: {path: 'document.owner_id', exists: true}}, context));
+    });
+  });
+  describe('testAttributeLogicGates', function() {
+    it('should call LogicalPermissions::checkAccess() with attribute conditions combined with logic gates and other permission types', function() {
+      var lp = new LogicalPermissions();
+      lp.addAttributeType();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      var permissions = {
+        OR: {
+          role: 'admin',
+          AND: [
+            {attr: {path: 'document.owner_id', eq: {path: 'user.id'}}},
+            {attr: {NOT: {path: 'document.status', eq: 'published'}}}
+          ]
+        }
+      };
+      var context = createContext();
+      assert(lp.checkAccess(permissions, context));
+      context.document.status = 'published';
+      assert(!lp.checkAccess(permissions, context));
+      context.user.roles.push('admin');
+      assert(lp.checkAccess(permissions, context));
+      assert(lp.checkAccess({attr: [{path: 'user.age', lt: 18}, {path: 'user.name', eq: 'Alice'}]}, context));
+      assert(!lp.checkAccess({attr: {AND: [{path: 'user.age', gte: 18}, {path: 'user.name', eq: 'Bob'}]}}, context));
+    });
+  });
+  describe('testAttributeLogicGatesWithMetadata', function() {
+    it('should call LogicalPermissions::checkAccessWithMessages() with a logic gate that has a MESSAGE key beneath an attribute type and check that it is evaluated as a logic gate', function() {
+      var lp = new LogicalPermissions();
+      lp.addAttributeType();
+      var permissions = {attr: {OR: [{path: 'user.age', gte: 21}], MESSAGE: 'Only users who are 21 or older'}};
+      assert.deepEqual(lp.validatePermissions(permissions), []);
+      assert.deepEqual(lp.checkAccessWithMessages(permissions, createContext()), {access: false, messages: ['Only users who are 21 or older']});
+      var context = createContext();
+      context.user.age = 21;
+      assert(lp.checkAccess(permissions, context));
+    });
+  });
+  describe('testAttributeInvalidConditions', function() {
+    it('should call LogicalPermissions::checkAccess() with invalid attribute conditions and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addAttributeType();
+      [
+        {eq: 1},
+        {path: '', eq: 1},
+        {path: 'user.id'},
+        {path: 'user.id', eq: 1, ne: 2},
+        {path: 'user.id', equals: 1},
+        {path: 'user.id', exists: 'yes'},
+        {path: 'user.id', in: 'draft'},
+        {path: 'user.name', matches: 5},
+        {path: 'user.name', matches: '('},
+        {path: 'user.name', matches: {path: 'user.pattern'}}
+      ].forEach(function(condition) {
+        assert.throws(function() {
+          lp.checkAccess({attr: condition}, createContext());
+        }, function(err) {return err.name === 'InvalidArgumentValueException' && err.type === 'attr' && JSON.stringify(err.permissions) === JSON.stringify(condition);}, JSON.stringify(condition));
+      });
+      assert.throws(function() {
+        lp.checkAccess({attr: 'user.id'}, createContext());
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+    });
+  });
+  describe('testAttributeValidatePermissions', function() {
+    it('should call LogicalPermissions::validatePermissions() with invalid attribute conditions and get the problems that LogicalPermissions::checkAccess() throws', function() {
+      var lp = new LogicalPermissions();
+      lp.addAttributeType();
+      assert.deepEqual(lp.validatePermissions({attr: {OR: [{path: 'user.id', eq: 1}, {path: 'user.name', matches: '^A'}]}}), []);
+      [
+        {eq: 1},
+        {path: 'user.id', bogus: 1},
+        {path: 'user.id', exists: 'yes'},
+        {path: 'user.name', matches: '('},
+        {path: 'user.name', matches: {path: 'user.pattern'}}
+      ].forEach(function(condition) {
+        var permissions = {attr: {OR: [condition, {path: 'user.id', eq: 1}]}};
+        var problems = lp.validatePermissions(permissions);
+        assert.strictEqual(problems.length, 1, JSON.stringify(condition));
+        assert.strictEqual(problems[0].path, '$.attr.OR[0]');
+        assert.strictEqual(problems[0].name, 'InvalidArgumentValueException');
+        assert.throws(function() {
+          lp.checkAccess(permissions, createContext());
+        }, function(err) {return err.name === 'InvalidArgumentValueException' && err.message === problems[0].message;}, JSON.stringify(condition));
+      });
+      var callback = lp.getTypeCallback('attr');
+      assert.strictEqual(callback.getConditionError({path: 'user.id', eq: 1}), null);
+      assert.strictEqual(callback.getConditionError({path: 'user.id', bogus: 1}).name, 'InvalidArgumentValueException');
+    });
+  });
+});
@@ -0,0 +1,228 @@
+var assert = require('assert');
+var createLogicalPermissions = require('./helpers/fixtures.js').createLogicalPermissions;
+describe('Equivalence', function() {
+
+  // Checks access for a permission tree in the situation described by a counterexample.
+  var checkCounterexample = function(lp, permissions, counterexample) {
+    var user = {roles: []};
+    counterexample.permissions.forEach(function(permission) {
+      if(permission.access) {
+        if(permission.type === 'role') {
+          user.roles.push(permission.value);
+        }
+        else {
+          user[permission.value] = true;
+        }
+      }
+    });
+    lp.setBypassCallback(function() {
+      return counterexample.bypass_access;
+    });
+    // The combined result of the bypass callback and the other bypass rules is already returned by the bypass callback
+    Object.keys(lp.getBypassRules()).forEach(function(rule) {
+      lp.removeBypassRule(rule);
+      lp.addBypassRule(rule, function() {
+        return counterexample.bypass_rules.hasOwnProperty(rule) && counterexample.bypass_rules[rule];
+      });
+    });
+    return lp.checkAccess(permissions, {user: user});
+  };
+
+  /*-------------LogicalPermissions::areEquivalent()--------------*/
+
+  describe('testAreEquivalentParamFirstPermissionsMissing', function() {
+    it('should call LogicalPermissions::areEquivalent() with no "first_permissions" parameter and catch a MissingArgumentException exception', function() {
+      var lp = createLogicalPermissions();
+      assert.throws(function() {
+        lp.areEquivalent();
+      }, function(err) {return err.name === 'MissingArgumentException' && err.argument === 'first_permissions';});
+    });
+  });
+  describe('testAreEquivalentParamFirstPermissionsWrongType', function() {
+    it('should call LogicalPermissions::areEquivalent() with the wrong data type for the "first_permissions" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = createLogicalPermissions();
+      assert.throws(function() {
+        lp.areEquivalent(50, {role: 'admin'});
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'first_permissions';});
+    });
+  });
+  describe('testAreEquivalentParamSecondPermissionsMissing', function() {
+    it('should call LogicalPermissions::areEquivalent() with no "second_permissions" parameter and catch a MissingArgumentException exception', function() {
+      var lp = createLogicalPermissions();
+      assert.throws(function() {
+        lp.areEquivalent({role: 'admin'});
+      }, function(err) {return err.name === 'MissingArgumentException' && err.argument === 'second_permissions';});
+    });
+  });
+  describe('testAreEquivalentParamSecondPermissionsWrongType', function() {
+    it('should call LogicalPermissions::areEquivalent() with the wrong data type for the "second_permissions" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = createLogicalPermissions();
+      assert.throws(function() {
+        lp.areEquivalent({role: 'admin'}, null);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'second_permissions';});
+    });
+  });
+  describe('testAreEquivalentInvalidPermissions', function() {
+    it('should call LogicalPermissions::areEquivalent() with an invalid permission tree and catch the error together with its path', function() {
+      var lp = createLogicalPermissions();
+      assert.throws(function() {
+        lp.areEquivalent({role: 'admin'}, {role: {flag: 'is_author'}});
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.path === '$.role.flag';});
+    });
+  });
+  describe('testAreEquivalentTrue', function() {
+    it('should call LogicalPermissions::areEquivalent() with equivalent permission trees', function() {
+      var lp = createLogicalPermissions();
+      var pairs = [
+        [{role: ['admin', 'editor']}, {OR: [{role: 'editor'}, {role: 'admin'}]}],
+        [{NAND: {role: 'admin', flag: 'is_author'}}, {OR: [{NOT: {role: 'admin'}}, {NOT: {flag: 'is_author'}}]}],
+        [{role: {NOR: ['admin', 'editor']}}, {AND: [{NOT: {role: 'admin'}}, {role: {NOT: 'editor'}}]}],
+        [{XOR: [{role: 'a'}, {role: 'b'}, {role: 'c'}]}, {AND: [{OR: [{role: 'a'}, {role: 'b'}, {role: 'c'}]}, {NAND: [{role: 'a'}, {role: 'b'}, {role: 'c'}]}]}],
+        [{XOR: [{role: 'a'}, {role: 'b'}]}, {OR: [{AND: [{role: 'a'}, {NOT: {role: 'b'}}]}, {AND: [{NOT: {role: 'a'}}, {role: 'b'}]}]}],
+        [{AND: [{role: 'admin'}, {OR: [{role: 'admin'}, {flag: 'is_author'}]}]}, {role: 'admin'}],
+        [{NO_BYPASS: true, 0: 'FALSE'}, {NO_BYPASS: 'TRUE', AND: [{role: 'admin'}, false]}],
+        [{no_bypass: {flag: 'never_bypass'}, role: 'admin'}, {NO_BYPASS: {NOT: {NOT: {flag: 'never_bypass'}}}, role: ['admin']}],
+        [{NO_BYPASS: {flag: 'never_bypass'}, role: 'admin'}, {NO_BYPASS: {flag: 'never_bypass'}, OR: [{role: 'admin'}, {AND: [{role: 'admin'}, {flag: 'is_author'}]}]}],
+        [{}, true]
+      ];
+      pairs.forEach(function(pair) {
+        assert.deepEqual(lp.areEquivalent(pair[0], pair[1]), {equivalent: true, counterexample: null}, JSON.stringify(pair));
+      });
+    });
+  });
+  describe('testAreEquivalentFalse', function() {
+    it('should call LogicalPermissions::areEquivalent() with permission trees that are not equivalent and check that the counterexamples are correct', function() {
+      var lp = createLogicalPermissions();
+      var pairs = [
+        [{role: 'admin'}, {role: 'editor'}],
+        [{NAND: {role: 'admin', flag: 'is_author'}}, {AND: [{NOT: {role: 'admin'}}, {NOT: {flag: 'is_author'}}]}],
+        [{XOR: [{role: 'a'}, {role: 'b'}, {role: 'c'}]}, {XOR: [{XOR: [{role: 'a'}, {role: 'b'}]}, {role: 'c'}]}],
+        [{NO_BYPASS: true, role: 'admin'}, {role: 'admin'}],
+        [{NO_BYPASS: {flag: 'never_bypass'}, role: 'admin'}, {NO_BYPASS: {flag: 'no_bypass'}, role: 'admin'}],
+        [true, {NOT: {role: 'admin'}}],
+        [false, {NO_BYPASS: true, 0: false}]
+      ];
+      pairs.forEach(function(pair) {
+        var result = lp.areEquivalent(pair[0], pair[1]);
+        assert.strictEqual(result.equivalent, false, JSON.stringify(pair));
+        assert.notStrictEqual(result.counterexample.results[0], result.counterexample.results[1]);
+        assert.strictEqual(checkCounterexample(lp, pair[0], result.counterexample), result.counterexample.results[0]);
+        assert.strictEqual(checkCounterexample(lp, pair[1], result.counterexample), result.counterexample.results[1]);
+      });
+    });
+  });
+  describe('testAreEquivalentStructuredPermissionValues', function() {
+    it('should call LogicalPermissions::areEquivalent() with number permission values', function() {
+      var lp = createLogicalPermissions();
+      lp.addType('min_age', function() {
+        return true;
+      }, {accepts: ['number']});
+      assert(lp.areEquivalent({min_age: [18, 21]}, {OR: [{min_age: 21}, {min_age: 18}]}).equivalent);
+      var result = lp.areEquivalent({min_age: 18}, {min_age: 21});
+      assert(!result.equivalent);
+      assert.deepEqual(result.counterexample.permissions.map(function(permission) {
+        return permission.value;
+      }).sort(), [18, 21]);
+    });
+  });
+  describe('testAreEquivalentCustomGates', function() {
+    it('should call LogicalPermissions::areEquivalent() with custom gates and compare them with built-in gates', function() {
+      var lp = createLogicalPermissions();
+      lp.addGate('MAJORITY', function(children, evaluateChild) {
+        return children.filter(evaluateChild).length * 2 > children.length;
+      });
+      assert(lp.areEquivalent({role: {MAJORITY: ['a', 'b', 'c']}}, {role: {AT_LEAST: {count: 2, of: ['c', 'b', 'a']}}}).equivalent);
+      assert(!lp.areEquivalent({role: {MAJORITY: ['a', 'b', 'c', 'd']}}, {role: {AT_LEAST: {count: 2, of: ['a', 'b', 'c', 'd']}}}).equivalent);
+    });
+  });
+  describe('testAreEquivalentCustomGateChildren', function() {
+    it('should call LogicalPermissions::areEquivalent() with a custom gate whose handler inspects its children and check that it gets the child permissions', function() {
+      var lp = createLogicalPermissions();
+      //Grants access if the granted children weigh at least 2, where the weight of each child depends on its role
+      lp.addGate('WEIGHTED', function(children, evaluateChild) {
+        var weights = {admin: 2};
+        var weight = 0;
+        children.forEach(function(child) {
+          if(evaluateChild(child)) {
+            weight += weights[child.role] || 1;
+          }
+        });
+        return weight >= 2;
+      });
+      assert(lp.areEquivalent({WEIGHTED: [{role: 'admin'}]}, {role: 'admin'}).equivalent);
+      assert(lp.areEquivalent({WEIGHTED: {role: 'editor', 0: {role: 'guest'}}}, {AND: [{role: 'editor'}, {role: 'guest'}]}).equivalent);
+      assert(!lp.areEquivalent({WEIGHTED: [{role: 'admin'}]}, false).equivalent);
+    });
+  });
+  describe('testAreEquivalentReferences', function() {
+    it('should call LogicalPermissions::areEquivalent() with references to permission definitions and compare them with the permission trees of the definitions', function() {
+      var lp = createLogicalPermissions();
+      lp.definePermission('staff', {role: ['employee', 'contractor']});
+      lp.definePermission('activeStaff', {AND: [{REF: 'staff'}, {NOT: {flag: 'is_suspended'}}]});
+      assert(lp.areEquivalent({REF: 'activeStaff'}, {NOR: [{flag: 'is_suspended'}, {role: {NOR: ['employee', 'contractor']}}]}).equivalent);
+      assert(!lp.areEquivalent({REF: 'activeStaff'}, {REF: 'staff'}).equivalent);
+    });
+  });
+  describe('testAreEquivalentMetadata', function() {
+    it('should call LogicalPermissions::areEquivalent() with metadata and check that it is ignored', function() {
+      var lp = createLogicalPermissions();
+      assert(lp.areEquivalent({role: 'admin', MESSAGE: 'Only admins', META: {id: 1}}, {role: 'admin'}).equivalent);
+      assert(lp.areEquivalent({AND: {role: 'admin', flag: 'x', MESSAGE: 'Denied'}}, {AND: [{role: 'admin'}, {flag: 'x'}]}).equivalent);
+    });
+  });
+  describe('testAreEquivalentCounterexample', function() {
+    it('should call LogicalPermissions::areEquivalent() and check the structure of the counterexample', function() {
+      var lp = createLogicalPermissions();
+      assert.deepEqual(lp.areEquivalent({role: ['admin', 'editor']}, {role: 'admin'}), {
+        equivalent: false,
+        counterexample: {
+          permissions: [
+            {type: 'role', value: 'admin', access: false},
+            {type: 'role', value: 'editor', access: true}
+          ],
+          bypass_access: false,
+          bypass_rules: {},
+          results: [true, false]
+        }
+      });
+    });
+  });
+  describe('testAreEquivalentBypassRules', function() {
+    it('should call LogicalPermissions::areEquivalent() with NO_BYPASS arrays of bypass rule names and check that the counterexamples are correct', function() {
+      var lp = createLogicalPermissions();
+      ['impersonation', 'system', 'cron'].forEach(function(rule) {
+        lp.addBypassRule(rule, function() {
+          return false;
+        });
+      });
+      assert(lp.areEquivalent({NO_BYPASS: ['system', 'impersonation', 'system'], role: 'admin'}, {NO_BYPASS: ['impersonation', 'system'], role: 'admin'}).equivalent);
+      assert(lp.areEquivalent({NO_BYPASS: ['impersonation'], 0: true}, true).equivalent);
+      assert(lp.areEquivalent({NO_BYPASS: [], role: 'admin'}, {role: 'admin'}).equivalent);
+      var pairs = [
+        [{NO_BYPASS: ['impersonation'], role: 'admin'}, {role: 'admin'}],
+        [{NO_BYPASS: ['impersonation'], role: 'admin'}, {NO_BYPASS: ['system'], role: 'admin'}],
+        [{NO_BYPASS: ['impersonation'], role: 'admin'}, {NO_BYPASS: true, role: 'admin'}]
+      ];
+      pairs.forEach(function(pair) {
+        var result = lp.areEquivalent(pair[0], pair[1]);
+        assert.strictEqual(result.equivalent, false, JSON.stringify(pair));
+        assert.strictEqual(checkCounterexample(lp, pair[0], result.counterexample), result.counterexample.results[0]);
+        assert.strictEqual(checkCounterexample(lp, pair[1], result.counterexample), result.counterexample.results[1]);
+      });
+      assert.deepEqual(lp.areEquivalent(pairs[1][0], pairs[1][1]).counterexample.bypass_rules, {impersonation: true, system: false});
+    });
+  });
+  describe('testAreEquivalentScopedNoBypass', function() {
+    it('should call LogicalPermissions::areEquivalent() with a NO_BYPASS key beneath the top level in either permission tree and catch an InvalidArgumentValueException exception', function() {
+      var lp = createLogicalPermissions();
+      var scoped = {AND: [{role: 'admin'}, {NO_BYPASS: true, flag: 'verified'}]};
+      var plain = {AND: [{role: 'admin'}, {flag: 'verified'}]};
+      assert.throws(function() {
+        lp.areEquivalent(scoped, plain);
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.permissions === scoped;});
+      assert.throws(function() {
+        lp.areEquivalent(plain, scoped);
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.permissions === scoped;});
+    });
+  });
+});
@@ -0,0 +1,57 @@
+var LogicalPermissions = require('../lib/LogicalPermissions.js');
+var Errors = require('../lib/Errors.js');
+var assert = require('assert');
+describe('Errors', function() {
+
+  describe('testErrorsExported', function() {
+    it('should check that the error classes are exported on the LogicalPermissions class', function() {
+      for(var class_name in Errors) {
+        assert.strictEqual(LogicalPermissions[class_name], Errors[class_name]);
+      }
+    });
+  });
+  describe('testErrorsHierarchy', function() {
+    it('should check that all error classes extend LogicalPermissionsError and Error and keep the legacy exception names', function() {
+      var names = {
+        LogicalPermissionsError: ['LogicalPermissionsException', 'LOGICAL_PERMISSIONS_ERROR'],
+        MissingArgumentError: ['MissingArgumentException', 'MISSING_ARGUMENT'],
+        InvalidArgumentTypeError: ['InvalidArgumentTypeException', 'INVALID_ARGUMENT_TYPE'],
+        InvalidArgumentValueError: ['InvalidArgumentValueException', 'INVALID_ARGUMENT_VALUE'],
+        PermissionTypeAlreadyExistsError: ['PermissionTypeAlreadyExistsException', 'PERMISSION_TYPE_ALREADY_EXISTS'],
+        PermissionTypeNotRegisteredError: ['PermissionTypeNotRegisteredException', 'PERMISSION_TYPE_NOT_REGISTERED'],
+        InvalidValueForLogicGateError: ['InvalidValueForLogicGateException', 'INVALID_VALUE_FOR_LOGIC_GATE'],
+        InvalidCallbackReturnTypeError: ['InvalidCallbackReturnTypeException', 'INVALID_CALLBACK_RETURN_TYPE'],
+        PermissionNotDefinedError: ['PermissionNotDefinedException', 'PERMISSION_NOT_DEFINED'],
+        CircularReferenceError: ['CircularReferenceException', 'CIRCULAR_REFERENCE'],
+        ExpressionSyntaxError: ['ExpressionSyntaxException', 'EXPRESSION_SYNTAX']
+      };
+      for(var class_name in names) {
+        var err = new Errors[class_name]('test message');
+        assert(err instanceof Errors[class_name]);
+        assert(err instanceof Errors.LogicalPermissionsError);
+        assert(err instanceof Error);
+        assert.strictEqual(err.constructor, Errors[class_name]);
+        assert.strictEqual(err.name, names[class_name][0]);
+        assert.strictEqual(err.code, names[class_name][1]);
+        assert.strictEqual(err.message, 'test message');
+        assert.strictEqual(String(err), names[class_name][0] + ': test message');
+      }
+    });
+  });
+  describe('testErrorsDetails', function() {
+    it('should create an error with details and check that they are copied to the error', function() {
+      var permissions = ['test'];
+      var err = new Errors.InvalidValueForLogicGateError('test message', {gate: 'XOR', permissions: permissions});
+      assert.strictEqual(err.gate, 'XOR');
+      assert.strictEqual(err.permissions, permissions);
+    });
+  });
+  describe('testErrorsStackTrace', function() {
+    it('should create an error and check that it has a stack trace', function() {
+      var err = new Errors.MissingArgumentError('test message');
+      assert.strictEqual(typeof err.stack, 'string');
+      assert(err.stack.indexOf('MissingArgumentException: test message') === 0);
+      assert(err.stack.indexOf('ErrorsTest.js') !== -1);
+    });
+  });
+});
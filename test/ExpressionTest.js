@@ -0,0 +1,342 @@
+var LogicalPermissions = require('../lib/LogicalPermissions.js');
+var assert = require('assert');
+var createLogicalPermissions = require('./helpers/fixtures.js').createLogicalPermissions;
+describe('Expression', function() {
+
+  /*-------------LogicalPermissions::parse()--------------*/
+
+  describe('testParseParamExpressionMissing', function() {
+    it('should call LogicalPermissions::parse() with no "expression" parameter and catch a MissingArgumentException exception', function() {
+      var lp = createLogicalPermissions();
+      assert.throws(function() {
+        lp.parse();
+      }, function(err) {return err.name === 'MissingArgumentException';});
+    });
+  });
+  describe('testParseParamExpressionWrongType', function() {
+    it('should call LogicalPermissions::parse() with the wrong data type for the "expression" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = createLogicalPermissions();
+      assert.throws(function() {
+        lp.parse({role: 'admin'});
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+    });
+  });
+  describe('testParseSingleItem', function() {
+    it('should call LogicalPermissions::parse() with single permissions and booleans', function() {
+      var lp = createLogicalPermissions();
+      assert.deepEqual(lp.parse('role:admin'), {role: 'admin'});
+      assert.deepEqual(lp.parse('  role : admin  '), {role: 'admin'});
+      assert.deepEqual(lp.parse('role:"sales team"'), {role: 'sales team'});
+      assert.deepEqual(lp.parse("role:'it\\'s'"), {role: "it's"});
+      assert.deepEqual(lp.parse('role:"or"'), {role: 'or'});
+      assert.strictEqual(lp.parse('TRUE'), true);
+      assert.strictEqual(lp.parse('false'), false);
+    });
+  });
+  describe('testParseOperators', function() {
+    it('should call LogicalPermissions::parse() with operators and check their precedence', function() {
+      var lp = createLogicalPermissions();
+      assert.deepEqual(lp.parse('role:admin OR (flag:is_author AND NOT role:guest)'), {
+        OR: [
+          {role: 'admin'},
+          {AND: [{flag: 'is_author'}, {NOT: {role: 'guest'}}]}
+        ]
+      });
+      assert.deepEqual(lp.parse('role:admin or flag:is_author and not role:guest'), lp.parse('role:admin OR (flag:is_author AND NOT role:guest)'));
+      assert.deepEqual(lp.parse('role:a OR role:b XOR role:c AND role:d'), {
+        OR: [
+          {role: 'a'},
+          {XOR: [{role: 'b'}, {AND: [{role: 'c'}, {role: 'd'}]}]}
+        ]
+      });
+      assert.deepEqual(lp.parse('role:a AND role:b AND role:c'), {AND: [{role: 'a'}, {role: 'b'}, {role: 'c'}]});
+      assert.deepEqual(lp.parse('role:a AND role:b NAND role:c'), {NAND: [{AND: [{role: 'a'}, {role: 'b'}]}, {role: 'c'}]});
+      assert.deepEqual(lp.parse('role:a NOR flag:b'), {NOR: [{role: 'a'}, {flag: 'b'}]});
+      assert.deepEqual(lp.parse('NOT NOT TRUE'), {NOT: {NOT: 'TRUE'}});
+      assert.deepEqual(lp.parse('TRUE AND FALSE'), {AND: [true, false]});
+    });
+  });
+  describe('testParseTypeScope', function() {
+    it('should call LogicalPermissions::parse() with operators applied to the values of a permission type', function() {
+      var lp = createLogicalPermissions();
+      assert.deepEqual(lp.parse('role:(editor XOR sales)'), {role: {XOR: ['editor', 'sales']}});
+      assert.deepEqual(lp.parse('role:NOT guest'), {role: {NOT: 'guest'}});
+      assert.deepEqual(lp.parse('role:(admin OR (editor AND NOT(writer NAND sales)))'), {
+        role: {
+          OR: ['admin', {AND: ['editor', {NOT: {NAND: ['writer', 'sales']}}]}]
+        }
+      });
+    });
+  });
+  describe('testParseGateFunctions', function() {
+    it('should call LogicalPermissions::parse() with logic gates written as functions', function() {
+      var lp = createLogicalPermissions();
+      assert.deepEqual(lp.parse('XOR(role:a, role:b, flag:c)'), {XOR: [{role: 'a'}, {role: 'b'}, {flag: 'c'}]});
+      assert.deepEqual(lp.parse('role:and(a, b OR c)'), {role: {AND: ['a', {OR: ['b', 'c']}]}});
+      assert.deepEqual(lp.parse('NOT(role:a)'), {NOT: {role: 'a'}});
+    });
+  });
+  describe('testParseThresholdGates', function() {
+    it('should call LogicalPermissions::parse() with threshold gates, whose count is written before the children', function() {
+      var lp = createLogicalPermissions();
+      assert.deepEqual(lp.parse('AT_LEAST(2, role:a, role:b, flag:c)'), {AT_LEAST: {count: 2, of: [{role: 'a'}, {role: 'b'}, {flag: 'c'}]}});
+      assert.deepEqual(lp.parse('role:at_most(1, a, b OR c)'), {role: {AT_MOST: {count: 1, of: ['a', {OR: ['b', 'c']}]}}});
+      assert.deepEqual(lp.parse('NOT EXACTLY(0, role:a)'), {NOT: {EXACTLY: {count: 0, of: [{role: 'a'}]}}});
+    });
+  });
+  describe('testParseCustomGates', function() {
+    it('should call LogicalPermissions::parse() with custom gates written as functions', function() {
+      var lp = createLogicalPermissions();
+      lp.addGate('MAJORITY', function() {
+        return true;
+      });
+      assert.deepEqual(lp.parse('majority(role:a, role:b, flag:c)'), {MAJORITY: [{role: 'a'}, {role: 'b'}, {flag: 'c'}]});
+      assert.deepEqual(lp.parse('role:MAJORITY(a, b OR c) AND flag:x'), {AND: [{role: {MAJORITY: ['a', {OR: ['b', 'c']}]}}, {flag: 'x'}]});
+    });
+  });
+  describe('testParseReferences', function() {
+    it('should call LogicalPermissions::parse() with references to permission definitions', function() {
+      var lp = createLogicalPermissions();
+      assert.deepEqual(lp.parse('REF(activeStaff)'), {REF: 'activeStaff'});
+      assert.deepEqual(lp.parse('ref("active staff") AND NOT role:guest'), {AND: [{REF: 'active staff'}, {NOT: {role: 'guest'}}]});
+      assert.throws(function() {
+        lp.parse('role:REF(activeStaff)');
+      }, function(err) {return err.name === 'ExpressionSyntaxException' && err.column === 6;});
+      assert.throws(function() {
+        lp.parse('REF(role:admin)');
+      }, function(err) {return err.name === 'ExpressionSyntaxException' && err.column === 9;});
+    });
+  });
+  describe('testParseNoBypass', function() {
+    it('should call LogicalPermissions::parse() with NO_BYPASS conditions', function() {
+      var lp = createLogicalPermissions();
+      assert.deepEqual(lp.parse('NO_BYPASS(TRUE)'), {NO_BYPASS: true});
+      assert.deepEqual(lp.parse('NO_BYPASS(TRUE) FALSE'), {NO_BYPASS: true, 0: false});
+      assert.deepEqual(lp.parse('no_bypass(role:admin) role:editor OR flag:is_author'), {
+        NO_BYPASS: {role: 'admin'},
+        OR: [{role: 'editor'}, {flag: 'is_author'}]
+      });
+    });
+  });
+  describe('testParseSyntaxErrors', function() {
+    it('should call LogicalPermissions::parse() with invalid expressions and check the reported positions', function() {
+      var lp = createLogicalPermissions();
+      var expectSyntaxError = function(expression, line, column) {
+        assert.throws(function() {
+          lp.parse(expression);
+        }, function(err) {
+          return err instanceof LogicalPermissions.ExpressionSyntaxError && err.name === 'ExpressionSyntaxException' && err.line === line && err.column === column;
+        }, expression);
+      };
+      expectSyntaxError('', 1, 1);
+      expectSyntaxError('admin', 1, 1);
+      expectSyntaxError('role:(admin OR', 1, 15);
+      expectSyntaxError('role:admin)', 1, 11);
+      expectSyntaxError('role:admin\n  AND test:admin', 2, 7);
+      expectSyntaxError('role:flag:is_author', 1, 6);
+      expectSyntaxError('role:TRUE', 1, 6);
+      expectSyntaxError('role:"true"', 1, 6);
+      expectSyntaxError('role:"admin', 1, 6);
+      expectSyntaxError('role:admin AND NO_BYPASS(TRUE)', 1, 16);
+      expectSyntaxError('role:XOR admin', 1, 10);
+      expectSyntaxError('role:admin role:editor', 1, 12);
+      expectSyntaxError('AT_LEAST(role:a, role:b)', 1, 10);
+      expectSyntaxError('AT_MOST(-1, role:a)', 1, 9);
+      expectSyntaxError('EXACTLY(1)', 1, 10);
+      expectSyntaxError('XOR(role:a)', 1, 1);
+      expectSyntaxError('role:a OR\n  AT_LEAST(5, role:a)', 2, 3);
+      expectSyntaxError('role:(admin AND IMPLIES(a, b, c))', 1, 17);
+      expectSyntaxError('NO_BYPASS(XNOR(flag:x)) role:a', 1, 11);
+    });
+  });
+  describe('testParseCheckAccess', function() {
+    it('should call LogicalPermissions::parse() and check that the resulting permission trees are evaluated correctly by LogicalPermissions::checkAccess()', function() {
+      var lp = createLogicalPermissions();
+      lp.setBypassCallback(function(context) {
+        return !!context.user.superuser;
+      });
+      var permissions = lp.parse('NO_BYPASS(flag:never_bypass) role:admin OR (flag:is_author AND NOT role:guest)');
+      assert(lp.checkAccess(permissions, {user: {roles: ['admin']}}));
+      assert(lp.checkAccess(permissions, {user: {roles: ['writer'], is_author: true}}));
+      assert(!lp.checkAccess(permissions, {user: {roles: ['guest'], is_author: true}}));
+      assert(lp.checkAccess(permissions, {user: {roles: [], superuser: true}}));
+      assert(!lp.checkAccess(permissions, {user: {roles: [], superuser: true, never_bypass: true}}));
+      permissions = lp.parse('role:(editor XOR sales)');
+      assert(lp.checkAccess(permissions, {user: {roles: ['editor']}}));
+      assert(!lp.checkAccess(permissions, {user: {roles: ['editor', 'sales']}}));
+    });
+  });
+
+  /*-------------LogicalPermissions::stringify()--------------*/
+
+  describe('testStringifyParamPermissionsMissing', function() {
+    it('should call LogicalPermissions::stringify() with no "permissions" parameter and catch a MissingArgumentException exception', function() {
+      var lp = createLogicalPermissions();
+      assert.throws(function() {
+        lp.stringify();
+      }, function(err) {return err.name === 'MissingArgumentException';});
+    });
+  });
+  describe('testStringifyParamPermissionsWrongType', function() {
+    it('should call LogicalPermissions::stringify() with the wrong data type for the "permissions" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = createLogicalPermissions();
+      assert.throws(function() {
+        lp.stringify(50);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+    });
+  });
+  describe('testStringifyInvalidPermissions', function() {
+    it('should call LogicalPermissions::stringify() with an invalid permission tree and catch the error together with its path', function() {
+      var lp = createLogicalPermissions();
+      assert.throws(function() {
+        lp.stringify({OR: {role: {XOR: ['admin']}}});
+      }, function(err) {return err.name === 'InvalidValueForLogicGateException' && err.path === '$.OR.role.XOR';});
+      assert.throws(function() {
+        lp.stringify({test: 'admin'});
+      }, function(err) {return err.name === 'PermissionTypeNotRegisteredException';});
+    });
+  });
+  describe('testStringifySingleItem', function() {
+    it('should call LogicalPermissions::stringify() with single permissions and booleans', function() {
+      var lp = createLogicalPermissions();
+      assert.strictEqual(lp.stringify({role: 'admin'}), 'role:admin');
+      assert.strictEqual(lp.stringify({role: 'sales team'}), 'role:"sales team"');
+      assert.strictEqual(lp.stringify({role: 'or'}), 'role:"or"');
+      assert.strictEqual(lp.stringify({role: 'say "hi"'}), 'role:"say \\"hi\\""');
+      assert.strictEqual(lp.stringify(true), 'TRUE');
+      assert.strictEqual(lp.stringify('false'), 'FALSE');
+      assert.strictEqual(lp.stringify([true]), 'TRUE');
+      assert.strictEqual(lp.stringify({}), 'TRUE');
+      assert.strictEqual(lp.stringify([]), 'TRUE');
+    });
+  });
+  describe('testStringifyShorthandOR', function() {
+    it('should call LogicalPermissions::stringify() with shorthand OR arrays and objects with multiple keys', function() {
+      var lp = createLogicalPermissions();
+      assert.strictEqual(lp.stringify({role: ['editor', 'sales']}), 'role:(editor OR sales)');
+      assert.strictEqual(lp.stringify({role: 'admin', flag: 'is_author'}), 'role:admin OR flag:is_author');
+      assert.strictEqual(lp.stringify([{role: 'admin'}, {OR: {flag: 'is_author', role: 'editor'}}]), 'role:admin OR flag:is_author OR role:editor');
+      assert.strictEqual(lp.stringify({role: {AND: {0: 'editor', 1: ['writer', 'sales']}}}), 'role:(editor AND (writer OR sales))');
+    });
+  });
+  describe('testStringifyParentheses', function() {
+    it('should call LogicalPermissions::stringify() and check that parentheses are only added where they are needed', function() {
+      var lp = createLogicalPermissions();
+      assert.strictEqual(lp.stringify({OR: {role: 'admin', AND: {flag: 'is_author', NOT: {role: 'guest'}}}}), 'role:admin OR flag:is_author AND NOT role:guest');
+      assert.strictEqual(lp.stringify({AND: [{role: 'admin'}, {OR: [{flag: 'is_author'}, {role: 'editor'}]}]}), 'role:admin AND (flag:is_author OR role:editor)');
+      assert.strictEqual(lp.stringify({AND: [{role: 'a'}, {AND: [{role: 'b'}, {role: 'c'}]}]}), 'role:a AND role:b AND role:c');
+      assert.strictEqual(lp.stringify({NAND: [{AND: [{role: 'a'}, {role: 'b'}]}, {role: 'c'}]}), 'role:a AND role:b NAND role:c');
+      assert.strictEqual(lp.stringify({AND: [{role: 'a'}, {NAND: [{role: 'b'}, {role: 'c'}]}]}), 'role:a AND (role:b NAND role:c)');
+      assert.strictEqual(lp.stringify({XOR: [{XOR: [{role: 'a'}, {role: 'b'}]}, {role: 'c'}]}), '(role:a XOR role:b) XOR role:c');
+      assert.strictEqual(lp.stringify({NOT: {OR: [{role: 'a'}, {role: 'b'}]}}), 'NOT (role:a OR role:b)');
+      assert.strictEqual(lp.stringify({role: {NOT: 'guest'}}), 'role:NOT guest');
+      assert.strictEqual(lp.stringify({NOT: {NOT: 'TRUE'}}), 'NOT NOT TRUE');
+      assert.strictEqual(lp.stringify({nand: [{role: 'a'}]}), 'NAND(role:a)');
+      assert.strictEqual(lp.stringify({AT_LEAST: {count: 2, of: {role: 'a', OR: [{role: 'b'}, {flag: 'c'}], flag: 'd'}}}), 'AT_LEAST(2, role:a, role:b OR flag:c, flag:d)');
+      assert.strictEqual(lp.stringify({role: {NOT: {exactly: {count: 1, of: ['a', 'b']}}}}), 'role:NOT EXACTLY(1, a, b)');
+      assert.strictEqual(lp.stringify({IMPLIES: [{role: 'a'}, {OR: [{role: 'b'}, {flag: 'c'}]}]}), 'IMPLIES(role:a, role:b OR flag:c)');
+      assert.strictEqual(lp.stringify({role: {one_of: ['a', 'b', 'c']}, xnor: [{flag: 'x'}, {flag: 'y'}]}), 'role:ONE_OF(a, b, c) OR XNOR(flag:x, flag:y)');
+    });
+  });
+  describe('testStringifyNoBypass', function() {
+    it('should call LogicalPermissions::stringify() with NO_BYPASS conditions', function() {
+      var lp = createLogicalPermissions();
+      assert.strictEqual(lp.stringify({NO_BYPASS: true}), 'NO_BYPASS(TRUE)');
+      assert.strictEqual(lp.stringify({no_bypass: 'false', 0: false}), 'NO_BYPASS(FALSE) FALSE');
+      assert.strictEqual(lp.stringify({NO_BYPASS: {role: 'admin', flag: 'never_bypass'}, role: 'editor'}), 'NO_BYPASS(role:admin OR flag:never_bypass) role:editor');
+    });
+  });
+  describe('testStringifyNoBypassRules', function() {
+    it('should call LogicalPermissions::stringify() with a NO_BYPASS array of bypass rule names and catch an InvalidArgumentValueException exception', function() {
+      var lp = createLogicalPermissions();
+      lp.addBypassRule('impersonation', function(){});
+      assert.throws(function() {
+        lp.stringify({NO_BYPASS: ['impersonation'], role: 'admin'});
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && JSON.stringify(err.permissions) === JSON.stringify(['impersonation']);});
+    });
+  });
+  describe('testStringifyScopedNoBypass', function() {
+    it('should call LogicalPermissions::stringify() with a NO_BYPASS key beneath the top level and catch an InvalidArgumentValueException exception', function() {
+      var lp = createLogicalPermissions();
+      assert.throws(function() {
+        lp.stringify({AND: [{role: 'admin'}, {NO_BYPASS: true, flag: 'verified'}]});
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+    });
+  });
+  describe('testStringifyStructuredPermissionValues', function() {
+    it('should call LogicalPermissions::stringify() with a permission value that is not a string and catch an InvalidArgumentValueException exception', function() {
+      var lp = createLogicalPermissions();
+      lp.addType('attribute', function() {
+        return true;
+      }, {accepts: ['string', 'object', 'array']});
+      assert.strictEqual(lp.stringify({attribute: {OR: ['age', 'level']}}), 'attribute:(age OR level)');
+      [{attribute: {name: 'age', gte: 18}}, {attribute: ['age', 'level']}, {attribute: {OR: ['age', ['level', 3]]}}].forEach(function(permissions) {
+        assert.throws(function() {
+          lp.stringify(permissions);
+        }, function(err) {return err.name === 'InvalidArgumentValueException';}, JSON.stringify(permissions));
+      });
+    });
+  });
+  describe('testStringifyCustomGates', function() {
+    it('should call LogicalPermissions::stringify() with custom gates and check that they are written as functions', function() {
+      var lp = createLogicalPermissions();
+      lp.addGate('MAJORITY', function() {
+        return true;
+      });
+      assert.strictEqual(lp.stringify({majority: [{role: 'a'}, {role: 'b'}, {flag: 'c'}]}), 'MAJORITY(role:a, role:b, flag:c)');
+      assert.strictEqual(lp.stringify({role: {MAJORITY: ['a', {OR: ['b', 'c']}]}, flag: 'x'}), 'role:MAJORITY(a, b OR c) OR flag:x');
+    });
+  });
+  describe('testStringifyReferences', function() {
+    it('should call LogicalPermissions::stringify() with references to permission definitions and check that they are written as REF() calls', function() {
+      var lp = createLogicalPermissions();
+      lp.definePermission('activeStaff', true);
+      lp.definePermission('ref', true);
+      assert.strictEqual(lp.stringify({OR: [{REF: 'activeStaff'}, {NOT: {role: 'guest'}}]}), 'REF(activeStaff) OR NOT role:guest');
+      assert.strictEqual(lp.stringify({ref: 'ref'}), 'REF("ref")');
+      assert.deepEqual(lp.parse(lp.stringify({ref: 'ref'})), {REF: 'ref'});
+    });
+  });
+  describe('testStringifyMetadata', function() {
+    it('should call LogicalPermissions::stringify() with metadata and check that it is left out', function() {
+      var lp = createLogicalPermissions();
+      assert.strictEqual(lp.stringify({AND: {role: 'admin', flag: 'x', MESSAGE: 'Denied'}, META: {id: 1}}), 'role:admin AND flag:x');
+      assert.strictEqual(lp.stringify({NOT: {role: 'admin', META: {}}}), 'NOT role:admin');
+    });
+  });
+  describe('testStringifyRoundTrip', function() {
+    it('should call LogicalPermissions::stringify() and LogicalPermissions::parse() and check that the parsed permission tree grants access in exactly the same cases as the original tree', function() {
+      var lp = createLogicalPermissions();
+      lp.setBypassCallback(function(context) {
+        return !!context.user.superuser;
+      });
+      var trees = [
+        {role: ['a', 'b'], flag: 'x'},
+        {NO_BYPASS: {flag: 'y'}, AND: [{role: 'a'}, {NAND: [{role: 'b'}, {flag: 'x'}]}]},
+        {no_bypass: 'TRUE', 0: {NOR: {role: ['a', 'b'], flag: 'x'}}},
+        {XOR: [{XOR: [{role: 'a'}, {role: 'b'}]}, {role: 'c'}]},
+        {XOR: [{role: 'a'}, {role: 'b'}, {role: 'c'}]},
+        {OR: [{NOR: [{role: 'a'}, {role: 'b'}]}, {NOT: {role: {AND: ['c', 'a']}}}]},
+        {role: {NAND: [{XOR: ['a', 'b']}, {NOT: 'c'}]}, NOT: {flag: 'x'}},
+        [{AND: [true, {flag: 'y'}]}, 'FALSE', {NOR: [{role: 'c'}]}],
+        {AT_LEAST: {count: 2, of: [{role: 'a'}, {OR: [{role: 'b'}, {flag: 'x'}]}, {NOT: {flag: 'y'}}]}},
+        {role: {EXACTLY: {count: 1, of: {0: 'a', 1: 'b', 2: {AT_MOST: {count: 0, of: ['c']}}}}}},
+        {IMPLIES: [{XNOR: [{role: 'a'}, {flag: 'x'}]}, {role: {ONE_OF: ['a', 'b', 'c']}}]}
+      ];
+      var flags = ['a', 'b', 'c', 'x', 'y', 'superuser'];
+      trees.forEach(function(tree) {
+        var parsed = lp.parse(lp.stringify(tree));
+        for(var i = 0; i < Math.pow(2, flags.length); i++) {
+          var user = {roles: []};
+          flags.forEach(function(flag, j) {
+            if(i & (1 << j)) {
+              user.roles.push(flag);
+              user[flag] = true;
+            }
+          });
+          assert.strictEqual(lp.checkAccess(parsed, {user: user}), lp.checkAccess(tree, {user: user}), JSON.stringify(tree));
+        }
+      });
+    });
+  });
+});
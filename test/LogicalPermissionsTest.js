@@ -41,6 +41,11 @@ describe('LogicalPermissions', function() {
       assert.throws(function() {
         lp.addType('AND', function(){});
       }, function(err) {return err.name === 'InvalidArgumentValueException';});
+      ['AT_LEAST', 'at_most', 'Exactly'].forEach(function(name) {
+        assert.throws(function() {
+          lp.addType(name, function(){});
+        }, function(err) {return err.name === 'InvalidArgumentValueException';});
+      });
     });
   });
   describe('testAddTypeParamNameExists', function() {
@@ -68,6 +73,39 @@ describe('LogicalPermissions', function() {
       }, function(err) {return err.name === 'InvalidArgumentTypeException';});
     });
   });
+  describe('testAddTypeParamOptionsWrongType', function() {
+    it('should call LogicalPermissions::addType() with the wrong data type for the "options" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.addType('test', function(){}, false);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'options';});
+      assert.throws(function() {
+        lp.addType('test', function(){}, {memoize: 'no'});
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'options';});
+      assert(!lp.typeExists('test'));
+    });
+  });
+  describe('testAddTypeParamOptionsAcceptsWrongType', function() {
+    it('should call LogicalPermissions::addType() with the wrong data type for the "accepts" option and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.addType('test', function(){}, {accepts: 'number'});
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'options';});
+      assert(!lp.typeExists('test'));
+    });
+  });
+  describe('testAddTypeParamOptionsAcceptsIllegalValue', function() {
+    it('should call LogicalPermissions::addType() with an illegal value for the "accepts" option and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.addType('test', function(){}, {accepts: []});
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.argument === 'options';});
+      assert.throws(function() {
+        lp.addType('test', function(){}, {accepts: ['number', 'boolean']});
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.argument === 'options';});
+      assert(!lp.typeExists('test'));
+    });
+  });
   describe('testAddType', function() {
     it('should call LogicalPermissions::addType() and assert that the type was indeed added', function() {
       var lp = new LogicalPermissions();
@@ -344,538 +382,2126 @@ describe('LogicalPermissions', function() {
     });
   });
 
-  /*-------------LogicalPermissions::getBypassCallback()--------------*/
+  /*-------------LogicalPermissions::addGate()--------------*/
 
-  describe('testGetBypassCallback', function() {
-    it('should call LogicalPermissions::getBypassCallback() and check that the callback is null', function() {
+  describe('testAddGateParamNameMissing', function() {
+    it('should call LogicalPermissions::addGate() with no "name" parameter and catch a MissingArgumentException exception', function() {
       var lp = new LogicalPermissions();
-      assert.equal(lp.getBypassCallback(), null);
+      assert.throws(function() {
+        lp.addGate();
+      }, function(err) {return err.name === 'MissingArgumentException' && err.argument === 'name';});
     });
   });
-
-  /*-------------LogicalPermissions::setBypassCallback()--------------*/
-
-  describe('testSetBypassCallbackParamCallbackMissing', function() {
-    it('should call LogicalPermissions::setBypassCallback() with no "callback" parameter and catch a MissingArgumentException exception', function() {
+  describe('testAddGateParamNameWrongType', function() {
+    it('should call LogicalPermissions::addGate() with the wrong data type for the "name" parameter and catch an InvalidArgumentTypeException exception', function() {
       var lp = new LogicalPermissions();
       assert.throws(function() {
-        lp.setBypassCallback();
-      }, function(err) {return err.name === 'MissingArgumentException';});
+        lp.addGate(0, function(){});
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'name';});
     });
   });
-  describe('testSetBypassCallbackParamCallbackWrongType', function() {
-    it('should call LogicalPermissions::setBypassCallback() with the wrong data type for the "callback" parameter and catch an InvalidArgumentTypeException exception', function() {
+  describe('testAddGateParamNameIllegal', function() {
+    it('should call LogicalPermissions::addGate() with names that are not valid gate names and catch an InvalidArgumentValueException exception', function() {
       var lp = new LogicalPermissions();
-      assert.throws(function() {
-        lp.setBypassCallback(0);
-      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+      ['', '2_OF_3', 'MY GATE', 'MY-GATE'].forEach(function(name) {
+        assert.throws(function() {
+          lp.addGate(name, function(){});
+        }, function(err) {return err.name === 'InvalidArgumentValueException' && err.argument === 'name';}, name);
+      });
     });
   });
-  describe('testSetBypassCallback', function() {
-    it('should call LogicalPermissions::setBypassCallback() and successfully register a bypass callback', function() {
+  describe('testAddGateParamNameIsReservedKey', function() {
+    it('should call LogicalPermissions::addGate() with the name of a built-in key or an existing custom gate and catch an InvalidArgumentValueException exception', function() {
       var lp = new LogicalPermissions();
-      var callback = function(){};
-      lp.setBypassCallback(callback);
-      assert.strictEqual(lp.getBypassCallback(), callback);
+      lp.addGate('MAJORITY', function(){});
+      ['or', 'AT_LEAST', 'no_bypass', 'true', 'majority'].forEach(function(name) {
+        assert.throws(function() {
+          lp.addGate(name, function(){});
+        }, function(err) {return err.name === 'InvalidArgumentValueException' && err.argument === 'name';}, name);
+      });
     });
   });
-
-  /*------------LogicalPermissions::getValidPermissionKeys()---------------*/
-
-  describe('testGetValidPermissionKeys', function() {
-    var lp = new LogicalPermissions();
-    assert.deepEqual(lp.getValidPermissionKeys(), ['NO_BYPASS', 'AND', 'NAND', 'OR', 'NOR', 'XOR', 'NOT', 'TRUE', 'FALSE']);
-    var types = {
-      flag: function(flag, context) {
-        var access = false;
-        if(flag === 'testflag') {
-          if(context.hasOwnProperty('user') && context.user.hasOwnProperty('testflag')) {
-            access = !!context.user.testflag;
-          }
-        }
-        return access;
-      },
-      role: function(role, context) {
-        var access = false;
-        if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
-          access = context.user.roles.indexOf(role) > -1;
-        }
-        return access;
-      },
-      misc: function(item, context) {
-        var access = false;
-        if(context.hasOwnProperty('user') && context.user.hasOwnProperty(item)) {
-          access = !!context.user[item];
-        }
-        return access;
-      }
-    };
-    lp.setTypes(types);
-    assert.deepEqual(lp.getValidPermissionKeys(), ['NO_BYPASS', 'AND', 'NAND', 'OR', 'NOR', 'XOR', 'NOT', 'TRUE', 'FALSE', 'flag', 'role', 'misc']);
-  });
-
-  /*-------------LogicalPermissions::checkAccess()--------------*/
-
-  describe('testCheckAccessParamPermissionsMissing', function() {
-    it('should call LogicalPermissions::checkAccess() with no "permissions" parameter and catch a MissingArgumentException exception', function() {
+  describe('testAddGateParamNameIsType', function() {
+    it('should call LogicalPermissions::addGate() with the name of a permission type and catch an InvalidArgumentValueException exception', function() {
       var lp = new LogicalPermissions();
+      lp.addType('role', function(){});
       assert.throws(function() {
-        lp.checkAccess();
-      }, function(err) {return err.name === 'MissingArgumentException';});
+        lp.addGate('ROLE', function(){});
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.argument === 'name';});
     });
   });
-  describe('testCheckAccessParamPermissionsWrongType', function() {
-    it('should call LogicalPermissions::checkAccess() with the wrong data type for the "permissions" parameter and catch an InvalidArgumentTypeException exception', function() {
+  describe('testAddGateParamHandlerMissing', function() {
+    it('should call LogicalPermissions::addGate() with no "handler" parameter and catch a MissingArgumentException exception', function() {
       var lp = new LogicalPermissions();
       assert.throws(function() {
-        lp.checkAccess(50);
-      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+        lp.addGate('MAJORITY');
+      }, function(err) {return err.name === 'MissingArgumentException' && err.argument === 'handler';});
     });
   });
-  describe('testCheckAccessParamPermissionsWrongPermissionType', function() {
-    it('should call LogicalPermissions::checkAccess() with an invalid permission value and catch an InvalidArgumentTypeException exception', function() {
+  describe('testAddGateParamHandlerWrongType', function() {
+    it('should call LogicalPermissions::addGate() with the wrong data type for the "handler" parameter and catch an InvalidArgumentTypeException exception', function() {
       var lp = new LogicalPermissions();
-      lp.addType('flag', function(){});
-      var permissions = {
-        flag: 50
-      };
       assert.throws(function() {
-        lp.checkAccess(permissions);
-      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+        lp.addGate('MAJORITY', 0);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'handler';});
     });
   });
-  describe('testCheckAccessParamPermissionsNestedTypes', function() {
-    it('should call LogicalPermissions::checkAccess() with nested permission types and catch an InvalidArgumentValueException exception', function() {
+  describe('testAddGate', function() {
+    it('should call LogicalPermissions::addGate() and check that the gate was added and can no longer be used as the name of a permission type', function() {
       var lp = new LogicalPermissions();
-      lp.addType('flag', function(){});
-
-      //Directly nested
-      var permissions = {
-        flag: {
-          flag: 'testflag'
-        }
-      };
+      lp.addGate('majority', function(){});
+      assert(lp.gateExists('MAJORITY'));
+      assert(lp.gateExists('Majority'));
       assert.throws(function() {
-        lp.checkAccess(permissions);
+        lp.addType('majority', function(){});
       }, function(err) {return err.name === 'InvalidArgumentValueException';});
-
-      //Indirectly nested
-      var permissions = {
-        flag: {
-          OR: {
-            flag: 'testflag'
-          }
-        }
-      };
       assert.throws(function() {
-        lp.checkAccess(permissions);
+        lp.setTypes({MAJORITY: function(){}});
       }, function(err) {return err.name === 'InvalidArgumentValueException';});
     });
   });
-  describe('testCheckAccessParamPermissionsUnregisteredType', function() {
-    it('should call LogicalPermissions::checkAccess() with an unregistered permission type and catch a PermissionTypeNotRegisteredException exception', function() {
+
+  /*-------------LogicalPermissions::removeGate()--------------*/
+
+  describe('testRemoveGateParamNameMissing', function() {
+    it('should call LogicalPermissions::removeGate() with no "name" parameter and catch a MissingArgumentException exception', function() {
       var lp = new LogicalPermissions();
-      var permissions = {
-        flag: 'testflag'
-      };
       assert.throws(function() {
-        lp.checkAccess(permissions);
-      }, function(err) {return err.name === 'PermissionTypeNotRegisteredException';});
+        lp.removeGate();
+      }, function(err) {return err.name === 'MissingArgumentException';});
     });
   });
-  describe('testCheckAccessParamPermissionsArrayValue', function() {
-    it('should call LogicalPermissions::checkAccess() with an array containing only values and catch a MissingArgumentException exception', function() {
+  describe('testRemoveGateParamNameWrongType', function() {
+    it('should call LogicalPermissions::removeGate() with the wrong data type for the "name" parameter and catch an InvalidArgumentTypeException exception', function() {
       var lp = new LogicalPermissions();
-      var permissions = [
-        'test1',
-        'test2'
-      ];
       assert.throws(function() {
-        lp.checkAccess(permissions);
-      }, function(err) {return err.name === 'MissingArgumentException';});
+        lp.removeGate(0);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
     });
   });
-  describe('testCheckAccessParamContextWrongType', function() {
-    it('should call LogicalPermissions::checkAccess() with the wrong data type for the "context" parameter and catch an InvalidArgumentTypeException exception', function() {
+  describe('testRemoveGateUnregisteredGate', function() {
+    it('should call LogicalPermissions::removeGate() with a gate that has not been added or a built-in gate and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      ['MAJORITY', 'AND'].forEach(function(name) {
+        assert.throws(function() {
+          lp.removeGate(name);
+        }, function(err) {return err.name === 'InvalidArgumentValueException';}, name);
+      });
+    });
+  });
+  describe('testRemoveGate', function() {
+    it('should call LogicalPermissions::removeGate() and check that the gate was removed', function() {
+      var lp = new LogicalPermissions();
+      lp.addGate('MAJORITY', function(){});
+      lp.removeGate('majority');
+      assert(!lp.gateExists('MAJORITY'));
+      lp.addType('majority', function(){});
+      assert(lp.typeExists('majority'));
+    });
+  });
+
+  /*-------------LogicalPermissions::gateExists()--------------*/
+
+  describe('testGateExistsParamNameMissing', function() {
+    it('should call LogicalPermissions::gateExists() with no "name" parameter and catch a MissingArgumentException exception', function() {
       var lp = new LogicalPermissions();
       assert.throws(function() {
-        lp.checkAccess(false, []);
-      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+        lp.gateExists();
+      }, function(err) {return err.name === 'MissingArgumentException';});
     });
   });
-  describe('testCheckAccessParamAllowBypassWrongType', function() {
-    it('should call LogicalPermissions::checkAccess() with the wrong data type for the "allow_bypass" parameter and catch an InvalidArgumentTypeException exception', function() {
+  describe('testGateExistsParamNameWrongType', function() {
+    it('should call LogicalPermissions::gateExists() with the wrong data type for the "name" parameter and catch an InvalidArgumentTypeException exception', function() {
       var lp = new LogicalPermissions();
       assert.throws(function() {
-        lp.checkAccess(false, {}, 'test');
+        lp.gateExists(0);
       }, function(err) {return err.name === 'InvalidArgumentTypeException';});
     });
   });
-  describe('testCheckAccessEmptyObjectAllow', function() {
-    it('should call LogicalPermissions::checkAccess() with an empty permissions object and allow access', function() {
+  describe('testGateExists', function() {
+    it('should call LogicalPermissions::gateExists() and check that only custom gates that have been added are found', function() {
       var lp = new LogicalPermissions();
-      assert(lp.checkAccess({}));
+      assert(!lp.gateExists('MAJORITY'));
+      assert(!lp.gateExists('AND'));
+      lp.addGate('MAJORITY', function(){});
+      assert(lp.gateExists('majority'));
     });
   });
-  describe('testCheckAccessBypassAccessCheckContextPassing', function() {
-    it('should call LogicalPermissions::checkAccess() and check that the context parameter is passed to the bypass access callback', function() {
+
+  /*-------------LogicalPermissions::definePermission()--------------*/
+
+  describe('testDefinePermissionParamNameMissing', function() {
+    it('should call LogicalPermissions::definePermission() with no "name" parameter and catch a MissingArgumentException exception', function() {
       var lp = new LogicalPermissions();
-      var user = {
-        id: 1
-      };
-      var bypass_callback = function(context) {
-        assert(context.hasOwnProperty('user'));
-        assert.equal(context.user, user);
-        return true;
-      };
-      lp.setBypassCallback(bypass_callback);
-      lp.checkAccess(false, {user: user});
+      assert.throws(function() {
+        lp.definePermission();
+      }, function(err) {return err.name === 'MissingArgumentException' && err.argument === 'name';});
     });
   });
-  describe('testCheckAccessBypassAccessWrongReturnType', function() {
-    it('should call LogicalPermissions::checkAccess() and return an invalid data type from the bypass access callback and catch an InvalidCallbackReturnTypeException exception', function() {
+  describe('testDefinePermissionParamNameWrongType', function() {
+    it('should call LogicalPermissions::definePermission() with the wrong data type for the "name" parameter and catch an InvalidArgumentTypeException exception', function() {
       var lp = new LogicalPermissions();
-      var bypass_callback = function(context) {
-        return 1;
-      };
-      lp.setBypassCallback(bypass_callback);
       assert.throws(function() {
-        lp.checkAccess(false);
-      }, function(err) {return err.name === 'InvalidCallbackReturnTypeException';});
+        lp.definePermission(0, true);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'name';});
     });
   });
-  describe('testCheckAccessBypassAccessIllegalDescendant', function() {
-    it('should call LogicalPermissions::checkAccess() with no_bypass in a nether part of a permissions tree and catch an InvalidArgumentValueException exception', function() {
+  describe('testDefinePermissionParamNameEmpty', function() {
+    it('should call LogicalPermissions::definePermission() with an empty string for the "name" parameter and catch an InvalidArgumentValueException exception', function() {
       var lp = new LogicalPermissions();
-      var permissions = {
-        'OR': {
-          'no_bypass': true
-        }
-      };
       assert.throws(function() {
-        lp.checkAccess(permissions);
-      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+        lp.definePermission('', true);
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.argument === 'name';});
     });
   });
-  describe('testCheckAccessBypassAccessAllow', function() {
-    it('should call LogicalPermissions::checkAccess() and allow access due to bypassing access', function() {
+  describe('testDefinePermissionParamPermissionsMissing', function() {
+    it('should call LogicalPermissions::definePermission() with no "permissions" parameter and catch a MissingArgumentException exception', function() {
       var lp = new LogicalPermissions();
-      var bypass_callback = function(context) {
-        return true;
-      };
-      lp.setBypassCallback(bypass_callback);
-      assert(lp.checkAccess(false));
+      assert.throws(function() {
+        lp.definePermission('activeStaff');
+      }, function(err) {return err.name === 'MissingArgumentException' && err.argument === 'permissions';});
     });
   });
-  describe('testCheckAccessBypassAccessDeny', function() {
-    it('should call LogicalPermissions::checkAccess() and deny access due to no bypassing access and no regular access', function() {
+  describe('testDefinePermissionParamPermissionsWrongType', function() {
+    it('should call LogicalPermissions::definePermission() with the wrong data type for the "permissions" parameter and catch an InvalidArgumentTypeException exception', function() {
       var lp = new LogicalPermissions();
-      var bypass_callback = function(context) {
-        return false;
-      };
-      lp.setBypassCallback(bypass_callback);
-      assert(!lp.checkAccess(false));
+      assert.throws(function() {
+        lp.definePermission('activeStaff', 50);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'permissions';});
     });
   });
-  describe('testCheckAccessBypassAccessDeny2', function() {
-    it('should call LogicalPermissions::checkAccess() and deny access due to overriding allow_bypass parameter', function() {
+  describe('testDefinePermissionParamPermissionsNoBypass', function() {
+    it('should call LogicalPermissions::definePermission() with a permission tree that has a NO_BYPASS key and catch an InvalidArgumentValueException exception', function() {
       var lp = new LogicalPermissions();
-      var bypass_callback = function(context) {
-        return true;
-      };
-      lp.setBypassCallback(bypass_callback);
-      assert(!lp.checkAccess(false, {}, false));
+      ['NO_BYPASS', 'no_bypass'].forEach(function(key) {
+        var permissions = {0: true};
+        permissions[key] = true;
+        assert.throws(function() {
+          lp.definePermission('activeStaff', permissions);
+        }, function(err) {return err.name === 'InvalidArgumentValueException' && err.argument === 'permissions';}, key);
+      });
     });
   });
-  describe('testCheckAccessNoBypassWrongType', function() {
-    it('should call LogicalPermissions::checkAccess() with an invalid no_bypass value type and catch an InvalidArgumentValueException exception', function() {
+  describe('testDefinePermissionParamPermissionsInvalid', function() {
+    it('should call LogicalPermissions::definePermission() with an invalid permission tree and catch the first problem together with its path', function() {
       var lp = new LogicalPermissions();
-      var bypass_callback = function(context) {
+      lp.addType('role', function() {
         return true;
-      };
-      lp.setBypassCallback(bypass_callback);
+      });
       assert.throws(function() {
-        lp.checkAccess({no_bypass: 'test'}, {});
-      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+        lp.definePermission('activeStaff', {role: 'staff', flag: 'is_active'});
+      }, function(err) {return err.name === 'PermissionTypeNotRegisteredException' && err.path === '$.flag';});
+      assert.throws(function() {
+        lp.definePermission('activeStaff', {role: {REF: 'staff'}});
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.path === '$.role.REF';});
+      assert(!lp.definitionExists('activeStaff'));
     });
   });
-  describe('testCheckAccessNoBypassEmptyPermissionsAllow', function() {
-    it('should call LogicalPermissions::checkAccess() with only a no_bypass key and allow access', function() {
+  describe('testDefinePermissionCircularReference', function() {
+    it('should call LogicalPermissions::definePermission() with definitions that refer to themselves and catch a CircularReferenceException exception', function() {
       var lp = new LogicalPermissions();
-      assert(lp.checkAccess({no_bypass: true}));
+      assert.throws(function() {
+        lp.definePermission('a', {OR: [false, {REF: 'a'}]});
+      }, function(err) {return err.name === 'CircularReferenceException' && err.code === 'CIRCULAR_REFERENCE' && JSON.stringify(err.references) === '["a","a"]';});
+      lp.definePermission('a', {REF: 'b'});
+      lp.definePermission('b', {AND: [true, {ref: 'c'}]});
+      assert.throws(function() {
+        lp.definePermission('c', {NOT: {AT_LEAST: {count: 1, of: [{REF: 'a'}]}}});
+      }, function(err) {return err instanceof LogicalPermissions.CircularReferenceError && JSON.stringify(err.references) === '["c","a","b","c"]';});
+      assert(!lp.definitionExists('c'));
+      lp.definePermission('c', {REF: 'd'});
+      assert.throws(function() {
+        lp.definePermission('b', {REF: 'a'});
+      }, function(err) {return err.name === 'CircularReferenceException' && JSON.stringify(err.references) === '["b","a","b"]';});
     });
   });
-  describe('testCheckAccessNoBypassAccessBooleanAllow', function() {
-    it('should call LogicalPermissions::checkAccess() with no_bypass set to false and allow access due to bypassing access', function() {
+  describe('testDefinePermission', function() {
+    it('should call LogicalPermissions::definePermission() and check that the definition is stored as a copy and can be replaced', function() {
       var lp = new LogicalPermissions();
-      var bypass_callback = function(context) {
+      lp.addType('role', function() {
         return true;
-      };
-      lp.setBypassCallback(bypass_callback);
-      var permissions = {
-        no_bypass: false
-      };
-      assert(lp.checkAccess(permissions));
-      //Test that permission object is not changed
-      assert(permissions.hasOwnProperty('no_bypass'));
+      });
+      var permissions = {role: ['admin', 'staff']};
+      lp.definePermission('activeStaff', permissions);
+      permissions.role.push('guest');
+      assert.deepEqual(lp.getDefinitions(), {activeStaff: {role: ['admin', 'staff']}});
+      lp.definePermission('activeStaff', 'TRUE');
+      lp.definePermission('staff', {REF: 'activeStaff'});
+      assert.deepEqual(lp.getDefinitions(), {activeStaff: 'TRUE', staff: {REF: 'activeStaff'}});
     });
   });
-  describe('testCheckAccessNoBypassAccessBooleanDeny', function() {
-    it('should call LogicalPermissions::checkAccess() with no_bypass set to true and deny access due to forbidden access bypass and no regular access', function() {
+
+  /*-------------LogicalPermissions::removeDefinition()--------------*/
+
+  describe('testRemoveDefinitionParamNameMissing', function() {
+    it('should call LogicalPermissions::removeDefinition() with no "name" parameter and catch a MissingArgumentException exception', function() {
       var lp = new LogicalPermissions();
-      var bypass_callback = function(context) {
-        return true;
-      };
-      lp.setBypassCallback(bypass_callback);
-      assert(!lp.checkAccess({no_bypass: true, 0: false}, {}));
+      assert.throws(function() {
+        lp.removeDefinition();
+      }, function(err) {return err.name === 'MissingArgumentException';});
     });
   });
-  describe('testCheckAccessNoBypassAccessStringAllow', function() {
-    it('should call LogicalPermissions::checkAccess() with no_bypass set to string "False" and allow bypass access',
-    function() {
+  describe('testRemoveDefinitionParamNameWrongType', function() {
+    it('should call LogicalPermissions::removeDefinition() with the wrong data type for the "name" parameter and catch an InvalidArgumentTypeException exception', function() {
       var lp = new LogicalPermissions();
-      var bypass_callback = function(context) {
-        return true;
-      };
-      lp.setBypassCallback(bypass_callback);
-      var permissions = {
-        no_bypass: 'False'
-      };
-      assert(lp.checkAccess(permissions));
-      //Test that permission object is not changed
-      assert(permissions.hasOwnProperty('no_bypass'));
+      assert.throws(function() {
+        lp.removeDefinition(0);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
     });
   });
-
-  describe('testCheckAccessNoBypassAccessStringDeny', function() {
+  describe('testRemoveDefinitionUndefinedPermission', function() {
+    it('should call LogicalPermissions::removeDefinition() with a permission that has not been defined and catch a PermissionNotDefinedException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.removeDefinition('activeStaff');
+      }, function(err) {return err.name === 'PermissionNotDefinedException' && err.reference === 'activeStaff';});
+    });
+  });
+  describe('testRemoveDefinition', function() {
+    it('should call LogicalPermissions::removeDefinition() and check that the definition was removed', function() {
+      var lp = new LogicalPermissions();
+      lp.definePermission('activeStaff', true);
+      lp.removeDefinition('activeStaff');
+      assert(!lp.definitionExists('activeStaff'));
+      assert.deepEqual(lp.getDefinitions(), {});
+    });
+  });
+
+  /*-------------LogicalPermissions::definitionExists()--------------*/
+
+  describe('testDefinitionExistsParamNameMissing', function() {
+    it('should call LogicalPermissions::definitionExists() with no "name" parameter and catch a MissingArgumentException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.definitionExists();
+      }, function(err) {return err.name === 'MissingArgumentException';});
+    });
+  });
+  describe('testDefinitionExistsParamNameWrongType', function() {
+    it('should call LogicalPermissions::definitionExists() with the wrong data type for the "name" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.definitionExists(0);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+    });
+  });
+  describe('testDefinitionExists', function() {
+    it('should call LogicalPermissions::definitionExists() and check the result', function() {
+      var lp = new LogicalPermissions();
+      assert(!lp.definitionExists('activeStaff'));
+      lp.definePermission('activeStaff', true);
+      assert(lp.definitionExists('activeStaff'));
+      assert(!lp.definitionExists('ACTIVESTAFF'));
+    });
+  });
+
+  /*-------------LogicalPermissions::getDefinitions()--------------*/
+
+  describe('testGetDefinitions', function() {
+    it('should call LogicalPermissions::getDefinitions() and check that changing the result does not change the definitions', function() {
+      var lp = new LogicalPermissions();
+      assert.deepEqual(lp.getDefinitions(), {});
+      lp.definePermission('activeStaff', [{AND: [true, 'TRUE']}]);
+      var definitions = lp.getDefinitions();
+      definitions.activeStaff[0].AND.push(false);
+      definitions.other = true;
+      assert.deepEqual(lp.getDefinitions(), {activeStaff: [{AND: [true, 'TRUE']}]});
+    });
+  });
+
+  /*-------------LogicalPermissions::getDependencies()--------------*/
+
+  describe('testGetDependenciesParamPermissionsMissing', function() {
+    it('should call LogicalPermissions::getDependencies() with no "permissions" parameter and catch a MissingArgumentException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.getDependencies();
+      }, function(err) {return err.name === 'MissingArgumentException';});
+    });
+  });
+  describe('testGetDependenciesParamPermissionsWrongType', function() {
+    it('should call LogicalPermissions::getDependencies() with the wrong data type for the "permissions" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.getDependencies(50);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+    });
+  });
+  describe('testGetDependencies', function() {
+    it('should call LogicalPermissions::getDependencies() and check that direct and indirect dependencies are listed in the order in which they are first referenced', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('attribute', function() {
+        return true;
+      }, {accepts: ['object']});
+      lp.definePermission('activeStaff', {AND: [{REF: 'staff'}, {REF: 'active'}]});
+      lp.definePermission('staff', {ref: 'employee'});
+      lp.definePermission('active', true);
+      assert.deepEqual(lp.getDependencies(true), []);
+      assert.deepEqual(lp.getDependencies({REF: 'active'}), ['active']);
+      assert.deepEqual(lp.getDependencies({
+        NO_BYPASS: {REF: 'admin'},
+        OR: [
+          {REF: 'activeStaff'},
+          {EXACTLY: {count: 1, of: [{REF: 'active'}, {REF: 'contractor'}]}},
+          {attribute: {REF: 'ignored'}}
+        ]
+      }), ['admin', 'activeStaff', 'staff', 'employee', 'active', 'contractor']);
+    });
+  });
+
+  /*-------------LogicalPermissions::setPolicy()--------------*/
+
+  describe('testSetPolicyParamResourceMissing', function() {
+    it('should call LogicalPermissions::setPolicy() with no "resource" parameter and catch a MissingArgumentException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.setPolicy();
+      }, function(err) {return err.name === 'MissingArgumentException' && err.argument === 'resource';});
+    });
+  });
+  describe('testSetPolicyParamResourceWrongType', function() {
+    it('should call LogicalPermissions::setPolicy() with the wrong data type for the "resource" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.setPolicy(0, 'update', true);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'resource';});
+    });
+  });
+  describe('testSetPolicyParamResourceIllegal', function() {
+    it('should call LogicalPermissions::setPolicy() with an empty resource or a resource containing a dot and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      ['', 'blog.article'].forEach(function(resource) {
+        assert.throws(function() {
+          lp.setPolicy(resource, 'update', true);
+        }, function(err) {return err.name === 'InvalidArgumentValueException' && err.argument === 'resource';}, resource);
+      });
+    });
+  });
+  describe('testSetPolicyParamActionMissing', function() {
+    it('should call LogicalPermissions::setPolicy() with no "action" parameter and catch a MissingArgumentException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.setPolicy('article');
+      }, function(err) {return err.name === 'MissingArgumentException' && err.argument === 'action';});
+    });
+  });
+  describe('testSetPolicyParamActionWrongType', function() {
+    it('should call LogicalPermissions::setPolicy() with the wrong data type for the "action" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.setPolicy('article', ['update'], true);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'action';});
+    });
+  });
+  describe('testSetPolicyParamActionIllegal', function() {
+    it('should call LogicalPermissions::setPolicy() with an empty action or an action containing a dot and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      ['', 'update.title'].forEach(function(action) {
+        assert.throws(function() {
+          lp.setPolicy('article', action, true);
+        }, function(err) {return err.name === 'InvalidArgumentValueException' && err.argument === 'action';}, action);
+      });
+    });
+  });
+  describe('testSetPolicyParamPermissionsMissing', function() {
+    it('should call LogicalPermissions::setPolicy() with no "permissions" parameter and catch a MissingArgumentException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.setPolicy('article', 'update');
+      }, function(err) {return err.name === 'MissingArgumentException' && err.argument === 'permissions';});
+    });
+  });
+  describe('testSetPolicyParamPermissionsInvalid', function() {
+    it('should call LogicalPermissions::setPolicy() with an invalid permission tree and catch the first problem together with its path', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.setPolicy('article', 'update', 50);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'permissions';});
+      assert.throws(function() {
+        lp.setPolicy('article', 'update', {OR: [{role: 'editor'}]});
+      }, function(err) {return err.name === 'PermissionTypeNotRegisteredException' && err.path === '$.OR[0].role';});
+      assert.deepEqual(lp.getPolicies(), {});
+    });
+  });
+  describe('testSetPolicy', function() {
+    it('should call LogicalPermissions::setPolicy() and check that the policy is stored as a copy and can be replaced', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function() {
+        return true;
+      });
+      var permissions = {role: ['editor']};
+      lp.setPolicy('article', 'update', permissions);
+      permissions.role.push('guest');
+      lp.setPolicy('article', '*', false);
+      lp.setPolicy('*', 'read', true);
+      assert.deepEqual(lp.getPolicies(), {article: {update: {role: ['editor']}, '*': false}, '*': {read: true}});
+      lp.setPolicy('article', 'update', {role: 'admin'});
+      assert.deepEqual(lp.getPolicies().article.update, {role: 'admin'});
+    });
+  });
+
+  /*-------------LogicalPermissions::removePolicy()--------------*/
+
+  describe('testRemovePolicyParamResourceMissing', function() {
+    it('should call LogicalPermissions::removePolicy() with no "resource" parameter and catch a MissingArgumentException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.removePolicy();
+      }, function(err) {return err.name === 'MissingArgumentException' && err.argument === 'resource';});
+    });
+  });
+  describe('testRemovePolicyParamActionWrongType', function() {
+    it('should call LogicalPermissions::removePolicy() with the wrong data type for the "action" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.removePolicy('article', 0);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'action';});
+    });
+  });
+  describe('testRemovePolicyNonexistentPolicy', function() {
+    it('should call LogicalPermissions::removePolicy() for a policy that does not exist and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.setPolicy('article', 'read', true);
+      assert.throws(function() {
+        lp.removePolicy('article', 'update');
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+    });
+  });
+  describe('testRemovePolicy', function() {
+    it('should call LogicalPermissions::removePolicy() and check that the policy was removed', function() {
+      var lp = new LogicalPermissions();
+      lp.setPolicy('article', 'read', true);
+      lp.setPolicy('article', 'update', false);
+      lp.removePolicy('article', 'read');
+      assert.deepEqual(lp.getPolicies(), {article: {update: false}});
+      lp.removePolicy('article', 'update');
+      assert.deepEqual(lp.getPolicies(), {});
+    });
+  });
+
+  /*-------------LogicalPermissions::getPolicies()--------------*/
+
+  describe('testGetPolicies', function() {
+    it('should call LogicalPermissions::getPolicies() and check that changing the result does not change the policies', function() {
+      var lp = new LogicalPermissions();
+      assert.deepEqual(lp.getPolicies(), {});
+      lp.setPolicy('article', 'read', [true]);
+      var policies = lp.getPolicies();
+      policies.article.read.push(false);
+      policies.article.update = true;
+      assert.deepEqual(lp.getPolicies(), {article: {read: [true]}});
+    });
+  });
+
+  /*-------------LogicalPermissions::getPolicyDefault()--------------*/
+
+  describe('testGetPolicyDefault', function() {
+    it('should call LogicalPermissions::getPolicyDefault() and check that access is denied by default', function() {
+      var lp = new LogicalPermissions();
+      assert.strictEqual(lp.getPolicyDefault(), false);
+    });
+  });
+
+  /*-------------LogicalPermissions::setPolicyDefault()--------------*/
+
+  describe('testSetPolicyDefaultParamAccessMissing', function() {
+    it('should call LogicalPermissions::setPolicyDefault() with no "access" parameter and catch a MissingArgumentException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.setPolicyDefault();
+      }, function(err) {return err.name === 'MissingArgumentException';});
+    });
+  });
+  describe('testSetPolicyDefaultParamAccessWrongType', function() {
+    it('should call LogicalPermissions::setPolicyDefault() with the wrong data type for the "access" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.setPolicyDefault('TRUE');
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+    });
+  });
+  describe('testSetPolicyDefault', function() {
+    it('should call LogicalPermissions::setPolicyDefault() and check that the default was changed', function() {
+      var lp = new LogicalPermissions();
+      lp.setPolicyDefault(true);
+      assert.strictEqual(lp.getPolicyDefault(), true);
+    });
+  });
+
+  /*-------------LogicalPermissions::getPolicy()--------------*/
+
+  describe('testGetPolicyParamNameMissing', function() {
+    it('should call LogicalPermissions::getPolicy() with no "name" parameter and catch a MissingArgumentException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.getPolicy();
+      }, function(err) {return err.name === 'MissingArgumentException';});
+    });
+  });
+  describe('testGetPolicyParamNameWrongType', function() {
+    it('should call LogicalPermissions::getPolicy() with the wrong data type for the "name" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.getPolicy(['article', 'update']);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+    });
+  });
+  describe('testGetPolicyParamNameIllegal', function() {
+    it('should call LogicalPermissions::getPolicy() with names that do not consist of a resource and an action and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      ['article', 'article.', '.update', 'blog.article.update'].forEach(function(name) {
+        assert.throws(function() {
+          lp.getPolicy(name);
+        }, function(err) {return err.name === 'InvalidArgumentValueException';}, name);
+      });
+    });
+  });
+  describe('testGetPolicy', function() {
+    it('should call LogicalPermissions::getPolicy() and check that the most specific policy is found, falling back to wildcard policies and the policy default', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function() {
+        return true;
+      });
+      assert.strictEqual(lp.getPolicy('article.update'), false);
+      lp.setPolicyDefault(true);
+      assert.strictEqual(lp.getPolicy('article.update'), true);
+      lp.setPolicy('*', '*', {role: 'admin'});
+      assert.deepEqual(lp.getPolicy('article.update'), {role: 'admin'});
+      lp.setPolicy('*', 'update', {role: 'editor'});
+      assert.deepEqual(lp.getPolicy('article.update'), {role: 'editor'});
+      lp.setPolicy('article', '*', {role: 'writer'});
+      assert.deepEqual(lp.getPolicy('article.update'), {role: 'writer'});
+      lp.setPolicy('article', 'update', {role: 'author'});
+      assert.deepEqual(lp.getPolicy('article.update'), {role: 'author'});
+      assert.deepEqual(lp.getPolicy('comment.update'), {role: 'editor'});
+      assert.deepEqual(lp.getPolicy('comment.delete'), {role: 'admin'});
+      assert.deepEqual(lp.getPolicy('Article.update'), {role: 'editor'});
+      lp.getPolicy('article.update').role = 'guest';
+      assert.deepEqual(lp.getPolicy('article.update'), {role: 'author'});
+    });
+  });
+
+  /*-------------LogicalPermissions::can()--------------*/
+
+  describe('testCan', function() {
+    it('should call LogicalPermissions::can() and check that the matching policy is evaluated with the context and the bypass callback', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.setBypassCallback(function(context) {
+        return !!context.user.superuser;
+      });
+      lp.setPolicy('article', 'update', {NO_BYPASS: {role: 'guest'}, role: ['editor', 'author']});
+      lp.setPolicy('*', 'read', true);
+      assert.strictEqual(lp.can('article.update', {user: {roles: ['author']}}), true);
+      assert.strictEqual(lp.can('article.update', {user: {roles: ['writer']}}), false);
+      assert.strictEqual(lp.can('article.update', {user: {roles: ['writer'], superuser: true}}), true);
+      assert.strictEqual(lp.can('article.update', {user: {roles: ['writer'], superuser: true}}, false), false);
+      assert.strictEqual(lp.can('article.update', {user: {roles: ['guest'], superuser: true}}), false);
+      assert.strictEqual(lp.can('comment.read', {user: {roles: []}}), true);
+      assert.strictEqual(lp.can('comment.delete', {user: {roles: []}}), false);
+      //The bypass callback can grant access when no policy matches
+      assert.strictEqual(lp.can('comment.delete', {user: {roles: [], superuser: true}}), true);
+      lp.setPolicyDefault(true);
+      assert.strictEqual(lp.can('comment.delete', {user: {roles: []}}), true);
+      assert.throws(function() {
+        lp.can('comment.delete', 'user');
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'context';});
+    });
+  });
+
+  /*-------------LogicalPermissions::on()--------------*/
+
+  describe('testOnParamEventMissing', function() {
+    it('should call LogicalPermissions::on() with no "event" parameter and catch a MissingArgumentException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.on();
+      }, function(err) {return err.name === 'MissingArgumentException' && err.argument === 'event';});
+    });
+  });
+  describe('testOnParamEventWrongType', function() {
+    it('should call LogicalPermissions::on() with the wrong data type for the "event" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.on(['afterCheck'], function() {});
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'event';});
+    });
+  });
+  describe('testOnParamEventIllegal', function() {
+    it('should call LogicalPermissions::on() with an unknown event and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      ['check', 'aftercheck', ''].forEach(function(event) {
+        assert.throws(function() {
+          lp.on(event, function() {});
+        }, function(err) {return err.name === 'InvalidArgumentValueException' && err.argument === 'event';}, event);
+      });
+    });
+  });
+  describe('testOnParamListenerMissing', function() {
+    it('should call LogicalPermissions::on() with no "listener" parameter and catch a MissingArgumentException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.on('afterCheck');
+      }, function(err) {return err.name === 'MissingArgumentException' && err.argument === 'listener';});
+    });
+  });
+  describe('testOnParamListenerWrongType', function() {
+    it('should call LogicalPermissions::on() with the wrong data type for the "listener" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.on('afterCheck', 'log');
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'listener';});
+    });
+  });
+  describe('testOnCheckEvents', function() {
+    it('should call LogicalPermissions::on() and check that the beforeCheck and afterCheck events are emitted with the permission tree, context, result and timing', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      var events = [];
+      ['beforeCheck', 'afterCheck', 'error'].forEach(function(event) {
+        lp.on(event, function(data) {
+          events.push([event, data]);
+        });
+      });
+      var permissions = {role: 'admin'};
+      var context = {user: {roles: ['admin']}};
+      assert.strictEqual(lp.checkAccess(permissions, context, false), true);
+      assert.strictEqual(events.length, 2);
+      assert.deepEqual(events[0], ['beforeCheck', {permissions: permissions, context: context, allow_bypass: false}]);
+      assert.notStrictEqual(events[0][1].permissions, permissions);
+      assert.notStrictEqual(events[0][1].context, context);
+      assert.strictEqual(events[1][0], 'afterCheck');
+      assert.strictEqual(events[1][1].access, true);
+      assert.strictEqual(typeof events[1][1].duration, 'number');
+      assert(events[1][1].duration >= 0);
+      assert.deepEqual(Object.keys(events[1][1]), ['permissions', 'context', 'allow_bypass', 'access', 'duration']);
+
+      events = [];
+      lp.checkAccessMany({edit: {role: 'editor'}, view: true}, context);
+      lp.checkAccessWithTrace(true);
+      lp.compile({role: 'editor'}).evaluate(context);
+      assert.deepEqual(events.map(function(event) {
+        return [event[0], event[1].access];
+      }), [
+        ['beforeCheck', undefined],
+        ['afterCheck', false],
+        ['beforeCheck', undefined],
+        ['afterCheck', true],
+        ['beforeCheck', undefined],
+        ['afterCheck', true],
+        ['beforeCheck', undefined],
+        ['afterCheck', false]
+      ]);
+    });
+  });
+  describe('testOnErrorEvent', function() {
+    it('should call LogicalPermissions::on() and check that the error event is emitted instead of the afterCheck event when the evaluation throws an error', function() {
+      var lp = new LogicalPermissions();
+      var events = [];
+      ['afterCheck', 'error'].forEach(function(event) {
+        lp.on(event, function(data) {
+          events.push([event, data]);
+        });
+      });
+      var error;
+      try {
+        lp.checkAccess({role: 'admin'});
+      }
+      catch(err) {
+        error = err;
+      }
+      assert.strictEqual(error.name, 'PermissionTypeNotRegisteredException');
+      assert.strictEqual(events.length, 1);
+      assert.strictEqual(events[0][0], 'error');
+      assert.strictEqual(events[0][1].error, error);
+      assert.deepEqual(events[0][1].permissions, {role: 'admin'});
+      assert.strictEqual(typeof events[0][1].duration, 'number');
+      assert.throws(function() {
+        lp.checkAccess(50);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && events[1][1].error === err;});
+    });
+  });
+  describe('testOnCallbackAndBypassEvents', function() {
+    it('should call LogicalPermissions::on() and check that the callback and bypass events are emitted when the callbacks are called', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.setBypassCallback(function(context) {
+        return !!context.user.superuser;
+      });
+      lp.setMemoization(true);
+      var events = [];
+      ['callback', 'bypass'].forEach(function(event) {
+        lp.on(event, function(data) {
+          events.push([event, data]);
+        });
+      });
+      var context = {user: {roles: ['editor']}};
+      assert(lp.checkAccess({OR: [{role: 'admin'}, {role: 'editor'}, {AND: [{role: 'admin'}]}]}, context));
+      assert.deepEqual(events.map(function(event) {
+        var data = {};
+        for(var key in event[1]) {
+          data[key] = key === 'duration' ? typeof event[1][key] : event[1][key];
+        }
+        return [event[0], data];
+      }), [
+        ['bypass', {rule: null, context: context, access: false, duration: 'number'}],
+        ['callback', {type: 'role', permissions: 'admin', context: context, access: false, duration: 'number'}],
+        ['callback', {type: 'role', permissions: 'editor', context: context, access: true, duration: 'number'}]
+      ]);
+    });
+  });
+  describe('testOnBypassRuleEvents', function() {
+    it('should call LogicalPermissions::on() and check that the bypass events of bypass rules have the name of the rule', function() {
+      var lp = new LogicalPermissions();
+      lp.addBypassRule('superadmin', function(context) {
+        return false;
+      });
+      lp.addBypassRule('impersonation', function(context) {
+        return true;
+      });
+      var events = [];
+      lp.on('bypass', function(data) {
+        events.push([data.rule, data.access]);
+      });
+      assert(lp.checkAccess(false));
+      assert(!lp.checkAccess({NO_BYPASS: ['impersonation'], 0: false}));
+      assert.deepEqual(events, [['superadmin', false], ['impersonation', true], ['superadmin', false]]);
+    });
+  });
+  describe('testOnAsync', function() {
+    it('should call LogicalPermissions::on() and check that the events of asynchronous access checks are emitted when the promises have resolved', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return new Promise(function(resolve) {
+          setTimeout(function() {
+            resolve(context.user.roles.indexOf(role) > -1);
+          }, 5);
+        });
+      });
+      var events = [];
+      ['beforeCheck', 'afterCheck', 'callback', 'error'].forEach(function(event) {
+        lp.on(event, function(data) {
+          events.push([event, data]);
+        });
+      });
+      var context = {user: {roles: ['admin']}};
+      return lp.checkAccessAsync({role: 'admin'}, context).then(function(access) {
+        assert.strictEqual(access, true);
+        assert.deepEqual(events.map(function(event) {
+          return [event[0], event[1].access];
+        }), [['beforeCheck', undefined], ['callback', true], ['afterCheck', true]]);
+        assert(events[2][1].duration >= events[1][1].duration);
+        return lp.compile({role: 'guest'}).evaluateAsync('user');
+      }).then(function() {
+        throw new Error('The promise should have been rejected.');
+      }, function(err) {
+        assert.strictEqual(err.name, 'InvalidArgumentTypeException');
+        assert.strictEqual(events[events.length - 1][0], 'error');
+        assert.strictEqual(events[events.length - 1][1].error, err);
+      });
+    });
+  });
+  describe('testOnListenersCannotAlterDecision', function() {
+    it('should call LogicalPermissions::on() with listeners that throw errors, return values and change their event objects and check that the access decision is unaffected', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      var accesses = [];
+      ['beforeCheck', 'afterCheck', 'callback'].forEach(function(event) {
+        lp.on(event, function(data) {
+          data.access = true;
+          data.permissions = true;
+          return true;
+        });
+        lp.on(event, function() {
+          throw new Error('Listener failed');
+        });
+        lp.on(event, function(data) {
+          accesses.push(data.access);
+        });
+      });
+      assert.strictEqual(lp.checkAccess({role: 'admin'}, {user: {roles: []}}), false);
+      assert.deepEqual(accesses, [undefined, false, false]);
+    });
+  });
+  describe('testOnAsyncListenerRejections', function() {
+    it('should call LogicalPermissions::on() with asynchronous listeners that return rejected promises and check that the rejections are not unhandled', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      ['beforeCheck', 'afterCheck', 'callback', 'error'].forEach(function(event) {
+        lp.on(event, function() {
+          return Promise.reject(new Error('Listener failed'));
+        });
+      });
+      var unhandled = [];
+      var onUnhandledRejection = function(reason) {
+        unhandled.push(reason);
+      };
+      process.on('unhandledRejection', onUnhandledRejection);
+      assert.strictEqual(lp.checkAccess({role: 'admin'}, {user: {roles: ['admin']}}), true);
+      assert.throws(function() {
+        lp.checkAccess({role: 'admin'}, {});
+      }, function(err) {return err instanceof TypeError;});
+      return lp.checkAccessAsync({role: 'admin'}, {user: {roles: []}}).then(function(access) {
+        assert.strictEqual(access, false);
+        return new Promise(function(resolve) {
+          setTimeout(resolve, 10);
+        });
+      }).then(function() {
+        process.removeListener('unhandledRejection', onUnhandledRejection);
+        assert.deepEqual(unhandled, []);
+      }, function(error) {
+        process.removeListener('unhandledRejection', onUnhandledRejection);
+        throw error;
+      });
+    });
+  });
+  describe('testOnListenersCannotChangePermissionsOrContext', function() {
+    it('should call LogicalPermissions::on() with listeners that change the permission tree and the context in their event objects and check that neither the access decision nor the objects passed to the access check are changed', function() {
+      var lp = new LogicalPermissions();
+      var Session = function(id) {
+        this.id = id;
+      };
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.on('beforeCheck', function(data) {
+        data.permissions.AND.pop();
+        data.context.user.roles.push('admin');
+      });
+      lp.on('callback', function(data) {
+        data.context.user.roles.push('editor');
+      });
+      var contexts = [];
+      lp.on('afterCheck', function(data) {
+        contexts.push(data.context);
+      });
+      var permissions = {AND: [{role: 'admin'}, {role: 'editor'}]};
+      var context = {user: {roles: ['admin']}, session: new Session(1)};
+      context.self = context;
+      assert.strictEqual(lp.checkAccess(permissions, context), false);
+      assert.deepEqual(permissions, {AND: [{role: 'admin'}, {role: 'editor'}]});
+      assert.deepEqual(context.user.roles, ['admin']);
+      assert.notStrictEqual(contexts[0], context);
+      assert.strictEqual(contexts[0].self, contexts[0]);
+      assert.strictEqual(contexts[0].session, context.session);
+      assert.strictEqual(lp.compile(permissions).evaluate(context), false);
+      assert.deepEqual(context.user.roles, ['admin']);
+    });
+  });
+
+  /*-------------LogicalPermissions::off()--------------*/
+
+  describe('testOffParamEventIllegal', function() {
+    it('should call LogicalPermissions::off() with an unknown event and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.off('check', function() {});
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.argument === 'event';});
+    });
+  });
+  describe('testOffParamListenerWrongType', function() {
+    it('should call LogicalPermissions::off() with the wrong data type for the "listener" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.off('afterCheck', 'log');
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'listener';});
+    });
+  });
+  describe('testOffNonexistentListener', function() {
+    it('should call LogicalPermissions::off() with a listener that has not been added and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      var listener = function() {};
+      lp.on('beforeCheck', listener);
+      assert.throws(function() {
+        lp.off('afterCheck', listener);
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.argument === 'listener';});
+    });
+  });
+  describe('testOff', function() {
+    it('should call LogicalPermissions::off() and check that the listener is removed once for each call', function() {
+      var lp = new LogicalPermissions();
+      var count = 0;
+      var listener = function() {
+        count++;
+      };
+      lp.on('afterCheck', listener);
+      lp.on('afterCheck', listener);
+      lp.checkAccess(true);
+      assert.strictEqual(count, 2);
+      lp.off('afterCheck', listener);
+      lp.checkAccess(true);
+      assert.strictEqual(count, 3);
+      lp.off('afterCheck', listener);
+      lp.checkAccess(true);
+      assert.strictEqual(count, 3);
+    });
+  });
+
+  /*-------------LogicalPermissions::getBypassCallback()--------------*/
+
+  describe('testGetBypassCallback', function() {
+    it('should call LogicalPermissions::getBypassCallback() and check that the callback is null', function() {
+      var lp = new LogicalPermissions();
+      assert.equal(lp.getBypassCallback(), null);
+    });
+  });
+
+  /*-------------LogicalPermissions::setBypassCallback()--------------*/
+
+  describe('testSetBypassCallbackParamCallbackMissing', function() {
+    it('should call LogicalPermissions::setBypassCallback() with no "callback" parameter and catch a MissingArgumentException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.setBypassCallback();
+      }, function(err) {return err.name === 'MissingArgumentException';});
+    });
+  });
+  describe('testSetBypassCallbackParamCallbackWrongType', function() {
+    it('should call LogicalPermissions::setBypassCallback() with the wrong data type for the "callback" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.setBypassCallback(0);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+    });
+  });
+  describe('testSetBypassCallback', function() {
+    it('should call LogicalPermissions::setBypassCallback() and successfully register a bypass callback', function() {
+      var lp = new LogicalPermissions();
+      var callback = function(){};
+      lp.setBypassCallback(callback);
+      assert.strictEqual(lp.getBypassCallback(), callback);
+    });
+  });
+
+  /*-------------LogicalPermissions::addBypassRule()--------------*/
+
+  describe('testAddBypassRuleParamNameMissing', function() {
+    it('should call LogicalPermissions::addBypassRule() with no "name" parameter and catch a MissingArgumentException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.addBypassRule();
+      }, function(err) {return err.name === 'MissingArgumentException' && err.argument === 'name';});
+    });
+  });
+  describe('testAddBypassRuleParamNameWrongType', function() {
+    it('should call LogicalPermissions::addBypassRule() with the wrong data type for the "name" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.addBypassRule(0, function(){});
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'name';});
+    });
+  });
+  describe('testAddBypassRuleParamNameEmpty', function() {
+    it('should call LogicalPermissions::addBypassRule() with an empty "name" parameter and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.addBypassRule('', function(){});
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.argument === 'name';});
+    });
+  });
+  describe('testAddBypassRuleParamNameExists', function() {
+    it('should call LogicalPermissions::addBypassRule() with the name of a bypass rule that has already been added and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addBypassRule('superadmin', function(){});
+      assert.throws(function() {
+        lp.addBypassRule('superadmin', function(){});
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.argument === 'name';});
+    });
+  });
+  describe('testAddBypassRuleParamCallbackMissing', function() {
+    it('should call LogicalPermissions::addBypassRule() with no "callback" parameter and catch a MissingArgumentException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.addBypassRule('superadmin');
+      }, function(err) {return err.name === 'MissingArgumentException' && err.argument === 'callback';});
+    });
+  });
+  describe('testAddBypassRuleParamCallbackWrongType', function() {
+    it('should call LogicalPermissions::addBypassRule() with the wrong data type for the "callback" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.addBypassRule('superadmin', true);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'callback';});
+    });
+  });
+  describe('testAddBypassRule', function() {
+    it('should call LogicalPermissions::addBypassRule() and check that the bypass rule was added', function() {
+      var lp = new LogicalPermissions();
+      var callback = function(){};
+      lp.addBypassRule('superadmin', callback);
+      assert(lp.bypassRuleExists('superadmin'));
+      assert.strictEqual(lp.getBypassRules().superadmin, callback);
+      assert.strictEqual(lp.getBypassCallback(), null);
+    });
+  });
+
+  /*-------------LogicalPermissions::removeBypassRule()--------------*/
+
+  describe('testRemoveBypassRuleParamNameMissing', function() {
+    it('should call LogicalPermissions::removeBypassRule() with no "name" parameter and catch a MissingArgumentException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.removeBypassRule();
+      }, function(err) {return err.name === 'MissingArgumentException';});
+    });
+  });
+  describe('testRemoveBypassRuleParamNameWrongType', function() {
+    it('should call LogicalPermissions::removeBypassRule() with the wrong data type for the "name" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.removeBypassRule(0);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+    });
+  });
+  describe('testRemoveBypassRuleUnregisteredRule', function() {
+    it('should call LogicalPermissions::removeBypassRule() with a bypass rule that has not been added and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.removeBypassRule('superadmin');
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.argument === 'name';});
+    });
+  });
+  describe('testRemoveBypassRule', function() {
+    it('should call LogicalPermissions::removeBypassRule() and check that the bypass rule was removed', function() {
+      var lp = new LogicalPermissions();
+      lp.addBypassRule('superadmin', function() {
+        return true;
+      });
+      assert(lp.checkAccess(false));
+      lp.removeBypassRule('superadmin');
+      assert(!lp.bypassRuleExists('superadmin'));
+      assert(!lp.checkAccess(false));
+      assert.throws(function() {
+        lp.checkAccess({NO_BYPASS: ['superadmin'], 0: false});
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+    });
+  });
+
+  /*-------------LogicalPermissions::bypassRuleExists()--------------*/
+
+  describe('testBypassRuleExistsParamNameMissing', function() {
+    it('should call LogicalPermissions::bypassRuleExists() with no "name" parameter and catch a MissingArgumentException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.bypassRuleExists();
+      }, function(err) {return err.name === 'MissingArgumentException';});
+    });
+  });
+  describe('testBypassRuleExistsParamNameWrongType', function() {
+    it('should call LogicalPermissions::bypassRuleExists() with the wrong data type for the "name" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.bypassRuleExists(0);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+    });
+  });
+  describe('testBypassRuleExists', function() {
+    it('should call LogicalPermissions::bypassRuleExists() and check that only bypass rules that have been added are found', function() {
+      var lp = new LogicalPermissions();
+      assert(!lp.bypassRuleExists('superadmin'));
+      lp.addBypassRule('superadmin', function(){});
+      assert(lp.bypassRuleExists('superadmin'));
+      assert(!lp.bypassRuleExists('Superadmin'));
+    });
+  });
+
+  /*-------------LogicalPermissions::getBypassRules()--------------*/
+
+  describe('testGetBypassRules', function() {
+    it('should call LogicalPermissions::getBypassRules() and check that a copy of the bypass rules is returned in the order in which they were added', function() {
+      var lp = new LogicalPermissions();
+      assert.deepEqual(lp.getBypassRules(), {});
+      var superadmin = function(){};
+      var impersonation = function(){};
+      lp.addBypassRule('superadmin', superadmin);
+      lp.addBypassRule('impersonation', impersonation);
+      var rules = lp.getBypassRules();
+      assert.deepEqual(Object.keys(rules), ['superadmin', 'impersonation']);
+      assert.strictEqual(rules.superadmin, superadmin);
+      assert.strictEqual(rules.impersonation, impersonation);
+      delete rules.superadmin;
+      assert(lp.bypassRuleExists('superadmin'));
+    });
+  });
+
+  /*------------LogicalPermissions::getValidPermissionKeys()---------------*/
+
+  describe('testGetValidPermissionKeys', function() {
+    var lp = new LogicalPermissions();
+    assert.deepEqual(lp.getValidPermissionKeys(), ['NO_BYPASS', 'AND', 'NAND', 'OR', 'NOR', 'XOR', 'XNOR', 'ONE_OF', 'IMPLIES', 'NOT', 'AT_LEAST', 'AT_MOST', 'EXACTLY', 'TRUE', 'FALSE', 'REF', 'MESSAGE', 'META']);
+    var types = {
+      flag: function(flag, context) {
+        var access = false;
+        if(flag === 'testflag') {
+          if(context.hasOwnProperty('user') && context.user.hasOwnProperty('testflag')) {
+            access = !!context.user.testflag;
+          }
+        }
+        return access;
+      },
+      role: function(role, context) {
+        var access = false;
+        if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
+          access = context.user.roles.indexOf(role) > -1;
+        }
+        return access;
+      },
+      misc: function(item, context) {
+        var access = false;
+        if(context.hasOwnProperty('user') && context.user.hasOwnProperty(item)) {
+          access = !!context.user[item];
+        }
+        return access;
+      }
+    };
+    lp.setTypes(types);
+    assert.deepEqual(lp.getValidPermissionKeys(), ['NO_BYPASS', 'AND', 'NAND', 'OR', 'NOR', 'XOR', 'XNOR', 'ONE_OF', 'IMPLIES', 'NOT', 'AT_LEAST', 'AT_MOST', 'EXACTLY', 'TRUE', 'FALSE', 'REF', 'MESSAGE', 'META', 'flag', 'role', 'misc']);
+    lp.addGate('majority', function(){});
+    assert.deepEqual(lp.getValidPermissionKeys(), ['NO_BYPASS', 'AND', 'NAND', 'OR', 'NOR', 'XOR', 'XNOR', 'ONE_OF', 'IMPLIES', 'NOT', 'AT_LEAST', 'AT_MOST', 'EXACTLY', 'TRUE', 'FALSE', 'REF', 'MESSAGE', 'META', 'MAJORITY', 'flag', 'role', 'misc']);
+  });
+
+  /*-------------LogicalPermissions::checkAccess()--------------*/
+
+  describe('testCheckAccessParamPermissionsMissing', function() {
+    it('should call LogicalPermissions::checkAccess() with no "permissions" parameter and catch a MissingArgumentException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.checkAccess();
+      }, function(err) {return err.name === 'MissingArgumentException';});
+    });
+  });
+  describe('testCheckAccessParamPermissionsWrongType', function() {
+    it('should call LogicalPermissions::checkAccess() with the wrong data type for the "permissions" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.checkAccess(50);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+    });
+  });
+  describe('testCheckAccessParamPermissionsWrongPermissionType', function() {
+    it('should call LogicalPermissions::checkAccess() with an invalid permission value and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('flag', function(){});
+      var permissions = {
+        flag: 50
+      };
+      assert.throws(function() {
+        lp.checkAccess(permissions);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+    });
+  });
+  describe('testCheckAccessParamPermissionsNestedTypes', function() {
+    it('should call LogicalPermissions::checkAccess() with nested permission types and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('flag', function(){});
+
+      //Directly nested
+      var permissions = {
+        flag: {
+          flag: 'testflag'
+        }
+      };
+      assert.throws(function() {
+        lp.checkAccess(permissions);
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+
+      //Indirectly nested
+      var permissions = {
+        flag: {
+          OR: {
+            flag: 'testflag'
+          }
+        }
+      };
+      assert.throws(function() {
+        lp.checkAccess(permissions);
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+    });
+  });
+  describe('testCheckAccessParamPermissionsUnregisteredType', function() {
+    it('should call LogicalPermissions::checkAccess() with an unregistered permission type and catch a PermissionTypeNotRegisteredException exception', function() {
+      var lp = new LogicalPermissions();
+      var permissions = {
+        flag: 'testflag'
+      };
+      assert.throws(function() {
+        lp.checkAccess(permissions);
+      }, function(err) {return err.name === 'PermissionTypeNotRegisteredException';});
+    });
+  });
+  describe('testCheckAccessParamPermissionsArrayValue', function() {
+    it('should call LogicalPermissions::checkAccess() with an array containing only values and catch a MissingArgumentException exception', function() {
+      var lp = new LogicalPermissions();
+      var permissions = [
+        'test1',
+        'test2'
+      ];
+      assert.throws(function() {
+        lp.checkAccess(permissions);
+      }, function(err) {return err.name === 'MissingArgumentException';});
+    });
+  });
+  describe('testCheckAccessParamContextWrongType', function() {
+    it('should call LogicalPermissions::checkAccess() with the wrong data type for the "context" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.checkAccess(false, []);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+    });
+  });
+  describe('testCheckAccessParamAllowBypassWrongType', function() {
+    it('should call LogicalPermissions::checkAccess() with the wrong data type for the "allow_bypass" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.checkAccess(false, {}, 'test');
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+    });
+  });
+  describe('testCheckAccessEmptyObjectAllow', function() {
+    it('should call LogicalPermissions::checkAccess() with an empty permissions object and allow access', function() {
+      var lp = new LogicalPermissions();
+      assert(lp.checkAccess({}));
+    });
+  });
+  describe('testCheckAccessBypassAccessCheckContextPassing', function() {
+    it('should call LogicalPermissions::checkAccess() and check that the context parameter is passed to the bypass access callback', function() {
+      var lp = new LogicalPermissions();
+      var user = {
+        id: 1
+      };
+      var bypass_callback = function(context) {
+        assert(context.hasOwnProperty('user'));
+        assert.equal(context.user, user);
+        return true;
+      };
+      lp.setBypassCallback(bypass_callback);
+      lp.checkAccess(false, {user: user});
+    });
+  });
+  describe('testCheckAccessBypassAccessWrongReturnType', function() {
+    it('should call LogicalPermissions::checkAccess() and return an invalid data type from the bypass access callback and catch an InvalidCallbackReturnTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      var bypass_callback = function(context) {
+        return 1;
+      };
+      lp.setBypassCallback(bypass_callback);
+      assert.throws(function() {
+        lp.checkAccess(false);
+      }, function(err) {return err.name === 'InvalidCallbackReturnTypeException';});
+    });
+  });
+  describe('testCheckAccessBypassAccessIllegalDescendant', function() {
+    it('should call LogicalPermissions::checkAccess() with no_bypass beneath a permission type and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function() {
+        return true;
+      });
+      var permissions = {
+        'OR': {
+          'role': {
+            'no_bypass': true,
+            0: 'admin'
+          }
+        }
+      };
+      assert.throws(function() {
+        lp.checkAccess(permissions);
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+    });
+  });
+  describe('testCheckAccessBypassAccessAllow', function() {
+    it('should call LogicalPermissions::checkAccess() and allow access due to bypassing access', function() {
+      var lp = new LogicalPermissions();
+      var bypass_callback = function(context) {
+        return true;
+      };
+      lp.setBypassCallback(bypass_callback);
+      assert(lp.checkAccess(false));
+    });
+  });
+  describe('testCheckAccessBypassAccessDeny', function() {
+    it('should call LogicalPermissions::checkAccess() and deny access due to no bypassing access and no regular access', function() {
+      var lp = new LogicalPermissions();
+      var bypass_callback = function(context) {
+        return false;
+      };
+      lp.setBypassCallback(bypass_callback);
+      assert(!lp.checkAccess(false));
+    });
+  });
+  describe('testCheckAccessBypassAccessDeny2', function() {
+    it('should call LogicalPermissions::checkAccess() and deny access due to overriding allow_bypass parameter', function() {
+      var lp = new LogicalPermissions();
+      var bypass_callback = function(context) {
+        return true;
+      };
+      lp.setBypassCallback(bypass_callback);
+      assert(!lp.checkAccess(false, {}, false));
+    });
+  });
+  describe('testCheckAccessNoBypassWrongType', function() {
+    it('should call LogicalPermissions::checkAccess() with an invalid no_bypass value type and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      var bypass_callback = function(context) {
+        return true;
+      };
+      lp.setBypassCallback(bypass_callback);
+      assert.throws(function() {
+        lp.checkAccess({no_bypass: 'test'}, {});
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+    });
+  });
+  describe('testCheckAccessNoBypassEmptyPermissionsAllow', function() {
+    it('should call LogicalPermissions::checkAccess() with only a no_bypass key and allow access', function() {
+      var lp = new LogicalPermissions();
+      assert(lp.checkAccess({no_bypass: true}));
+    });
+  });
+  describe('testCheckAccessNoBypassAccessBooleanAllow', function() {
+    it('should call LogicalPermissions::checkAccess() with no_bypass set to false and allow access due to bypassing access', function() {
+      var lp = new LogicalPermissions();
+      var bypass_callback = function(context) {
+        return true;
+      };
+      lp.setBypassCallback(bypass_callback);
+      var permissions = {
+        no_bypass: false
+      };
+      assert(lp.checkAccess(permissions));
+      //Test that permission object is not changed
+      assert(permissions.hasOwnProperty('no_bypass'));
+    });
+  });
+  describe('testCheckAccessNoBypassAccessBooleanDeny', function() {
+    it('should call LogicalPermissions::checkAccess() with no_bypass set to true and deny access due to forbidden access bypass and no regular access', function() {
+      var lp = new LogicalPermissions();
+      var bypass_callback = function(context) {
+        return true;
+      };
+      lp.setBypassCallback(bypass_callback);
+      assert(!lp.checkAccess({no_bypass: true, 0: false}, {}));
+    });
+  });
+  describe('testCheckAccessNoBypassAccessStringAllow', function() {
+    it('should call LogicalPermissions::checkAccess() with no_bypass set to string "False" and allow bypass access',
+    function() {
+      var lp = new LogicalPermissions();
+      var bypass_callback = function(context) {
+        return true;
+      };
+      lp.setBypassCallback(bypass_callback);
+      var permissions = {
+        no_bypass: 'False'
+      };
+      assert(lp.checkAccess(permissions));
+      //Test that permission object is not changed
+      assert(permissions.hasOwnProperty('no_bypass'));
+    });
+  });
+
+  describe('testCheckAccessNoBypassAccessStringDeny', function() {
     it('should call LogicalPermissions::checkAccess() with no_bypass set to string "True" and deny bypass access and regular access',
     function() {
       var lp = new LogicalPermissions();
       var bypass_callback = function(context) {
         return true;
       };
-      lp.setBypassCallback(bypass_callback);
-      assert(!lp.checkAccess({no_bypass: 'True', 0: false}, {}));
+      lp.setBypassCallback(bypass_callback);
+      assert(!lp.checkAccess({no_bypass: 'True', 0: false}, {}));
+    });
+  });
+  describe('testCheckAccessNoBypassAccessObjectAllow', function() {
+    it('should call LogicalPermissions::checkAccess() with no_bypass set to an object and allow access due to bypassing access', function() {
+      var lp = new LogicalPermissions();
+      var types = {
+        flag: function(flag, context) {
+          var access = false;
+          if(flag === 'never_bypass') {
+            if(context.hasOwnProperty('user') && context.user.hasOwnProperty('never_bypass')) {
+              access = !!context.user.never_bypass;
+            }
+          }
+          return access;
+        }
+      };
+      lp.setTypes(types);
+      var bypass_callback = function(context) {
+        return true;
+      };
+      lp.setBypassCallback(bypass_callback);
+      var permissions = {
+        no_bypass: {
+          flag: 'never_bypass'
+        }
+      };
+      var user = {
+        id: 1,
+        never_bypass: false
+      };
+      assert(lp.checkAccess(permissions, {user: user}));
+    });
+  });
+  describe('testCheckAccessNoBypassAccessObjectDeny', function() {
+    it('should call LogicalPermissions::checkAccess() with no_bypass set to an object and deny access due to forbidden access bypass and no regular access', function() {
+      var lp = new LogicalPermissions();
+      var types = {
+        flag: function(flag, context) {
+          var access = false;
+          if(flag === 'never_bypass') {
+            if(context.hasOwnProperty('user') && context.user.hasOwnProperty('never_bypass')) {
+              access = !!context.user.never_bypass;
+            }
+          }
+          return access;
+        }
+      };
+      lp.setTypes(types);
+      var bypass_callback = function(context) {
+        return true;
+      };
+      lp.setBypassCallback(bypass_callback);
+      var permissions = {
+        no_bypass: {
+          flag: 'never_bypass'
+        },
+        0: false
+      };
+      var user = {
+        id: 1,
+        never_bypass: true
+      };
+      assert(!lp.checkAccess(permissions, {user: user}));
+    });
+  });
+  describe('testCheckAccessBypassRules', function() {
+    it('should call LogicalPermissions::checkAccess() with bypass rules and check that they are called after the bypass callback until one of them grants bypass access', function() {
+      var lp = new LogicalPermissions();
+      var calls = [];
+      lp.setBypassCallback(function(context) {
+        calls.push('callback');
+        return false;
+      });
+      lp.addBypassRule('superadmin', function(context) {
+        calls.push('superadmin');
+        return !!context.user.superadmin;
+      });
+      lp.addBypassRule('system', function(context) {
+        calls.push('system');
+        return !!context.user.system;
+      });
+      lp.addBypassRule('impersonation', function(context) {
+        calls.push('impersonation');
+        return !!context.user.impersonating;
+      });
+      assert(lp.checkAccess(false, {user: {system: true, impersonating: true}}));
+      assert.deepEqual(calls, ['callback', 'superadmin', 'system']);
+      calls = [];
+      assert(!lp.checkAccess(false, {user: {}}));
+      assert.deepEqual(calls, ['callback', 'superadmin', 'system', 'impersonation']);
+      calls = [];
+      assert(!lp.checkAccess(false, {user: {superadmin: true}}, false));
+      assert.deepEqual(calls, []);
+    });
+  });
+  describe('testCheckAccessBypassRuleWrongReturnType', function() {
+    it('should call LogicalPermissions::checkAccess() and return an invalid data type from a bypass rule and catch an InvalidCallbackReturnTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addBypassRule('superadmin', function(context) {
+        return 1;
+      });
+      assert.throws(function() {
+        lp.checkAccess(false);
+      }, function(err) {return err.name === 'InvalidCallbackReturnTypeException' && err.value === 1;});
+    });
+  });
+  describe('testCheckAccessNoBypassRules', function() {
+    it('should call LogicalPermissions::checkAccess() with no_bypass set to an array of bypass rule names and check that only the named bypass rules are disabled', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.addBypassRule('superadmin', function(context) {
+        return context.user.roles.indexOf('superadmin') > -1;
+      });
+      lp.addBypassRule('impersonation', function(context) {
+        return !!context.user.impersonating;
+      });
+      var superadmin = {user: {roles: ['superadmin']}};
+      var impersonating = {user: {roles: [], impersonating: true}};
+      assert(lp.checkAccess({role: 'billing'}, impersonating));
+      assert(!lp.checkAccess({NO_BYPASS: ['impersonation'], role: 'billing'}, impersonating));
+      assert(lp.checkAccess({no_bypass: ['impersonation'], role: 'billing'}, superadmin));
+      assert(!lp.checkAccess({NO_BYPASS: ['impersonation', 'superadmin'], role: 'billing'}, superadmin));
+      assert(lp.checkAccess({NO_BYPASS: [], role: 'billing'}, superadmin));
+      assert(!lp.checkAccess({NO_BYPASS: true, role: 'billing'}, superadmin));
+      assert(lp.checkAccess({NO_BYPASS: ['impersonation'], role: 'billing'}, {user: {roles: ['billing'], impersonating: true}}));
+
+      lp.setBypassCallback(function(context) {
+        return !!context.user.system;
+      });
+      assert(lp.checkAccess({NO_BYPASS: ['impersonation', 'superadmin'], role: 'billing'}, {user: {roles: [], system: true}}));
+      assert(!lp.checkAccess({NO_BYPASS: 'TRUE', role: 'billing'}, {user: {roles: [], system: true}}));
+    });
+  });
+  describe('testCheckAccessNoBypassRulesIllegal', function() {
+    it('should call LogicalPermissions::checkAccess() with no_bypass set to an array that does not consist of the names of bypass rules and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addBypassRule('superadmin', function(context) {
+        return false;
+      });
+      [['impersonation'], ['superadmin', 0], [''], [['superadmin']]].forEach(function(no_bypass) {
+        assert.throws(function() {
+          lp.checkAccess({NO_BYPASS: no_bypass, 0: false});
+        }, function(err) {return err.name === 'InvalidArgumentValueException' && JSON.stringify(err.permissions) === JSON.stringify(no_bypass);}, JSON.stringify(no_bypass));
+      });
+      assert(!lp.checkAccess({NO_BYPASS: ['impersonation'], 0: false}, {}, false));
+    });
+  });
+  describe('testCheckAccessScopedNoBypass', function() {
+    it('should call LogicalPermissions::checkAccess() with a NO_BYPASS key beneath the top level and check that bypass access only bypasses the parts of the tree where bypassing is allowed', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.addType('flag', function(flag, context) {
+        return !!context.user[flag];
+      });
+      lp.setBypassCallback(function(context) {
+        return context.user.roles.indexOf('superadmin') > -1;
+      });
+      var permissions = {
+        AND: [
+          {role: 'editor'},
+          {NO_BYPASS: true, NOT: {flag: 'legal_hold'}}
+        ]
+      };
+      assert(lp.checkAccess(permissions, {user: {roles: ['superadmin']}}));
+      assert(!lp.checkAccess(permissions, {user: {roles: ['superadmin'], legal_hold: true}}));
+      assert(lp.checkAccess(permissions, {user: {roles: ['editor']}}));
+      assert(!lp.checkAccess(permissions, {user: {roles: ['editor'], legal_hold: true}}));
+      assert(!lp.checkAccess(permissions, {user: {roles: []}}));
+      assert(!lp.checkAccess(permissions, {user: {roles: ['superadmin']}}, false));
+      assert(!lp.checkAccess({NO_BYPASS: true, AND: permissions.AND}, {user: {roles: ['superadmin']}}));
+      assert(lp.checkAccess({OR: [{role: 'editor'}, {no_bypass: 'TRUE', 0: false}]}, {user: {roles: ['superadmin']}}));
+      assert(lp.checkAccess({AT_LEAST: {count: 2, of: [{role: 'editor'}, {role: 'writer'}, {flag: 'verified'}], NO_BYPASS: 'FALSE'}, 0: {NO_BYPASS: true, 0: false}}, {user: {roles: ['superadmin']}}));
+
+      lp.definePermission('notOnHold', {NOT: {NO_BYPASS: true, flag: 'legal_hold'}});
+      assert(lp.checkAccess({AND: [{role: 'editor'}, {REF: 'notOnHold'}]}, {user: {roles: ['superadmin']}}));
+      assert(!lp.checkAccess({AND: [{role: 'editor'}, {REF: 'notOnHold'}]}, {user: {roles: ['superadmin'], legal_hold: true}}));
+    });
+  });
+  describe('testCheckAccessScopedNoBypassConditions', function() {
+    it('should call LogicalPermissions::checkAccess() with NO_BYPASS conditions and arrays of bypass rule names beneath the top level and check that they only restrict bypassing within their logic gate', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.addType('flag', function(flag, context) {
+        return !!context.user[flag];
+      });
+      lp.addBypassRule('superadmin', function(context) {
+        return context.user.roles.indexOf('superadmin') > -1;
+      });
+      lp.addBypassRule('impersonation', function(context) {
+        return !!context.user.impersonating;
+      });
+      var permissions = {
+        AND: [
+          {role: 'support'},
+          {NO_BYPASS: ['impersonation'], role: 'billing'},
+          {NO_BYPASS: {flag: 'frozen'}, flag: 'paid'}
+        ]
+      };
+      assert(lp.checkAccess(permissions, {user: {roles: ['superadmin']}}));
+      assert(!lp.checkAccess(permissions, {user: {roles: ['superadmin'], frozen: true}}));
+      assert(lp.checkAccess(permissions, {user: {roles: ['superadmin'], frozen: true, paid: true}}));
+      assert(!lp.checkAccess(permissions, {user: {roles: [], impersonating: true}}));
+      assert(lp.checkAccess(permissions, {user: {roles: ['billing'], impersonating: true}}));
+      assert(!lp.checkAccess({NO_BYPASS: ['superadmin'], AND: permissions.AND}, {user: {roles: ['superadmin', 'billing']}}));
+      assert(lp.checkAccess({NO_BYPASS: ['superadmin'], AND: permissions.AND}, {user: {roles: ['superadmin', 'billing'], impersonating: true}}));
+    });
+  });
+  describe('testCheckAccessScopedNoBypassNegation', function() {
+    it('should call LogicalPermissions::checkAccess() with NO_BYPASS keys beneath negating logic gates and check that bypassed parts of the tree favour access', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.addType('flag', function(flag, context) {
+        return !!context.user[flag];
+      });
+      lp.setBypassCallback(function(context) {
+        return context.user.roles.indexOf('superadmin') > -1;
+      });
+      var superadmin = {user: {roles: ['superadmin', 'guest']}};
+      assert(lp.checkAccess({NOT: {OR: [{role: 'guest'}, {NO_BYPASS: true, flag: 'banned'}]}}, superadmin));
+      assert(!lp.checkAccess({NOT: {OR: [{role: 'guest'}, {NO_BYPASS: true, flag: 'guest'}]}}, {user: {roles: ['superadmin'], guest: true}}));
+      assert(lp.checkAccess({NAND: [{role: 'guest'}, {NO_BYPASS: true, flag: 'banned'}]}, superadmin));
+      assert(lp.checkAccess({NOR: [{role: 'guest'}, {NO_BYPASS: true, flag: 'banned'}]}, superadmin));
+      assert(lp.checkAccess({NOT: {NOT: {OR: [{role: 'guest'}, {NO_BYPASS: true, flag: 'banned'}]}}}, {user: {roles: ['superadmin']}}));
+      assert(!lp.checkAccess({XOR: [{role: 'guest'}, {NO_BYPASS: true, flag: 'banned'}, {role: 'editor'}]}, {user: {roles: ['superadmin']}}));
+      assert(lp.checkAccess({XOR: [{role: 'guest'}, {NO_BYPASS: true, flag: 'banned'}, {role: 'editor'}]}, superadmin));
+    });
+  });
+  describe('testCheckAccessScopedNoBypassBypassCallbackCalledOnce', function() {
+    it('should call LogicalPermissions::checkAccess() with a NO_BYPASS key beneath the top level and check that the bypass callback is only called once, also without memoization', function() {
+      var lp = new LogicalPermissions();
+      var calls = 0;
+      lp.addType('flag', function(flag, context) {
+        return !!context.user[flag];
+      });
+      lp.setBypassCallback(function(context) {
+        calls++;
+        return !!context.user.superadmin;
+      });
+      lp.setMemoization(false);
+      var permissions = {AND: [{flag: 'a'}, {flag: 'b'}, {NO_BYPASS: true, flag: 'c'}, {flag: 'd'}]};
+      assert(lp.checkAccess(permissions, {user: {superadmin: true, c: true}}));
+      assert.strictEqual(calls, 1);
+      assert(!lp.checkAccess(permissions, {user: {c: true}}));
+      assert.strictEqual(calls, 2);
+    });
+  });
+  describe('testCheckAccessScopedNoBypassIllegal', function() {
+    it('should call LogicalPermissions::checkAccess() with illegal NO_BYPASS keys beneath the top level and catch exceptions', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return true;
+      });
+      lp.setBypassCallback(function(context) {
+        return true;
+      });
+      assert.throws(function() {
+        lp.checkAccess({role: {NO_BYPASS: true, 0: 'admin'}}, {}, false);
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.type === 'role' && err.message.indexOf('cannot be placed beneath a permission type') != -1;});
+      assert.throws(function() {
+        lp.checkAccess({AND: [{role: 'admin'}, {NO_BYPASS: 'maybe', role: 'admin'}]});
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.permissions === 'maybe';});
+      assert.throws(function() {
+        lp.checkAccess({AND: [{role: 'admin'}, {NO_BYPASS: ['impersonation'], role: 'admin'}]});
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && JSON.stringify(err.permissions) === JSON.stringify(['impersonation']);});
+      assert.throws(function() {
+        lp.checkAccess({AND: {NO_BYPASS: true}});
+      }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
+      assert.throws(function() {
+        lp.checkAccess({AT_LEAST: {count: 1, of: {NO_BYPASS: true, role: 'admin'}}}, {}, false);
+      }, function(err) {return err.name === 'InvalidValueForLogicGateException' && err.gate === 'AT_LEAST';});
+    });
+  });
+  describe('testCheckAccessWrongPermissionCallbackReturnType', function() {
+    it('should call LogicalPermissions::checkAccess() and return an invalid data type from the registered permission type callback and catch an InvalidCallbackReturnTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      var types = {
+        flag: function(flag, context) {
+          var access = false;
+          if(flag === 'testflag') {
+            if(context.hasOwnProperty('user') && context.user.hasOwnProperty('testflag')) {
+              access = !!context.user.testflag;
+            }
+          }
+          return 0;
+        }
+      };
+      lp.setTypes(types);
+      var permissions = {
+        no_bypass: {
+          flag: 'never_bypass'
+        },
+        flag: 'testflag'
+      };
+      var user = {
+        id: 1,
+        testflag: true
+      };
+      assert.throws(function() {
+        lp.checkAccess(permissions, {user: user});
+      }, function(err) {return err.name === 'InvalidCallbackReturnTypeException';});
+    });
+  });
+  describe('testCheckAccessSingleItemAllow', function() {
+    it('should call LogicalPermissions::checkAccess() with single flag and allow access', function() {
+      var lp = new LogicalPermissions();
+      var types = {
+        flag: function(flag, context) {
+          var access = false;
+          if(flag === 'testflag') {
+            if(context.hasOwnProperty('user') && context.user.hasOwnProperty('testflag')) {
+              access = !!context.user.testflag;
+            }
+          }
+          return access;
+        }
+      };
+      lp.setTypes(types);
+      var permissions = {
+        no_bypass: {
+          flag: 'never_bypass'
+        },
+        flag: 'testflag'
+      };
+      var user = {
+        id: 1,
+        testflag: true
+      };
+      assert(lp.checkAccess(permissions, {user: user}));
+    });
+  });
+  describe('testCheckAccessSingleItemDeny', function() {
+    it('should call LogicalPermissions::checkAccess() with single flag and deny access', function() {
+      var lp = new LogicalPermissions();
+      var types = {
+        flag: function(flag, context) {
+          var access = false;
+          if(flag === 'testflag') {
+            if(context.hasOwnProperty('user') && context.user.hasOwnProperty('testflag')) {
+              access = !!context.user.testflag;
+            }
+          }
+          return access;
+        }
+      };
+      lp.setTypes(types);
+      var permissions = {
+        flag: 'testflag'
+      };
+      var user = {
+        id: 1
+      };
+      assert(!lp.checkAccess(permissions, {user: user}));
+    });
+  });
+  describe('testCheckAccessMultipleTypesShorthandOR', function() {
+    it('should call LogicalPermissions::checkAccess() with multiple permission types (shorthand OR)', function() {
+      var lp = new LogicalPermissions();
+      var types = {
+        flag: function(flag, context) {
+          var access = false;
+          if(flag === 'testflag') {
+            if(context.hasOwnProperty('user') && context.user.hasOwnProperty('testflag')) {
+              access = !!context.user.testflag;
+            }
+          }
+          return access;
+        },
+        role: function(role, context) {
+          var access = false;
+          if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
+            access = context.user.roles.indexOf(role) > -1;
+          }
+          return access;
+        },
+        misc: function(item, context) {
+          var access = false;
+          if(context.hasOwnProperty('user') && context.user.hasOwnProperty(item)) {
+            access = !!context.user[item];
+          }
+          return access;
+        }
+      };
+      lp.setTypes(types);
+      var permissions = {
+        no_bypass: {
+          flag: 'never_bypass'
+        },
+        flag: 'testflag',
+        role: 'admin',
+        misc: 'test'
+      };
+      var user = {
+        id: 1
+      };
+      //OR truth table
+      //0 0 0
+      assert(!lp.checkAccess(permissions, {user: user}));
+      //0 0 1
+      user.test = true;
+      assert(lp.checkAccess(permissions, {user: user}));
+      //0 1 0
+      user.test = false;
+      user.roles = ['admin'];
+      assert(lp.checkAccess(permissions, {user: user}));
+      //0 1 1
+      user.test = true;
+      assert(lp.checkAccess(permissions, {user: user}));
+      //1 0 0
+      user = {
+        id: 1,
+        testflag: true
+      };
+      assert(lp.checkAccess(permissions, {user: user}));
+      //1 0 1
+      user.test = true;
+      assert(lp.checkAccess(permissions, {user: user}));
+      //1 1 0
+      user.test = false;
+      user.roles = ['admin'];
+      assert(lp.checkAccess(permissions, {user: user}));
+      //1 1 1
+      user.test = true;
+      assert(lp.checkAccess(permissions, {user: user}));
     });
   });
-  describe('testCheckAccessNoBypassAccessObjectAllow', function() {
-    it('should call LogicalPermissions::checkAccess() with no_bypass set to an object and allow access due to bypassing access', function() {
+  describe('testCheckAccessMultipleItemsShorthandOR', function() {
+    it('should call LogicalPermissions::checkAccess() with multiple permission type items (shorthand OR)', function() {
       var lp = new LogicalPermissions();
       var types = {
-        flag: function(flag, context) {
+        role: function(role, context) {
           var access = false;
-          if(flag === 'never_bypass') {
-            if(context.hasOwnProperty('user') && context.user.hasOwnProperty('never_bypass')) {
-              access = !!context.user.never_bypass;
-            }
+          if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
+            access = context.user.roles.indexOf(role) > -1;
           }
           return access;
         }
       };
       lp.setTypes(types);
-      var bypass_callback = function(context) {
-        return true;
-      };
-      lp.setBypassCallback(bypass_callback);
       var permissions = {
-        no_bypass: {
-          flag: 'never_bypass'
-        }
-      };
-      var user = {
-        id: 1,
-        never_bypass: false
+        role: ['admin', 'editor']
       };
+      var user = {id: 1};
+      //OR truth table
+      //0 0
+      assert(!lp.checkAccess(permissions, {user: user}));
+      user.roles = [];
+      assert(!lp.checkAccess(permissions, {user: user}));
+      //0 1
+      user.roles = ['editor'];
+      assert(lp.checkAccess(permissions, {user: user}));
+      //1 0
+      user.roles = ['admin'];
+      assert(lp.checkAccess(permissions, {user: user}));
+      //1 1
+      user.roles = ['editor', 'admin'];
       assert(lp.checkAccess(permissions, {user: user}));
     });
   });
-  describe('testCheckAccessNoBypassAccessObjectDeny', function() {
-    it('should call LogicalPermissions::checkAccess() with no_bypass set to an object and deny access due to forbidden access bypass and no regular access', function() {
+  describe('testCheckAccessANDWrongValueType', function() {
+    it('should call LogicalPermissions::checkAccess() with an illegal AND value type and catch an InvalidValueForLogicGateException exception', function() {
       var lp = new LogicalPermissions();
       var types = {
-        flag: function(flag, context) {
+        role: function(role, context) {
           var access = false;
-          if(flag === 'never_bypass') {
-            if(context.hasOwnProperty('user') && context.user.hasOwnProperty('never_bypass')) {
-              access = !!context.user.never_bypass;
-            }
+          if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
+            access = context.user.roles.indexOf(role) > -1;
           }
           return access;
         }
       };
       lp.setTypes(types);
-      var bypass_callback = function(context) {
-        return true;
-      };
-      lp.setBypassCallback(bypass_callback);
       var permissions = {
-        no_bypass: {
-          flag: 'never_bypass'
-        },
-        0: false
+        role: {
+          AND: 'admin'
+        }
       };
       var user = {
         id: 1,
-        never_bypass: true
+        roles: ['admin']
       };
-      assert(!lp.checkAccess(permissions, {user: user}));
+      assert.throws(function() {
+        lp.checkAccess(permissions, {user: user});
+      }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
     });
   });
-  describe('testCheckAccessWrongPermissionCallbackReturnType', function() {
-    it('should call LogicalPermissions::checkAccess() and return an invalid data type from the registered permission type callback and catch an InvalidCallbackReturnTypeException exception', function() {
+  describe('testCheckAccessANDTooFewElements', function() {
+    it('should call LogicalPermissions::checkAccess() with too few elements in AND value and catch an InvalidValueForLogicGateException exception', function() {
       var lp = new LogicalPermissions();
       var types = {
-        flag: function(flag, context) {
+        role: function(role, context) {
           var access = false;
-          if(flag === 'testflag') {
-            if(context.hasOwnProperty('user') && context.user.hasOwnProperty('testflag')) {
-              access = !!context.user.testflag;
-            }
+          if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
+            access = context.user.roles.indexOf(role) > -1;
           }
-          return 0;
+          return access;
         }
       };
       lp.setTypes(types);
-      var permissions = {
-        no_bypass: {
-          flag: 'never_bypass'
-        },
-        flag: 'testflag'
-      };
       var user = {
         id: 1,
-        testflag: true
+        roles: ['admin']
+      };
+      var permissions = {
+        role: {
+          AND: []
+        }
       };
       assert.throws(function() {
         lp.checkAccess(permissions, {user: user});
-      }, function(err) {return err.name === 'InvalidCallbackReturnTypeException';});
+      }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
+
+      permissions = {
+        role: {
+          AND: {}
+        }
+      };
+      assert.throws(function() {
+        lp.checkAccess(permissions, {user: user});
+      }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
     });
   });
-  describe('testCheckAccessSingleItemAllow', function() {
-    it('should call LogicalPermissions::checkAccess() with single flag and allow access', function() {
+  describe('testCheckAccessMultipleItemsAND', function() {
+    it('should call LogicalPermissions::checkAccess() with multiple AND values', function() {
       var lp = new LogicalPermissions();
       var types = {
-        flag: function(flag, context) {
+        role: function(role, context) {
           var access = false;
-          if(flag === 'testflag') {
-            if(context.hasOwnProperty('user') && context.user.hasOwnProperty('testflag')) {
-              access = !!context.user.testflag;
-            }
+          if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
+            access = context.user.roles.indexOf(role) > -1;
           }
           return access;
         }
       };
       lp.setTypes(types);
+      var runTruthTable = function runTruthTable(permissions) {
+        var user = {id: 1};
+        //AND truth table
+        //0 0 0
+        assert(!lp.checkAccess(permissions, {user: user}));
+        user.roles = [];
+        assert(!lp.checkAccess(permissions, {user: user}));
+        //0 0 1
+        user.roles = ['writer'];
+        assert(!lp.checkAccess(permissions, {user: user}));
+        //0 1 0
+        user.roles = ['editor'];
+        assert(!lp.checkAccess(permissions, {user: user}));
+        //0 1 1
+        user.roles = ['editor', 'writer'];
+        assert(!lp.checkAccess(permissions, {user: user}));
+        //1 0 0
+        user.roles = ['admin'];
+        assert(!lp.checkAccess(permissions, {user: user}));
+        //1 0 1
+        user.roles = ['admin', 'writer'];
+        assert(!lp.checkAccess(permissions, {user: user}));
+        //1 1 0
+        user.roles = ['admin', 'editor'];
+        assert(!lp.checkAccess(permissions, {user: user}));
+        //1 1 1
+        user.roles = ['admin', 'editor', 'writer'];
+        assert(lp.checkAccess(permissions, {user: user}));
+      };
+
+      //Test array values
       var permissions = {
-        no_bypass: {
-          flag: 'never_bypass'
-        },
-        flag: 'testflag'
+        role: {
+          AND: [
+            'admin',
+            'editor',
+            'writer'
+          ]
+        }
       };
-      var user = {
-        id: 1,
-        testflag: true
+      runTruthTable(permissions);
+
+      //Test object values
+      permissions = {
+        role: {
+          AND: {
+            0: 'admin',
+            1: 'editor',
+            2: 'writer'
+          }
+        }
       };
-      assert(lp.checkAccess(permissions, {user: user}));
+      runTruthTable(permissions);
+
+      //Test array/object mixes
+      permissions = {
+        role: {
+          AND: [
+            ['admin'],
+            {0: 'editor'},
+            'writer'
+          ]
+        }
+      };
+      runTruthTable(permissions);
+      permissions = {
+        role: {
+          AND: {
+            0: ['admin'],
+            1: {0: 'editor'},
+            2: 'writer'
+          }
+        }
+      };
+      runTruthTable(permissions);
     });
   });
-  describe('testCheckAccessSingleItemDeny', function() {
-    it('should call LogicalPermissions::checkAccess() with single flag and deny access', function() {
+  describe('testCheckAccessNANDWrongValueType', function() {
+    it('should call LogicalPermissions::checkAccess() with an illegal NAND value type and catch an InvalidValueForLogicGateException exception', function() {
       var lp = new LogicalPermissions();
       var types = {
-        flag: function(flag, context) {
+        role: function(role, context) {
           var access = false;
-          if(flag === 'testflag') {
-            if(context.hasOwnProperty('user') && context.user.hasOwnProperty('testflag')) {
-              access = !!context.user.testflag;
-            }
+          if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
+            access = context.user.roles.indexOf(role) > -1;
           }
           return access;
         }
       };
       lp.setTypes(types);
       var permissions = {
-        flag: 'testflag'
+        role: {
+          NAND: 'admin'
+        }
       };
       var user = {
-        id: 1
+        id: 1,
+        roles: ['admin']
       };
-      assert(!lp.checkAccess(permissions, {user: user}));
+      assert.throws(function() {
+        lp.checkAccess(permissions, {user: user});
+      }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
     });
   });
-  describe('testCheckAccessMultipleTypesShorthandOR', function() {
-    it('should call LogicalPermissions::checkAccess() with multiple permission types (shorthand OR)', function() {
-      var lp = new LogicalPermissions();
-      var types = {
-        flag: function(flag, context) {
-          var access = false;
-          if(flag === 'testflag') {
-            if(context.hasOwnProperty('user') && context.user.hasOwnProperty('testflag')) {
-              access = !!context.user.testflag;
-            }
-          }
-          return access;
-        },
+  describe('testCheckAccessNANDTooFewElements', function() {
+    it('should call LogicalPermissions::checkAccess() with too few elements in NAND value and catch an InvalidValueForLogicGateException exception', function() {
+      var lp = new LogicalPermissions();
+      var types = {
         role: function(role, context) {
           var access = false;
           if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
             access = context.user.roles.indexOf(role) > -1;
           }
           return access;
-        },
-        misc: function(item, context) {
-          var access = false;
-          if(context.hasOwnProperty('user') && context.user.hasOwnProperty(item)) {
-            access = !!context.user[item];
-          }
-          return access;
         }
       };
       lp.setTypes(types);
-      var permissions = {
-        no_bypass: {
-          flag: 'never_bypass'
-        },
-        flag: 'testflag',
-        role: 'admin',
-        misc: 'test'
-      };
       var user = {
-        id: 1
-      };
-      //OR truth table
-      //0 0 0
-      assert(!lp.checkAccess(permissions, {user: user}));
-      //0 0 1
-      user.test = true;
-      assert(lp.checkAccess(permissions, {user: user}));
-      //0 1 0
-      user.test = false;
-      user.roles = ['admin'];
-      assert(lp.checkAccess(permissions, {user: user}));
-      //0 1 1
-      user.test = true;
-      assert(lp.checkAccess(permissions, {user: user}));
-      //1 0 0
-      user = {
         id: 1,
-        testflag: true
+        roles: ['admin']
       };
-      assert(lp.checkAccess(permissions, {user: user}));
-      //1 0 1
-      user.test = true;
-      assert(lp.checkAccess(permissions, {user: user}));
-      //1 1 0
-      user.test = false;
-      user.roles = ['admin'];
-      assert(lp.checkAccess(permissions, {user: user}));
-      //1 1 1
-      user.test = true;
-      assert(lp.checkAccess(permissions, {user: user}));
+      var permissions = {
+        role: {
+          NAND: []
+        }
+      };
+      assert.throws(function() {
+        lp.checkAccess(permissions, {user: user});
+      }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
+
+      permissions = {
+        role: {
+          NAND: {}
+        }
+      };
+      assert.throws(function() {
+        lp.checkAccess(permissions, {user: user});
+      }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
     });
   });
-  describe('testCheckAccessMultipleItemsShorthandOR', function() {
-    it('should call LogicalPermissions::checkAccess() with multiple permission type items (shorthand OR)', function() {
+  describe('testCheckAccessMultipleItemsNAND', function() {
+    it('should call LogicalPermissions::checkAccess() with multiple NAND values', function() {
       var lp = new LogicalPermissions();
       var types = {
         role: function(role, context) {
@@ -887,28 +2513,85 @@ describe('LogicalPermissions', function() {
         }
       };
       lp.setTypes(types);
+      var runTruthTable = function runTruthTable(permissions) {
+        var user = {id: 1};
+        //NAND truth table
+        //0 0 0
+        assert(lp.checkAccess(permissions, {user: user}));
+        user.roles = [];
+        assert(lp.checkAccess(permissions, {user: user}));
+        //0 0 1
+        user.roles = ['writer'];
+        assert(lp.checkAccess(permissions, {user: user}));
+        //0 1 0
+        user.roles = ['editor'];
+        assert(lp.checkAccess(permissions, {user: user}));
+        //0 1 1
+        user.roles = ['editor', 'writer'];
+        assert(lp.checkAccess(permissions, {user: user}));
+        //1 0 0
+        user.roles = ['admin'];
+        assert(lp.checkAccess(permissions, {user: user}));
+        //1 0 1
+        user.roles = ['admin', 'writer'];
+        assert(lp.checkAccess(permissions, {user: user}));
+        //1 1 0
+        user.roles = ['admin', 'editor'];
+        assert(lp.checkAccess(permissions, {user: user}));
+        //1 1 1
+        user.roles = ['admin', 'editor', 'writer'];
+        assert(!lp.checkAccess(permissions, {user: user}));
+      };
+
+      //Test array values
       var permissions = {
-        role: ['admin', 'editor']
+        role: {
+          NAND: [
+            'admin',
+            'editor',
+            'writer'
+          ]
+        }
       };
-      var user = {id: 1};
-      //OR truth table
-      //0 0
-      assert(!lp.checkAccess(permissions, {user: user}));
-      user.roles = [];
-      assert(!lp.checkAccess(permissions, {user: user}));
-      //0 1
-      user.roles = ['editor'];
-      assert(lp.checkAccess(permissions, {user: user}));
-      //1 0
-      user.roles = ['admin'];
-      assert(lp.checkAccess(permissions, {user: user}));
-      //1 1
-      user.roles = ['editor', 'admin'];
-      assert(lp.checkAccess(permissions, {user: user}));
+      runTruthTable(permissions);
+
+      //Test object values
+      permissions = {
+        role: {
+          NAND: {
+            0: 'admin',
+            1: 'editor',
+            2: 'writer'
+          }
+        }
+      };
+      runTruthTable(permissions);
+
+      //Test array/object mixes
+      permissions = {
+        role: {
+          NAND: [
+            ['admin'],
+            {0: 'editor'},
+            'writer'
+          ]
+        }
+      };
+      runTruthTable(permissions);
+      permissions = {
+        role: {
+          NAND: {
+            0: ['admin'],
+            1: {0: 'editor'},
+            2: 'writer'
+          }
+        }
+      };
+      runTruthTable(permissions);
     });
   });
-  describe('testCheckAccessANDWrongValueType', function() {
-    it('should call LogicalPermissions::checkAccess() with an illegal AND value type and catch an InvalidValueForLogicGateException exception', function() {
+  describe('testCheckAccessORWrongValueType', function() {
+    it('should call LogicalPermissions::checkAccess() with an illegal OR value type and catch an InvalidValueForLogicGateException exception', function() {
       var lp = new LogicalPermissions();
       var types = {
         role: function(role, context) {
@@ -922,7 +2605,7 @@ describe('LogicalPermissions', function() {
       lp.setTypes(types);
       var permissions = {
         role: {
-          AND: 'admin'
+          OR: 'admin'
         }
       };
       var user = {
@@ -934,8 +2617,8 @@ describe('LogicalPermissions', function() {
       }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
     });
   });
-  describe('testCheckAccessANDTooFewElements', function() {
-    it('should call LogicalPermissions::checkAccess() with too few elements in AND value and catch an InvalidValueForLogicGateException exception', function() {
+  describe('testCheckAccessORTooFewElements', function() {
+    it('should call LogicalPermissions::checkAccess() with too few elements in OR value and catch an InvalidValueForLogicGateException exception', function() {
       var lp = new LogicalPermissions();
       var types = {
         role: function(role, context) {
@@ -953,7 +2636,7 @@ describe('LogicalPermissions', function() {
       };
       var permissions = {
         role: {
-          AND: []
+          OR: []
         }
       };
       assert.throws(function() {
@@ -962,7 +2645,7 @@ describe('LogicalPermissions', function() {
 
       permissions = {
         role: {
-          AND: {}
+          OR: {}
         }
       };
       assert.throws(function() {
@@ -970,8 +2653,8 @@ describe('LogicalPermissions', function() {
       }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
     });
   });
-  describe('testCheckAccessMultipleItemsAND', function() {
-    it('should call LogicalPermissions::checkAccess() with multiple AND values', function() {
+  describe('testCheckAccessMultipleItemsOR', function() {
+    it('should call LogicalPermissions::checkAccess() with multiple OR values', function() {
       var lp = new LogicalPermissions();
       var types = {
         role: function(role, context) {
@@ -985,29 +2668,29 @@ describe('LogicalPermissions', function() {
       lp.setTypes(types);
       var runTruthTable = function runTruthTable(permissions) {
         var user = {id: 1};
-        //AND truth table
+        //OR truth table
         //0 0 0
         assert(!lp.checkAccess(permissions, {user: user}));
         user.roles = [];
         assert(!lp.checkAccess(permissions, {user: user}));
         //0 0 1
         user.roles = ['writer'];
-        assert(!lp.checkAccess(permissions, {user: user}));
+        assert(lp.checkAccess(permissions, {user: user}));
         //0 1 0
         user.roles = ['editor'];
-        assert(!lp.checkAccess(permissions, {user: user}));
+        assert(lp.checkAccess(permissions, {user: user}));
         //0 1 1
         user.roles = ['editor', 'writer'];
-        assert(!lp.checkAccess(permissions, {user: user}));
+        assert(lp.checkAccess(permissions, {user: user}));
         //1 0 0
         user.roles = ['admin'];
-        assert(!lp.checkAccess(permissions, {user: user}));
+        assert(lp.checkAccess(permissions, {user: user}));
         //1 0 1
         user.roles = ['admin', 'writer'];
-        assert(!lp.checkAccess(permissions, {user: user}));
+        assert(lp.checkAccess(permissions, {user: user}));
         //1 1 0
         user.roles = ['admin', 'editor'];
-        assert(!lp.checkAccess(permissions, {user: user}));
+        assert(lp.checkAccess(permissions, {user: user}));
         //1 1 1
         user.roles = ['admin', 'editor', 'writer'];
         assert(lp.checkAccess(permissions, {user: user}));
@@ -1016,7 +2699,7 @@ describe('LogicalPermissions', function() {
       //Test array values
       var permissions = {
         role: {
-          AND: [
+          OR: [
             'admin',
             'editor',
             'writer'
@@ -1028,7 +2711,7 @@ describe('LogicalPermissions', function() {
       //Test object values
       permissions = {
         role: {
-          AND: {
+          OR: {
             0: 'admin',
             1: 'editor',
             2: 'writer'
@@ -1040,7 +2723,7 @@ describe('LogicalPermissions', function() {
       //Test array/object mixes
       permissions = {
         role: {
-          AND: [
+          OR: [
             ['admin'],
             {0: 'editor'},
             'writer'
@@ -1050,7 +2733,7 @@ describe('LogicalPermissions', function() {
       runTruthTable(permissions);
       permissions = {
         role: {
-          AND: {
+          OR: {
             0: ['admin'],
             1: {0: 'editor'},
             2: 'writer'
@@ -1060,8 +2743,8 @@ describe('LogicalPermissions', function() {
       runTruthTable(permissions);
     });
   });
-  describe('testCheckAccessNANDWrongValueType', function() {
-    it('should call LogicalPermissions::checkAccess() with an illegal NAND value type and catch an InvalidValueForLogicGateException exception', function() {
+  describe('testCheckAccessNORWrongValueType', function() {
+    it('should call LogicalPermissions::checkAccess() with an illegal NOR value type and catch an InvalidValueForLogicGateException exception', function() {
       var lp = new LogicalPermissions();
       var types = {
         role: function(role, context) {
@@ -1075,7 +2758,7 @@ describe('LogicalPermissions', function() {
       lp.setTypes(types);
       var permissions = {
         role: {
-          NAND: 'admin'
+          NOR: 'admin'
         }
       };
       var user = {
@@ -1087,8 +2770,8 @@ describe('LogicalPermissions', function() {
       }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
     });
   });
-  describe('testCheckAccessNANDTooFewElements', function() {
-    it('should call LogicalPermissions::checkAccess() with too few elements in NAND value and catch an InvalidValueForLogicGateException exception', function() {
+  describe('testCheckAccessNORTooFewElements', function() {
+    it('should call LogicalPermissions::checkAccess() with too few elements in NOR value and catch an InvalidValueForLogicGateException exception', function() {
       var lp = new LogicalPermissions();
       var types = {
         role: function(role, context) {
@@ -1106,7 +2789,7 @@ describe('LogicalPermissions', function() {
       };
       var permissions = {
         role: {
-          NAND: []
+          NOR: []
         }
       };
       assert.throws(function() {
@@ -1115,7 +2798,7 @@ describe('LogicalPermissions', function() {
 
       permissions = {
         role: {
-          NAND: {}
+          NOR: {}
         }
       };
       assert.throws(function() {
@@ -1123,8 +2806,8 @@ describe('LogicalPermissions', function() {
       }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
     });
   });
-  describe('testCheckAccessMultipleItemsNAND', function() {
-    it('should call LogicalPermissions::checkAccess() with multiple NAND values', function() {
+  describe('testCheckAccessMultipleItemsNOR', function() {
+    it('should call LogicalPermissions::checkAccess() with multiple NOR values', function() {
       var lp = new LogicalPermissions();
       var types = {
         role: function(role, context) {
@@ -1138,29 +2821,29 @@ describe('LogicalPermissions', function() {
       lp.setTypes(types);
       var runTruthTable = function runTruthTable(permissions) {
         var user = {id: 1};
-        //NAND truth table
+        //OR truth table
         //0 0 0
         assert(lp.checkAccess(permissions, {user: user}));
         user.roles = [];
         assert(lp.checkAccess(permissions, {user: user}));
         //0 0 1
         user.roles = ['writer'];
-        assert(lp.checkAccess(permissions, {user: user}));
+        assert(!lp.checkAccess(permissions, {user: user}));
         //0 1 0
         user.roles = ['editor'];
-        assert(lp.checkAccess(permissions, {user: user}));
+        assert(!lp.checkAccess(permissions, {user: user}));
         //0 1 1
         user.roles = ['editor', 'writer'];
-        assert(lp.checkAccess(permissions, {user: user}));
+        assert(!lp.checkAccess(permissions, {user: user}));
         //1 0 0
         user.roles = ['admin'];
-        assert(lp.checkAccess(permissions, {user: user}));
+        assert(!lp.checkAccess(permissions, {user: user}));
         //1 0 1
         user.roles = ['admin', 'writer'];
-        assert(lp.checkAccess(permissions, {user: user}));
+        assert(!lp.checkAccess(permissions, {user: user}));
         //1 1 0
         user.roles = ['admin', 'editor'];
-        assert(lp.checkAccess(permissions, {user: user}));
+        assert(!lp.checkAccess(permissions, {user: user}));
         //1 1 1
         user.roles = ['admin', 'editor', 'writer'];
         assert(!lp.checkAccess(permissions, {user: user}));
@@ -1169,7 +2852,7 @@ describe('LogicalPermissions', function() {
       //Test array values
       var permissions = {
         role: {
-          NAND: [
+          NOR: [
             'admin',
             'editor',
             'writer'
@@ -1181,7 +2864,7 @@ describe('LogicalPermissions', function() {
       //Test object values
       permissions = {
         role: {
-          NAND: {
+          NOR: {
             0: 'admin',
             1: 'editor',
             2: 'writer'
@@ -1193,7 +2876,7 @@ describe('LogicalPermissions', function() {
       //Test array/object mixes
       permissions = {
         role: {
-          NAND: [
+          NOR: [
             ['admin'],
             {0: 'editor'},
             'writer'
@@ -1203,7 +2886,7 @@ describe('LogicalPermissions', function() {
       runTruthTable(permissions);
       permissions = {
         role: {
-          NAND: {
+          NOR: {
             0: ['admin'],
             1: {0: 'editor'},
             2: 'writer'
@@ -1213,8 +2896,8 @@ describe('LogicalPermissions', function() {
       runTruthTable(permissions);
     });
   });
-  describe('testCheckAccessORWrongValueType', function() {
-    it('should call LogicalPermissions::checkAccess() with an illegal OR value type and catch an InvalidValueForLogicGateException exception', function() {
+  describe('testCheckAccessXORWrongValueType', function() {
+    it('should call LogicalPermissions::checkAccess() with an illegal XOR value type and catch an InvalidValueForLogicGateException exception', function() {
       var lp = new LogicalPermissions();
       var types = {
         role: function(role, context) {
@@ -1228,7 +2911,7 @@ describe('LogicalPermissions', function() {
       lp.setTypes(types);
       var permissions = {
         role: {
-          OR: 'admin'
+          XOR: 'admin'
         }
       };
       var user = {
@@ -1240,8 +2923,8 @@ describe('LogicalPermissions', function() {
       }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
     });
   });
-  describe('testCheckAccessORTooFewElements', function() {
-    it('should call LogicalPermissions::checkAccess() with too few elements in OR value and catch an InvalidValueForLogicGateException exception', function() {
+  describe('testCheckAccessXORTooFewElements', function() {
+    it('should call LogicalPermissions::checkAccess() with too few elements in XOR value and catch an InvalidValueForLogicGateException exception', function() {
       var lp = new LogicalPermissions();
       var types = {
         role: function(role, context) {
@@ -1259,7 +2942,7 @@ describe('LogicalPermissions', function() {
       };
       var permissions = {
         role: {
-          OR: []
+          XOR: ['admin']
         }
       };
       assert.throws(function() {
@@ -1268,7 +2951,7 @@ describe('LogicalPermissions', function() {
 
       permissions = {
         role: {
-          OR: {}
+          XOR: {0: 'admin'}
         }
       };
       assert.throws(function() {
@@ -1276,8 +2959,8 @@ describe('LogicalPermissions', function() {
       }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
     });
   });
-  describe('testCheckAccessMultipleItemsOR', function() {
-    it('should call LogicalPermissions::checkAccess() with multiple OR values', function() {
+  describe('testCheckAccessMultipleItemsXOR', function() {
+    it('should call LogicalPermissions::checkAccess() with multiple XOR values', function() {
       var lp = new LogicalPermissions();
       var types = {
         role: function(role, context) {
@@ -1316,13 +2999,13 @@ describe('LogicalPermissions', function() {
         assert(lp.checkAccess(permissions, {user: user}));
         //1 1 1
         user.roles = ['admin', 'editor', 'writer'];
-        assert(lp.checkAccess(permissions, {user: user}));
+        assert(!lp.checkAccess(permissions, {user: user}));
       };
 
       //Test array values
       var permissions = {
         role: {
-          OR: [
+          XOR: [
             'admin',
             'editor',
             'writer'
@@ -1334,7 +3017,7 @@ describe('LogicalPermissions', function() {
       //Test object values
       permissions = {
         role: {
-          OR: {
+          XOR: {
             0: 'admin',
             1: 'editor',
             2: 'writer'
@@ -1346,7 +3029,7 @@ describe('LogicalPermissions', function() {
       //Test array/object mixes
       permissions = {
         role: {
-          OR: [
+          XOR: [
             ['admin'],
             {0: 'editor'},
             'writer'
@@ -1356,7 +3039,7 @@ describe('LogicalPermissions', function() {
       runTruthTable(permissions);
       permissions = {
         role: {
-          OR: {
+          XOR: {
             0: ['admin'],
             1: {0: 'editor'},
             2: 'writer'
@@ -1366,8 +3049,275 @@ describe('LogicalPermissions', function() {
       runTruthTable(permissions);
     });
   });
-  describe('testCheckAccessNORWrongValueType', function() {
-    it('should call LogicalPermissions::checkAccess() with an illegal NOR value type and catch an InvalidValueForLogicGateException exception', function() {
+  describe('testCheckAccessXNORTooFewElements', function() {
+    it('should call LogicalPermissions::checkAccess() with too few elements in XNOR value and catch an InvalidValueForLogicGateException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      [{role: {XNOR: ['admin']}}, {role: {XNOR: {0: 'admin'}}}, {role: {XNOR: 'admin'}}].forEach(function(permissions) {
+        assert.throws(function() {
+          lp.checkAccess(permissions, {user: {roles: ['admin']}});
+        }, function(err) {return err.name === 'InvalidValueForLogicGateException' && err.gate === 'XNOR';});
+      });
+    });
+  });
+  describe('testCheckAccessMultipleItemsXNOR', function() {
+    it('should call LogicalPermissions::checkAccess() with multiple XNOR values', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      //XNOR truth table
+      [
+        [[], true],
+        [['writer'], false],
+        [['editor'], false],
+        [['editor', 'writer'], false],
+        [['admin'], false],
+        [['admin', 'writer'], false],
+        [['admin', 'editor'], false],
+        [['admin', 'editor', 'writer'], true]
+      ].forEach(function(row) {
+        assert.strictEqual(lp.checkAccess({role: {XNOR: ['admin', 'editor', 'writer']}}, {user: {roles: row[0]}}), row[1], JSON.stringify(row[0]));
+        assert.strictEqual(lp.checkAccess({xnor: {0: {role: 'admin'}, 1: {role: 'editor'}, 2: {role: 'writer'}}}, {user: {roles: row[0]}}), row[1], JSON.stringify(row[0]));
+      });
+    });
+  });
+  describe('testCheckAccessONE_OFWrongValueType', function() {
+    it('should call LogicalPermissions::checkAccess() with an illegal ONE_OF value type and catch an InvalidValueForLogicGateException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      [{role: {ONE_OF: 'admin'}}, {role: {ONE_OF: []}}].forEach(function(permissions) {
+        assert.throws(function() {
+          lp.checkAccess(permissions, {user: {roles: ['admin']}});
+        }, function(err) {return err.name === 'InvalidValueForLogicGateException' && err.gate === 'ONE_OF';});
+      });
+    });
+  });
+  describe('testCheckAccessMultipleItemsONE_OF', function() {
+    it('should call LogicalPermissions::checkAccess() with multiple ONE_OF values and check that evaluation stops as soon as two children grant access', function() {
+      var lp = new LogicalPermissions();
+      var evaluated = [];
+      lp.addType('role', function(role, context) {
+        evaluated.push(role);
+        return context.user.roles.indexOf(role) > -1;
+      });
+      //ONE_OF truth table
+      [
+        [[], false],
+        [['writer'], true],
+        [['editor'], true],
+        [['editor', 'writer'], false],
+        [['admin'], true],
+        [['admin', 'writer'], false],
+        [['admin', 'editor'], false],
+        [['admin', 'editor', 'writer'], false]
+      ].forEach(function(row) {
+        assert.strictEqual(lp.checkAccess({role: {ONE_OF: ['admin', 'editor', 'writer']}}, {user: {roles: row[0]}}), row[1], JSON.stringify(row[0]));
+        assert.strictEqual(lp.checkAccess({one_of: {0: {role: 'admin'}, 1: {role: 'editor'}, 2: {role: 'writer'}}}, {user: {roles: row[0]}}), row[1], JSON.stringify(row[0]));
+      });
+      assert(lp.checkAccess({ONE_OF: [{role: 'admin'}]}, {user: {roles: ['admin']}}));
+      evaluated = [];
+      assert(!lp.checkAccess({role: {ONE_OF: ['admin', 'editor', 'writer']}}, {user: {roles: ['admin', 'editor']}}));
+      assert.deepEqual(evaluated, ['admin', 'editor']);
+    });
+  });
+  describe('testCheckAccessIMPLIESWrongNumberOfElements', function() {
+    it('should call LogicalPermissions::checkAccess() with an IMPLIES value that does not have exactly two elements and catch an InvalidValueForLogicGateException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      [
+        {role: {IMPLIES: 'admin'}},
+        {role: {IMPLIES: ['admin']}},
+        {role: {IMPLIES: ['admin', 'editor', 'writer']}},
+        {IMPLIES: {role: 'admin'}},
+        {IMPLIES: {0: {role: 'admin'}, 1: {role: 'editor'}, 2: {role: 'writer'}}}
+      ].forEach(function(permissions) {
+        assert.throws(function() {
+          lp.checkAccess(permissions, {user: {roles: ['admin']}});
+        }, function(err) {return err.name === 'InvalidValueForLogicGateException' && err.gate === 'IMPLIES';}, JSON.stringify(permissions));
+      });
+    });
+  });
+  describe('testCheckAccessIMPLIES', function() {
+    it('should call LogicalPermissions::checkAccess() with IMPLIES values and check that the consequence is only evaluated if the condition grants access', function() {
+      var lp = new LogicalPermissions();
+      var evaluated = [];
+      lp.addType('flag', function(flag, context) {
+        evaluated.push(flag);
+        return !!context.document[flag];
+      });
+      lp.addType('role', function(role, context) {
+        evaluated.push(role);
+        return context.user.roles.indexOf(role) > -1;
+      });
+      //If the document is confidential then the user must be in legal
+      var permissions = {
+        IMPLIES: [
+          {flag: 'is_confidential'},
+          {role: 'legal'}
+        ]
+      };
+      //IMPLIES truth table
+      [
+        [false, [], true],
+        [false, ['legal'], true],
+        [true, [], false],
+        [true, ['legal'], true]
+      ].forEach(function(row) {
+        var context = {document: {is_confidential: row[0]}, user: {roles: row[1]}};
+        assert.strictEqual(lp.checkAccess(permissions, context), row[2], JSON.stringify(row));
+        assert.strictEqual(lp.checkAccess({implies: {flag: 'is_confidential', role: 'legal'}}, context), row[2], JSON.stringify(row));
+      });
+      evaluated = [];
+      assert(lp.checkAccess(permissions, {document: {}, user: {roles: []}}));
+      assert.deepEqual(evaluated, ['is_confidential']);
+      assert(lp.checkAccess({role: {IMPLIES: ['sales', {NOT: 'guest'}]}}, {user: {roles: ['sales']}}));
+      assert(!lp.checkAccess({role: {IMPLIES: ['sales', {NOT: 'guest'}]}}, {user: {roles: ['sales', 'guest']}}));
+    });
+  });
+  describe('testCheckAccessCustomGateWrongValueType', function() {
+    it('should call LogicalPermissions::checkAccess() with illegal values for a custom gate and catch an InvalidValueForLogicGateException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function() {
+        return true;
+      });
+      lp.addGate('MAJORITY', function() {
+        return true;
+      });
+      [{MAJORITY: []}, {MAJORITY: {}}, {role: {MAJORITY: 'admin'}}].forEach(function(permissions) {
+        assert.throws(function() {
+          lp.checkAccess(permissions);
+        }, function(err) {return err.name === 'InvalidValueForLogicGateException' && err.gate === 'MAJORITY';}, JSON.stringify(permissions));
+      });
+    });
+  });
+  describe('testCheckAccessCustomGateWrongReturnType', function() {
+    it('should call LogicalPermissions::checkAccess() with a custom gate whose handler does not return a boolean and catch an InvalidCallbackReturnTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addGate('BROKEN', function() {
+        return 1;
+      });
+      assert.throws(function() {
+        lp.checkAccess({BROKEN: [true]});
+      }, function(err) {return err.name === 'InvalidCallbackReturnTypeException' && err.gate === 'BROKEN' && err.value === 1;});
+    });
+  });
+  describe('testCheckAccessCustomGate', function() {
+    it('should call LogicalPermissions::checkAccess() with a custom gate, both beneath and above a permission type, and check that only the children evaluated by the handler are evaluated', function() {
+      var lp = new LogicalPermissions();
+      var evaluated = [];
+      lp.addType('role', function(role, context) {
+        evaluated.push(role);
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.addType('flag', function(flag, context) {
+        evaluated.push(flag);
+        return !!context.user[flag];
+      });
+      //Grants access if more than half of the children grant access, and stops evaluating once the result is known
+      lp.addGate('MAJORITY', function(children, evaluateChild) {
+        var granted = 0;
+        for(var i = 0; i < children.length; i++) {
+          if(evaluateChild(children[i])) {
+            granted++;
+          }
+          if(granted * 2 > children.length) {
+            return true;
+          }
+          if((granted + children.length - i - 1) * 2 <= children.length) {
+            return false;
+          }
+        }
+        return false;
+      });
+      var permissions = {
+        majority: {
+          role: 'editor',
+          flag: 'is_author',
+          OR: {
+            role: 'reviewer',
+            MAJORITY: [{flag: 'is_trusted'}, {flag: 'is_verified'}, {flag: 'is_active'}]
+          }
+        }
+      };
+      assert(lp.checkAccess(permissions, {user: {roles: ['editor'], is_author: true}}));
+      assert.deepEqual(evaluated, ['editor', 'is_author']);
+      evaluated = [];
+      assert(!lp.checkAccess(permissions, {user: {roles: [], is_author: false}}));
+      assert.deepEqual(evaluated, ['editor', 'is_author']);
+      assert(lp.checkAccess(permissions, {user: {roles: [], is_author: true, is_trusted: true, is_active: true}}));
+      assert(!lp.checkAccess(permissions, {user: {roles: [], is_author: true, is_trusted: true}}));
+      assert(lp.checkAccess({role: {MAJORITY: ['editor', 'writer', {NOT: 'guest'}]}}, {user: {roles: ['editor', 'guest', 'writer']}}));
+      assert(!lp.checkAccess({role: {MAJORITY: ['editor', 'writer', {NOT: 'guest'}]}}, {user: {roles: ['editor', 'guest']}}));
+    });
+  });
+  describe('testCheckAccessReferenceIllegal', function() {
+    it('should call LogicalPermissions::checkAccess() with illegal references and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function() {
+        return true;
+      });
+      lp.definePermission('activeStaff', true);
+      [{role: {REF: 'activeStaff'}}, {REF: ''}, {REF: ['activeStaff']}, {OR: [{REF: true}]}].forEach(function(permissions) {
+        assert.throws(function() {
+          lp.checkAccess(permissions);
+        }, function(err) {return err.name === 'InvalidArgumentValueException';}, JSON.stringify(permissions));
+      });
+    });
+  });
+  describe('testCheckAccessReferenceNotDefined', function() {
+    it('should call LogicalPermissions::checkAccess() with a reference to a permission that has not been defined and catch a PermissionNotDefinedException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.definePermission('activeStaff', {REF: 'staff'});
+      [{REF: 'missing'}, {AND: [true, {REF: 'activeStaff'}]}].forEach(function(permissions) {
+        assert.throws(function() {
+          lp.checkAccess(permissions);
+        }, function(err) {return err instanceof LogicalPermissions.PermissionNotDefinedError && err.code === 'PERMISSION_NOT_DEFINED';}, JSON.stringify(permissions));
+      });
+    });
+  });
+  describe('testCheckAccessReference', function() {
+    it('should call LogicalPermissions::checkAccess() with references to permission definitions and check that the definitions are evaluated where they are referenced', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.addType('flag', function(flag, context) {
+        return !!context.user[flag];
+      });
+      lp.setBypassCallback(function(context) {
+        return !!context.user.superuser;
+      });
+      lp.definePermission('staff', {role: ['employee', 'contractor']});
+      lp.definePermission('activeStaff', {REF: 'staff', NOT: {flag: 'is_suspended'}});
+      lp.definePermission('activeStaff', {AND: [{REF: 'staff'}, {NOT: {flag: 'is_suspended'}}]});
+      lp.definePermission('everyone', {});
+      var permissions = {
+        NO_BYPASS: {ref: 'activeStaff'},
+        OR: [
+          {role: 'admin'},
+          {AND: [{REF: 'activeStaff'}, {flag: 'is_author'}]}
+        ]
+      };
+      assert(lp.checkAccess(permissions, {user: {roles: ['contractor'], is_author: true}}));
+      assert(!lp.checkAccess(permissions, {user: {roles: ['contractor'], is_author: true, is_suspended: true}}));
+      assert(!lp.checkAccess(permissions, {user: {roles: [], is_author: true}}));
+      assert(lp.checkAccess(permissions, {user: {roles: [], superuser: true}}));
+      assert(!lp.checkAccess(permissions, {user: {roles: ['employee'], superuser: true}}));
+      assert(lp.checkAccess({REF: 'everyone'}, {user: {roles: []}}));
+      assert(!lp.checkAccess({NOT: {REF: 'everyone'}}, {user: {roles: []}}));
+      lp.definePermission('everyone', false);
+      assert(lp.checkAccess({NOT: {REF: 'everyone'}}, {user: {roles: []}}));
+    });
+  });
+  describe('testCheckAccessNOTWrongValueType', function() {
+    it('should call LogicalPermissions::checkAccess() with an illegal NOT value type and catch an InvalidValueForLogicGateException exception', function() {
       var lp = new LogicalPermissions();
       var types = {
         role: function(role, context) {
@@ -1381,7 +3331,7 @@ describe('LogicalPermissions', function() {
       lp.setTypes(types);
       var permissions = {
         role: {
-          NOR: 'admin'
+          NOT: true
         }
       };
       var user = {
@@ -1393,8 +3343,8 @@ describe('LogicalPermissions', function() {
       }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
     });
   });
-  describe('testCheckAccessNORTooFewElements', function() {
-    it('should call LogicalPermissions::checkAccess() with too few elements in NOR value and catch an InvalidValueForLogicGateException exception', function() {
+  describe('testCheckAccessNOTTooFewElements', function() {
+    it('should call LogicalPermissions::checkAccess() with too few elements in NOT value and catch an InvalidValueForLogicGateException exception', function() {
       var lp = new LogicalPermissions();
       var types = {
         role: function(role, context) {
@@ -1412,7 +3362,7 @@ describe('LogicalPermissions', function() {
       };
       var permissions = {
         role: {
-          NOR: []
+          NOT: ''
         }
       };
       assert.throws(function() {
@@ -1421,7 +3371,7 @@ describe('LogicalPermissions', function() {
 
       permissions = {
         role: {
-          NOR: {}
+          NOT: {}
         }
       };
       assert.throws(function() {
@@ -1429,251 +3379,409 @@ describe('LogicalPermissions', function() {
       }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
     });
   });
-  describe('testCheckAccessMultipleItemsNOR', function() {
-    it('should call LogicalPermissions::checkAccess() with multiple NOR values', function() {
+  describe('testCheckAccessMultipleItemsNOT', function() {
+    it('should call LogicalPermissions::checkAccess() with multiple NOT values and catch an InvalidValueForLogicGateException exception', function() {
+      var lp = new LogicalPermissions();
+      var types = {
+        role: function(role, context) {
+          var access = false;
+          if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
+            access = context.user.roles.indexOf(role) > -1;
+          }
+          return access;
+        }
+      };
+      lp.setTypes(types);
+      var permissions = {
+        role: {
+          NOT: {
+            0: 'admin',
+            1: 'editor',
+            2: 'writer'
+          }
+        }
+      };
+      assert.throws(function() {
+        lp.checkAccess(permissions);
+      }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
+    });
+  });
+  describe('testCheckAccessSingleItemNOTString', function() {
+    it('should call LogicalPermissions::checkAccess() with single NOT string', function() {
+      var lp = new LogicalPermissions();
+      var types = {
+        role: function(role, context) {
+          var access = false;
+          if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
+            access = context.user.roles.indexOf(role) > -1;
+          }
+          return access;
+        }
+      };
+      lp.setTypes(types);
+      var permissions = {
+        role: {
+          NOT: 'admin'
+        }
+      };
+      var user = {
+        id: 1,
+        roles: ['admin', 'editor']
+      };
+      assert(!lp.checkAccess(permissions, {user: user}));
+      delete user.roles;
+      assert(lp.checkAccess(permissions, {user: user}));
+      user.roles = ['editor'];
+      assert(lp.checkAccess(permissions, {user: user}));
+    });
+  });
+  describe('testCheckAccessSingleItemNOTObject', function() {
+    it('should call LogicalPermissions::checkAccess() with single NOT object', function() {
+      var lp = new LogicalPermissions();
+      var types = {
+        role: function(role, context) {
+          var access = false;
+          if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
+            access = context.user.roles.indexOf(role) > -1;
+          }
+          return access;
+        }
+      };
+      lp.setTypes(types);
+      var permissions = {
+        role: {
+          NOT: {5: 'admin'}
+        }
+      };
+      var user = {
+        id: 1,
+        roles: ['admin', 'editor']
+      };
+      assert(!lp.checkAccess(permissions, {user: user}));
+      delete user.roles;
+      assert(lp.checkAccess(permissions, {user: user}));
+      user.roles = ['editor'];
+      assert(lp.checkAccess(permissions, {user: user}));
+    });
+  });
+  describe('testCheckAccessThresholdWrongValue', function() {
+    it('should call LogicalPermissions::checkAccess() with illegal values for threshold gates and catch an InvalidValueForLogicGateException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function() {
+        return true;
+      });
+      [
+        {AT_LEAST: [{role: 'admin'}]},
+        {AT_LEAST: {count: 1}},
+        {AT_MOST: {count: 1, of: [{role: 'admin'}], extra: true}},
+        {AT_MOST: {count: -1, of: [{role: 'admin'}]}},
+        {EXACTLY: {count: 1.5, of: [{role: 'admin'}, {role: 'editor'}]}},
+        {EXACTLY: {count: '1', of: [{role: 'admin'}]}},
+        {AT_LEAST: {count: 1, of: 'admin'}},
+        {AT_LEAST: {count: 0, of: []}},
+        {role: {AT_MOST: {count: 3, of: ['admin', 'editor']}}}
+      ].forEach(function(permissions) {
+        assert.throws(function() {
+          lp.checkAccess(permissions);
+        }, function(err) {return err.name === 'InvalidValueForLogicGateException';}, JSON.stringify(permissions));
+      });
+    });
+  });
+  describe('testCheckAccessMultipleItemsThreshold', function() {
+    it('should call LogicalPermissions::checkAccess() with AT_LEAST, AT_MOST and EXACTLY gates for every number of granted children', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('flag', function(flag, context) {
+        return !!context.user[flag];
+      });
+      var flags = ['a', 'b', 'c', 'd'];
+      var children = flags.map(function(flag) {
+        return {flag: flag};
+      });
+      for(var i = 0; i < Math.pow(2, flags.length); i++) {
+        var user = {};
+        var count_true = 0;
+        flags.forEach(function(flag, j) {
+          if(i & (1 << j)) {
+            user[flag] = true;
+            count_true++;
+          }
+        });
+        for(var count = 0; count <= flags.length; count++) {
+          assert.strictEqual(lp.checkAccess({AT_LEAST: {count: count, of: children}}, {user: user}), count_true >= count);
+          assert.strictEqual(lp.checkAccess({AT_MOST: {count: count, of: children}}, {user: user}), count_true <= count);
+          assert.strictEqual(lp.checkAccess({EXACTLY: {count: count, of: children}}, {user: user}), count_true == count);
+        }
+      }
+    });
+  });
+  describe('testCheckAccessThresholdShortCircuit', function() {
+    it('should call LogicalPermissions::checkAccess() with threshold gates and check that evaluation stops as soon as the result is determined', function() {
+      var lp = new LogicalPermissions();
+      var evaluated = [];
+      lp.addType('flag', function(flag, context) {
+        evaluated.push(flag);
+        return !!context.user[flag];
+      });
+      var children = [{flag: 'a'}, {flag: 'b'}, {flag: 'c'}, {flag: 'd'}];
+      var user = {a: true, b: true, c: false, d: false};
+      assert(lp.checkAccess({AT_LEAST: {count: 2, of: children}}, {user: user}));
+      assert.deepEqual(evaluated, ['a', 'b']);
+      evaluated = [];
+      assert(!lp.checkAccess({AT_MOST: {count: 1, of: children}}, {user: user}));
+      assert.deepEqual(evaluated, ['a', 'b']);
+      evaluated = [];
+      assert(!lp.checkAccess({EXACTLY: {count: 3, of: children}}, {user: user}));
+      assert.deepEqual(evaluated, ['a', 'b', 'c', 'd']);
+      evaluated = [];
+      user = {a: false, b: false, c: true, d: true};
+      assert(!lp.checkAccess({AT_LEAST: {count: 3, of: children}}, {user: user}));
+      assert.deepEqual(evaluated, ['a', 'b']);
+      evaluated = [];
+      assert(lp.checkAccess({AT_MOST: {count: 4, of: children}}, {user: user}));
+      assert(lp.checkAccess({at_least: {count: 0, of: children}}, {user: user}));
+      assert.deepEqual(evaluated, []);
+    });
+  });
+  describe('testCheckAccessThresholdBeneathType', function() {
+    it('should call LogicalPermissions::checkAccess() with threshold gates beneath a permission type and combined with other logic gates', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.addType('flag', function(flag, context) {
+        return !!context.user[flag];
+      });
+      var permissions = {
+        OR: [
+          {role: 'admin'},
+          {AND: [
+            {flag: 'is_author'},
+            {role: {AT_LEAST: {count: 2, of: {0: 'editor', 1: 'reviewer', 2: {NOT: 'guest'}}}}}
+          ]}
+        ]
+      };
+      var user = {roles: ['editor'], is_author: true};
+      assert(lp.checkAccess(permissions, {user: user}));
+      user.roles = ['editor', 'guest'];
+      assert(!lp.checkAccess(permissions, {user: user}));
+      user.roles = ['editor', 'reviewer', 'guest'];
+      assert(lp.checkAccess(permissions, {user: user}));
+      user.is_author = false;
+      assert(!lp.checkAccess(permissions, {user: user}));
+      assert(lp.checkAccess({role: {EXACTLY: {count: 1, of: ['editor', 'admin']}}}, {user: user}));
+      assert(!lp.checkAccess({role: {AT_MOST: {count: 1, of: ['editor', 'reviewer']}}}, {user: user}));
+    });
+  });
+  describe('testCheckAccessBoolTRUEIllegalDescendant', function() {
+    it('should call LogicalPermissions::checkAccess() with a boolean TRUE permission as a descendant to a permission key and catch an InvalidArgumentValueException', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(){});
+      var permissions = {
+        'role': [true]
+      };
+      assert.throws(function() {
+        lp.checkAccess(permissions);
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+    });
+  });
+  describe('testCheckAccessBoolTRUE', function() {
+    it('should call LogicalPermissions::checkAccess() with a boolean TRUE permission', function() {
+      var lp = new LogicalPermissions();
+      var permissions = true;
+      assert(lp.checkAccess(permissions));
+    });
+  });
+  describe('testCheckAccessBoolTRUEArray', function() {
+    it('should call LogicalPermissions::checkAccess() with a boolean TRUE permission encapsulated within an array', function() {
+      var lp = new LogicalPermissions();
+      var permissions = [
+        true
+      ];
+      assert(lp.checkAccess(permissions));
+    });
+  });
+  describe('testCheckAccessBoolFALSEIllegalDescendant', function() {
+    it('should call LogicalPermissions::checkAccess() with a boolean FALSE permission as a descendant to a permission key and catch an InvalidArgumentValueException', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(){});
+      var permissions = {
+        'role': [false]
+      };
+      assert.throws(function() {
+        lp.checkAccess(permissions);
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+    });
+  });
+  describe('testCheckAccessBoolFALSE', function() {
+    it('should call LogicalPermissions::checkAccess() with a boolean FALSE permission', function() {
+      var lp = new LogicalPermissions();
+      var permissions = false;
+      assert(!lp.checkAccess(permissions));
+    });
+  });
+  describe('testCheckAccessBoolFALSEArray', function() {
+    it('should call LogicalPermissions::checkAccess() with a boolean FALSE permission encapsulated within an array', function() {
+      var lp = new LogicalPermissions();
+      var permissions = [
+        false
+      ];
+      assert(!lp.checkAccess(permissions));
+    });
+  });
+  describe('testCheckAccessBoolFALSEBypass', function() {
+    it('should call LogicalPermissions::checkAccess() with a boolean FALSE permission and check that bypassing access still works', function() {
+      var lp = new LogicalPermissions();
+      var bypass_callback = function(context) {
+        return true;
+      };
+      lp.setBypassCallback(bypass_callback);
+      var permissions = [
+        false
+      ];
+      assert(lp.checkAccess(permissions));
+    });
+  });
+  describe('testCheckAccessBoolFALSENoBypass', function() {
+    it('should call LogicalPermissions::checkAccess() with a boolean FALSE permission and check that it is possible to restrict access to everyone by using no_bypass in conjuction with FALSE', function() {
       var lp = new LogicalPermissions();
-      var types = {
-        role: function(role, context) {
-          var access = false;
-          if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
-            access = context.user.roles.indexOf(role) > -1;
-          }
-          return access;
-        }
-      };
-      lp.setTypes(types);
-      var runTruthTable = function runTruthTable(permissions) {
-        var user = {id: 1};
-        //OR truth table
-        //0 0 0
-        assert(lp.checkAccess(permissions, {user: user}));
-        user.roles = [];
-        assert(lp.checkAccess(permissions, {user: user}));
-        //0 0 1
-        user.roles = ['writer'];
-        assert(!lp.checkAccess(permissions, {user: user}));
-        //0 1 0
-        user.roles = ['editor'];
-        assert(!lp.checkAccess(permissions, {user: user}));
-        //0 1 1
-        user.roles = ['editor', 'writer'];
-        assert(!lp.checkAccess(permissions, {user: user}));
-        //1 0 0
-        user.roles = ['admin'];
-        assert(!lp.checkAccess(permissions, {user: user}));
-        //1 0 1
-        user.roles = ['admin', 'writer'];
-        assert(!lp.checkAccess(permissions, {user: user}));
-        //1 1 0
-        user.roles = ['admin', 'editor'];
-        assert(!lp.checkAccess(permissions, {user: user}));
-        //1 1 1
-        user.roles = ['admin', 'editor', 'writer'];
-        assert(!lp.checkAccess(permissions, {user: user}));
+      var bypass_callback = function(context) {
+        return true;
       };
-
-      //Test array values
+      lp.setBypassCallback(bypass_callback);
       var permissions = {
-        role: {
-          NOR: [
-            'admin',
-            'editor',
-            'writer'
-          ]
-        }
+        0: false,
+        'no_bypass': true
       };
-      runTruthTable(permissions);
-
-      //Test object values
-      permissions = {
-        role: {
-          NOR: {
-            0: 'admin',
-            1: 'editor',
-            2: 'writer'
-          }
-        }
+      assert(!lp.checkAccess(permissions));
+    });
+  });
+  describe('testCheckAccessStringTRUEIllegalChildren', function() {
+    it('should call LogicalPermissions::checkAccess() with a string TRUE permission used as key with children and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      var permissions = {
+        'TRUE': false
       };
-      runTruthTable(permissions);
-
-      //Test array/object mixes
+      assert.throws(function() {
+        lp.checkAccess(permissions);
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
       permissions = {
-        role: {
-          NOR: [
-            ['admin'],
-            {0: 'editor'},
-            'writer'
-          ]
-        }
+        'TRUE': []
       };
-      runTruthTable(permissions);
+      assert.throws(function() {
+        lp.checkAccess(permissions);
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
       permissions = {
-        role: {
-          NOR: {
-            0: ['admin'],
-            1: {0: 'editor'},
-            2: 'writer'
-          }
-        }
+        'TRUE': {}
       };
-      runTruthTable(permissions);
+      assert.throws(function() {
+        lp.checkAccess(permissions);
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
     });
   });
-  describe('testCheckAccessXORWrongValueType', function() {
-    it('should call LogicalPermissions::checkAccess() with an illegal XOR value type and catch an InvalidValueForLogicGateException exception', function() {
+  describe('testCheckAccessStringTRUEIllegalDescendant', function() {
+    it('should call LogicalPermissions::checkAccess() with a string TRUE permission as a descendant to a permission key and catch an InvalidArgumentValueException exception', function() {
       var lp = new LogicalPermissions();
-      var types = {
-        role: function(role, context) {
-          var access = false;
-          if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
-            access = context.user.roles.indexOf(role) > -1;
-          }
-          return access;
-        }
-      };
-      lp.setTypes(types);
+      lp.addType('role', function(){});
       var permissions = {
-        role: {
-          XOR: 'admin'
-        }
-      };
-      var user = {
-        id: 1,
-        roles: ['admin']
+        'role': ['TRUE']
       };
       assert.throws(function() {
-        lp.checkAccess(permissions, {user: user});
-      }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
+        lp.checkAccess(permissions);
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
     });
   });
-  describe('testCheckAccessXORTooFewElements', function() {
-    it('should call LogicalPermissions::checkAccess() with too few elements in XOR value and catch an InvalidValueForLogicGateException exception', function() {
+  describe('testCheckAccessStringTRUE', function() {
+    it('should call LogicalPermissions::checkAccess() with a string TRUE permission', function() {
+      var lp = new LogicalPermissions();
+      var permissions = 'TRUE';
+      assert(lp.checkAccess(permissions));
+    });
+  });
+  describe('testCheckAccessStringTRUEArray', function() {
+    it('should call LogicalPermissions::checkAccess() with a string TRUE permission encapsulated within an array', function() {
+      var lp = new LogicalPermissions();
+      var permissions = ['TRUE'];
+      assert(lp.checkAccess(permissions));
+    });
+  });
+  describe('testCheckAccessStringFALSEIllegalChildren', function() {
+    it('should call LogicalPermissions::checkAccess() with a string FALSE permission used as key with children and catch an InvalidArgumentValueException exception', function() {
       var lp = new LogicalPermissions();
-      var types = {
-        role: function(role, context) {
-          var access = false;
-          if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
-            access = context.user.roles.indexOf(role) > -1;
-          }
-          return access;
-        }
-      };
-      lp.setTypes(types);
-      var user = {
-        id: 1,
-        roles: ['admin']
-      };
       var permissions = {
-        role: {
-          XOR: ['admin']
-        }
+        'FALSE': false
       };
       assert.throws(function() {
-        lp.checkAccess(permissions, {user: user});
-      }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
-
+        lp.checkAccess(permissions);
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
       permissions = {
-        role: {
-          XOR: {0: 'admin'}
-        }
+        'FALSE': []
       };
       assert.throws(function() {
-        lp.checkAccess(permissions, {user: user});
-      }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
+        lp.checkAccess(permissions);
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+      permissions = {
+        'FALSE': {}
+      };
+      assert.throws(function() {
+        lp.checkAccess(permissions);
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
     });
   });
-  describe('testCheckAccessMultipleItemsXOR', function() {
-    it('should call LogicalPermissions::checkAccess() with multiple XOR values', function() {
+  describe('testCheckAccessStringFALSEIllegalDescendant', function() {
+    it('should call LogicalPermissions::checkAccess() with a string FALSE permission as a descendant to a permission key and catch an InvalidArgumentValueException exception', function() {
       var lp = new LogicalPermissions();
-      var types = {
-        role: function(role, context) {
-          var access = false;
-          if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
-            access = context.user.roles.indexOf(role) > -1;
-          }
-          return access;
-        }
-      };
-      lp.setTypes(types);
-      var runTruthTable = function runTruthTable(permissions) {
-        var user = {id: 1};
-        //OR truth table
-        //0 0 0
-        assert(!lp.checkAccess(permissions, {user: user}));
-        user.roles = [];
-        assert(!lp.checkAccess(permissions, {user: user}));
-        //0 0 1
-        user.roles = ['writer'];
-        assert(lp.checkAccess(permissions, {user: user}));
-        //0 1 0
-        user.roles = ['editor'];
-        assert(lp.checkAccess(permissions, {user: user}));
-        //0 1 1
-        user.roles = ['editor', 'writer'];
-        assert(lp.checkAccess(permissions, {user: user}));
-        //1 0 0
-        user.roles = ['admin'];
-        assert(lp.checkAccess(permissions, {user: user}));
-        //1 0 1
-        user.roles = ['admin', 'writer'];
-        assert(lp.checkAccess(permissions, {user: user}));
-        //1 1 0
-        user.roles = ['admin', 'editor'];
-        assert(lp.checkAccess(permissions, {user: user}));
-        //1 1 1
-        user.roles = ['admin', 'editor', 'writer'];
-        assert(!lp.checkAccess(permissions, {user: user}));
-      };
-
-      //Test array values
+      lp.addType('role', function(){});
       var permissions = {
-        role: {
-          XOR: [
-            'admin',
-            'editor',
-            'writer'
-          ]
-        }
+        'role': ['FALSE']
       };
-      runTruthTable(permissions);
-
-      //Test object values
-      permissions = {
-        role: {
-          XOR: {
-            0: 'admin',
-            1: 'editor',
-            2: 'writer'
-          }
-        }
+      assert.throws(function() {
+        lp.checkAccess(permissions);
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+    });
+  });
+  describe('testCheckAccessStringFALSE', function() {
+    it('should call LogicalPermissions::checkAccess() with a string FALSE permission', function() {
+      var lp = new LogicalPermissions();
+      var permissions = 'FALSE';
+      assert(!lp.checkAccess(permissions));
+    });
+  });
+  describe('testCheckAccessStringFALSEArray', function() {
+    it('should call LogicalPermissions::checkAccess() with a string FALSE permission encapsulated within an array', function() {
+      var lp = new LogicalPermissions();
+      var permissions = ['FALSE'];
+      assert(!lp.checkAccess(permissions));
+    });
+  });
+  describe('testCheckAccessStringFALSEBypass', function() {
+    it('should call LogicalPermissions::checkAccess() with a string FALSE permission and check that bypassing access still works', function() {
+      var lp = new LogicalPermissions();
+      var bypass_callback = function(context) {
+        return true;
       };
-      runTruthTable(permissions);
-
-      //Test array/object mixes
-      permissions = {
-        role: {
-          XOR: [
-            ['admin'],
-            {0: 'editor'},
-            'writer'
-          ]
-        }
+      lp.setBypassCallback(bypass_callback);
+      var permissions = [
+        'FALSE'
+      ];
+      assert(lp.checkAccess(permissions));
+    });
+  });
+  describe('testCheckAccessStringFALSENoBypass', function() {
+    it('should call LogicalPermissions::checkAccess() with a string FALSE permission and check that it is possible to restrict access to everyone by using no_bypass in conjuction with FALSE', function() {
+      var lp = new LogicalPermissions();
+      var bypass_callback = function(context) {
+        return true;
       };
-      runTruthTable(permissions);
-      permissions = {
-        role: {
-          XOR: {
-            0: ['admin'],
-            1: {0: 'editor'},
-            2: 'writer'
-          }
-        }
+      lp.setBypassCallback(bypass_callback);
+      var permissions = {
+        0: 'FALSE',
+        'no_bypass': true
       };
-      runTruthTable(permissions);
+      assert(!lp.checkAccess(permissions));
     });
   });
-  describe('testCheckAccessNOTWrongValueType', function() {
-    it('should call LogicalPermissions::checkAccess() with an illegal NOT value type and catch an InvalidValueForLogicGateException exception', function() {
+  describe('testCheckAccessNestedLogic', function() {
+    it('should call LogicalPermissions::checkAccess() with nested logic', function() {
       var lp = new LogicalPermissions();
       var types = {
         role: function(role, context) {
@@ -1686,21 +3794,32 @@ describe('LogicalPermissions', function() {
       };
       lp.setTypes(types);
       var permissions = {
-        role: {
-          NOT: true
-        }
+        'role': {
+          'OR': {
+            'NOT': {
+              'AND': [
+                'admin',
+                'editor',
+              ]
+            }
+          }
+        },
+        0: false,
+        1: 'FALSE'
       };
       var user = {
         id: 1,
-        roles: ['admin']
+        roles: ['admin', 'editor']
       };
-      assert.throws(function() {
-        lp.checkAccess(permissions, {user: user});
-      }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
+      assert(!lp.checkAccess(permissions, {user: user}));
+      delete user.roles;
+      assert(lp.checkAccess(permissions, {user: user}));
+      user.roles = ['editor'];
+      assert(lp.checkAccess(permissions, {user: user}));
     });
   });
-  describe('testCheckAccessNOTTooFewElements', function() {
-    it('should call LogicalPermissions::checkAccess() with too few elements in NOT value and catch an InvalidValueForLogicGateException exception', function() {
+  describe('testCheckAccessLogicGateFirst', function() {
+    it('should call LogicalPermissions::checkAccess() with nested logic and a logic gate as first element', function() {
       var lp = new LogicalPermissions();
       var types = {
         role: function(role, context) {
@@ -1712,31 +3831,35 @@ describe('LogicalPermissions', function() {
         }
       };
       lp.setTypes(types);
-      var user = {
-        id: 1,
-        roles: ['admin']
-      };
       var permissions = {
-        role: {
-          NOT: ''
+        AND: {
+          'role': {
+            'OR': {
+              'NOT': {
+                'AND': [
+                  'admin',
+                  'editor',
+                ]
+              }
+            }
+          },
+          0: true,
+          1: 'TRUE'
         }
       };
-      assert.throws(function() {
-        lp.checkAccess(permissions, {user: user});
-      }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
-
-      permissions = {
-        role: {
-          NOT: {}
-        }
+      var user = {
+        id: 1,
+        roles: ['admin', 'editor']
       };
-      assert.throws(function() {
-        lp.checkAccess(permissions, {user: user});
-      }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
+      assert(!lp.checkAccess(permissions, {user: user}));
+      delete user.roles;
+      assert(lp.checkAccess(permissions, {user: user}));
+      user.roles = ['editor'];
+      assert(lp.checkAccess(permissions, {user: user}));
     });
   });
-  describe('testCheckAccessMultipleItemsNOT', function() {
-    it('should call LogicalPermissions::checkAccess() with multiple NOT values and catch an InvalidValueForLogicGateException exception', function() {
+  describe('testCheckAccessShorthandORMixedObjectsArrays', function() {
+    it('should call LogicalPermissions::checkAccess() with shorthand OR and mixed objects and arrays', function() {
       var lp = new LogicalPermissions();
       var types = {
         role: function(role, context) {
@@ -1749,410 +3872,1696 @@ describe('LogicalPermissions', function() {
       };
       lp.setTypes(types);
       var permissions = {
-        role: {
-          NOT: {
-            0: 'admin',
-            1: 'editor',
-            2: 'writer'
+        'role': [
+          'admin',
+          {
+            'AND': [
+              'editor',
+              'writer',
+              {
+                'OR': [
+                  'role1',
+                  'role2'
+                ]
+              }
+            ]
           }
-        }
+        ]
+      };
+      var user = {
+        id: 1,
+        roles: ['admin']
       };
+      assert(lp.checkAccess(permissions, {user: user}));
+      delete user.roles;
+      assert(!lp.checkAccess(permissions, {user: user}));
+      user.roles = ['editor'];
+      assert(!lp.checkAccess(permissions, {user: user}));
+      user.roles = ['editor', 'writer'];
+      assert(!lp.checkAccess(permissions, {user: user}));
+      user.roles = ['editor', 'writer', 'role1'];
+      assert(lp.checkAccess(permissions, {user: user}));
+      user.roles = ['editor', 'writer', 'role2'];
+      assert(lp.checkAccess(permissions, {user: user}));
+      user.roles = ['admin', 'writer'];
+      assert(lp.checkAccess(permissions, {user: user}));
+    });
+  });
+
+  describe('testCheckAccessStructuredPermissionValues', function() {
+    it('should call LogicalPermissions::checkAccess() with number, object and array permission values for types that accept them', function() {
+      var lp = new LogicalPermissions();
+      var values = [];
+      lp.addType('attribute', function(condition, context) {
+        values.push(condition);
+        return context.user[condition.name] >= condition.gte;
+      }, {accepts: ['object']});
+      lp.addType('min_age', function(age, context) {
+        values.push(age);
+        return context.user.age >= age;
+      }, {accepts: ['number']});
+      lp.addType('all_roles', function(roles, context) {
+        values.push(roles);
+        return [].concat(roles).every(function(role) {
+          return context.user.roles.indexOf(role) != -1;
+        });
+      }, {accepts: ['string', 'array']});
+      var user = {age: 20, level: 3, roles: ['editor', 'writer']};
+
+      assert(lp.checkAccess({attribute: {name: 'age', gte: 18}}, {user: user}));
+      assert.deepEqual(values, [{name: 'age', gte: 18}]);
+      assert(!lp.checkAccess({attribute: {name: 'level', gte: 5}}, {user: user}));
+      assert(lp.checkAccess({attribute: [{name: 'level', gte: 5}, {name: 'age', gte: 18}]}, {user: user}));
+      assert(!lp.checkAccess({attribute: {AND: [{name: 'level', gte: 5}, {name: 'age', gte: 18}]}}, {user: user}));
+      assert(lp.checkAccess({attribute: {NOT: {name: 'level', gte: 5}}}, {user: user}));
+      assert(lp.checkAccess({min_age: 18}, {user: user}));
+      assert(!lp.checkAccess({min_age: {OR: [21, 30]}}, {user: user}));
+      values = [];
+      assert(lp.checkAccess({all_roles: ['editor', 'writer']}, {user: user}));
+      assert(!lp.checkAccess({all_roles: ['editor', 'admin']}, {user: user}));
+      assert(lp.checkAccess({all_roles: 'editor'}, {user: user}));
+      assert.deepEqual(values, [['editor', 'writer'], ['editor', 'admin'], 'editor']);
+      assert(lp.checkAccess({all_roles: {OR: [['admin'], ['editor', 'writer']]}}, {user: user}));
+    });
+    it('should call LogicalPermissions::checkAccess() with permission values that the type does not accept and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('flag', function() {
+        return true;
+      });
+      lp.addType('attribute', function() {
+        return true;
+      }, {accepts: ['object']});
+      [{flag: 18}, {attribute: 'age'}, {attribute: 18}].forEach(function(permissions) {
+        assert.throws(function() {
+          lp.checkAccess(permissions);
+        }, function(err) {return err.name === 'InvalidArgumentTypeException';}, JSON.stringify(permissions));
+      });
+    });
+  });
+
+  describe('testCheckAccessMetadata', function() {
+    it('should call LogicalPermissions::checkAccess() with MESSAGE and META keys and check that they are ignored when deciding access', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.addType('flag', function(flag, context) {
+        return !!context.user[flag];
+      });
+      var context = {user: {roles: ['writer'], is_author: true}};
+      assert(lp.checkAccess({MESSAGE: 'Denied', META: {id: 1}, role: 'writer'}, context));
+      assert(!lp.checkAccess({AND: [{role: 'writer'}, {flag: 'is_admin'}], message: 'Denied'}, context));
+      assert(lp.checkAccess({AND: {role: 'writer', flag: 'is_author', MESSAGE: 'Denied', META: [1, 2]}}, context));
+      assert(lp.checkAccess({NOT: {role: 'editor', META: null}}, context));
+      assert(!lp.checkAccess({AT_LEAST: {count: 2, of: {role: 'writer', flag: 'is_admin', META: {}}, MESSAGE: 'Denied'}}, context));
+      assert(lp.checkAccess({MESSAGE: 'Denied'}, context));
+      assert(lp.checkAccess({NO_BYPASS: {flag: 'is_banned', MESSAGE: 'Banned'}, OR: [{role: 'writer', META: {}}]}, context));
+    });
+  });
+  describe('testCheckAccessMetadataIllegal', function() {
+    it('should call LogicalPermissions::checkAccess() with illegal metadata and catch an exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.addType('flag', function(flag, context) {
+        return !!context.user[flag];
+      });
+      var context = {user: {roles: ['writer']}};
       assert.throws(function() {
-        lp.checkAccess(permissions);
-      }, function(err) {return err.name === 'InvalidValueForLogicGateException';});
+        lp.checkAccess({role: 'writer', MESSAGE: 5}, context);
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.permissions === 5;});
+      assert.throws(function() {
+        lp.checkAccess({AT_MOST: {count: 1, of: [{role: 'writer'}], MESSAGE: ['Denied']}}, context);
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+      assert.throws(function() {
+        lp.checkAccess({OR: [{META: {}}]}, context);
+      }, function(err) {return err.name === 'InvalidValueForLogicGateException' && err.gate === 'OR';});
+      assert.throws(function() {
+        lp.checkAccess({NOT: {MESSAGE: 'Denied'}}, context);
+      }, function(err) {return err.name === 'InvalidValueForLogicGateException' && err.gate === 'NOT';});
+      assert.throws(function() {
+        lp.checkAccess({IMPLIES: {role: 'writer', flag: 'is_author', META: {}, NOT: {role: 'guest'}}}, context);
+      }, function(err) {return err.name === 'InvalidValueForLogicGateException' && err.gate === 'IMPLIES';});
+      assert.throws(function() {
+        lp.addType('message', function() {});
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.argument === 'name';});
     });
   });
-  describe('testCheckAccessSingleItemNOTString', function() {
-    it('should call LogicalPermissions::checkAccess() with single NOT string', function() {
+
+  /*-------------LogicalPermissions::checkAccessMany()--------------*/
+
+  describe('testCheckAccessManyParamPermissionTreesMissing', function() {
+    it('should call LogicalPermissions::checkAccessMany() with no "permission_trees" parameter and catch a MissingArgumentException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.checkAccessMany();
+      }, function(err) {return err.name === 'MissingArgumentException';});
+    });
+  });
+  describe('testCheckAccessManyParamPermissionTreesWrongType', function() {
+    it('should call LogicalPermissions::checkAccessMany() with the wrong data type for the "permission_trees" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.checkAccessMany([{flag: 'testflag'}]);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+    });
+  });
+  describe('testCheckAccessManyParamPermissionTreesWrongValueType', function() {
+    it('should call LogicalPermissions::checkAccessMany() with a permission tree of the wrong data type and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.checkAccessMany({edit: true, delete: 0});
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.argument === 'permission_trees';});
+    });
+  });
+  describe('testCheckAccessManyParamContextWrongType', function() {
+    it('should call LogicalPermissions::checkAccessMany() with the wrong data type for the "context" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.checkAccessMany({edit: true}, []);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+    });
+  });
+  describe('testCheckAccessMany', function() {
+    it('should call LogicalPermissions::checkAccessMany() and check the results together with the number of callback calls', function() {
+      var lp = new LogicalPermissions();
+      var calls = [];
+      lp.addType('role', function(role, context) {
+        calls.push('role:' + role);
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.addType('flag', function(flag, context) {
+        calls.push('flag:' + flag);
+        return !!context.user[flag];
+      });
+      var bypass_calls = 0;
+      lp.setBypassCallback(function(context) {
+        bypass_calls++;
+        return !!context.user.superuser;
+      });
+      var permission_trees = {
+        view: true,
+        edit: {OR: {role: 'editor', flag: 'is_author'}},
+        delete: {NO_BYPASS: true, role: 'admin'},
+        publish: {AND: [{role: 'editor'}, {flag: 'is_author'}]}
+      };
+
+      assert.deepEqual(lp.checkAccessMany(permission_trees, {user: {roles: ['writer'], is_author: true}}), {view: true, edit: true, delete: false, publish: false});
+      assert.strictEqual(bypass_calls, 1);
+      assert.deepEqual(calls, ['role:editor', 'flag:is_author', 'role:admin']);
+
+      bypass_calls = 0;
+      calls = [];
+      assert.deepEqual(lp.checkAccessMany(permission_trees, {user: {roles: [], superuser: true}}), {view: true, edit: true, delete: false, publish: true});
+      assert.strictEqual(bypass_calls, 1);
+      assert.deepEqual(calls, ['role:admin']);
+
+      calls = [];
+      assert.deepEqual(lp.checkAccessMany(permission_trees, {user: {roles: [], superuser: true}}, false), {view: true, edit: false, delete: false, publish: false});
+      assert.deepEqual(calls, ['role:editor', 'flag:is_author', 'role:admin']);
+
+      assert.deepEqual(lp.checkAccessMany({}), {});
+    });
+  });
+  describe('testCheckAccessManyNonMemoizableType', function() {
+    it('should call LogicalPermissions::checkAccessMany() and check that the results of a type added with the option {memoize: false} are not shared', function() {
+      var lp = new LogicalPermissions();
+      var calls = 0;
+      lp.addType('counter', function(value, context) {
+        calls++;
+        return calls > 1;
+      }, {memoize: false});
+      assert.deepEqual(lp.checkAccessMany({first: {counter: 'x'}, second: {counter: 'x'}}), {first: false, second: true});
+      assert.strictEqual(calls, 2);
+    });
+  });
+  describe('testCheckAccessManyBypassRules', function() {
+    it('should call LogicalPermissions::checkAccessMany() and check that each bypass rule is called at most once', function() {
+      var lp = new LogicalPermissions();
+      var calls = [];
+      lp.addBypassRule('superadmin', function(context) {
+        calls.push('superadmin');
+        return false;
+      });
+      lp.addBypassRule('impersonation', function(context) {
+        calls.push('impersonation');
+        return true;
+      });
+      assert.deepEqual(lp.checkAccessMany({view: false, edit: {NO_BYPASS: ['impersonation'], 0: false}, delete: false}), {view: true, edit: false, delete: true});
+      assert.deepEqual(calls, ['superadmin', 'impersonation']);
+    });
+  });
+
+  /*-------------LogicalPermissions::checkAccessAsync()--------------*/
+
+  describe('testCheckAccessAsyncParamPermissionsMissing', function() {
+    it('should call LogicalPermissions::checkAccessAsync() with no "permissions" parameter and catch a MissingArgumentException exception', function() {
+      var lp = new LogicalPermissions();
+      return lp.checkAccessAsync().then(function() {
+        assert.fail('The promise should have been rejected.');
+      }, function(err) {
+        assert.equal(err.name, 'MissingArgumentException');
+      });
+    });
+  });
+  describe('testCheckAccessAsyncWrongPermissionCallbackReturnType', function() {
+    it('should call LogicalPermissions::checkAccessAsync() with a type callback that resolves to an invalid data type and catch an InvalidCallbackReturnTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('flag', function(flag, context) {
+        return Promise.resolve(0);
+      });
+      return lp.checkAccessAsync({flag: 'testflag'}).then(function() {
+        assert.fail('The promise should have been rejected.');
+      }, function(err) {
+        assert.equal(err.name, 'InvalidCallbackReturnTypeException');
+      });
+    });
+  });
+  describe('testCheckAccessPromiseCallbackReturnType', function() {
+    it('should call LogicalPermissions::checkAccess() with a type callback that returns a promise and catch an InvalidCallbackReturnTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('flag', function(flag, context) {
+        return Promise.resolve(true);
+      });
+      assert.throws(function() {
+        lp.checkAccess({flag: 'testflag'});
+      }, function(err) {return err.name === 'InvalidCallbackReturnTypeException';});
+    });
+  });
+  describe('testCheckAccessAsyncMixedCallbacks', function() {
+    it('should call LogicalPermissions::checkAccessAsync() with both synchronous and promise-returning type callbacks', function() {
       var lp = new LogicalPermissions();
       var types = {
-        role: function(role, context) {
-          var access = false;
-          if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
-            access = context.user.roles.indexOf(role) > -1;
-          }
-          return access;
+        flag: function(flag, context) {
+          return !!context.user[flag];
+        },
+        role: function(role, context) {
+          return new Promise(function(resolve) {
+            setTimeout(function() {
+              resolve(context.user.roles.indexOf(role) > -1);
+            }, 1);
+          });
         }
       };
       lp.setTypes(types);
       var permissions = {
-        role: {
-          NOT: 'admin'
+        AND: {
+          role: ['admin', 'editor'],
+          flag: 'is_author'
         }
       };
       var user = {
         id: 1,
-        roles: ['admin', 'editor']
-      };
-      assert(!lp.checkAccess(permissions, {user: user}));
-      delete user.roles;
-      assert(lp.checkAccess(permissions, {user: user}));
-      user.roles = ['editor'];
-      assert(lp.checkAccess(permissions, {user: user}));
+        roles: ['editor'],
+        is_author: true
+      };
+      return lp.checkAccessAsync(permissions, {user: user}).then(function(access) {
+        assert.strictEqual(access, true);
+        user.is_author = false;
+        return lp.checkAccessAsync(permissions, {user: user});
+      }).then(function(access) {
+        assert.strictEqual(access, false);
+        user.is_author = true;
+        user.roles = ['writer'];
+        return lp.checkAccessAsync(permissions, {user: user});
+      }).then(function(access) {
+        assert.strictEqual(access, false);
+      });
     });
   });
-  describe('testCheckAccessSingleItemNOTObject', function() {
-    it('should call LogicalPermissions::checkAccess() with single NOT object', function() {
+  describe('testCheckAccessAsyncShortCircuit', function() {
+    it('should call LogicalPermissions::checkAccessAsync() and check that logic gates stop evaluating their children once the result is determined', function() {
       var lp = new LogicalPermissions();
-      var types = {
-        role: function(role, context) {
-          var access = false;
-          if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
-            access = context.user.roles.indexOf(role) > -1;
-          }
-          return access;
-        }
+      var evaluated = [];
+      lp.addType('role', function(role, context) {
+        evaluated.push(role);
+        return Promise.resolve(context.user.roles.indexOf(role) > -1);
+      });
+      var user = {
+        id: 1,
+        roles: ['admin']
       };
-      lp.setTypes(types);
+      return lp.checkAccessAsync({role: {OR: ['admin', 'editor']}}, {user: user}).then(function(access) {
+        assert.strictEqual(access, true);
+        assert.deepEqual(evaluated, ['admin']);
+        evaluated = [];
+        return lp.checkAccessAsync({role: {AND: ['editor', 'admin']}}, {user: user});
+      }).then(function(access) {
+        assert.strictEqual(access, false);
+        assert.deepEqual(evaluated, ['editor']);
+        evaluated = [];
+        return lp.checkAccessAsync({role: {XOR: ['admin', 'editor', 'writer']}}, {user: user});
+      }).then(function(access) {
+        assert.strictEqual(access, true);
+        assert.deepEqual(evaluated, ['admin', 'editor']);
+        evaluated = [];
+        return lp.checkAccessAsync({role: {NOR: ['editor', 'admin', 'writer']}}, {user: user});
+      }).then(function(access) {
+        assert.strictEqual(access, false);
+        assert.deepEqual(evaluated, ['editor', 'admin']);
+      });
+    });
+  });
+  describe('testCheckAccessAsyncBypassAccessAllow', function() {
+    it('should call LogicalPermissions::checkAccessAsync() and allow access due to a bypass callback that resolves to true', function() {
+      var lp = new LogicalPermissions();
+      lp.setBypassCallback(function(context) {
+        return Promise.resolve(true);
+      });
+      return lp.checkAccessAsync(false).then(function(access) {
+        assert.strictEqual(access, true);
+        return lp.checkAccessAsync(false, {}, false);
+      }).then(function(access) {
+        assert.strictEqual(access, false);
+      });
+    });
+  });
+  describe('testCheckAccessAsyncNoBypassAccessObject', function() {
+    it('should call LogicalPermissions::checkAccessAsync() with no_bypass set to an object evaluated by a promise-returning callback', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('flag', function(flag, context) {
+        return Promise.resolve(!!context.user[flag]);
+      });
+      lp.setBypassCallback(function(context) {
+        return Promise.resolve(true);
+      });
       var permissions = {
-        role: {
-          NOT: {5: 'admin'}
-        }
+        no_bypass: {
+          flag: 'never_bypass'
+        },
+        0: false
       };
       var user = {
         id: 1,
-        roles: ['admin', 'editor']
+        never_bypass: false
       };
-      assert(!lp.checkAccess(permissions, {user: user}));
-      delete user.roles;
-      assert(lp.checkAccess(permissions, {user: user}));
-      user.roles = ['editor'];
-      assert(lp.checkAccess(permissions, {user: user}));
+      return lp.checkAccessAsync(permissions, {user: user}).then(function(access) {
+        assert.strictEqual(access, true);
+        user.never_bypass = true;
+        return lp.checkAccessAsync(permissions, {user: user});
+      }).then(function(access) {
+        assert.strictEqual(access, false);
+      });
     });
   });
-  describe('testCheckAccessBoolTRUEIllegalDescendant', function() {
-    it('should call LogicalPermissions::checkAccess() with a boolean TRUE permission as a descendant to a permission key and catch an InvalidArgumentValueException', function() {
+  describe('testCheckAccessAsyncCustomGate', function() {
+    it('should call LogicalPermissions::checkAccessAsync() with a custom gate whose handler waits for the promises of its children', function() {
       var lp = new LogicalPermissions();
-      lp.addType('role', function(){});
-      var permissions = {
-        'role': [true]
-      };
-      assert.throws(function() {
-        lp.checkAccess(permissions);
-      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+      lp.addType('role', function(role, context) {
+        return Promise.resolve(context.user.roles.indexOf(role) > -1);
+      });
+      lp.addGate('MAJORITY', function(children, evaluateChild) {
+        return Promise.all(children.map(evaluateChild)).then(function(results) {
+          return results.filter(Boolean).length * 2 > children.length;
+        });
+      });
+      lp.addGate('BROKEN', function() {
+        return Promise.resolve('yes');
+      });
+      var permissions = {role: {MAJORITY: ['admin', 'editor', 'writer']}};
+      return lp.checkAccessAsync(permissions, {user: {roles: ['editor', 'writer']}}).then(function(access) {
+        assert.strictEqual(access, true);
+        return lp.checkAccessAsync(permissions, {user: {roles: ['editor']}});
+      }).then(function(access) {
+        assert.strictEqual(access, false);
+        return lp.checkAccessAsync({BROKEN: [true]}).then(function() {
+          assert(false, 'An exception should have been thrown.');
+        }, function(err) {
+          assert.strictEqual(err.name, 'InvalidCallbackReturnTypeException');
+          assert.strictEqual(err.gate, 'BROKEN');
+        });
+      });
     });
   });
-  describe('testCheckAccessBoolTRUE', function() {
-    it('should call LogicalPermissions::checkAccess() with a boolean TRUE permission', function() {
+  describe('testCheckAccessAsyncReference', function() {
+    it('should call LogicalPermissions::checkAccessAsync() with a reference to a permission definition that is evaluated by promise-returning callbacks', function() {
       var lp = new LogicalPermissions();
-      var permissions = true;
-      assert(lp.checkAccess(permissions));
+      lp.addType('role', function(role, context) {
+        return Promise.resolve(context.user.roles.indexOf(role) > -1);
+      });
+      lp.definePermission('staff', {role: ['employee', 'contractor']});
+      return lp.checkAccessAsync({AND: [{REF: 'staff'}, {NOT: {role: 'guest'}}]}, {user: {roles: ['employee']}}).then(function(access) {
+        assert.strictEqual(access, true);
+        return lp.checkAccessAsync({AND: [{REF: 'staff'}, {NOT: {role: 'guest'}}]}, {user: {roles: ['employee', 'guest']}});
+      }).then(function(access) {
+        assert.strictEqual(access, false);
+      });
     });
   });
-  describe('testCheckAccessBoolTRUEArray', function() {
-    it('should call LogicalPermissions::checkAccess() with a boolean TRUE permission encapsulated within an array', function() {
+
+  describe('testCheckAccessAsyncBypassRules', function() {
+    it('should call LogicalPermissions::checkAccessAsync() with bypass rules that return promises and a NO_BYPASS array', function() {
       var lp = new LogicalPermissions();
-      var permissions = [
-        true
-      ];
-      assert(lp.checkAccess(permissions));
+      var calls = [];
+      lp.addBypassRule('superadmin', function(context) {
+        calls.push('superadmin');
+        return Promise.resolve(!!context.user.superadmin);
+      });
+      lp.addBypassRule('impersonation', function(context) {
+        calls.push('impersonation');
+        return Promise.resolve(!!context.user.impersonating);
+      });
+      var context = {user: {impersonating: true}};
+      return lp.checkAccessAsync(false, context).then(function(access) {
+        assert.strictEqual(access, true);
+        assert.deepEqual(calls, ['superadmin', 'impersonation']);
+        return lp.checkAccessAsync({NO_BYPASS: ['impersonation'], 0: false}, context);
+      }).then(function(access) {
+        assert.strictEqual(access, false);
+        assert.deepEqual(calls, ['superadmin', 'impersonation', 'superadmin']);
+      });
     });
   });
-  describe('testCheckAccessBoolFALSEIllegalDescendant', function() {
-    it('should call LogicalPermissions::checkAccess() with a boolean FALSE permission as a descendant to a permission key and catch an InvalidArgumentValueException', function() {
+  describe('testCheckAccessAsyncScopedNoBypass', function() {
+    it('should call LogicalPermissions::checkAccessAsync() with a NO_BYPASS condition beneath the top level and callbacks that return promises', function() {
       var lp = new LogicalPermissions();
-      lp.addType('role', function(){});
-      var permissions = {
-        'role': [false]
-      };
-      assert.throws(function() {
-        lp.checkAccess(permissions);
-      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+      lp.addType('flag', function(flag, context) {
+        return Promise.resolve(!!context.user[flag]);
+      });
+      lp.setBypassCallback(function(context) {
+        return Promise.resolve(!!context.user.superadmin);
+      });
+      var permissions = {AND: [{flag: 'editor'}, {NO_BYPASS: {flag: 'legal_hold'}, flag: 'released'}]};
+      return lp.checkAccessAsync(permissions, {user: {superadmin: true}}).then(function(access) {
+        assert.strictEqual(access, true);
+        return lp.checkAccessAsync(permissions, {user: {superadmin: true, legal_hold: true}});
+      }).then(function(access) {
+        assert.strictEqual(access, false);
+        return lp.checkAccessAsync(permissions, {user: {superadmin: true, legal_hold: true, released: true}});
+      }).then(function(access) {
+        assert.strictEqual(access, true);
+      });
     });
   });
-  describe('testCheckAccessBoolFALSE', function() {
-    it('should call LogicalPermissions::checkAccess() with a boolean FALSE permission', function() {
+  /*-------------LogicalPermissions::checkAccessWithTrace()--------------*/
+
+  describe('testCheckAccessWithTraceParamPermissionsMissing', function() {
+    it('should call LogicalPermissions::checkAccessWithTrace() with no "permissions" parameter and catch a MissingArgumentException exception', function() {
       var lp = new LogicalPermissions();
-      var permissions = false;
-      assert(!lp.checkAccess(permissions));
+      assert.throws(function() {
+        lp.checkAccessWithTrace();
+      }, function(err) {return err.name === 'MissingArgumentException';});
     });
   });
-  describe('testCheckAccessBoolFALSEArray', function() {
-    it('should call LogicalPermissions::checkAccess() with a boolean FALSE permission encapsulated within an array', function() {
+  describe('testCheckAccessWithTraceEmptyObject', function() {
+    it('should call LogicalPermissions::checkAccessWithTrace() with an empty permissions object and get an empty trace', function() {
       var lp = new LogicalPermissions();
-      var permissions = [
-        false
-      ];
-      assert(!lp.checkAccess(permissions));
+      assert.deepEqual(lp.checkAccessWithTrace({}), {
+        access: true,
+        bypass: {allowed: true, no_bypass: null, granted: null, rule: null},
+        trace: null
+      });
     });
   });
-  describe('testCheckAccessBoolFALSEBypass', function() {
-    it('should call LogicalPermissions::checkAccess() with a boolean FALSE permission and check that bypassing access still works', function() {
+  describe('testCheckAccessWithTraceBypassAccessAllow', function() {
+    it('should call LogicalPermissions::checkAccessWithTrace() and check that the trace reports that bypass access was granted', function() {
       var lp = new LogicalPermissions();
-      var bypass_callback = function(context) {
+      lp.setBypassCallback(function(context) {
         return true;
-      };
-      lp.setBypassCallback(bypass_callback);
-      var permissions = [
-        false
-      ];
-      assert(lp.checkAccess(permissions));
+      });
+      assert.deepEqual(lp.checkAccessWithTrace(false), {
+        access: true,
+        bypass: {allowed: true, no_bypass: null, granted: true, rule: null},
+        trace: null
+      });
+      assert.deepEqual(lp.checkAccessWithTrace(false, {}, false), {
+        access: false,
+        bypass: {allowed: false, no_bypass: null, granted: null, rule: null},
+        trace: {kind: 'boolean', permissions: false, result: false}
+      });
     });
   });
-  describe('testCheckAccessBoolFALSENoBypass', function() {
-    it('should call LogicalPermissions::checkAccess() with a boolean FALSE permission and check that it is possible to restrict access to everyone by using no_bypass in conjuction with FALSE', function() {
+  describe('testCheckAccessWithTraceNoBypass', function() {
+    it('should call LogicalPermissions::checkAccessWithTrace() with no_bypass values and check that the trace reports whether bypassing was disabled', function() {
       var lp = new LogicalPermissions();
-      var bypass_callback = function(context) {
+      lp.addType('flag', function(flag, context) {
+        return !!context.user[flag];
+      });
+      lp.setBypassCallback(function(context) {
         return true;
+      });
+      var result = lp.checkAccessWithTrace({no_bypass: true, 0: false});
+      assert.strictEqual(result.access, false);
+      assert.deepEqual(result.bypass, {allowed: false, no_bypass: {permissions: true, result: true, trace: null}, granted: null, rule: null});
+
+      result = lp.checkAccessWithTrace({no_bypass: {flag: 'never_bypass'}, 0: false}, {user: {never_bypass: false}});
+      assert.strictEqual(result.access, true);
+      assert.deepEqual(result.bypass, {
+        allowed: true,
+        no_bypass: {
+          permissions: {flag: 'never_bypass'},
+          result: false,
+          trace: {
+            kind: 'gate',
+            gate: 'OR',
+            shorthand: true,
+            permissions: {flag: 'never_bypass'},
+            children: [
+              {
+                kind: 'type',
+                type: 'flag',
+                permissions: 'never_bypass',
+                children: [
+                  {kind: 'callback', type: 'flag', permissions: 'never_bypass', result: false}
+                ],
+                result: false
+              }
+            ],
+            result: false
+          }
+        },
+        granted: true,
+        rule: null
+      });
+      assert.strictEqual(result.trace, null);
+    });
+  });
+  describe('testCheckAccessWithTraceNestedLogic', function() {
+    it('should call LogicalPermissions::checkAccessWithTrace() with nested logic and check the evaluated and skipped nodes of the trace', function() {
+      var lp = new LogicalPermissions();
+      var types = {
+        flag: function(flag, context) {
+          return !!context.user[flag];
+        },
+        role: function(role, context) {
+          return context.user.roles.indexOf(role) > -1;
+        }
       };
-      lp.setBypassCallback(bypass_callback);
+      lp.setTypes(types);
       var permissions = {
-        0: false,
-        'no_bypass': true
+        AND: {
+          role: {
+            NOT: 'guest'
+          },
+          flag: 'is_author',
+          OR: ['TRUE', {role: 'editor'}]
+        }
       };
-      assert(!lp.checkAccess(permissions));
+      var user = {
+        id: 1,
+        roles: ['editor'],
+        is_author: false
+      };
+      var result = lp.checkAccessWithTrace(permissions, {user: user});
+      assert.strictEqual(result.access, false);
+      assert.deepEqual(result.bypass, {allowed: true, no_bypass: null, granted: null, rule: null});
+      assert.deepEqual(result.trace, {
+        kind: 'gate',
+        gate: 'OR',
+        shorthand: true,
+        permissions: permissions,
+        children: [
+          {
+            kind: 'gate',
+            gate: 'AND',
+            permissions: permissions.AND,
+            children: [
+              {
+                kind: 'type',
+                type: 'role',
+                permissions: {NOT: 'guest'},
+                children: [
+                  {
+                    kind: 'gate',
+                    gate: 'OR',
+                    shorthand: true,
+                    permissions: {NOT: 'guest'},
+                    children: [
+                      {
+                        kind: 'gate',
+                        gate: 'NOT',
+                        permissions: 'guest',
+                        children: [
+                          {kind: 'callback', type: 'role', permissions: 'guest', result: false}
+                        ],
+                        result: true
+                      }
+                    ],
+                    result: true
+                  }
+                ],
+                result: true
+              },
+              {
+                kind: 'type',
+                type: 'flag',
+                permissions: 'is_author',
+                children: [
+                  {kind: 'callback', type: 'flag', permissions: 'is_author', result: false}
+                ],
+                result: false
+              },
+              {kind: 'skipped', permissions: {OR: ['TRUE', {role: 'editor'}]}}
+            ],
+            result: false
+          }
+        ],
+        result: false
+      });
     });
   });
-  describe('testCheckAccessStringTRUEIllegalChildren', function() {
-    it('should call LogicalPermissions::checkAccess() with a string TRUE permission used as key with children and catch an InvalidArgumentValueException exception', function() {
+  describe('testCheckAccessWithTraceSameResultAsCheckAccess', function() {
+    it('should call LogicalPermissions::checkAccessWithTrace() and check that the access result is the same as for LogicalPermissions::checkAccess()', function() {
       var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
       var permissions = {
-        'TRUE': false
-      };
-      assert.throws(function() {
-        lp.checkAccess(permissions);
-      }, function(err) {return err.name === 'InvalidArgumentValueException';});
-      permissions = {
-        'TRUE': []
-      };
-      assert.throws(function() {
-        lp.checkAccess(permissions);
-      }, function(err) {return err.name === 'InvalidArgumentValueException';});
-      permissions = {
-        'TRUE': {}
+        role: {
+          XOR: ['admin', 'editor', {NAND: ['writer', 'sales']}]
+        }
       };
+      [[], ['admin'], ['admin', 'editor'], ['writer', 'sales'], ['admin', 'writer']].forEach(function(roles) {
+        var user = {id: 1, roles: roles};
+        assert.strictEqual(lp.checkAccessWithTrace(permissions, {user: user}).access, lp.checkAccess(permissions, {user: user}));
+      });
+    });
+  });
+  describe('testCheckAccessWithTraceCustomGate', function() {
+    it('should call LogicalPermissions::checkAccessWithTrace() with a custom gate and check that the children that the handler did not evaluate are reported as skipped', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      //Grants access if the last child grants access
+      lp.addGate('LAST', function(children, evaluateChild) {
+        return evaluateChild(children[children.length - 1]);
+      });
+      var result = lp.checkAccessWithTrace({role: {LAST: ['admin', 'editor']}}, {user: {roles: ['editor']}});
+      assert.strictEqual(result.access, true);
+      assert.deepEqual(result.trace.children[0].children[0].children[0], {
+        kind: 'gate',
+        gate: 'LAST',
+        permissions: ['admin', 'editor'],
+        children: [
+          {kind: 'callback', type: 'role', permissions: 'editor', result: true},
+          {kind: 'skipped', permissions: 'admin'}
+        ],
+        result: true
+      });
+    });
+  });
+  describe('testCheckAccessWithTraceReference', function() {
+    it('should call LogicalPermissions::checkAccessWithTrace() with a reference to a permission definition and check that the trace contains the evaluation of the definition', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.definePermission('staff', {role: 'employee'});
+      var result = lp.checkAccessWithTrace({REF: 'staff'}, {user: {roles: ['employee']}});
+      assert.strictEqual(result.access, true);
+      assert.deepEqual(result.trace.children[0], {
+        kind: 'reference',
+        reference: 'staff',
+        permissions: {role: 'employee'},
+        children: [
+          {
+            kind: 'gate',
+            gate: 'OR',
+            shorthand: true,
+            permissions: {role: 'employee'},
+            children: [
+              {
+                kind: 'type',
+                type: 'role',
+                permissions: 'employee',
+                children: [
+                  {kind: 'callback', type: 'role', permissions: 'employee', result: true}
+                ],
+                result: true
+              }
+            ],
+            result: true
+          }
+        ],
+        result: true
+      });
+      result.trace.children[0].permissions.role = 'guest';
+      assert.deepEqual(lp.getDefinitions().staff, {role: 'employee'});
+    });
+  });
+
+  describe('testCheckAccessWithTraceMetadata', function() {
+    it('should call LogicalPermissions::checkAccessWithTrace() with MESSAGE and META keys and check that they are added to the trace nodes of their permission objects', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.addType('flag', function(flag, context) {
+        return !!context.user[flag];
+      });
+      var result = lp.checkAccessWithTrace({
+        AND: {role: 'editor', flag: 'is_author', MESSAGE: 'Only authors who are editors'},
+        META: {id: 7}
+      }, {user: {roles: ['writer']}});
+      assert.deepEqual(result.trace, {
+        kind: 'gate',
+        gate: 'OR',
+        shorthand: true,
+        meta: {id: 7},
+        permissions: {
+          AND: {role: 'editor', flag: 'is_author', MESSAGE: 'Only authors who are editors'},
+          META: {id: 7}
+        },
+        children: [
+          {
+            kind: 'gate',
+            gate: 'AND',
+            message: 'Only authors who are editors',
+            permissions: {role: 'editor', flag: 'is_author', MESSAGE: 'Only authors who are editors'},
+            children: [
+              {
+                kind: 'type',
+                type: 'role',
+                permissions: 'editor',
+                children: [
+                  {kind: 'callback', type: 'role', permissions: 'editor', result: false}
+                ],
+                result: false
+              },
+              {kind: 'skipped', permissions: {flag: 'is_author'}}
+            ],
+            result: false
+          }
+        ],
+        result: false
+      });
+    });
+  });
+
+  describe('testCheckAccessWithTraceBypassRules', function() {
+    it('should call LogicalPermissions::checkAccessWithTrace() with bypass rules and check that the trace reports which bypass rule granted bypass access', function() {
+      var lp = new LogicalPermissions();
+      lp.setBypassCallback(function(context) {
+        return false;
+      });
+      lp.addBypassRule('superadmin', function(context) {
+        return !!context.user.superadmin;
+      });
+      lp.addBypassRule('impersonation', function(context) {
+        return !!context.user.impersonating;
+      });
+      assert.deepEqual(lp.checkAccessWithTrace(false, {user: {superadmin: true, impersonating: true}}).bypass, {allowed: true, no_bypass: null, granted: true, rule: 'superadmin'});
+      assert.deepEqual(lp.checkAccessWithTrace({NO_BYPASS: ['superadmin'], 0: false}, {user: {superadmin: true, impersonating: true}}).bypass, {
+        allowed: true,
+        no_bypass: {permissions: ['superadmin'], result: false, trace: null},
+        granted: true,
+        rule: 'impersonation'
+      });
+      assert.deepEqual(lp.checkAccessWithTrace({NO_BYPASS: ['impersonation'], 0: false}, {user: {impersonating: true}}).bypass, {
+        allowed: true,
+        no_bypass: {permissions: ['impersonation'], result: false, trace: null},
+        granted: false,
+        rule: null
+      });
+    });
+  });
+  describe('testCheckAccessWithTraceScopedNoBypass', function() {
+    it('should call LogicalPermissions::checkAccessWithTrace() with a NO_BYPASS key beneath the top level and check that bypassed parts of the tree and the NO_BYPASS results are reported', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('flag', function(flag, context) {
+        return !!context.user[flag];
+      });
+      lp.addBypassRule('superadmin', function(context) {
+        return !!context.user.superadmin;
+      });
+      var permissions = {AND: [{flag: 'editor'}, {NO_BYPASS: {flag: 'legal_hold'}, flag: 'released'}]};
+      var result = lp.checkAccessWithTrace(permissions, {user: {superadmin: true, legal_hold: true}});
+      assert.strictEqual(result.access, false);
+      assert.deepEqual(result.bypass, {allowed: true, no_bypass: null, granted: true, rule: 'superadmin'});
+      assert.deepEqual(result.trace.children[0].children, [
+        {kind: 'bypassed', permissions: {flag: 'editor'}, rule: 'superadmin', result: true},
+        {
+          kind: 'gate',
+          gate: 'OR',
+          shorthand: true,
+          permissions: permissions.AND[1],
+          no_bypass: {
+            permissions: {flag: 'legal_hold'},
+            result: true,
+            trace: {
+              kind: 'gate',
+              gate: 'OR',
+              shorthand: true,
+              permissions: {flag: 'legal_hold'},
+              children: [
+                {kind: 'type', type: 'flag', permissions: 'legal_hold', children: [
+                  {kind: 'callback', type: 'flag', permissions: 'legal_hold', result: true}
+                ], result: true}
+              ],
+              result: true
+            }
+          },
+          children: [
+            {kind: 'type', type: 'flag', permissions: 'released', children: [
+              {kind: 'callback', type: 'flag', permissions: 'released', result: false}
+            ], result: false}
+          ],
+          result: false
+        }
+      ]);
+      result = lp.checkAccessWithTrace(permissions, {user: {editor: true, released: true}});
+      assert.strictEqual(result.access, true);
+      assert.strictEqual(result.bypass.granted, false);
+      assert.strictEqual(result.trace.children[0].children[1].hasOwnProperty('no_bypass'), false);
+    });
+  });
+  /*-------------LogicalPermissions::checkAccessWithMessages()--------------*/
+
+  describe('testCheckAccessWithMessagesParamContextWrongType', function() {
+    it('should call LogicalPermissions::checkAccessWithMessages() with the wrong data type for the "context" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
       assert.throws(function() {
-        lp.checkAccess(permissions);
-      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+        lp.checkAccessWithMessages(true, 'user');
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'context';});
     });
   });
-  describe('testCheckAccessStringTRUEIllegalDescendant', function() {
-    it('should call LogicalPermissions::checkAccess() with a string TRUE permission as a descendant to a permission key and catch an InvalidArgumentValueException exception', function() {
+  describe('testCheckAccessWithMessagesAllow', function() {
+    it('should call LogicalPermissions::checkAccessWithMessages() and check that no messages are returned when access is granted', function() {
       var lp = new LogicalPermissions();
-      lp.addType('role', function(){});
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.addType('flag', function(flag, context) {
+        return !!context.user[flag];
+      });
+      assert.deepEqual(lp.checkAccessWithMessages({role: 'writer', MESSAGE: 'Only writers'}, {user: {roles: ['writer']}}), {access: true, messages: []});
+      assert.deepEqual(lp.checkAccessWithMessages({NOT: {role: 'guest', MESSAGE: 'Guests only'}}, {user: {roles: ['writer']}}), {access: true, messages: []});
+      assert.deepEqual(lp.checkAccessWithMessages({MESSAGE: 'Nobody'}), {access: true, messages: []});
+    });
+  });
+  describe('testCheckAccessWithMessagesDeny', function() {
+    it('should call LogicalPermissions::checkAccessWithMessages() and check that the messages of the parts of the tree that denied access are returned', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.addType('flag', function(flag, context) {
+        return !!context.user[flag];
+      });
       var permissions = {
-        'role': ['TRUE']
-      };
-      assert.throws(function() {
-        lp.checkAccess(permissions);
-      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+        OR: [
+          {role: 'admin', MESSAGE: 'Admins can edit any article'},
+          {
+            AND: [
+              {flag: 'is_author', MESSAGE: 'Only the author can edit the article'},
+              {flag: 'is_draft', MESSAGE: 'Only drafts can be edited'},
+              {role: 'writer', MESSAGE: 'Only writers can edit articles'}
+            ],
+            MESSAGE: 'Only the author can edit drafts'
+          },
+          {NOT: {role: 'guest', MESSAGE: 'Guests only'}, META: {reason: 'guest'}}
+        ],
+        MESSAGE: 'You cannot edit this article'
+      };
+      assert.deepEqual(lp.checkAccessWithMessages(permissions, {user: {roles: ['guest'], is_author: true}}), {
+        access: false,
+        messages: ['You cannot edit this article', 'Admins can edit any article', 'Only the author can edit drafts', 'Only drafts can be edited', 'Guests only']
+      });
+      assert.deepEqual(lp.checkAccessWithMessages(permissions, {user: {roles: ['guest', 'writer'], is_author: true, is_draft: true}}), {access: true, messages: []});
     });
   });
-  describe('testCheckAccessStringTRUE', function() {
-    it('should call LogicalPermissions::checkAccess() with a string TRUE permission', function() {
+  describe('testCheckAccessWithMessagesNegation', function() {
+    it('should call LogicalPermissions::checkAccessWithMessages() with messages beneath negating logic gates and check that the messages of the children that denied access by granting it are returned', function() {
       var lp = new LogicalPermissions();
-      var permissions = 'TRUE';
-      assert(lp.checkAccess(permissions));
+      lp.addType('flag', function(flag, context) {
+        return !!context[flag];
+      });
+      assert.deepEqual(lp.checkAccessWithMessages({NOT: {flag: 'banned', MESSAGE: 'Banned users cannot post'}}, {banned: true}), {access: false, messages: ['Banned users cannot post']});
+      assert.deepEqual(lp.checkAccessWithMessages({NOR: [{flag: 'banned', MESSAGE: 'Banned users cannot post'}, {flag: 'muted', MESSAGE: 'Muted users cannot post'}]}, {muted: true}), {access: false, messages: ['Muted users cannot post']});
+      assert.deepEqual(lp.checkAccessWithMessages({NAND: [{flag: 'banned', MESSAGE: 'Banned users cannot post'}, {flag: 'muted', MESSAGE: 'Muted users cannot post'}]}, {banned: true, muted: true}), {access: false, messages: ['Banned users cannot post', 'Muted users cannot post']});
+      assert.deepEqual(lp.checkAccessWithMessages({NOT: {NOT: {flag: 'verified', MESSAGE: 'Only verified users can post'}}}, {}), {access: false, messages: ['Only verified users can post']});
+      assert.deepEqual(lp.checkAccessWithMessages({NOT: {AND: [{flag: 'banned', MESSAGE: 'Banned users cannot post'}, {flag: 'verified', MESSAGE: 'Unused'}], MESSAGE: 'Banned and verified'}}, {banned: true, verified: true}), {access: false, messages: ['Banned and verified', 'Banned users cannot post', 'Unused']});
+      assert.deepEqual(lp.checkAccessWithMessages({IMPLIES: [{flag: 'draft', MESSAGE: 'The article is a draft'}, {flag: 'author', MESSAGE: 'Only the author can see drafts'}]}, {draft: true}), {access: false, messages: ['The article is a draft', 'Only the author can see drafts']});
     });
   });
-  describe('testCheckAccessStringTRUEArray', function() {
-    it('should call LogicalPermissions::checkAccess() with a string TRUE permission encapsulated within an array', function() {
+  describe('testCheckAccessWithMessagesUnique', function() {
+    it('should call LogicalPermissions::checkAccessWithMessages() and check that each message is returned once', function() {
       var lp = new LogicalPermissions();
-      var permissions = ['TRUE'];
-      assert(lp.checkAccess(permissions));
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.addType('flag', function(flag, context) {
+        return !!context.user[flag];
+      });
+      lp.definePermission('staff', {role: ['employee', 'contractor'], MESSAGE: 'Only staff'});
+      assert.deepEqual(lp.checkAccessWithMessages({AND: [{REF: 'staff'}], OR: [{REF: 'staff', MESSAGE: 'Only staff'}, {flag: 'is_admin', MESSAGE: 'Only admins'}]}, {user: {roles: []}}), {
+        access: false,
+        messages: ['Only staff', 'Only admins']
+      });
     });
   });
-  describe('testCheckAccessStringFALSEIllegalChildren', function() {
-    it('should call LogicalPermissions::checkAccess() with a string FALSE permission used as key with children and catch an InvalidArgumentValueException exception', function() {
+  describe('testCheckAccessWithMessagesBypass', function() {
+    it('should call LogicalPermissions::checkAccessWithMessages() and check that the messages are not collected if the bypass callback grants access', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.addType('flag', function(flag, context) {
+        return !!context.user[flag];
+      });
+      lp.setBypassCallback(function(context) {
+        return !!context.user.superuser;
+      });
+      assert.deepEqual(lp.checkAccessWithMessages({role: 'admin', MESSAGE: 'Only admins'}, {user: {roles: [], superuser: true}}), {access: true, messages: []});
+      assert.deepEqual(lp.checkAccessWithMessages({NO_BYPASS: true, role: 'admin', MESSAGE: 'Only admins'}, {user: {roles: [], superuser: true}}), {access: false, messages: ['Only admins']});
+    });
+  });
+
+  /*-------------LogicalPermissions::validatePermissions()--------------*/
+
+  describe('testValidatePermissionsParamPermissionsMissing', function() {
+    it('should call LogicalPermissions::validatePermissions() with no "permissions" parameter and catch a MissingArgumentException exception', function() {
       var lp = new LogicalPermissions();
-      var permissions = {
-        'FALSE': false
-      };
-      assert.throws(function() {
-        lp.checkAccess(permissions);
-      }, function(err) {return err.name === 'InvalidArgumentValueException';});
-      permissions = {
-        'FALSE': []
-      };
       assert.throws(function() {
-        lp.checkAccess(permissions);
-      }, function(err) {return err.name === 'InvalidArgumentValueException';});
-      permissions = {
-        'FALSE': {}
-      };
+        lp.validatePermissions();
+      }, function(err) {return err.name === 'MissingArgumentException';});
+    });
+  });
+  describe('testValidatePermissionsParamPermissionsWrongType', function() {
+    it('should call LogicalPermissions::validatePermissions() with the wrong data type for the "permissions" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
       assert.throws(function() {
-        lp.checkAccess(permissions);
-      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+        lp.validatePermissions(50);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
     });
   });
-  describe('testCheckAccessStringFALSEIllegalDescendant', function() {
-    it('should call LogicalPermissions::checkAccess() with a string FALSE permission as a descendant to a permission key and catch an InvalidArgumentValueException exception', function() {
+  describe('testValidatePermissionsValid', function() {
+    it('should call LogicalPermissions::validatePermissions() with valid permission trees and get no problems', function() {
       var lp = new LogicalPermissions();
-      lp.addType('role', function(){});
+      lp.addType('role', function() {
+        throw new Error('Callbacks should not be called during validation.');
+      });
+      lp.addType('flag', function() {
+        throw new Error('Callbacks should not be called during validation.');
+      });
+      lp.setBypassCallback(function() {
+        throw new Error('The bypass callback should not be called during validation.');
+      });
+      assert.deepEqual(lp.validatePermissions({}), []);
+      assert.deepEqual(lp.validatePermissions(true), []);
+      assert.deepEqual(lp.validatePermissions('FALSE'), []);
+      assert.deepEqual(lp.validatePermissions([false, 'TRUE']), []);
+      assert.deepEqual(lp.validatePermissions({
+        no_bypass: {
+          flag: 'never_bypass'
+        },
+        OR: {
+          role: ['admin', {AND: ['editor', {NOT: 'guest'}]}],
+          XOR: {
+            flag: 'is_author',
+            NOT: {
+              role: 'sales'
+            }
+          },
+          0: false
+        }
+      }), []);
+    });
+  });
+  describe('testValidatePermissionsProblems', function() {
+    it('should call LogicalPermissions::validatePermissions() with an invalid permission tree and get every problem with its path, including those in branches that checkAccess() would not evaluate', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function() {
+        return true;
+      });
       var permissions = {
-        'role': ['FALSE']
+        NO_BYPASS: 'test',
+        OR: {
+          role: ['admin', {flag: 'is_author'}, true],
+          unknown: 'test',
+          XOR: [{role: 'admin'}],
+          AND: {},
+          TRUE: {role: 'admin'},
+          NOT: {role: 'admin', 0: false},
+          NAND: {NO_BYPASS: 'maybe', role: 'admin'},
+          'my type': 50
+        }
       };
-      assert.throws(function() {
-        lp.checkAccess(permissions);
-      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+      assert(lp.checkAccess({OR: permissions.OR}));
+      assert.deepEqual(lp.validatePermissions(permissions).map(function(problem) {
+        return [problem.path, problem.name];
+      }), [
+        ['$.NO_BYPASS', 'InvalidArgumentValueException'],
+        ['$.OR.role[1].flag', 'InvalidArgumentValueException'],
+        ['$.OR.role[2]', 'InvalidArgumentValueException'],
+        ['$.OR.unknown', 'PermissionTypeNotRegisteredException'],
+        ['$.OR.XOR', 'InvalidValueForLogicGateException'],
+        ['$.OR.AND', 'InvalidValueForLogicGateException'],
+        ['$.OR.TRUE', 'InvalidArgumentValueException'],
+        ['$.OR.NOT', 'InvalidValueForLogicGateException'],
+        ['$.OR.NAND.NO_BYPASS', 'InvalidArgumentValueException'],
+        ["$.OR['my type']", 'PermissionTypeNotRegisteredException']
+      ]);
+      var problem = lp.validatePermissions({role: {XOR: ['admin']}})[0];
+      assert.strictEqual(problem.path, '$.role.XOR');
+      assert.strictEqual(problem.name, 'InvalidValueForLogicGateException');
+      assert.strictEqual(problem.code, 'INVALID_VALUE_FOR_LOGIC_GATE');
+      assert.strictEqual(problem.message, 'The value array of an XOR gate must contain a minimum of two elements. Current value: ["admin"]');
+      assert(problem.error instanceof LogicalPermissions.InvalidValueForLogicGateError);
+      assert.strictEqual(problem.error.gate, 'XOR');
+      assert.deepEqual(problem.error.permissions, ['admin']);
+    });
+  });
+  describe('testValidatePermissionsReferences', function() {
+    it('should call LogicalPermissions::validatePermissions() with references and check that references to missing definitions are reported, including those that are only missing from a referenced definition', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function() {
+        return true;
+      });
+      lp.definePermission('staff', {role: 'employee'});
+      lp.definePermission('activeStaff', {AND: [{REF: 'staff'}, {REF: 'active'}]});
+      assert.deepEqual(lp.validatePermissions({OR: [{REF: 'staff'}, {ref: 'staff'}]}), []);
+      var problems = lp.validatePermissions({OR: [{REF: 'activeStaff'}, {REF: 'missing'}, {role: {REF: 'staff'}}]});
+      assert.deepEqual(problems.map(function(problem) {
+        return [problem.path, problem.name, problem.error.reference];
+      }), [
+        ['$.OR[0].REF', 'PermissionNotDefinedException', 'active'],
+        ['$.OR[1].REF', 'PermissionNotDefinedException', 'missing'],
+        ['$.OR[2].role.REF', 'InvalidArgumentValueException', undefined]
+      ]);
+      lp.definePermission('active', true);
+      assert.deepEqual(lp.validatePermissions({REF: 'activeStaff'}), []);
+    });
+  });
+  describe('testValidatePermissionsMatchesCheckAccess', function() {
+    it('should call LogicalPermissions::validatePermissions() with invalid permission trees and check that the problems have the names of the exceptions thrown by LogicalPermissions::checkAccess()', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('flag', function() {
+        return false;
+      });
+      lp.addType('attribute', function() {
+        return false;
+      }, {accepts: ['object']});
+      lp.addGate('MAJORITY', function() {
+        return false;
+      });
+      [
+        {flag: 50},
+        {flag: {flag: 'testflag'}},
+        {flag: {OR: {flag: 'testflag'}}},
+        {test: 'testflag'},
+        ['test1', 'test2'],
+        {OR: {no_bypass: true}},
+        {no_bypass: 'test'},
+        {flag: {AND: 'testflag'}},
+        {flag: {NAND: []}},
+        {flag: {NOR: {}}},
+        {flag: {XOR: ['testflag']}},
+        {flag: {NOT: ['testflag']}},
+        {flag: {NOT: ''}},
+        {flag: true},
+        {flag: 'TRUE'},
+        {FALSE: []},
+        {attribute: 'age'},
+        {attribute: [{name: 'age'}, 18]},
+        {AT_LEAST: {count: 2, of: [{flag: 'testflag'}]}},
+        {flag: {EXACTLY: ['testflag']}},
+        {flag: {MAJORITY: []}}
+      ].forEach(function(permissions) {
+        var problems = lp.validatePermissions(permissions);
+        assert(problems.length > 0, JSON.stringify(permissions));
+        assert.throws(function() {
+          lp.checkAccess(permissions);
+        }, function(err) {return err.name === problems[0].name;});
+      });
     });
   });
-  describe('testCheckAccessStringFALSE', function() {
-    it('should call LogicalPermissions::checkAccess() with a string FALSE permission', function() {
+
+  describe('testValidatePermissionsMetadata', function() {
+    it('should call LogicalPermissions::validatePermissions() with metadata and check that only illegal metadata is reported', function() {
       var lp = new LogicalPermissions();
-      var permissions = 'FALSE';
-      assert(!lp.checkAccess(permissions));
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.addType('flag', function(flag, context) {
+        return !!context.user[flag];
+      });
+      assert.deepEqual(lp.validatePermissions({MESSAGE: 'Denied', META: {NOT: 'x'}, AND: [{role: 'writer', message: 'Writers'}], NO_BYPASS: {flag: 'x', META: 1}}), []);
+      var problems = lp.validatePermissions({
+        message: 5,
+        OR: [{META: {}}, {role: 'writer', MESSAGE: null}],
+        NOT: {MESSAGE: 'Denied'},
+        EXACTLY: {count: 1, of: {role: 'writer', MESSAGE: true}, META: {}, Message: false}
+      });
+      assert.deepEqual(problems.map(function(problem) {
+        return [problem.path, problem.name];
+      }), [
+        ['$.message', 'InvalidArgumentValueException'],
+        ['$.OR[0]', 'InvalidValueForLogicGateException'],
+        ['$.OR[1].MESSAGE', 'InvalidArgumentValueException'],
+        ['$.NOT', 'InvalidValueForLogicGateException'],
+        ['$.EXACTLY.Message', 'InvalidArgumentValueException'],
+        ['$.EXACTLY.of.MESSAGE', 'InvalidArgumentValueException']
+      ]);
     });
   });
-  describe('testCheckAccessStringFALSEArray', function() {
-    it('should call LogicalPermissions::checkAccess() with a string FALSE permission encapsulated within an array', function() {
+
+  describe('testValidatePermissionsNoBypassRules', function() {
+    it('should call LogicalPermissions::validatePermissions() with NO_BYPASS arrays and check that only arrays of the names of existing bypass rules are valid', function() {
       var lp = new LogicalPermissions();
-      var permissions = ['FALSE'];
-      assert(!lp.checkAccess(permissions));
+      lp.addBypassRule('superadmin', function(){});
+      lp.addBypassRule('impersonation', function(){});
+      assert.deepEqual(lp.validatePermissions({NO_BYPASS: ['superadmin', 'impersonation'], 0: false}), []);
+      assert.deepEqual(lp.validatePermissions({no_bypass: []}), []);
+      [['system'], ['superadmin', ''], [{}]].forEach(function(no_bypass) {
+        var problems = lp.validatePermissions({NO_BYPASS: no_bypass});
+        assert.deepEqual(problems.map(function(problem) {
+          return [problem.path, problem.name];
+        }), [['$.NO_BYPASS', 'InvalidArgumentValueException']], JSON.stringify(no_bypass));
+      });
     });
   });
-  describe('testCheckAccessStringFALSEBypass', function() {
-    it('should call LogicalPermissions::checkAccess() with a string FALSE permission and check that bypassing access still works', function() {
+  describe('testValidatePermissionsScopedNoBypass', function() {
+    it('should call LogicalPermissions::validatePermissions() with NO_BYPASS keys beneath the top level and check that they are validated like the top level NO_BYPASS key, but cannot be placed beneath a permission type', function() {
       var lp = new LogicalPermissions();
-      var bypass_callback = function(context) {
+      lp.addType('role', function() {
         return true;
-      };
-      lp.setBypassCallback(bypass_callback);
-      var permissions = [
-        'FALSE'
-      ];
-      assert(lp.checkAccess(permissions));
+      });
+      lp.addBypassRule('superadmin', function(){});
+      assert.deepEqual(lp.validatePermissions({AND: [{role: 'admin'}, {NO_BYPASS: true, role: 'editor'}, {no_bypass: ['superadmin'], NOT: {role: 'guest'}}]}), []);
+      assert.deepEqual(lp.validatePermissions({OR: {NO_BYPASS: {role: 'admin'}, AT_LEAST: {count: 1, of: [{role: 'editor'}], NO_BYPASS: 'TRUE'}}}), []);
+      assert.deepEqual(lp.validatePermissions({
+        AND: [
+          {NO_BYPASS: 'maybe', role: 'admin'},
+          {NO_BYPASS: ['system'], role: 'admin'},
+          {role: {NO_BYPASS: true, 0: 'admin'}},
+          {NO_BYPASS: true},
+          {EXACTLY: {count: 1, of: {NO_BYPASS: true, role: 'admin'}}}
+        ]
+      }).map(function(problem) {
+        return [problem.path, problem.name];
+      }), [
+        ['$.AND[0].NO_BYPASS', 'InvalidArgumentValueException'],
+        ['$.AND[1].NO_BYPASS', 'InvalidArgumentValueException'],
+        ['$.AND[2].role.NO_BYPASS', 'InvalidArgumentValueException'],
+        ['$.AND[3]', 'InvalidValueForLogicGateException'],
+        ['$.AND[4].EXACTLY', 'InvalidValueForLogicGateException']
+      ]);
     });
   });
-  describe('testCheckAccessStringFALSENoBypass', function() {
-    it('should call LogicalPermissions::checkAccess() with a string FALSE permission and check that it is possible to restrict access to everyone by using no_bypass in conjuction with FALSE', function() {
+
+  /*-------------LogicalPermissions::compile()--------------*/
+
+  describe('testCompileParamPermissionsMissing', function() {
+    it('should call LogicalPermissions::compile() with no "permissions" parameter and catch a MissingArgumentException exception', function() {
       var lp = new LogicalPermissions();
-      var bypass_callback = function(context) {
+      assert.throws(function() {
+        lp.compile();
+      }, function(err) {return err.name === 'MissingArgumentException';});
+    });
+  });
+  describe('testCompileInvalidPermissions', function() {
+    it('should call LogicalPermissions::compile() with an invalid permission tree and catch the exception for the first problem in the tree', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
         return true;
-      };
-      lp.setBypassCallback(bypass_callback);
-      var permissions = {
-        0: 'FALSE',
-        'no_bypass': true
-      };
-      assert(!lp.checkAccess(permissions));
+      });
+      assert.throws(function() {
+        lp.compile({OR: {role: 'admin', flag: 'is_author'}});
+      }, function(err) {return err.name === 'PermissionTypeNotRegisteredException' && err.path === '$.OR.flag';});
     });
   });
-  describe('testCheckAccessNestedLogic', function() {
-    it('should call LogicalPermissions::checkAccess() with nested logic', function() {
+  describe('testCompileEvaluateParamContextWrongType', function() {
+    it('should call evaluate() on a compiled permission tree with the wrong data type for the "context" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      var evaluator = lp.compile(false);
+      assert.throws(function() {
+        evaluator.evaluate([]);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+      assert.throws(function() {
+        evaluator.evaluate({}, 'test');
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+    });
+  });
+  describe('testCompileSameResultAsCheckAccess', function() {
+    it('should call LogicalPermissions::compile() with various permission trees and check that the evaluators return the same results as LogicalPermissions::checkAccess()', function() {
       var lp = new LogicalPermissions();
       var types = {
+        flag: function(flag, context) {
+          return !!context.user[flag];
+        },
         role: function(role, context) {
-          var access = false;
-          if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
-            access = context.user.roles.indexOf(role) > -1;
-          }
-          return access;
+          return context.user.roles.indexOf(role) > -1;
         }
       };
       lp.setTypes(types);
+      lp.setBypassCallback(function(context) {
+        return !!context.user.superuser;
+      });
+      var trees = [
+        {},
+        [],
+        true,
+        'FALSE',
+        [false, 'TRUE'],
+        {role: 'admin'},
+        {role: ['admin', 'editor']},
+        {no_bypass: true, role: {AND: ['editor', 'writer']}},
+        {NO_BYPASS: 'false', 0: false},
+        {no_bypass: {flag: 'never_bypass'}, OR: {role: 'admin', flag: 'is_author'}},
+        {AND: {role: {NOT: 'guest'}, flag: 'is_author', 0: 'TRUE'}},
+        {role: {XOR: ['admin', 'editor', {NAND: ['writer', 'sales']}]}},
+        {NOR: [{role: 'guest'}, {NOT: {flag: 'is_author'}}]},
+        {role: ['admin', {AND: ['editor', 'writer', {OR: ['role1', 'role2']}]}]}
+      ];
+      var users = [
+        {roles: []},
+        {roles: ['admin']},
+        {roles: ['editor', 'writer'], is_author: true},
+        {roles: ['writer', 'sales', 'role2']},
+        {roles: ['guest'], superuser: true},
+        {roles: ['editor'], superuser: true, never_bypass: true}
+      ];
+      trees.forEach(function(permissions) {
+        var evaluator = lp.compile(permissions);
+        users.forEach(function(user) {
+          assert.strictEqual(evaluator.evaluate({user: user}), lp.checkAccess(permissions, {user: user}), JSON.stringify(permissions) + ' ' + JSON.stringify(user));
+          assert.strictEqual(evaluator.evaluate({user: user}, false), lp.checkAccess(permissions, {user: user}, false), JSON.stringify(permissions) + ' ' + JSON.stringify(user));
+        });
+      });
+    });
+  });
+  describe('testCompilePermissionsCopied', function() {
+    it('should call LogicalPermissions::compile() and check that later changes to the permission tree do not affect the evaluator but changes to the type callbacks do', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
       var permissions = {
-        'role': {
-          'OR': {
-            'NOT': {
-              'AND': [
-                'admin',
-                'editor',
-              ]
-            }
-          }
-        },
-        0: false,
-        1: 'FALSE'
+        role: ['admin']
       };
+      var evaluator = lp.compile(permissions);
+      permissions.role.push('editor');
       var user = {
         id: 1,
-        roles: ['admin', 'editor']
+        roles: ['editor']
       };
-      assert(!lp.checkAccess(permissions, {user: user}));
-      delete user.roles;
-      assert(lp.checkAccess(permissions, {user: user}));
-      user.roles = ['editor'];
-      assert(lp.checkAccess(permissions, {user: user}));
+      assert(!evaluator.evaluate({user: user}));
+      lp.setTypeCallback('role', function(role, context) {
+        return true;
+      });
+      assert(evaluator.evaluate({user: user}));
+      lp.removeType('role');
+      assert.throws(function() {
+        evaluator.evaluate({user: user});
+      }, function(err) {return err.name === 'PermissionTypeNotRegisteredException';});
     });
   });
-  describe('testCheckAccessLogicGateFirst', function() {
-    it('should call LogicalPermissions::checkAccess() with nested logic and a logic gate as first element', function() {
+  describe('testCompileEvaluateAsync', function() {
+    it('should call evaluateAsync() on a compiled permission tree with promise-returning callbacks', function() {
       var lp = new LogicalPermissions();
-      var types = {
-        role: function(role, context) {
-          var access = false;
-          if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
-            access = context.user.roles.indexOf(role) > -1;
-          }
-          return access;
-        }
-      };
-      lp.setTypes(types);
-      var permissions = {
-        AND: {
-          'role': {
-            'OR': {
-              'NOT': {
-                'AND': [
-                  'admin',
-                  'editor',
-                ]
-              }
-            }
-          },
-          0: true,
-          1: 'TRUE'
-        }
-      };
+      var evaluated = [];
+      lp.addType('role', function(role, context) {
+        evaluated.push(role);
+        return Promise.resolve(context.user.roles.indexOf(role) > -1);
+      });
+      lp.setBypassCallback(function(context) {
+        return Promise.resolve(!!context.user.superuser);
+      });
+      var evaluator = lp.compile({no_bypass: {role: 'guest'}, role: {OR: ['admin', 'editor']}});
       var user = {
         id: 1,
-        roles: ['admin', 'editor']
+        roles: ['admin']
       };
-      assert(!lp.checkAccess(permissions, {user: user}));
-      delete user.roles;
-      assert(lp.checkAccess(permissions, {user: user}));
-      user.roles = ['editor'];
-      assert(lp.checkAccess(permissions, {user: user}));
+      return evaluator.evaluateAsync({user: user}).then(function(access) {
+        assert.strictEqual(access, true);
+        assert.deepEqual(evaluated, ['guest', 'admin']);
+        user.roles = ['guest'];
+        user.superuser = true;
+        return evaluator.evaluateAsync({user: user});
+      }).then(function(access) {
+        assert.strictEqual(access, false);
+        user.roles = [];
+        return evaluator.evaluateAsync({user: user});
+      }).then(function(access) {
+        assert.strictEqual(access, true);
+      });
     });
   });
-  describe('testCheckAccessShorthandORMixedObjectsArrays', function() {
-    it('should call LogicalPermissions::checkAccess() with shorthand OR and mixed objects and arrays', function() {
+  describe('testCompileStructuredPermissionValues', function() {
+    it('should call LogicalPermissions::compile() with object permission values and check that the evaluator passes them to the type callback', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('attribute', function(condition, context) {
+        return context.user[condition.name] >= condition.gte;
+      }, {accepts: ['object']});
+      var evaluator = lp.compile({attribute: {OR: [{name: 'age', gte: 18}, {NOT: {name: 'level', gte: 1}}]}});
+      assert.strictEqual(evaluator.evaluate({user: {age: 20, level: 1}}), true);
+      assert.strictEqual(evaluator.evaluate({user: {age: 16, level: 1}}), false);
+      assert.strictEqual(evaluator.evaluate({user: {age: 16, level: 0}}), true);
+    });
+  });
+  describe('testCompileCustomGate', function() {
+    it('should call LogicalPermissions::compile() with a custom gate and check that the evaluator calls its handler and validates the result', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.addGate('MAJORITY', function(children, evaluateChild) {
+        return children.filter(evaluateChild).length * 2 > children.length;
+      });
+      lp.addGate('BROKEN', function() {
+        return null;
+      });
+      var evaluator = lp.compile({role: {MAJORITY: ['admin', 'editor', 'writer']}});
+      assert.strictEqual(evaluator.evaluate({user: {roles: ['admin', 'writer']}}), true);
+      assert.strictEqual(evaluator.evaluate({user: {roles: ['writer']}}), false);
+      assert.throws(function() {
+        lp.compile({BROKEN: [true]}).evaluate();
+      }, function(err) {return err.name === 'InvalidCallbackReturnTypeException' && err.gate === 'BROKEN';});
+    });
+  });
+  describe('testCompileCustomGateChildren', function() {
+    it('should call LogicalPermissions::compile() with a custom gate whose handler inspects its children and check that it gets the child permissions', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      //Grants access if the granted children weigh at least 2, where the weight of each child depends on its role
+      lp.addGate('WEIGHTED', function(children, evaluateChild) {
+        var weights = {admin: 2};
+        var weight = 0;
+        children.forEach(function(child) {
+          if(evaluateChild(child)) {
+            weight += weights[child.role] || 1;
+          }
+        });
+        return weight >= 2;
+      });
+      var permissions = {WEIGHTED: {role: 'admin', 0: {role: 'editor'}}};
+      var evaluator = lp.compile(permissions);
+      [['admin'], ['editor'], ['admin', 'editor'], []].forEach(function(roles) {
+        var context = {user: {roles: roles}};
+        assert.strictEqual(evaluator.evaluate(context), lp.checkAccess(permissions, context), JSON.stringify(roles));
+      });
+      assert(evaluator.evaluate({user: {roles: ['admin']}}));
+    });
+  });
+  describe('testCompileReference', function() {
+    it('should call LogicalPermissions::compile() with a reference to a permission definition and check that later changes to the definition do not affect the evaluator', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.definePermission('staff', {role: ['employee', 'contractor']});
+      assert.throws(function() {
+        lp.compile({REF: 'missing'});
+      }, function(err) {return err.name === 'PermissionNotDefinedException' && err.path === '$.REF';});
+      var evaluator = lp.compile({AND: [{REF: 'staff'}, {NOT: {role: 'guest'}}]});
+      assert.strictEqual(evaluator.evaluate({user: {roles: ['contractor']}}), true);
+      assert.strictEqual(evaluator.evaluate({user: {roles: ['contractor', 'guest']}}), false);
+      lp.definePermission('staff', false);
+      assert.strictEqual(evaluator.evaluate({user: {roles: ['contractor']}}), true);
+    });
+  });
+  describe('testCompileRepeatedEvaluation', function() {
+    it('should evaluate a compiled permission tree many times and check that it gives the same results as LogicalPermissions::checkAccess()', function() {
       var lp = new LogicalPermissions();
       var types = {
+        flag: function(flag, context) {
+          return !!context.user[flag];
+        },
         role: function(role, context) {
-          var access = false;
-          if(context.hasOwnProperty('user') && context.user.hasOwnProperty('roles')) {
-            access = context.user.roles.indexOf(role) > -1;
-          }
-          return access;
+          return context.user.roles.indexOf(role) > -1;
+        },
+        misc: function(item, context) {
+          return !!context.user[item];
         }
       };
       lp.setTypes(types);
+      lp.setBypassCallback(function(context) {
+        return false;
+      });
       var permissions = {
-        'role': [
-          'admin',
-          {
-            'AND': [
-              'editor',
-              'writer',
-              {
-                'OR': [
-                  'role1',
-                  'role2'
-                ]
-              }
-            ]
+        no_bypass: {
+          flag: 'never_bypass'
+        },
+        OR: [
+          {role: {AND: ['editor', 'writer', {NOT: 'guest'}]}},
+          {AND: {flag: 'is_author', misc: ['published', 'draft']}},
+          {role: {XOR: ['sales', 'marketing', 'support']}},
+          {NOR: {role: 'banned', flag: 'suspended'}}
+        ]
+      };
+      var flags = ['editor', 'writer', 'guest', 'sales', 'marketing', 'banned', 'is_author', 'published', 'draft', 'suspended', 'never_bypass'];
+      var evaluator = lp.compile(permissions);
+      for(var i = 0; i < Math.pow(2, flags.length); i++) {
+        var user = {roles: []};
+        flags.forEach(function(flag, j) {
+          if(i & (1 << j)) {
+            user.roles.push(flag);
+            user[flag] = true;
           }
+        });
+        var context = {user: user};
+        assert.strictEqual(evaluator.evaluate(context), lp.checkAccess(permissions, context), JSON.stringify(user));
+      }
+    });
+  });
+
+  describe('testCompileMetadata', function() {
+    it('should call LogicalPermissions::compile() with metadata and check that it is ignored when deciding access', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', function(role, context) {
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.addType('flag', function(flag, context) {
+        return !!context.user[flag];
+      });
+      lp.definePermission('staff', {role: 'employee', META: {}});
+      var evaluator = lp.compile({AND: {REF: 'staff', flag: 'is_active', MESSAGE: 'Only active staff'}, META: {id: 1}, NO_BYPASS: {flag: 'x', MESSAGE: 'x'}});
+      assert(evaluator.evaluate({user: {roles: ['employee'], is_active: true}}));
+      assert(!evaluator.evaluate({user: {roles: ['employee']}}));
+    });
+  });
+
+  describe('testCompileNoBypassRules', function() {
+    it('should call LogicalPermissions::compile() with a NO_BYPASS array and check that the named bypass rules are disabled', function() {
+      var lp = new LogicalPermissions();
+      lp.addBypassRule('superadmin', function(context) {
+        return !!context.user.superadmin;
+      });
+      lp.addBypassRule('impersonation', function(context) {
+        return !!context.user.impersonating;
+      });
+      var evaluator = lp.compile({NO_BYPASS: ['impersonation'], 0: false});
+      assert(evaluator.evaluate({user: {superadmin: true}}));
+      assert(!evaluator.evaluate({user: {impersonating: true}}));
+      lp.removeBypassRule('impersonation');
+      assert.throws(function() {
+        evaluator.evaluate({user: {}});
+      }, function(err) {return err.name === 'InvalidArgumentValueException';});
+    });
+  });
+  describe('testCompileScopedNoBypass', function() {
+    it('should call LogicalPermissions::compile() with NO_BYPASS keys beneath the top level and check that the evaluator gives the same results as LogicalPermissions::checkAccess()', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('flag', function(flag, context) {
+        return !!context.user[flag];
+      });
+      lp.setBypassCallback(function(context) {
+        return !!context.user.superadmin;
+      });
+      lp.addBypassRule('impersonation', function(context) {
+        return !!context.user.impersonating;
+      });
+      lp.definePermission('notOnHold', {NOT: {NO_BYPASS: true, flag: 'legal_hold'}});
+      var permissions = {
+        AND: [
+          {flag: 'editor'},
+          {REF: 'notOnHold'},
+          {NO_BYPASS: ['impersonation'], flag: 'billing'},
+          {NOT: {OR: [{flag: 'guest'}, {NO_BYPASS: {flag: 'frozen'}, flag: 'banned'}]}},
+          {XOR: [{flag: 'writer'}, {NO_BYPASS: 'FALSE', flag: 'reviewer'}]}
         ]
       };
-      var user = {
-        id: 1,
-        roles: ['admin']
+      var evaluator = lp.compile(permissions);
+      var flags = ['superadmin', 'impersonating', 'editor', 'legal_hold', 'billing', 'guest', 'frozen', 'banned', 'writer', 'reviewer'];
+      for(var i = 0; i < Math.pow(2, flags.length); i++) {
+        var context = {user: {}};
+        flags.forEach(function(flag, j) {
+          context.user[flag] = !!(i & Math.pow(2, j));
+        });
+        assert.strictEqual(evaluator.evaluate(context), lp.checkAccess(permissions, context), JSON.stringify(context));
+      }
+      lp.definePermission('notOnHold', {NOT: {flag: 'legal_hold'}});
+      assert(!evaluator.evaluate({user: {superadmin: true, legal_hold: true, writer: true}}));
+      return evaluator.evaluateAsync({user: {superadmin: true, writer: true}}).then(function(access) {
+        assert.strictEqual(access, true);
+      });
+    });
+  });
+
+  /*-------------LogicalPermissions::getMemoization()--------------*/
+
+  describe('testGetMemoization', function() {
+    it('should call LogicalPermissions::getMemoization() and check that memoization is disabled by default', function() {
+      var lp = new LogicalPermissions();
+      assert.strictEqual(lp.getMemoization(), false);
+    });
+  });
+
+  /*-------------LogicalPermissions::setMemoization()--------------*/
+
+  describe('testSetMemoizationParamEnabledMissing', function() {
+    it('should call LogicalPermissions::setMemoization() with no "enabled" parameter and catch a MissingArgumentException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.setMemoization();
+      }, function(err) {return err.name === 'MissingArgumentException';});
+    });
+  });
+  describe('testSetMemoizationParamEnabledWrongType', function() {
+    it('should call LogicalPermissions::setMemoization() with the wrong data type for the "enabled" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.setMemoization(1);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+    });
+  });
+  describe('testSetMemoization', function() {
+    it('should call LogicalPermissions::setMemoization() and check that each permission is only evaluated once per access check', function() {
+      var lp = new LogicalPermissions();
+      var calls = [];
+      lp.addType('role', function(role, context) {
+        calls.push('role:' + role);
+        return context.user.roles.indexOf(role) > -1;
+      });
+      lp.addType('flag', function(flag, context) {
+        calls.push('flag:' + flag);
+        return !!context.user[flag];
+      });
+      var permissions = {
+        OR: [
+          {AND: {role: 'editor', flag: 'owner'}},
+          {AND: {role: 'editor', flag: 'reviewer'}}
+        ]
       };
+      var user = {roles: ['editor'], reviewer: true};
+
       assert(lp.checkAccess(permissions, {user: user}));
-      delete user.roles;
-      assert(!lp.checkAccess(permissions, {user: user}));
-      user.roles = ['editor'];
+      assert.deepEqual(calls, ['role:editor', 'flag:owner', 'role:editor', 'flag:reviewer']);
+
+      lp.setMemoization(true);
+      assert.strictEqual(lp.getMemoization(), true);
+      calls = [];
+      assert(lp.checkAccess(permissions, {user: user}));
+      assert.deepEqual(calls, ['role:editor', 'flag:owner', 'flag:reviewer']);
+      calls = [];
+      assert(lp.compile(permissions).evaluate({user: user}));
+      assert.deepEqual(calls, ['role:editor', 'flag:owner', 'flag:reviewer']);
+
+      //Results are not reused between access checks
+      calls = [];
+      user.roles = [];
       assert(!lp.checkAccess(permissions, {user: user}));
-      user.roles = ['editor', 'writer'];
+      assert.deepEqual(calls, ['role:editor']);
+
+      lp.setMemoization(false);
+      calls = [];
       assert(!lp.checkAccess(permissions, {user: user}));
-      user.roles = ['editor', 'writer', 'role1'];
-      assert(lp.checkAccess(permissions, {user: user}));
-      user.roles = ['editor', 'writer', 'role2'];
-      assert(lp.checkAccess(permissions, {user: user}));
-      user.roles = ['admin', 'writer'];
-      assert(lp.checkAccess(permissions, {user: user}));
+      assert.deepEqual(calls, ['role:editor', 'role:editor']);
+    });
+  });
+  describe('testSetMemoizationNonMemoizableType', function() {
+    it('should call LogicalPermissions::setMemoization() and check that the results of a type added with the option {memoize: false} are not reused', function() {
+      var lp = new LogicalPermissions();
+      var calls = 0;
+      lp.addType('random', function(value, context) {
+        calls++;
+        return calls % 2 == 0;
+      }, {memoize: false});
+      lp.setMemoization(true);
+      assert(lp.checkAccess({OR: [{random: 'coin'}, {random: 'coin'}]}));
+      assert.strictEqual(calls, 2);
+
+      //The option is kept when the callback is changed and removed together with the type
+      lp.setTypeCallback('random', function() {
+        calls++;
+        return false;
+      });
+      calls = 0;
+      lp.checkAccess({OR: [{random: 'coin'}, {random: 'coin'}]});
+      assert.strictEqual(calls, 2);
+      lp.removeType('random');
+      lp.addType('random', function() {
+        calls++;
+        return false;
+      });
+      calls = 0;
+      lp.checkAccess({OR: [{random: 'coin'}, {random: 'coin'}]});
+      assert.strictEqual(calls, 1);
+    });
+  });
+  describe('testSetMemoizationAsync', function() {
+    it('should call LogicalPermissions::setMemoization() and check that promise-returning callbacks are only called once per permission by LogicalPermissions::checkAccessAsync()', function() {
+      var lp = new LogicalPermissions();
+      var calls = 0;
+      lp.addType('role', function(role, context) {
+        calls++;
+        return Promise.resolve(context.user.roles.indexOf(role) > -1);
+      });
+      lp.setMemoization(true);
+      return lp.checkAccessAsync({AND: [{role: 'editor'}, {NOT: {role: 'admin'}}, {role: ['admin', 'editor']}]}, {user: {roles: ['editor']}}).then(function(access) {
+        assert(access);
+        assert.strictEqual(calls, 2);
+      });
+    });
+  });
+
+  /*-------------Errors--------------*/
+
+  describe('testErrorsArgumentDetails', function() {
+    it('should catch errors for invalid parameters and check their classes and details', function() {
+      var lp = new LogicalPermissions();
+      assert.throws(function() {
+        lp.addType();
+      }, function(err) {return err instanceof LogicalPermissions.MissingArgumentError && err.code === 'MISSING_ARGUMENT' && err.argument === 'name';});
+      assert.throws(function() {
+        lp.checkAccess(false, []);
+      }, function(err) {return err instanceof LogicalPermissions.InvalidArgumentTypeError && err.argument === 'context';});
+      lp.addType('test', function(){});
+      assert.throws(function() {
+        lp.addType('test', function(){});
+      }, function(err) {return err instanceof LogicalPermissions.PermissionTypeAlreadyExistsError && err.type === 'test';});
+    });
+  });
+  describe('testErrorsPermissionTreeDetails', function() {
+    it('should catch errors for invalid permission trees and check their classes and details', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('flag', function(flag, context) {
+        return 1;
+      });
+      assert.throws(function() {
+        lp.checkAccess({role: 'admin'});
+      }, function(err) {return err instanceof LogicalPermissions.PermissionTypeNotRegisteredError && err.code === 'PERMISSION_TYPE_NOT_REGISTERED' && err.type === 'role';});
+      assert.throws(function() {
+        lp.checkAccess({flag: {XOR: ['testflag']}});
+      }, function(err) {
+        return err instanceof LogicalPermissions.InvalidValueForLogicGateError && err.gate === 'XOR' && JSON.stringify(err.permissions) === '["testflag"]';
+      });
+      assert.throws(function() {
+        lp.checkAccess({flag: {flag: 'testflag'}});
+      }, function(err) {
+        return err instanceof LogicalPermissions.InvalidArgumentValueError && err.type === 'flag' && JSON.stringify(err.permissions) === '{"flag":"testflag"}';
+      });
+      assert.throws(function() {
+        lp.checkAccess({flag: 'testflag'});
+      }, function(err) {return err instanceof LogicalPermissions.InvalidCallbackReturnTypeError && err.type === 'flag' && err.value === 1;});
+    });
+  });
+  describe('testErrorsStackTrace', function() {
+    it('should catch an error thrown by LogicalPermissions::checkAccess() and check that it has a stack trace', function() {
+      var lp = new LogicalPermissions();
+      try {
+        lp.checkAccess();
+        assert.fail('An error should have been thrown.');
+      }
+      catch(err) {
+        assert(err instanceof Error);
+        assert(err.stack.indexOf('MissingArgumentException: The permissions parameter is required.') === 0);
+      }
     });
   });
 });
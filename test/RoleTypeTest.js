@@ -0,0 +1,126 @@
+var LogicalPermissions = require('../lib/LogicalPermissions.js');
+var assert = require('assert');
+describe('RoleType', function() {
+
+  var hierarchy = {
+    admin: ['editor', 'moderator'],
+    editor: ['writer'],
+    moderator: ['commenter'],
+    writer: ['commenter']
+  };
+
+  var getRoles = function(context) {
+    return context.user.roles;
+  };
+
+  /*-------------LogicalPermissions.createRoleType()--------------*/
+
+  describe('testCreateRoleTypeParamHierarchyMissing', function() {
+    it('should call LogicalPermissions.createRoleType() with no "hierarchy" parameter and catch a MissingArgumentException exception', function() {
+      assert.throws(function() {
+        LogicalPermissions.createRoleType();
+      }, function(err) {return err.name === 'MissingArgumentException' && err.argument === 'hierarchy';});
+    });
+  });
+  describe('testCreateRoleTypeParamHierarchyWrongType', function() {
+    it('should call LogicalPermissions.createRoleType() with the wrong data type for the "hierarchy" parameter and catch an InvalidArgumentTypeException exception', function() {
+      [null, ['admin'], 'admin'].forEach(function(value) {
+        assert.throws(function() {
+          LogicalPermissions.createRoleType(value, getRoles);
+        }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'hierarchy';}, JSON.stringify(value));
+      });
+    });
+  });
+  describe('testCreateRoleTypeParamHierarchyIllegal', function() {
+    it('should call LogicalPermissions.createRoleType() with roles that inherit something else than an array of role names and catch an InvalidArgumentValueException exception', function() {
+      [{admin: 'editor'}, {admin: [0]}, {admin: ['']}].forEach(function(value) {
+        assert.throws(function() {
+          LogicalPermissions.createRoleType(value, getRoles);
+        }, function(err) {return err.name === 'InvalidArgumentValueException' && err.argument === 'hierarchy';}, JSON.stringify(value));
+      });
+    });
+  });
+  describe('testCreateRoleTypeParamHierarchyCircular', function() {
+    it('should call LogicalPermissions.createRoleType() with a role that inherits itself and catch a CircularReferenceException exception', function() {
+      assert.throws(function() {
+        LogicalPermissions.createRoleType({admin: ['admin']}, getRoles);
+      }, function(err) {return err instanceof LogicalPermissions.CircularReferenceError && JSON.stringify(err.references) === JSON.stringify(['admin', 'admin']);});
+      assert.throws(function() {
+        LogicalPermissions.createRoleType({guest: [], admin: ['editor'], editor: ['writer'], writer: ['editor']}, getRoles);
+      }, function(err) {return err.name === 'CircularReferenceException' && JSON.stringify(err.references) === JSON.stringify(['editor', 'writer', 'editor']);});
+    });
+  });
+  describe('testCreateRoleTypeParamGetRolesMissing', function() {
+    it('should call LogicalPermissions.createRoleType() with no "get_roles" parameter and catch a MissingArgumentException exception', function() {
+      assert.throws(function() {
+        LogicalPermissions.createRoleType(hierarchy);
+      }, function(err) {return err.name === 'MissingArgumentException' && err.argument === 'get_roles';});
+    });
+  });
+  describe('testCreateRoleTypeParamGetRolesWrongType', function() {
+    it('should call LogicalPermissions.createRoleType() with the wrong data type for the "get_roles" parameter and catch an InvalidArgumentTypeException exception', function() {
+      assert.throws(function() {
+        LogicalPermissions.createRoleType(hierarchy, 'user.roles');
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'get_roles';});
+    });
+  });
+  describe('testCreateRoleType', function() {
+    it('should call LogicalPermissions.createRoleType() and register the callback with LogicalPermissions::addType()', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', LogicalPermissions.createRoleType(hierarchy, getRoles));
+      var admin = {user: {roles: ['admin']}};
+      var writer = {user: {roles: ['writer']}};
+      assert(lp.checkAccess({role: 'admin'}, admin));
+      assert(lp.checkAccess({role: 'writer'}, admin));
+      assert(lp.checkAccess({role: 'commenter'}, admin));
+      assert(lp.checkAccess({role: 'commenter'}, writer));
+      assert(!lp.checkAccess({role: 'editor'}, writer));
+      assert(!lp.checkAccess({role: 'admin'}, writer));
+      assert(lp.checkAccess({role: 'guest'}, {user: {roles: ['guest']}}));
+      assert(!lp.checkAccess({role: 'guest'}, {user: {roles: []}}));
+      assert(lp.checkAccess({AND: [{role: 'writer'}, {NOT: {role: 'admin'}}]}, {user: {roles: ['editor']}}));
+    });
+  });
+  describe('testCreateRoleTypeCopiesHierarchy', function() {
+    it('should call LogicalPermissions.createRoleType() and check that changing the hierarchy afterwards has no effect', function() {
+      var roles = {admin: ['editor']};
+      var callback = LogicalPermissions.createRoleType(roles, getRoles);
+      roles.admin.push('writer');
+      roles.editor = ['writer'];
+      assert.deepEqual(callback.expandRoles(['admin']), ['admin', 'editor']);
+    });
+  });
+  describe('testRoleTypeGetRolesWrongReturnType', function() {
+    it('should call LogicalPermissions::checkAccess() with a "get_roles" function that does not return an array of role names and catch an InvalidCallbackReturnTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('role', LogicalPermissions.createRoleType(hierarchy, function(context) {
+        return context.user.role;
+      }));
+      assert.throws(function() {
+        lp.checkAccess({role: 'admin'}, {user: {role: 'admin'}});
+      }, function(err) {return err.name === 'InvalidCallbackReturnTypeException' && err.value === 'admin';});
+    });
+  });
+
+  /*-------------Expanded roles--------------*/
+
+  describe('testRoleTypeExpandRoles', function() {
+    it('should call expandRoles() on a role type callback and check that every inherited role is included once', function() {
+      var callback = LogicalPermissions.createRoleType(hierarchy, getRoles);
+      assert.deepEqual(callback.expandRoles([]), []);
+      assert.deepEqual(callback.expandRoles(['admin']), ['admin', 'editor', 'writer', 'commenter', 'moderator']);
+      assert.deepEqual(callback.expandRoles(['writer', 'guest', 'moderator']), ['writer', 'commenter', 'guest', 'moderator']);
+      callback.expandRoles(['admin']).push('guest');
+      assert.deepEqual(callback.expandRoles(['admin']), ['admin', 'editor', 'writer', 'commenter', 'moderator']);
+      assert.throws(function() {
+        callback.expandRoles('admin');
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.argument === 'roles';});
+    });
+  });
+  describe('testRoleTypeGetRoles', function() {
+    it('should call getRoles() on a role type callback and check that the expanded roles of the user are returned', function() {
+      var callback = LogicalPermissions.createRoleType(hierarchy, getRoles);
+      assert.deepEqual(callback.getRoles({user: {roles: ['editor']}}), ['editor', 'writer', 'commenter']);
+    });
+  });
+});
@@ -0,0 +1,228 @@
+var assert = require('assert');
+var createLogicalPermissions = require('./helpers/fixtures.js').createLogicalPermissions;
+describe('Simplifier', function() {
+
+  /*-------------LogicalPermissions::simplify()--------------*/
+
+  describe('testSimplifyParamPermissionsMissing', function() {
+    it('should call LogicalPermissions::simplify() with no "permissions" parameter and catch a MissingArgumentException exception', function() {
+      var lp = createLogicalPermissions();
+      assert.throws(function() {
+        lp.simplify();
+      }, function(err) {return err.name === 'MissingArgumentException';});
+    });
+  });
+  describe('testSimplifyParamPermissionsWrongType', function() {
+    it('should call LogicalPermissions::simplify() with the wrong data type for the "permissions" parameter and catch an InvalidArgumentTypeException exception', function() {
+      var lp = createLogicalPermissions();
+      assert.throws(function() {
+        lp.simplify(50);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException';});
+    });
+  });
+  describe('testSimplifyInvalidPermissions', function() {
+    it('should call LogicalPermissions::simplify() with an invalid permission tree and catch the error together with its path', function() {
+      var lp = createLogicalPermissions();
+      assert.throws(function() {
+        lp.simplify({AND: [{role: 'admin'}, {NOT: {}}]});
+      }, function(err) {return err.name === 'InvalidValueForLogicGateException' && err.path === '$.AND[1].NOT';});
+    });
+  });
+  describe('testSimplifyConstants', function() {
+    it('should call LogicalPermissions::simplify() and check that booleans are folded into the surrounding logic gates', function() {
+      var lp = createLogicalPermissions();
+      assert.strictEqual(lp.simplify('TRUE'), true);
+      assert.strictEqual(lp.simplify({}), true);
+      assert.strictEqual(lp.simplify({OR: [true, {role: 'admin'}]}), true);
+      assert.strictEqual(lp.simplify({AND: ['false', {role: 'admin'}]}), false);
+      assert.deepEqual(lp.simplify({AND: [true, {role: 'admin'}]}), {role: 'admin'});
+      assert.deepEqual(lp.simplify({XOR: [false, {role: 'admin'}, {role: 'editor'}]}), {OR: [{role: 'admin'}, {role: 'editor'}]});
+      assert.deepEqual(lp.simplify({XOR: [true, {role: 'admin'}]}), {NOT: {role: 'admin'}});
+      assert.strictEqual(lp.simplify({XOR: [true, 'FALSE']}), true);
+      assert.strictEqual(lp.simplify({AND: [{role: 'admin'}, {NOT: {role: 'admin'}}]}), false);
+      assert.strictEqual(lp.simplify({role: {OR: ['admin', {NOT: 'admin'}]}}), true);
+    });
+  });
+  describe('testSimplifyStructure', function() {
+    it('should call LogicalPermissions::simplify() and check that gates are flattened, duplicates are removed and gate keys are uppercased', function() {
+      var lp = createLogicalPermissions();
+      assert.deepEqual(lp.simplify({and: [{role: 'admin'}]}), {role: 'admin'});
+      assert.deepEqual(lp.simplify({role: ['editor', 'admin', 'editor']}), {OR: [{role: 'admin'}, {role: 'editor'}]});
+      assert.deepEqual(lp.simplify({AND: [{role: 'a'}, {and: {role: 'b', AND: [{flag: 'x'}, {role: 'a'}]}}]}), {AND: [{flag: 'x'}, {role: 'a'}, {role: 'b'}]});
+      assert.deepEqual(lp.simplify({xor: {role: {XOR: ['a', 'b']}, flag: 'x'}}), {XOR: [{XOR: [{role: 'a'}, {role: 'b'}]}, {flag: 'x'}]});
+      assert.strictEqual(lp.simplify({XOR: [{role: 'a'}, {role: 'a'}]}), false);
+      assert.deepEqual(lp.simplify({role: 'admin', flag: 'is_author'}), lp.simplify([{flag: 'is_author'}, {OR: {role: 'admin'}}]));
+    });
+  });
+  describe('testSimplifyNegations', function() {
+    it('should call LogicalPermissions::simplify() and check that negations are pushed down to the permissions', function() {
+      var lp = createLogicalPermissions();
+      assert.deepEqual(lp.simplify({NOT: {NOT: {role: 'admin'}}}), {role: 'admin'});
+      assert.deepEqual(lp.simplify({role: {NOT: {NOT: 'admin'}}}), {role: 'admin'});
+      assert.deepEqual(lp.simplify({NAND: [{role: 'admin'}, {flag: 'is_author'}]}), {OR: [{NOT: {flag: 'is_author'}}, {NOT: {role: 'admin'}}]});
+      assert.deepEqual(lp.simplify({NOR: {role: ['a', 'b'], flag: 'x'}}), {AND: [{NOT: {flag: 'x'}}, {NOT: {role: 'a'}}, {NOT: {role: 'b'}}]});
+      assert.deepEqual(lp.simplify({NOT: {XOR: [{role: 'a'}, {role: 'b'}]}}), {OR: [{AND: [{NOT: {role: 'a'}}, {NOT: {role: 'b'}}]}, {AND: [{role: 'a'}, {role: 'b'}]}]});
+    });
+  });
+  describe('testSimplifyNoBypass', function() {
+    it('should call LogicalPermissions::simplify() with NO_BYPASS conditions', function() {
+      var lp = createLogicalPermissions();
+      assert.deepEqual(lp.simplify({no_bypass: 'TRUE', role: ['admin']}), {NO_BYPASS: true, role: 'admin'});
+      assert.deepEqual(lp.simplify({NO_BYPASS: {OR: [{flag: 'never_bypass'}, false]}, role: 'admin'}), {NO_BYPASS: {flag: 'never_bypass'}, role: 'admin'});
+      assert.deepEqual(lp.simplify({NO_BYPASS: true, AND: [true, 'FALSE']}), {NO_BYPASS: true, 0: false});
+      assert.deepEqual(lp.simplify({NO_BYPASS: {AND: [{flag: 'never_bypass'}, false]}, role: 'admin'}), {role: 'admin'});
+      assert.deepEqual(lp.simplify({NO_BYPASS: false, role: 'admin'}), {role: 'admin'});
+      assert.strictEqual(lp.simplify({NO_BYPASS: true}), true);
+      assert.strictEqual(lp.simplify({NO_BYPASS: {flag: 'never_bypass'}, OR: [{role: 'admin'}, true]}), true);
+    });
+  });
+  describe('testSimplifyNoBypassRules', function() {
+    it('should call LogicalPermissions::simplify() with NO_BYPASS arrays of bypass rule names', function() {
+      var lp = createLogicalPermissions();
+      lp.addBypassRule('superadmin', function(){});
+      lp.addBypassRule('impersonation', function(){});
+      assert.deepEqual(lp.simplify({NO_BYPASS: ['superadmin', 'impersonation', 'superadmin'], role: ['admin']}), {NO_BYPASS: ['impersonation', 'superadmin'], role: 'admin'});
+      assert.deepEqual(lp.simplify({no_bypass: ['impersonation'], AND: [true, false]}), {NO_BYPASS: ['impersonation'], 0: false});
+      assert.deepEqual(lp.simplify({NO_BYPASS: [], role: 'admin'}), {role: 'admin'});
+      assert.strictEqual(lp.simplify({NO_BYPASS: ['impersonation'], OR: [{role: 'admin'}, true]}), true);
+    });
+  });
+  describe('testSimplifyScopedNoBypass', function() {
+    it('should call LogicalPermissions::simplify() with NO_BYPASS keys beneath the top level and catch an InvalidArgumentValueException exception', function() {
+      var lp = createLogicalPermissions();
+      lp.definePermission('notBanned', {NOT: {NO_BYPASS: true, flag: 'banned'}});
+      [
+        {AND: [{role: 'admin'}, {NO_BYPASS: true, flag: 'verified'}]},
+        {role: 'admin', no_bypass: {OR: {NO_BYPASS: true, flag: 'verified'}}},
+        {AND: [{role: 'admin'}, {REF: 'notBanned'}]}
+      ].forEach(function(permissions) {
+        assert.throws(function() {
+          lp.simplify(permissions);
+        }, function(err) {return err.name === 'InvalidArgumentValueException' && err.permissions === permissions;}, JSON.stringify(permissions));
+      });
+      assert.deepEqual(lp.simplify({NO_BYPASS: true, role: 'admin'}), {NO_BYPASS: true, role: 'admin'});
+    });
+  });
+  describe('testSimplifyStructuredPermissionValues', function() {
+    it('should call LogicalPermissions::simplify() with object and array permission values and check that they are kept intact', function() {
+      var lp = createLogicalPermissions();
+      lp.addType('attribute', function() {
+        return true;
+      }, {accepts: ['object', 'array']});
+      assert.deepEqual(lp.simplify({attribute: {name: 'age', gte: 18}}), {attribute: {name: 'age', gte: 18}});
+      assert.deepEqual(lp.simplify({attribute: {NOT: {NOT: ['level', 3]}}}), {attribute: ['level', 3]});
+      assert.deepEqual(lp.simplify({attribute: {OR: [{name: 'age', gte: 18}, {name: 'age', gte: 18}]}, NOT: {role: 'guest'}}), {OR: [{NOT: {role: 'guest'}}, {attribute: {name: 'age', gte: 18}}]});
+    });
+  });
+  describe('testSimplifyCustomGates', function() {
+    it('should call LogicalPermissions::simplify() with custom gates and check that they are expanded into AND and OR gates', function() {
+      var lp = createLogicalPermissions();
+      lp.addGate('MAJORITY', function(children, evaluateChild) {
+        return children.filter(evaluateChild).length * 2 > children.length;
+      });
+      assert.deepEqual(lp.simplify({role: {MAJORITY: ['a', 'b']}}), {AND: [{role: 'a'}, {role: 'b'}]});
+      assert.deepEqual(lp.simplify({MAJORITY: [{role: 'a'}, true, {role: 'b'}]}), {OR: [{role: 'a'}, {role: 'b'}]});
+      assert.strictEqual(lp.simplify({majority: [true, {role: 'a'}, true]}), true);
+      var tree = {MAJORITY: [{role: 'a'}, {flag: 'x'}, {NOT: {role: 'b'}}]};
+      var simplified = lp.simplify(tree);
+      for(var i = 0; i < 8; i++) {
+        var user = {roles: (i & 1 ? ['a'] : []).concat(i & 2 ? ['b'] : []), x: !!(i & 4)};
+        assert.strictEqual(lp.checkAccess(simplified, {user: user}), lp.checkAccess(tree, {user: user}), JSON.stringify(user));
+      }
+    });
+  });
+  describe('testSimplifyCustomGateChildren', function() {
+    it('should call LogicalPermissions::simplify() with a custom gate whose handler inspects its children and check that it gets the child permissions', function() {
+      var lp = createLogicalPermissions();
+      //Grants access if the granted children weigh at least 2, where the weight of each child depends on its role
+      lp.addGate('WEIGHTED', function(children, evaluateChild) {
+        var weights = {admin: 2};
+        var weight = 0;
+        children.forEach(function(child) {
+          if(evaluateChild(child)) {
+            weight += weights[child.role] || 1;
+          }
+        });
+        return weight >= 2;
+      });
+      assert.deepEqual(lp.simplify({WEIGHTED: [{role: 'admin'}]}), {role: 'admin'});
+      assert.deepEqual(lp.simplify({WEIGHTED: [{role: 'editor'}, {role: 'admin'}]}), {role: 'admin'});
+      assert.deepEqual(lp.simplify({WEIGHTED: [{role: 'editor'}, {role: 'guest'}]}), {AND: [{role: 'editor'}, {role: 'guest'}]});
+    });
+  });
+  describe('testSimplifyReferences', function() {
+    it('should call LogicalPermissions::simplify() with references to permission definitions and check that they are replaced by the simplified definitions', function() {
+      var lp = createLogicalPermissions();
+      lp.definePermission('staff', {role: ['employee', 'contractor']});
+      lp.definePermission('activeStaff', {AND: [{REF: 'staff'}, {NOT: {flag: 'is_suspended'}}]});
+      lp.definePermission('everyone', []);
+      assert.deepEqual(lp.simplify({REF: 'staff'}), {OR: [{role: 'contractor'}, {role: 'employee'}]});
+      assert.deepEqual(lp.simplify({AND: [{REF: 'activeStaff'}, {REF: 'staff'}]}), {AND: [{NOT: {flag: 'is_suspended'}}, {OR: [{role: 'contractor'}, {role: 'employee'}]}]});
+      assert.strictEqual(lp.simplify({OR: [{role: 'admin'}, {REF: 'everyone'}]}), true);
+    });
+  });
+  describe('testSimplifyMetadata', function() {
+    it('should call LogicalPermissions::simplify() with metadata and check that it is left out', function() {
+      var lp = createLogicalPermissions();
+      lp.definePermission('staff', {role: 'employee', MESSAGE: 'Only staff'});
+      assert.deepEqual(lp.simplify({AND: {REF: 'staff', flag: 'is_active', MESSAGE: 'Only active staff'}, META: {id: 1}}), {AND: [{flag: 'is_active'}, {role: 'employee'}]});
+      assert.strictEqual(lp.simplify({MESSAGE: 'Everyone'}), true);
+    });
+  });
+  describe('testSimplifyThresholdGates', function() {
+    it('should call LogicalPermissions::simplify() with threshold gates and check that they are kept', function() {
+      var lp = createLogicalPermissions();
+      assert.deepEqual(lp.simplify({AT_LEAST: {count: 2, of: [{role: 'c'}, true, {role: 'a'}, {role: 'b'}, false]}}), {OR: [{role: 'a'}, {role: 'b'}, {role: 'c'}]});
+      assert.deepEqual(lp.simplify({role: {AT_LEAST: {count: 2, of: ['c', 'a', 'b', 'a']}}}), {AT_LEAST: {count: 2, of: [{role: 'a'}, {role: 'a'}, {role: 'b'}, {role: 'c'}]}});
+      assert.deepEqual(lp.simplify({NOT: {role: {AT_LEAST: {count: 2, of: ['a', 'b', 'c']}}}}), {AT_MOST: {count: 1, of: [{role: 'a'}, {role: 'b'}, {role: 'c'}]}});
+      assert.deepEqual(lp.simplify({role: {EXACTLY: {count: 1, of: ['a', 'b', 'c', {NOT: 'a'}]}}}), {AND: [{NOT: {role: 'b'}}, {NOT: {role: 'c'}}]});
+      assert.deepEqual(lp.simplify({role: {ONE_OF: ['b', 'a']}}), {XOR: [{role: 'a'}, {role: 'b'}]});
+      assert.deepEqual(lp.simplify({role: {ONE_OF: ['c', 'b', 'a']}}), {EXACTLY: {count: 1, of: [{role: 'a'}, {role: 'b'}, {role: 'c'}]}});
+      var roles = [];
+      for(var i = 0; i < 16; i++) {
+        roles.push('role' + i);
+      }
+      var simplified = lp.simplify({role: {AT_LEAST: {count: 8, of: roles}}});
+      assert.strictEqual(simplified.AT_LEAST.count, 8);
+      assert.strictEqual(simplified.AT_LEAST.of.length, 16);
+    });
+  });
+  describe('testSimplifyEquivalence', function() {
+    it('should call LogicalPermissions::simplify() and check that the simplified permission tree grants access in exactly the same cases as the original tree', function() {
+      var lp = createLogicalPermissions();
+      lp.setBypassCallback(function(context) {
+        return !!context.user.superuser;
+      });
+      var trees = [
+        {role: ['a', 'b'], flag: 'x', NOT: {NOT: {role: 'a'}}},
+        {NO_BYPASS: {flag: 'y'}, AND: [{role: 'a'}, {NAND: [{role: 'b'}, {flag: 'x'}, true]}]},
+        {no_bypass: 'TRUE', 0: {NOR: {role: ['a', 'b'], flag: 'x'}}},
+        {XOR: [{XOR: [{role: 'a'}, {role: 'b'}]}, {role: 'c'}, {role: 'a'}]},
+        {NOT: {XOR: [{role: 'a'}, {NOR: [{role: 'b'}, 'FALSE']}, {role: 'c'}]}},
+        {OR: [{NOR: [{role: 'a'}, {role: 'b'}]}, {NOT: {role: {AND: ['c', 'a']}}}]},
+        {role: {NAND: [{XOR: ['a', 'b', 'a']}, {NOT: 'c'}]}, NOT: {flag: 'x'}},
+        [{AND: [true, {flag: 'y'}]}, 'FALSE', {NOR: [{role: 'c'}]}],
+        {AT_LEAST: {count: 2, of: [{role: 'a'}, {role: 'b'}, {NOT: {flag: 'x'}}, {role: 'a'}]}},
+        {role: {AT_MOST: {count: 1, of: ['a', 'b', {EXACTLY: {count: 2, of: ['a', 'c', 'b']}}]}}, flag: 'y'},
+        {IMPLIES: [{XNOR: [{role: 'a'}, {flag: 'x'}, {role: 'c'}]}, {role: {ONE_OF: ['a', 'b', 'c']}}]},
+        {NOT: {IMPLIES: {role: 'b', NOT: {ONE_OF: [{flag: 'y'}]}}}},
+        {NOT: {role: {EXACTLY: {count: 2, of: ['a', 'b', 'c', {NOT: 'a'}, 'a']}}}},
+        {XOR: [{AT_MOST: {count: 2, of: [{role: 'a'}, {role: 'b'}, {flag: 'x'}, {flag: 'y'}]}}, {role: 'c'}]}
+      ];
+      var flags = ['a', 'b', 'c', 'x', 'y', 'superuser'];
+      trees.forEach(function(tree) {
+        var simplified = lp.simplify(tree);
+        for(var i = 0; i < Math.pow(2, flags.length); i++) {
+          var user = {roles: []};
+          flags.forEach(function(flag, j) {
+            if(i & (1 << j)) {
+              user.roles.push(flag);
+              user[flag] = true;
+            }
+          });
+          assert.strictEqual(lp.checkAccess(simplified, {user: user}), lp.checkAccess(tree, {user: user}), JSON.stringify(tree));
+        }
+      });
+    });
+  });
+});
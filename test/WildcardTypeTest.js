@@ -0,0 +1,158 @@
+var LogicalPermissions = require('../lib/LogicalPermissions.js');
+var assert = require('assert');
+describe('WildcardType', function() {
+
+  var getGrants = function(context) {
+    return context.user.permissions;
+  };
+
+  /*-------------LogicalPermissions.createWildcardType()--------------*/
+
+  describe('testCreateWildcardTypeParamGetGrantsMissing', function() {
+    it('should call LogicalPermissions.createWildcardType() with no "get_grants" parameter and catch a MissingArgumentException exception', function() {
+      assert.throws(function() {
+        LogicalPermissions.createWildcardType();
+      }, function(err) {return err.name === 'MissingArgumentException' && err.argument === 'get_grants';});
+    });
+  });
+  describe('testCreateWildcardTypeParamGetGrantsWrongType', function() {
+    it('should call LogicalPermissions.createWildcardType() with the wrong data type for the "get_grants" parameter and catch an InvalidArgumentTypeException exception', function() {
+      assert.throws(function() {
+        LogicalPermissions.createWildcardType(['articles:*']);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'get_grants';});
+    });
+  });
+  describe('testCreateWildcardTypeParamOptionsWrongType', function() {
+    it('should call LogicalPermissions.createWildcardType() with the wrong data type for the "options" parameter and catch an InvalidArgumentTypeException exception', function() {
+      [null, ':', [':']].forEach(function(options) {
+        assert.throws(function() {
+          LogicalPermissions.createWildcardType(getGrants, options);
+        }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'options';}, JSON.stringify(options));
+      });
+    });
+  });
+  describe('testCreateWildcardTypeParamOptionsIllegal', function() {
+    it('should call LogicalPermissions.createWildcardType() with illegal options and catch an InvalidArgumentValueException exception', function() {
+      [
+        {separator: ''},
+        {separator: 1},
+        {wildcard: '**'},
+        {wildcard: ''},
+        {escape: '//'},
+        {escape: false},
+        {separator: '*'},
+        {separator: '\\.'},
+        {escape: '*'},
+        {separator: '.', wildcard: '.'}
+      ].forEach(function(options) {
+        assert.throws(function() {
+          LogicalPermissions.createWildcardType(getGrants, options);
+        }, function(err) {return err.name === 'InvalidArgumentValueException' && err.argument === 'options';}, JSON.stringify(options));
+      });
+    });
+  });
+  describe('testCreateWildcardType', function() {
+    it('should call LogicalPermissions.createWildcardType() and register the callback with LogicalPermissions::addType()', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('permission', LogicalPermissions.createWildcardType(getGrants));
+      var context = {user: {permissions: ['articles:*', 'comments:read']}};
+      assert(lp.checkAccess({permission: 'articles:edit:own'}, context));
+      assert(lp.checkAccess({permission: ['users:delete', 'comments:read']}, context));
+      assert(!lp.checkAccess({permission: 'comments:delete'}, context));
+      assert(!lp.checkAccess({permission: 'articles'}, context));
+      assert(!lp.checkAccess({permission: 'articles:edit'}, {user: {permissions: []}}));
+    });
+  });
+  describe('testWildcardTypeGetGrantsWrongReturnType', function() {
+    it('should call LogicalPermissions::checkAccess() with a "get_grants" function that does not return an array of strings and catch an InvalidCallbackReturnTypeException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('permission', LogicalPermissions.createWildcardType(getGrants));
+      assert.throws(function() {
+        lp.checkAccess({permission: 'articles:edit'}, {user: {permissions: 'articles:*'}});
+      }, function(err) {return err.name === 'InvalidCallbackReturnTypeException' && err.value === 'articles:*';});
+    });
+  });
+
+  /*-------------Matching--------------*/
+
+  describe('testWildcardTypeMatches', function() {
+    it('should call matches() on a wildcard type callback with different grants and permissions', function() {
+      var callback = LogicalPermissions.createWildcardType(getGrants);
+      [
+        ['articles:edit', 'articles:edit', true],
+        ['articles:edit', 'articles:edit:own', false],
+        ['articles:edit:own', 'articles:edit', false],
+        ['articles:*', 'articles:edit', true],
+        ['articles:*', 'articles:edit:own', true],
+        ['articles:*', 'articles', false],
+        ['articles:*', 'comments:edit', false],
+        ['*', 'articles:edit:own', true],
+        ['articles:*:own', 'articles:edit:own', true],
+        ['articles:*:own', 'articles:edit:all', false],
+        ['articles:*:own', 'articles:edit:own:draft', false],
+        ['articles:edit_*', 'articles:edit_own', true],
+        ['articles:edit_*', 'articles:edit', false],
+        ['articles:*_own', 'articles:edit:own', false],
+        ['articles:e*t', 'articles:edit', true],
+        ['Articles:*', 'articles:edit', false],
+        ['articles:\\*', 'articles:edit', false],
+        ['articles:\\*', 'articles:*', true],
+        ['articles:*', 'articles:a\\:b', true],
+        ['articles:a\\:b', 'articles:a\\:b', true],
+        ['articles:a\\:b', 'articles:a:b', false],
+        ['articles:a\\\\', 'articles:a\\\\', true],
+        ['articles.(edit)', 'articles.(edit)', true],
+        ['articles.*', 'articlesXedit', false]
+      ].forEach(function(match) {
+        assert.strictEqual(callback.matches(match[0], match[1]), match[2], JSON.stringify(match));
+      });
+    });
+  });
+  describe('testWildcardTypeMatchesParamsWrongType', function() {
+    it('should call matches() on a wildcard type callback with the wrong data types and catch an InvalidArgumentTypeException exception', function() {
+      var callback = LogicalPermissions.createWildcardType(getGrants);
+      assert.throws(function() {
+        callback.matches(0, 'articles:edit');
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'grant';});
+      assert.throws(function() {
+        callback.matches('articles:*', ['articles:edit']);
+      }, function(err) {return err.name === 'InvalidArgumentTypeException' && err.argument === 'permission';});
+    });
+  });
+  describe('testWildcardTypeTrailingEscape', function() {
+    it('should call checkAccess() with a grant or a permission that ends with the escape character and catch an InvalidArgumentValueException exception', function() {
+      var lp = new LogicalPermissions();
+      lp.addType('permission', LogicalPermissions.createWildcardType(getGrants));
+      assert.throws(function() {
+        lp.checkAccess({permission: 'articles:edit\\'}, {user: {permissions: ['articles:edit']}});
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.permissions === 'articles:edit\\';});
+      assert.throws(function() {
+        lp.checkAccess({permission: 'articles:edit'}, {user: {permissions: ['articles:\\']}});
+      }, function(err) {return err.name === 'InvalidArgumentValueException' && err.value === 'articles:\\';});
+    });
+  });
+  describe('testWildcardTypeOptions', function() {
+    it('should call matches() on wildcard type callbacks with a custom separator, wildcard and escape character', function() {
+      var callback = LogicalPermissions.createWildcardType(getGrants, {separator: '::', wildcard: '%', escape: '!'});
+      assert(callback.matches('articles::%', 'articles::edit::own'));
+      assert(callback.matches('articles::*', 'articles::*'));
+      assert(!callback.matches('articles::*', 'articles::edit'));
+      assert(callback.matches('articles::a!::b', 'articles::a!::b'));
+      assert(!callback.matches('articles::%', 'articles:edit'));
+      assert(callback.matches('articles::\\%', 'articles::\\edit'));
+
+      callback = LogicalPermissions.createWildcardType(getGrants, {escape: null});
+      assert(callback.matches('articles:\\*', 'articles:\\edit'));
+      assert(!callback.matches('articles:\\:b', 'articles:\\:b:c'));
+      assert(callback.matches('articles:edit\\', 'articles:edit\\'));
+    });
+  });
+  describe('testWildcardTypeGetGrants', function() {
+    it('should call getGrants() on a wildcard type callback and check that the grants of the user are returned as a copy', function() {
+      var context = {user: {permissions: ['articles:*']}};
+      var callback = LogicalPermissions.createWildcardType(getGrants);
+      callback.getGrants(context).push('comments:*');
+      assert.deepEqual(callback.getGrants(context), ['articles:*']);
+    });
+  });
+});
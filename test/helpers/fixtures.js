@@ -0,0 +1,20 @@
+var LogicalPermissions = require('../../lib/LogicalPermissions.js');
+
+// Creates a LogicalPermissions instance with the "flag" and "role" permission types, which read context.user.
+var createLogicalPermissions = function() {
+  var lp = new LogicalPermissions();
+  var types = {
+    flag: function(flag, context) {
+      return !!context.user[flag];
+    },
+    role: function(role, context) {
+      return context.user.roles.indexOf(role) > -1;
+    }
+  };
+  lp.setTypes(types);
+  return lp;
+};
+
+module.exports = {
+  createLogicalPermissions: createLogicalPermissions
+};